@@ -8,11 +8,77 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { API_PORT, HTTPS_PORT } = require('./config');
-const { saveArticle, getArticles, searchArticles, getArticleStats, trackSavedArticleClick, getDatabase } = require('./database');
+const {
+  saveArticle,
+  getArticles,
+  searchArticles,
+  getArticleStats,
+  trackSavedArticleClick,
+  getDatabase,
+  groupLinksByArticle,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  addTagAlias,
+  removeTagAlias,
+  getTagAliases
+} = require('./database');
+const repository = require('./repository');
+const { getSources } = require('./api-sources');
+const { linkList, listPage, parseListQuery, CLICK_LIST, TAG_LIST } = require('./list-query');
+const { parseTagQuery, parseFilter } = require('./tag-query');
+
+// Links whose article was never opened, for links l joined to their link_click_stats cs
+const UNCLICKED = 'COALESCE(cs.article_clicks, 0) = 0';
 
 let apiServer = null;
 let httpsServer = null;
 
+/**
+ * Build a SQL condition on links l for an optional ?source= filter. A family
+ * name such as "hn" matches every list in that family ("hn/top", "hn/show", ...).
+ * @returns {Object} { clause, params }, or { error }
+ */
+function buildSourceFilter(source) {
+  if (!source) {
+    return { clause: '', params: [] };
+  }
+  const filter = parseFilter('source', source);
+  return filter.error
+    ? { error: `"source": ${filter.error}` }
+    : { clause: ` AND ${filter.where}`, params: filter.params };
+}
+
+/**
+ * Respond with links grouped by article, so an article shared on several
+ * sites is listed once together with all of its discussion threads
+ */
+function sendGroupedLinks(res, rows, extra = {}) {
+  groupLinksByArticle(rows, (err, links) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.json({ links, ...extra });
+    }
+  });
+}
+
+/**
+ * Respond with one page of a link list (see list-query.js): its links grouped
+ * by article, the number of matching links and the cursor for the next page
+ */
+function sendLinkPage(res, list, query) {
+  listPage(list, query)
+    .then(page => {
+      if (page.error) {
+        res.status(400).json({ error: page.error });
+      } else {
+        sendGroupedLinks(res, page.rows, { total: page.total, limit: page.limit, next_cursor: page.next_cursor });
+      }
+    })
+    .catch(err => res.status(500).json({ error: err.message }));
+}
+
 /**
  * Initialize Express API server for external integrations
  */
@@ -169,111 +235,89 @@ function initApiServer() {
     });
   });
 
-  // Database browser endpoints
+  // Database browser endpoints; the lists take the paging, sorting and filter parameters in list-query.js
   server.get('/api/database/clicks', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
-    }
-
-    db.all(`SELECT 
-      c.id,
-      c.story_id,
-      c.title,
-      c.url,
-      c.points,
-      c.comments,
-      c.clicked_at,
-      c.story_added_at,
-      c.archive_url,
-      c.tags,
-      s.url as story_url
-    FROM clicks c
-    LEFT JOIN stories s ON c.story_id = s.story_id
-    ORDER BY c.clicked_at DESC`, [], (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({ clicks: rows });
-      }
-    });
+    listPage(CLICK_LIST, req.query)
+      .then(page => (page.error
+        ? res.status(400).json({ error: page.error })
+        : res.json({ clicks: page.rows, total: page.total, limit: page.limit, next_cursor: page.next_cursor })))
+      .catch(err => res.status(500).json({ error: err.message }));
   });
 
   // Bag of Links - Hidden gems with low appearance rates and no clicks
   server.get('/api/database/bag-of-links', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
-    }
-
-    db.all(`SELECT 
-      l.*,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id), 0) as total_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) as article_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage'), 0) as engagements
-    FROM links l 
-    WHERE COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) = 0
-    ORDER BY l.times_appeared ASC, RANDOM()
-    LIMIT 100`, [], (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({ links: rows });
-      }
-    });
+    sendLinkPage(res, linkList({
+      where: UNCLICKED,
+      defaultSort: 'appearances',
+      defaultOrder: 'asc'
+    }), req.query);
   });
 
-  // Curated Bag - 3 unclicked links from each source with high show counts + 1 random
+  // Curated Bag - 3 unclicked links from each source with high show counts + 1 random.
+  // A fixed-size sample rather than a list, so it is not paged or sorted, but
+  // it takes the lists' source, tag, domain and since/until filters
   server.get('/api/database/curated-bag', (req, res) => {
     const db = getDatabase();
     if (!db) {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
-    // Simplified approach - get all unclicked links, then process them
-    db.all(`SELECT 
-      l.*,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id), 0) as total_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) as article_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage'), 0) as engagements
-    FROM links l 
-    WHERE COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) = 0
-    ORDER BY l.times_appeared DESC`, [], (err, rows) => {
+    const { source, tag, descendants, domain, since, until } = req.query;
+    const list = linkList({ where: UNCLICKED, defaultSort: 'appearances' });
+    const filter = parseListQuery({ source, tag, descendants, domain, since, until }, list);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    // Simplified approach - get all matching unclicked links, then process them
+    db.all(`SELECT ${list.select}
+    FROM ${list.from}
+    WHERE ${filter.where}
+    ORDER BY l.times_appeared DESC`, filter.params, (err, rows) => {
       if (err) {
         console.error('Error in curated bag query:', err);
         return res.status(500).json({ error: err.message });
       }
 
       try {
-        // Group by source
-        const bySource = {
-          hn: rows.filter(r => r.source === 'hn').slice(0, 3),
-          reddit: rows.filter(r => r.source === 'reddit').slice(0, 3),
-          pinboard: rows.filter(r => r.source === 'pinboard').slice(0, 3)
-        };
+        // Take the top 3 articles from each registered source, skipping
+        // articles already picked through another source
+        let allLinks = [];
+        const pickedArticles = new Set();
+        const isNewArticle = link => !pickedArticles.has(link.canonical_url || link.url);
+        getSources().forEach(source => {
+          const picks = rows.filter(r => r.source === source.id && isNewArticle(r)).slice(0, 3);
+          picks.forEach(link => pickedArticles.add(link.canonical_url || link.url));
+          allLinks.push(...picks);
+        });
 
         // Get 1 random from all unclicked
         const randomLink = rows[Math.floor(Math.random() * rows.length)];
-
-        // Combine all links
-        let allLinks = [...bySource.hn, ...bySource.reddit, ...bySource.pinboard];
-        if (randomLink && !allLinks.find(link => link.id === randomLink.id)) {
+        if (randomLink && isNewArticle(randomLink)) {
           allLinks.push(randomLink);
         }
 
-        // Remove source information and randomize order for presentation
-        const processedLinks = allLinks.map(link => {
-          const { source, ...linkWithoutSource } = link;
-          return linkWithoutSource;
-        });
+        groupLinksByArticle(allLinks, (groupErr, groupedLinks) => {
+          if (groupErr) {
+            console.error('Error grouping curated bag:', groupErr);
+            return res.status(500).json({ error: 'Error processing results' });
+          }
 
-        // Shuffle the array to mix sources randomly
-        for (let i = processedLinks.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [processedLinks[i], processedLinks[j]] = [processedLinks[j], processedLinks[i]];
-        }
+          // Remove source information and randomize order for presentation
+          const processedLinks = groupedLinks.map(link => {
+            const { source, ...linkWithoutSource } = link;
+            linkWithoutSource.discussions = link.discussions.map(({ source: discussionSource, ...discussion }) => discussion);
+            return linkWithoutSource;
+          });
 
-        res.json({ links: processedLinks });
+          // Shuffle the array to mix sources randomly
+          for (let i = processedLinks.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [processedLinks[i], processedLinks[j]] = [processedLinks[j], processedLinks[i]];
+          }
+
+          res.json({ links: processedLinks });
+        });
       } catch (error) {
         console.error('Error processing curated bag:', error);
         res.status(500).json({ error: 'Error processing results' });
@@ -283,143 +327,301 @@ function initApiServer() {
 
   // Unread stories
   server.get('/api/database/unread', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
+    sendLinkPage(res, linkList({ where: 'l.viewed = 0 OR l.viewed IS NULL', defaultSort: 'random' }), req.query);
+  });
+
+  // Recent clicked articles; since/until filter on the last click
+  server.get('/api/database/recent', (req, res) => {
+    sendLinkPage(res, linkList({
+      where: `NOT (${UNCLICKED})`,
+      defaultSort: 'last_clicked',
+      dateField: 'last_clicked'
+    }), req.query);
+  });
+
+  // All links
+  server.get('/api/database/all', (req, res) => {
+    sendLinkPage(res, linkList(), req.query);
+  });
+
+  // Tags with the number of links carrying them, paged like the link lists
+  server.get('/api/database/tags', (req, res) => {
+    listPage(TAG_LIST, req.query)
+      .then(page => (page.error
+        ? res.status(400).json({ error: page.error })
+        : res.json({ tags: page.rows, total: page.total, limit: page.limit, next_cursor: page.next_cursor })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Tag management
+  server.post('/api/database/tags/rename', (req, res) => {
+    const { from, to } = req.body || {};
+    if (!from || !to) {
+      return res.status(400).json({ error: '"from" and "to" are required' });
     }
 
-    db.all(`SELECT 
-      l.*,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
-    FROM links l 
-    WHERE l.viewed = 0 OR l.viewed IS NULL
-    ORDER BY RANDOM()
-    LIMIT 100`, [], (err, rows) => {
+    renameTag(from, to, (err, result) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        res.json({ links: rows });
+        res.json({ success: true, ...result });
       }
     });
   });
 
-  // Recent clicked articles
-  server.get('/api/database/recent', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
+  server.post('/api/database/tags/merge', (req, res) => {
+    const { sources, target } = req.body || {};
+    if (!Array.isArray(sources) || sources.length === 0 || !target) {
+      return res.status(400).json({ error: '"sources" (a non-empty array) and "target" are required' });
     }
 
-    db.all(`SELECT 
-      l.*,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
-      (SELECT MAX(c.clicked_at) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as last_clicked
-    FROM links l 
-    WHERE (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') > 0
-    ORDER BY last_clicked DESC
-    LIMIT 100`, [], (err, rows) => {
+    mergeTags(sources, target, (err, result) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        res.json({ links: rows });
+        res.json({ success: true, ...result });
       }
     });
   });
 
-  // All links
-  server.get('/api/database/all', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
+  // Low-confidence model tags waiting for review; accepting one confirms it
+  // as a manual tag, rejecting removes it from the link
+  server.get('/api/database/tags/review', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+
+    repository.tags.listForReview(limit)
+      .then(tags => res.json({ tags }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.post('/api/database/tags/review', (req, res) => {
+    const { story_key: storyKey, tag, action } = req.body || {};
+    if (!storyKey || !tag || !['accept', 'reject'].includes(action)) {
+      return res.status(400).json({ error: '"story_key", "tag" and "action" (accept or reject) are required' });
     }
 
-    db.all(`SELECT 
-      l.*,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
-    FROM links l 
-    ORDER BY l.last_seen_at DESC
-    LIMIT 100`, [], (err, rows) => {
+    const review = action === 'accept'
+      ? repository.tags.add(storyKey, tag, 'manual').then(result => result && result.tags)
+      : repository.tags.remove(storyKey, tag);
+
+    review
+      .then(async tags => {
+        if (!tags) {
+          return res.status(404).json({ error: 'Story not found' });
+        }
+        await repository.tagFeedback.record(storyKey, action === 'accept' ? [tag] : [], action === 'reject' ? [tag] : []);
+        res.json({ success: true, tags });
+      })
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // How often each suggested tag was accepted or rejected
+  server.get('/api/database/tags/feedback', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+
+    repository.tagFeedback.stats(limit)
+      .then(tags => res.json({ tags }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.delete('/api/database/tags/:tag', (req, res) => {
+    deleteTag(req.params.tag, (err, count) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        res.json({ links: rows });
+        res.json({ success: true, links: count });
       }
     });
   });
 
-  // Get all tags with counts
-  server.get('/api/database/tags', (req, res) => {
-    const db = getDatabase();
-    if (!db) {
-      return res.status(500).json({ error: 'Database not initialized' });
+  server.get('/api/database/tag-aliases', (req, res) => {
+    getTagAliases((err, aliases) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json({ aliases });
+      }
+    });
+  });
+
+  server.post('/api/database/tag-aliases', (req, res) => {
+    const { alias, tag } = req.body || {};
+    if (!alias || !tag) {
+      return res.status(400).json({ error: '"alias" and "tag" are required' });
     }
 
-    // Query to get all tags and their occurrence counts from the links table
-    db.all(`SELECT 
-      tags,
-      COUNT(*) as count
-    FROM links 
-    WHERE tags IS NOT NULL AND tags != ''
-    GROUP BY tags
-    ORDER BY count DESC, tags ASC`, [], (err, rows) => {
+    addTagAlias(alias, tag, (err, result) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        // Parse comma-separated tags and count them
-        const tagCounts = {};
-        
-        rows.forEach(row => {
-          if (row.tags) {
-            const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            tags.forEach(tag => {
-              tagCounts[tag] = (tagCounts[tag] || 0) + row.count;
-            });
-          }
-        });
-        
-        // Convert to array and sort by count descending
-        const sortedTags = Object.entries(tagCounts)
-          .map(([tag, count]) => ({ tag, count }))
-          .sort((a, b) => b.count - a.count);
-        
-        res.json({ tags: sortedTags });
+        res.json({ success: true, ...result });
       }
     });
   });
 
-  // Get random unclicked links from past week (default view)
-  server.get('/api/database/discover', (req, res) => {
+  server.delete('/api/database/tag-aliases/:alias', (req, res) => {
+    removeTagAlias(req.params.alias, (err, count) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else if (count === 0) {
+        res.status(404).json({ error: 'Alias not found' });
+      } else {
+        res.json({ success: true });
+      }
+    });
+  });
+
+  // Tag hierarchy: each tag may have one parent tag
+  server.get('/api/database/tag-hierarchy', (req, res) => {
+    repository.tagHierarchy.list()
+      .then(relations => res.json({ relations }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.post('/api/database/tag-hierarchy', (req, res) => {
+    const { tag, parent } = req.body || {};
+    if (!tag || !parent) {
+      return res.status(400).json({ error: '"tag" and "parent" are required' });
+    }
+
+    repository.tagHierarchy.setParent(tag, parent)
+      .then(result => (result
+        ? res.json({ success: true, ...result })
+        : res.status(400).json({ error: '"parent" cannot be the tag itself or a tag below it' })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Detach a tag from its parent; the tags below it stay under it
+  server.delete('/api/database/tag-hierarchy/:tag', (req, res) => {
+    repository.tagHierarchy.removeParent(req.params.tag)
+      .then(changes => (changes > 0 ? res.json({ success: true }) : res.status(404).json({ error: 'Tag has no parent' })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Links with a tag, and with ?descendants=true any tag below it
+  server.get('/api/database/by-tag', async (req, res) => {
+    const tag = String(req.query.tag || '').trim().toLowerCase();
+    if (!tag) {
+      return res.status(400).json({ error: '"tag" is required' });
+    }
+
+    let wanted;
+    try {
+      wanted = req.query.descendants === 'true' ? await repository.tagHierarchy.expand([tag]) : [tag];
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    sendLinkPage(res, linkList({
+      where: `l.id IN (SELECT link_id FROM tags WHERE tag IN (${wanted.map(() => '?').join(',')}))`,
+      params: wanted
+    }), { ...req.query, tag: undefined });
+  });
+
+  // Search with the query language, e.g. ?q=rust AND (compilers OR wasm) -crypto
+  server.get('/api/search', (req, res) => {
     const db = getDatabase();
     if (!db) {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
-    // Get 25 random unclicked links from the past week
-    db.all(`SELECT 
+    const parsed = parseTagQuery(req.query.q, { includeDescendants: req.query.descendants !== 'false' });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, position: parsed.position });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    db.all(`SELECT
       l.*,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id), 0) as total_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) as article_clicks,
-      COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage'), 0) as engagements
-    FROM links l 
-    WHERE COALESCE((SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article'), 0) = 0
-    AND l.last_seen_at >= datetime('now', '-7 days')
-    ORDER BY RANDOM()
-    LIMIT 25`, [], (err, rows) => {
+      COALESCE(cs.total_clicks, 0) as total_clicks,
+      COALESCE(cs.article_clicks, 0) as article_clicks,
+      COALESCE(cs.engage_clicks, 0) as engagements
+    FROM links l
+    LEFT JOIN link_click_stats cs ON cs.link_id = l.id
+    WHERE ${parsed.where}
+    ORDER BY l.times_appeared DESC, l.last_seen_at DESC
+    LIMIT ?`, [...parsed.params, limit], (err, rows) => {
       if (err) {
-        console.error('Database error in discover:', err);
         res.status(500).json({ error: err.message });
       } else {
-        res.json({ links: rows });
+        sendGroupedLinks(res, rows);
       }
     });
   });
 
+  // Full-text search over every link's title, URL, domain, tags, summary and article text
+  server.get('/api/database/search', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    repository.links.searchText(query, limit)
+      .then(rows => sendGroupedLinks(res, rows))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Tagging rules: fixed tags for links matching a domain, URL, title, source or subreddit
+  server.get('/api/database/tag-rules', (req, res) => {
+    const { listRules, RULE_FIELDS } = require('./tag-rules');
+    listRules()
+      .then(rules => res.json({ rules, fields: RULE_FIELDS }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.post('/api/database/tag-rules', (req, res) => {
+    const { parseRule, createRule } = require('./tag-rules');
+    const { rule, error } = parseRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    createRule(rule)
+      .then(({ id }) => res.json({ success: true, id }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Run the rules over links seen before they existed
+  server.post('/api/database/tag-rules/apply', (req, res) => {
+    const { applyRulesToAllLinks } = require('./tag-rules');
+    applyRulesToAllLinks()
+      .then(result => res.json({ success: true, ...result }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.put('/api/database/tag-rules/:id', (req, res) => {
+    const { parseRule, updateRule } = require('./tag-rules');
+    const { rule, error } = parseRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    updateRule(parseInt(req.params.id), rule)
+      .then(changes => (changes === 0
+        ? res.status(404).json({ error: 'Rule not found' })
+        : res.json({ success: true })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.delete('/api/database/tag-rules/:id', (req, res) => {
+    const { deleteRule } = require('./tag-rules');
+    deleteRule(parseInt(req.params.id))
+      .then(changes => (changes === 0
+        ? res.status(404).json({ error: 'Rule not found' })
+        : res.json({ success: true })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  // Get random unclicked links from past week (default view)
+  server.get('/api/database/discover', (req, res) => {
+    sendLinkPage(res, linkList({
+      where: `${UNCLICKED} AND l.last_seen_at >= datetime('now', '-7 days')`,
+      defaultSort: 'random',
+      defaultLimit: 25
+    }), req.query);
+  });
+
   // Track click from database browser
   server.post('/api/database/track-click', (req, res) => {
     const { url, storyId, source, clickType = 'article' } = req.body;
@@ -453,14 +655,20 @@ function initApiServer() {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
+    const filter = buildSourceFilter(req.query.source);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
     db.all(`SELECT 
-      DATE(clicked_at) as date,
+      DATE(c.clicked_at) as date,
       COUNT(*) as click_count
-    FROM clicks 
-    WHERE clicked_at IS NOT NULL
-    GROUP BY DATE(clicked_at)
+    FROM clicks c
+    ${filter.clause ? 'JOIN links l ON c.link_id = l.id' : ''}
+    WHERE c.clicked_at IS NOT NULL${filter.clause}
+    GROUP BY DATE(c.clicked_at)
     ORDER BY date DESC
-    LIMIT 30`, [], (err, rows) => {
+    LIMIT 30`, filter.params, (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
@@ -476,16 +684,21 @@ function initApiServer() {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
+    const filter = buildSourceFilter(req.query.source);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
     db.all(`SELECT 
       DATE(c.clicked_at) as date,
       l.source,
       COUNT(*) as click_count
     FROM clicks c
     JOIN links l ON c.link_id = l.id
-    WHERE c.clicked_at IS NOT NULL AND l.source IS NOT NULL
+    WHERE c.clicked_at IS NOT NULL AND l.source IS NOT NULL${filter.clause}
     GROUP BY DATE(c.clicked_at), l.source
     ORDER BY date DESC, l.source
-    LIMIT 90`, [], (err, rows) => {
+    LIMIT 90`, filter.params, (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
@@ -494,65 +707,81 @@ function initApiServer() {
     });
   });
 
-  // Tag statistics
-  server.get('/api/analytics/tag-stats', (req, res) => {
+  // Most clicked articles, counting clicks from every discussion of the same article
+  server.get('/api/analytics/top-articles', (req, res) => {
     const db = getDatabase();
     if (!db) {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
-    // Get tag usage stats
     db.all(`SELECT 
-      tags,
-      COUNT(*) as story_count,
-      SUM(CASE WHEN viewed = 1 THEN 1 ELSE 0 END) as viewed_count,
-      SUM(engagement_count) as total_engagements,
-      AVG(times_appeared) as avg_appearances
-    FROM links 
-    WHERE tags IS NOT NULL AND tags != ''
-    GROUP BY tags
-    ORDER BY story_count DESC
-    LIMIT 50`, [], (err, rows) => {
+      COALESCE(l.canonical_url, l.url) as canonical_url,
+      MIN(l.id) as id,
+      COUNT(c.id) as click_count,
+      COUNT(DISTINCT l.id) as discussion_count
+    FROM clicks c
+    JOIN links l ON c.link_id = l.id
+    WHERE c.clicked_at IS NOT NULL
+    GROUP BY COALESCE(l.canonical_url, l.url)
+    ORDER BY click_count DESC
+    LIMIT 20`, [], (err, rows) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        // Parse comma-separated tags and aggregate stats
-        const tagStats = {};
-        
-        rows.forEach(row => {
-          if (row.tags) {
-            const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            tags.forEach(tag => {
-              if (!tagStats[tag]) {
-                tagStats[tag] = {
-                  tag: tag,
-                  story_count: 0,
-                  viewed_count: 0,
-                  total_engagements: 0,
-                  total_appearances: 0
-                };
-              }
-              tagStats[tag].story_count += row.story_count;
-              tagStats[tag].viewed_count += row.viewed_count || 0;
-              tagStats[tag].total_engagements += row.total_engagements || 0;
-              tagStats[tag].total_appearances += (row.avg_appearances || 0) * row.story_count;
-            });
+        return res.status(500).json({ error: err.message });
+      }
+      if (rows.length === 0) {
+        return res.json({ data: [] });
+      }
+
+      const placeholders = rows.map(() => '?').join(',');
+      db.all(`SELECT * FROM links WHERE id IN (${placeholders})`, rows.map(row => row.id), (linkErr, links) => {
+        if (linkErr) {
+          return res.status(500).json({ error: linkErr.message });
+        }
+
+        groupLinksByArticle(links, (groupErr, articles) => {
+          if (groupErr) {
+            return res.status(500).json({ error: groupErr.message });
           }
-        });
 
-        // Convert to array and add calculated metrics
-        const sortedStats = Object.values(tagStats).map(stat => ({
-          ...stat,
-          engagement_rate: stat.story_count > 0 ? (stat.total_engagements / stat.story_count).toFixed(2) : 0,
-          view_rate: stat.story_count > 0 ? (stat.viewed_count / stat.story_count * 100).toFixed(1) : 0,
-          avg_appearances: stat.story_count > 0 ? (stat.total_appearances / stat.story_count).toFixed(1) : 0
-        })).sort((a, b) => b.story_count - a.story_count);
+          const clicksById = new Map(rows.map(row => [row.id, row.click_count]));
+          const data = articles
+            .map(article => ({
+              title: article.title,
+              url: article.article_url || article.url,
+              canonical_url: article.canonical_url,
+              click_count: clicksById.get(article.id) || 0,
+              discussions: article.discussions
+            }))
+            .sort((a, b) => b.click_count - a.click_count);
 
-        res.json({ data: sortedStats });
-      }
+          res.json({ data });
+        });
+      });
     });
   });
 
+  // Tag statistics, each tag counting the links tagged with it or any tag below it
+  server.get('/api/analytics/tag-stats', (req, res) => {
+    repository.tagHierarchy.stats(50)
+      .then(rows => {
+        // Add calculated metrics
+        const stats = rows.map(row => ({
+          tag: row.tag,
+          parent: row.parent,
+          story_count: row.story_count,
+          direct_count: row.direct_count,
+          viewed_count: row.viewed_count || 0,
+          total_engagements: row.total_engagements || 0,
+          engagement_rate: ((row.total_engagements || 0) / row.story_count).toFixed(2),
+          view_rate: ((row.viewed_count || 0) / row.story_count * 100).toFixed(1),
+          avg_appearances: (row.avg_appearances || 0).toFixed(1)
+        }));
+
+        res.json({ data: stats });
+      })
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
   // Background tagging endpoints
   server.get('/api/background-tagging/status', (req, res) => {
     const { getTaggingStatus } = require('./background-tagger');
@@ -573,6 +802,39 @@ function initApiServer() {
       .catch(err => res.status(500).json({ error: err.message }));
   });
 
+  server.get('/api/background-tagging/queue', (req, res) => {
+    const { getTaggingQueue } = require('./background-tagger');
+    const limit = parseInt(req.query.limit) || 100;
+
+    getTaggingQueue(limit)
+      .then(queue => res.json(queue))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.get('/api/background-tagging/history', (req, res) => {
+    const { getTaggingHistory } = require('./background-tagger');
+    const limit = parseInt(req.query.limit) || 50;
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+
+    getTaggingHistory(limit, statuses)
+      .then(jobs => res.json({ jobs }))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
+  server.post('/api/background-tagging/jobs/:linkId/retry', (req, res) => {
+    const { retryTaggingJob } = require('./background-tagger');
+    const linkId = parseInt(req.params.linkId);
+    if (!linkId) {
+      return res.status(400).json({ error: 'Invalid link id' });
+    }
+
+    retryTaggingJob(linkId)
+      .then(requeued => (requeued
+        ? res.json({ success: true, message: 'Link queued for another tagging attempt' })
+        : res.status(404).json({ error: 'No failed or parked tagging job for this link' })))
+      .catch(err => res.status(500).json({ error: err.message }));
+  });
+
   // Debug/Pulse check endpoint
   server.get('/api/debug/pulse-check', (req, res) => {
     const db = getDatabase();
@@ -580,100 +842,52 @@ function initApiServer() {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
-    // Get all stats in parallel
+    // Get all stats in parallel; a failing query just leaves its section empty
     const queries = [
       // Top 10 tags
-      new Promise((resolve) => {
-        db.all(`SELECT 
-          tags,
-          COUNT(*) as story_count
-        FROM links 
-        WHERE tags IS NOT NULL AND tags != ''
-        GROUP BY tags
-        ORDER BY story_count DESC
-        LIMIT 20`, [], (err, rows) => {
-          if (err) {
-            resolve([]);
-          } else {
-            // Parse comma-separated tags and aggregate
-            const tagCounts = {};
-            rows.forEach(row => {
-              if (row.tags) {
-                const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-                tags.forEach(tag => {
-                  tagCounts[tag] = (tagCounts[tag] || 0) + row.story_count;
-                });
-              }
-            });
-            const sortedTags = Object.entries(tagCounts)
-              .map(([tag, count]) => ({ tag, count }))
-              .sort((a, b) => b.count - a.count)
-              .slice(0, 10);
-            resolve(sortedTags);
-          }
-        });
-      }),
+      repository.tags.counts(10).catch(() => []),
 
       // Top 5 clicked links
-      new Promise((resolve) => {
-        db.all(`SELECT 
-          c.title,
-          COUNT(*) as click_count
-        FROM clicks c
-        GROUP BY c.story_id, c.title
-        ORDER BY click_count DESC
-        LIMIT 5`, [], (err, rows) => {
-          resolve(err ? [] : rows);
-        });
-      }),
+      repository.all(`SELECT 
+        c.title,
+        COUNT(*) as click_count
+      FROM clicks c
+      GROUP BY c.story_id, c.title
+      ORDER BY click_count DESC
+      LIMIT 5`, []).catch(() => []),
 
       // Top 5 viewed links
-      new Promise((resolve) => {
-        db.all(`SELECT 
-          title,
-          times_appeared as view_count
-        FROM links 
-        WHERE viewed = 1
-        ORDER BY times_appeared DESC
-        LIMIT 5`, [], (err, rows) => {
-          resolve(err ? [] : rows);
-        });
-      }),
+      repository.all(`SELECT 
+        title,
+        times_appeared as view_count
+      FROM links 
+      WHERE viewed = 1
+      ORDER BY times_appeared DESC
+      LIMIT 5`, []).catch(() => []),
 
       // Overall stats
-      new Promise((resolve) => {
-        db.get(`SELECT 
-          COUNT(*) as total_links,
-          SUM(CASE WHEN tags IS NOT NULL AND tags != '' THEN 1 ELSE 0 END) as tagged_links,
-          SUM(CASE WHEN viewed = 1 THEN 1 ELSE 0 END) as viewed_links
-        FROM links`, [], (err, row) => {
-          resolve(err ? {} : row);
-        });
-      }),
+      repository.get(`SELECT 
+        COUNT(*) as total_links,
+        SUM(CASE WHEN EXISTS (SELECT 1 FROM tags t WHERE t.link_id = links.id) THEN 1 ELSE 0 END) as tagged_links,
+        SUM(CASE WHEN viewed = 1 THEN 1 ELSE 0 END) as viewed_links,
+        (SELECT COUNT(DISTINCT tag) FROM tags) as unique_tags
+      FROM links`, []).catch(() => ({})),
 
       // Click stats
-      new Promise((resolve) => {
-        db.get(`SELECT COUNT(*) as total_clicks FROM clicks`, [], (err, row) => {
-          resolve(err ? {} : row);
-        });
-      }),
+      repository.get(`SELECT COUNT(*) as total_clicks FROM clicks`, []).catch(() => ({})),
 
       // Source breakdown
-      new Promise((resolve) => {
-        db.all(`SELECT 
-          source,
-          COUNT(*) as count
-        FROM links 
-        GROUP BY source 
-        ORDER BY count DESC`, [], (err, rows) => {
-          resolve(err ? [] : rows);
-        });
-      })
+      repository.all(`SELECT 
+        source,
+        COUNT(*) as count
+      FROM links 
+      GROUP BY source 
+      ORDER BY count DESC`, []).catch(() => [])
     ];
 
     Promise.all(queries).then(([topTags, topClicked, topViewed, linkStats, clickStats, sources]) => {
       const totalTags = topTags.length > 0 ? topTags.reduce((sum, tag) => sum + tag.count, 0) : 0;
-      const uniqueTags = topTags.length;
+      const uniqueTags = linkStats.unique_tags || 0;
 
       res.json({
         topTags,
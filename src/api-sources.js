@@ -1,15 +1,30 @@
 /**
- * API data sources for fetching stories from HN, Reddit, and Pinboard
+ * API data sources for fetching stories from HN, Reddit, Pinboard, Lobsters and RSS/Atom feeds,
+ * plus the registry the menu and tracker use to discover them
  */
 
 const axios = require('axios');
 const { BrowserWindow } = require('electron');
 const fs = require('fs');
 const path = require('path');
-const { CACHE_DURATION, USER_AGENT, DEFAULT_SUBREDDITS } = require('./config');
+const { CACHE_DURATION, USER_AGENT, DEFAULT_SUBREDDITS, HN_LISTS, RSS_FEEDS, RSS_MENU_LIMIT } = require('./config');
 
 let redditToken = null;
 let redditCache = {};
+let feedCache = {};
+
+// Registered story sources, in menu order
+const sources = new Map();
+
+// Hacker News lists and the Firebase endpoints that back them
+const HN_LIST_ENDPOINTS = {
+  top: { endpoint: 'topstories', label: 'Top', menuLimit: 13 },
+  best: { endpoint: 'beststories', label: 'Best', menuLimit: 5 },
+  new: { endpoint: 'newstories', label: 'New', menuLimit: 5 },
+  ask: { endpoint: 'askstories', label: 'Ask HN', menuLimit: 5 },
+  show: { endpoint: 'showstories', label: 'Show HN', menuLimit: 5 },
+  jobs: { endpoint: 'jobstories', label: 'Jobs', menuLimit: 5 }
+};
 
 /**
  * Prompt user for Reddit API credentials
@@ -381,7 +396,7 @@ async function fetchPinboardPopular() {
     let match;
     while ((match = pattern.exec(html)) !== null && bookmarks.length < 15) {
       bookmarks.push({
-        id: `pinboard_${bookmarks.length}`,
+        id: match[1],
         title: match[2].trim(),
         url: match[1],
         points: parseInt(match[3]) || 0,
@@ -403,15 +418,21 @@ async function fetchPinboardPopular() {
 }
 
 /**
- * Fetch top stories from Hacker News API
+ * Fetch stories from a Hacker News list (top, best, new, ask, show or jobs)
  */
-async function fetchHNStories() {
+async function fetchHNStories(list = 'top') {
+  const listConfig = HN_LIST_ENDPOINTS[list];
+  if (!listConfig) {
+    console.error(`Unknown HN list: ${list}`);
+    return [];
+  }
+  
   try {
-    const topStoriesResponse = await axios.get('https://hacker-news.firebaseio.com/v0/topstories.json');
-    const topStoryIds = topStoriesResponse.data.slice(0, 20); // Fetch 20 to ensure we have enough
+    const listResponse = await axios.get(`https://hacker-news.firebaseio.com/v0/${listConfig.endpoint}.json`);
+    const storyIds = listResponse.data.slice(0, 20); // Fetch 20 to ensure we have enough
     
     const stories = await Promise.all(
-      topStoryIds.map(async (id) => {
+      storyIds.map(async (id) => {
         const storyResponse = await axios.get(`https://hacker-news.firebaseio.com/v0/item/${id}.json`);
         const story = storyResponse.data;
         return {
@@ -424,13 +445,316 @@ async function fetchHNStories() {
     
     return stories;
   } catch (error) {
-    console.error('Error fetching HN stories:', error);
+    console.error(`Error fetching HN ${list} stories:`, error);
+    return [];
+  }
+}
+
+/**
+ * Fetch the hottest stories from Lobsters, keeping the site's own tags
+ */
+async function fetchLobstersStories() {
+  try {
+    const response = await axios.get('https://lobste.rs/hottest.json', {
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+    
+    return response.data.slice(0, 20).map(story => ({
+      id: story.short_id,
+      title: story.title,
+      // Text posts have an empty URL; the discussion page stands in for them
+      url: story.url || null,
+      points: story.score || 0,
+      comments: story.comment_count || 0,
+      comments_url: story.comments_url,
+      tags: Array.isArray(story.tags) ? story.tags : []
+    }));
+  } catch (error) {
+    console.error('Error fetching Lobsters stories:', error);
+    return [];
+  }
+}
+
+/**
+ * Decode the XML/HTML entities that commonly appear in feed text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the text content of the first matching element in a feed entry
+ */
+function getElementText(xml, name) {
+  const pattern = new RegExp(`<${name}(\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i');
+  const match = xml.match(pattern);
+  if (!match) return null;
+  
+  let text = match[2].trim();
+  const cdata = text.match(/^<!\[CDATA\[([\s\S]*?)\]\]>$/);
+  text = cdata ? cdata[1] : decodeEntities(text);
+  
+  // type="html" text is escaped markup, so its own entities come next
+  if (/\btype=["'](html|xhtml)["']/i.test(match[1] || '')) {
+    text = decodeEntities(text);
+  }
+  
+  // Reduce to plain text last, so no decoding step can leave markup behind
+  text = text.replace(/<[^>]*>/g, '');
+  
+  return text.replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Find the article link of an Atom entry (rel="alternate" or no rel)
+ */
+function getAtomLink(xml) {
+  const links = xml.match(/<link\b[^>]*>/gi) || [];
+  for (const link of links) {
+    const rel = link.match(/\brel=["']([^"']+)["']/i);
+    const href = link.match(/\bhref=["']([^"']+)["']/i);
+    if (href && (!rel || rel[1] === 'alternate')) {
+      return decodeEntities(href[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into stories
+ * @param {string} xml - Feed document
+ * @param {Object} feed - Feed configuration ({ url, label, limit })
+ * @returns {Array} Stories in the shared story shape
+ */
+function parseFeed(xml, feed) {
+  if (!xml || typeof xml !== 'string') return [];
+  
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const entries = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+  const feedTitle = feed.label || getElementText(xml.replace(/<(item|entry)[\s>][\s\S]*$/i, ''), 'title') || feed.url;
+  
+  return entries
+    .map(entry => {
+      const url = isAtom ? getAtomLink(entry) : getElementText(entry, 'link');
+      const guid = isAtom ? getElementText(entry, 'id') : getElementText(entry, 'guid');
+      const published = getElementText(entry, isAtom ? 'published' : 'pubDate') ||
+        getElementText(entry, 'updated') ||
+        getElementText(entry, 'dc:date');
+      const commentCount = parseInt(getElementText(entry, 'slash:comments'));
+      
+      return {
+        // GUIDs are stable across fetches, unlike the entry's position in the feed
+        id: guid || url,
+        title: getElementText(entry, 'title') || 'Untitled',
+        url,
+        points: 0,
+        comments: commentCount || 0,
+        comments_url: isAtom ? null : getElementText(entry, 'comments'),
+        feed: feedTitle,
+        published_at: published ? new Date(published).toISOString() : null
+      };
+    })
+    .filter(story => story.id && story.url)
+    .slice(0, feed.limit || 10);
+}
+
+/**
+ * Fetch and parse a single RSS/Atom feed
+ */
+async function fetchFeed(feed) {
+  const now = Date.now();
+  
+  // Check cache
+  if (feedCache[feed.url] && (now - feedCache[feed.url].timestamp) < CACHE_DURATION) {
+    return feedCache[feed.url].stories;
+  }
+  
+  try {
+    const response = await axios.get(feed.url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml'
+      },
+      responseType: 'text',
+      timeout: 15000
+    });
+    
+    const stories = parseFeed(response.data, feed);
+    if (stories.length === 0) {
+      console.warn(`Feed parsing found no entries: ${feed.url}`);
+    }
+    
+    // Cache the results
+    feedCache[feed.url] = {
+      stories: stories,
+      timestamp: now
+    };
+    
+    return stories;
+    
+  } catch (error) {
+    console.error(`Error fetching feed ${feed.url}:`, error.message);
     return [];
   }
 }
 
+/**
+ * Fetch stories from all configured RSS/Atom feeds, newest first
+ */
+async function fetchFeedStories(feeds = RSS_FEEDS) {
+  const results = await Promise.all(feeds.map(feed => fetchFeed(feed)));
+  
+  return results
+    .flat()
+    .sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''));
+}
+
+/**
+ * Register a story source with the tray menu, tracker and database browser
+ * @param {Object} source - Source definition
+ * @param {string} source.id - Identifier stored in links.source
+ * @param {string} source.label - Human readable name
+ * @param {string} source.icon - Emoji shown in front of menu items
+ * @param {string} [source.color] - Badge color used by the database browser
+ * @param {number} source.menuLimit - Maximum number of stories shown in the tray
+ * @param {string} [source.menuHeader] - Disabled label shown above the source's stories
+ * @param {Function} source.fetch - Async function resolving to an array of stories
+ * @param {Function} [source.commentsUrl] - Builds the discussion URL for a story
+ * @param {Function} [source.articleUrl] - Builds the URL that is archived and opened on click
+ * @param {Function} [source.matches] - Recognizes stories of this source that arrive without one
+ * @param {Function} [source.identify] - Returns the story's native id, or null to identify it by URL
+ */
+function registerSource(source) {
+  if (!source || !source.id || typeof source.fetch !== 'function') {
+    throw new Error('A story source needs an id and a fetch function');
+  }
+
+  sources.set(source.id, {
+    label: source.id,
+    icon: '🔗',
+    color: '#666',
+    menuLimit: 10,
+    commentsUrl: () => null,
+    articleUrl: story => story.url,
+    matches: () => false,
+    identify: story => story.id,
+    ...source
+  });
+}
+
+/**
+ * Get a registered source by id
+ */
+function getSource(id) {
+  return sources.get(id) || null;
+}
+
+/**
+ * Get all registered sources in registration order
+ */
+function getSources() {
+  return Array.from(sources.values());
+}
+
+/**
+ * Guess the source of a story that was tracked without one
+ */
+function detectSource(story) {
+  const source = getSources().find(candidate => candidate.matches(story));
+  return source ? source.id : 'unknown';
+}
+
+(HN_LISTS || ['top'])
+  .filter(list => {
+    if (!HN_LIST_ENDPOINTS[list]) {
+      console.warn(`Ignoring unknown HN list in HN_LISTS: ${list}`);
+      return false;
+    }
+    return true;
+  })
+  .forEach((list, index) => {
+    const listConfig = HN_LIST_ENDPOINTS[list];
+    registerSource({
+      id: `hn/${list}`,
+      label: list === 'top' ? 'Hacker News' : `HN ${listConfig.label}`,
+      icon: '🟠',
+      color: '#ff6600',
+      menuLimit: listConfig.menuLimit,
+      // The top list keeps its historical place in the menu without a header
+      menuHeader: list === 'top' ? null : `━━━ ${listConfig.label} ━━━`,
+      fetch: () => fetchHNStories(list),
+      commentsUrl: story => typeof story.id === 'number' ? `https://news.ycombinator.com/item?id=${story.id}` : null,
+      // Untracked numeric ids are attributed to the first configured list
+      matches: story => index === 0 && typeof story.id === 'number'
+    });
+  });
+
+registerSource({
+  id: 'reddit',
+  label: 'Reddit',
+  icon: '👽',
+  color: '#ff4500',
+  menuLimit: 15,
+  fetch: fetchRedditStories,
+  // The story URL is always the Reddit discussion page
+  commentsUrl: story => story.url,
+  articleUrl: story => story.is_self ? story.url : story.actual_url,
+  matches: story => Boolean(story.url && story.url.includes('reddit.com'))
+});
+
+registerSource({
+  id: 'pinboard',
+  label: 'Pinboard',
+  icon: '📌',
+  color: '#0066cc',
+  menuLimit: 12,
+  fetch: fetchPinboardPopular,
+  // Popular bookmarks have no ids of their own, so they are tracked by URL
+  identify: () => null,
+  matches: story => Boolean((story.url && story.url.includes('pinboard.in')) || story.source === 'pinboard')
+});
+
+registerSource({
+  id: 'lobsters',
+  label: 'Lobsters',
+  icon: '🦞',
+  color: '#ac130d',
+  menuLimit: 10,
+  fetch: fetchLobstersStories,
+  commentsUrl: story => story.comments_url || null,
+  matches: story => Boolean(story.comments_url && story.comments_url.includes('lobste.rs'))
+});
+
+registerSource({
+  id: 'rss',
+  label: 'RSS',
+  icon: '📰',
+  color: '#ee802f',
+  menuLimit: RSS_MENU_LIMIT,
+  fetch: fetchFeedStories,
+  commentsUrl: story => story.comments_url || null
+});
+
 module.exports = {
   fetchHNStories,
   fetchRedditStories,
-  fetchPinboardPopular
+  fetchPinboardPopular,
+  fetchLobstersStories,
+  fetchFeedStories,
+  parseFeed,
+  registerSource,
+  getSource,
+  getSources,
+  detectSource
 };
\ No newline at end of file
@@ -1,10 +1,21 @@
 /**
- * Background tagging service using Claude AI
- * Automatically tags untagged links in the database
+ * Background tagging service using the configured LLM provider (or keyword tagger)
+ * Automatically tags untagged links in the database, then summarizes
+ * clicked and saved articles
  */
 
 const { getDatabase, addMultipleTagsToStory } = require('./database');
-const { generateTagSuggestions } = require('./claude-integration');
+const repository = require('./repository');
+const {
+  TAGGING_LINKS_PER_RUN,
+  TAGGING_BATCH_SIZE,
+  TAGGING_MAX_ATTEMPTS,
+  TAGGING_RETRY_MINUTES,
+  TAG_FROM_CONTENT
+} = require('./config');
+const { generateTagSuggestions, generateBatchTagSuggestions } = require('./claude-integration');
+const { getArticleExcerpt } = require('./content-extractor');
+const { summarizePendingArticles } = require('./summarizer');
 
 let taggingInterval = null;
 let isTagging = false;
@@ -21,14 +32,22 @@ function startBackgroundTagging() {
   console.log('🏷️ Starting background tagging service (runs every hour)');
   
   // Run immediately on start
-  processUntaggedLinks();
+  runBackgroundWork();
   
   // Set up hourly interval
   taggingInterval = setInterval(() => {
-    processUntaggedLinks();
+    runBackgroundWork();
   }, 60 * 60 * 1000); // 1 hour
 }
 
+/**
+ * One scheduled run: tag untagged links, then summarize clicked and saved articles
+ */
+async function runBackgroundWork() {
+  await processUntaggedLinks();
+  await summarizePendingArticles();
+}
+
 /**
  * Stop the background tagging service
  */
@@ -59,23 +78,20 @@ async function processUntaggedLinks() {
       return;
     }
 
-    // Get untagged links (limit to 10 per batch to be respectful)
-    const untaggedLinks = await getUntaggedLinks(10);
+    const untaggedLinks = await getUntaggedLinks(TAGGING_LINKS_PER_RUN);
     
     if (untaggedLinks.length === 0) {
       console.log('✅ No untagged links found - all caught up!');
       return;
     }
 
-    console.log(`🏷️ Processing ${untaggedLinks.length} untagged links...`);
+    console.log(`🏷️ Processing ${untaggedLinks.length} untagged links in batches of ${TAGGING_BATCH_SIZE}...`);
 
-    for (const link of untaggedLinks) {
-      try {
-        await tagSingleLink(link);
-        // Add a small delay between requests to be respectful
+    for (let i = 0; i < untaggedLinks.length; i += TAGGING_BATCH_SIZE) {
+      await tagLinkBatch(untaggedLinks.slice(i, i + TAGGING_BATCH_SIZE));
+      // Add a small delay between requests to be respectful
+      if (i + TAGGING_BATCH_SIZE < untaggedLinks.length) {
         await sleep(2000);
-      } catch (error) {
-        console.error(`❌ Error tagging link ${link.id}:`, error.message);
       }
     }
 
@@ -88,54 +104,143 @@ async function processUntaggedLinks() {
 }
 
 /**
- * Get untagged links from the database
+ * Get untagged links that are due for tagging: never attempted, or failed
+ * earlier and past their retry time. Parked links are skipped.
  */
 function getUntaggedLinks(limit = 10) {
-  return new Promise((resolve, reject) => {
-    const db = getDatabase();
-    
-    db.all(`
-      SELECT id, story_id, title, url, source, points, comments, times_appeared
-      FROM links 
-      WHERE (tags IS NULL OR tags = '') 
-      AND title IS NOT NULL 
-      AND title != ''
-      ORDER BY times_appeared DESC, last_seen_at DESC
-      LIMIT ?
-    `, [limit], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
+  return repository.taggingJobs.listDue(limit);
 }
 
 /**
- * Tag a single link using Claude
+ * Tag a single link
  */
 async function tagSingleLink(link) {
   console.log(`🤖 Generating tags for: "${link.title}"`);
   
   try {
-    const result = await generateTagSuggestions(link.title, link.url);
+    const result = await generateTagSuggestions(link.title, link.url, { source: link.source, excerpt: link.excerpt });
+    return await applyTagResult(link, result);
+  } catch (error) {
+    console.error(`❌ Error generating tags for "${link.title}":`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Store the tags suggested for a link
+ */
+async function applyTagResult(link, result) {
+  if (result && result.success && result.tags && result.tags.length > 0) {
+    console.log(`✅ Generated ${result.tags.length} tags for "${link.title}": ${result.tags.join(', ')}`);
     
-    if (result.success && result.tags && result.tags.length > 0) {
-      console.log(`✅ Generated ${result.tags.length} tags for "${link.title}": ${result.tags.join(', ')}`);
-      
-      // Add tags to the story
-      addMultipleTagsToStory(link.story_id, result.tags);
-      
-      return { success: true, tags: result.tags };
+    // Add tags to the story
+    await addMultipleTagsToStory(link.story_key, result.suggestions || result.tags, result.origin || 'ai');
+    
+    return { success: true, tags: result.tags, provider: result.source };
+  }
+
+  const error = result ? result.error : null;
+  console.log(`⚠️ No tags generated for "${link.title}": ${error || 'Unknown reason'}`);
+  return { success: false, error, provider: result ? result.source : null };
+}
+
+/**
+ * Record the outcome of tagging a link in the job queue. Failures are
+ * scheduled for a retry with exponential backoff, or parked once the link
+ * has used up its attempts.
+ */
+async function recordTagOutcome(link, outcome) {
+  try {
+    if (outcome.success) {
+      await repository.taggingJobs.recordSuccess(link.id, outcome.provider, outcome.tags);
+      return;
+    }
+
+    const job = await repository.taggingJobs.recordFailure(link.id, outcome.provider, outcome.error || 'No tags generated', {
+      maxAttempts: TAGGING_MAX_ATTEMPTS,
+      retryMinutes: TAGGING_RETRY_MINUTES
+    });
+    if (job.status === 'parked') {
+      console.log(`🅿️ Parked "${link.title}" after ${job.attempts} failed attempts`);
     } else {
-      console.log(`⚠️ No tags generated for "${link.title}": ${result.error || 'Unknown reason'}`);
-      return { success: false, error: result.error };
+      console.log(`⏳ Will retry "${link.title}" in ${job.retryInMinutes} minutes (attempt ${job.attempts}/${TAGGING_MAX_ATTEMPTS})`);
     }
   } catch (error) {
-    console.error(`❌ Error generating tags for "${link.title}":`, error.message);
-    throw error;
+    console.error(`❌ Error recording tagging job for link ${link.id}:`, error.message);
+  }
+}
+
+/**
+ * Tag several links with one model call, applying each link's tags as they
+ * come back and recording every outcome in the job queue. Resolves with one
+ * { success, tags } or { success: false, error } result per link.
+ */
+async function tagLinkBatch(links) {
+  const outcomes = await generateBatchOutcomes(await addExcerpts(links));
+  for (const [index, link] of links.entries()) {
+    await recordTagOutcome(link, outcomes[index]);
   }
+  return outcomes;
+}
+
+/**
+ * When tagging from content is enabled, attach an excerpt of each link's
+ * article text (fetched once, then read from the cache)
+ */
+async function addExcerpts(links) {
+  if (!TAG_FROM_CONTENT) return links;
+
+  const prepared = [];
+  for (const link of links) {
+    let excerpt = null;
+    try {
+      excerpt = await getArticleExcerpt(link);
+    } catch (error) {
+      console.error(`❌ Error reading article content for link ${link.id}:`, error.message);
+    }
+    prepared.push({ ...link, excerpt });
+  }
+  return prepared;
+}
+
+/**
+ * Generate and apply tags for a batch of links. Single links use the
+ * single-item path.
+ */
+async function generateBatchOutcomes(links) {
+  if (links.length === 1) {
+    try {
+      return [await tagSingleLink(links[0])];
+    } catch (error) {
+      console.error(`❌ Error tagging link ${links[0].id}:`, error.message);
+      return [{ success: false, error: error.message }];
+    }
+  }
+
+  let results;
+  try {
+    results = await generateBatchTagSuggestions(links.map(link => ({
+      title: link.title,
+      url: link.url,
+      excerpt: link.excerpt,
+      source: link.source
+    })));
+  } catch (error) {
+    console.error(`❌ Error tagging batch of ${links.length} links:`, error.message);
+    return links.map(() => ({ success: false, error: error.message }));
+  }
+
+  const outcomes = [];
+  for (const [index, link] of links.entries()) {
+    const result = results[index];
+    try {
+      outcomes.push(await applyTagResult(link, result));
+    } catch (error) {
+      console.error(`❌ Error tagging link ${link.id}:`, error.message);
+      outcomes.push({ success: false, error: error.message });
+    }
+  }
+  return outcomes;
 }
 
 /**
@@ -145,6 +250,33 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Get the tagging queue: counts per state and the links still waiting
+ */
+async function getTaggingQueue(limit = 100) {
+  const [counts, jobs] = await Promise.all([
+    repository.taggingJobs.counts(),
+    repository.taggingJobs.listQueue(limit)
+  ]);
+  return { counts, jobs };
+}
+
+/**
+ * Get past tagging attempts, most recent first
+ */
+function getTaggingHistory(limit = 50, statuses) {
+  return repository.taggingJobs.listHistory(limit, statuses);
+}
+
+/**
+ * Give a failed or parked link a fresh set of attempts on the next run.
+ * Resolves with true if the link had a job to retry.
+ */
+async function retryTaggingJob(linkId) {
+  const changes = await repository.taggingJobs.retry(linkId);
+  return changes > 0;
+}
+
 /**
  * Get the current status of the background tagging service
  */
@@ -181,8 +313,9 @@ async function retagAllStories() {
       throw new Error('Database not available');
     }
 
-    // First, clear all existing tags
+    // First, clear all existing tags and the job history that went with them
     await clearAllTags();
+    await repository.taggingJobs.clear();
     
     // Get all stories (not just untagged ones)
     const allStories = await getAllStories();
@@ -196,32 +329,25 @@ async function retagAllStories() {
     let successful = 0;
     let failed = 0;
 
-    // Process in batches of 5 to be more aggressive but still respectful
-    for (let i = 0; i < allStories.length; i += 5) {
-      const batch = allStories.slice(i, i + 5);
-      console.log(`🏷️ Processing batch ${Math.floor(i/5) + 1}/${Math.ceil(allStories.length/5)} (${batch.length} stories)`);
-
-      // Process batch in parallel but with delays
-      const batchPromises = batch.map(async (story, index) => {
-        // Stagger the requests within the batch
-        await sleep(index * 1000);
-        
-        try {
-          await tagSingleLink(story);
+    const batchCount = Math.ceil(allStories.length / TAGGING_BATCH_SIZE);
+
+    for (let i = 0; i < allStories.length; i += TAGGING_BATCH_SIZE) {
+      const batch = allStories.slice(i, i + TAGGING_BATCH_SIZE);
+      console.log(`🏷️ Processing batch ${Math.floor(i / TAGGING_BATCH_SIZE) + 1}/${batchCount} (${batch.length} stories)`);
+
+      const outcomes = await tagLinkBatch(batch);
+      outcomes.forEach((outcome, index) => {
+        if (outcome.success) {
           successful++;
-          return { success: true, story: story.title };
-        } catch (error) {
+        } else {
           failed++;
-          console.error(`❌ Failed to tag "${story.title}":`, error.message);
-          return { success: false, story: story.title, error: error.message };
+          console.error(`❌ Failed to tag "${batch[index].title}":`, outcome.error || 'No tags generated');
         }
       });
-
-      await Promise.all(batchPromises);
       processed += batch.length;
       
-      // Longer delay between batches to be respectful
-      if (i + 5 < allStories.length) {
+      // Delay between batches to be respectful
+      if (i + TAGGING_BATCH_SIZE < allStories.length) {
         console.log(`⏳ Waiting 10 seconds before next batch...`);
         await sleep(10000);
       }
@@ -248,44 +374,16 @@ async function retagAllStories() {
 /**
  * Clear all tags from the database
  */
-function clearAllTags() {
-  return new Promise((resolve, reject) => {
-    const db = getDatabase();
-    
-    db.serialize(() => {
-      db.run('UPDATE links SET tags = NULL', (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('🗑️ Cleared all tags from links table');
-          resolve();
-        }
-      });
-    });
-  });
+async function clearAllTags() {
+  await repository.tags.clearAll();
+  console.log('🗑️ Cleared all tags from links table');
 }
 
 /**
  * Get all stories from the database (for fresh re-tagging)
  */
 function getAllStories() {
-  return new Promise((resolve, reject) => {
-    const db = getDatabase();
-    
-    db.all(`
-      SELECT id, story_id, title, url, source, points, comments, times_appeared
-      FROM links 
-      WHERE title IS NOT NULL 
-      AND title != ''
-      ORDER BY times_appeared DESC, last_seen_at DESC
-    `, [], (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
+  return repository.links.listTitled();
 }
 
 module.exports = {
@@ -294,5 +392,8 @@ module.exports = {
   processUntaggedLinks,
   getTaggingStatus,
   triggerManualTagging,
-  retagAllStories
+  retagAllStories,
+  getTaggingQueue,
+  getTaggingHistory,
+  retryTaggingJob
 };
\ No newline at end of file
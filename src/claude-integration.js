@@ -1,114 +1,226 @@
 /**
- * Claude Desktop integration for AI-powered tag suggestions
+ * AI-powered tag suggestions using the configured LLM provider
  */
 
-const { spawn } = require('child_process');
 const { BrowserWindow } = require('electron');
+const { getConfiguredProvider } = require('./llm-providers');
+const { suggestKeywordTags } = require('./keyword-tagger');
+const repository = require('./repository');
+const { TAG_TAXONOMY_MODE } = require('./config');
 
 /**
- * Check if Claude Desktop is available on the system
+ * Check whether the configured LLM provider can be used
  */
-async function checkClaudeDesktopAvailable() {
-  return new Promise((resolve) => {
-    // Check if claude command is available in PATH
-    const { exec } = require('child_process');
-    console.log('🔍 Checking for Claude CLI in PATH...');
-    exec('which claude', (error, stdout, stderr) => {
-      if (error) {
-        console.log('❌ Claude CLI not found in PATH:', error.message);
-        console.log('🔍 Checking for Claude Desktop app...');
-        // Check if Claude Desktop app is installed
-        const fs = require('fs');
-        const claudeAppPath = '/Applications/Claude.app';
-        if (fs.existsSync(claudeAppPath)) {
-          console.log('✅ Claude Desktop app found at /Applications/Claude.app');
-          resolve(true);
-        } else {
-          console.log('❌ Claude Desktop app not found at /Applications/Claude.app');
-          console.log('🔍 Checking alternative locations...');
-          // Check other possible locations
-          const altPaths = [
-            '/System/Applications/Claude.app',
-            '/Applications/Utilities/Claude.app',
-            '~/Applications/Claude.app'
-          ];
-          let found = false;
-          for (const path of altPaths) {
-            if (fs.existsSync(path)) {
-              console.log(`✅ Found Claude Desktop at ${path}`);
-              found = true;
-              break;
-            }
-          }
-          if (!found) {
-            console.log('❌ Claude Desktop not found in any location');
-          }
-          resolve(found);
-        }
-      } else {
-        console.log('✅ Claude CLI found at:', stdout.trim());
-        resolve(true);
-      }
-    });
-  });
+async function checkLlmAvailable(provider = getConfiguredProvider()) {
+  try {
+    return await provider.isAvailable();
+  } catch (error) {
+    console.log(`❌ Could not check LLM provider ${provider.name}:`, error.message);
+    return false;
+  }
+}
+
+const TAG_CATEGORIES = ['topic', 'technology', 'language', 'organization', 'person', 'place', 'format'];
+const MAX_SUGGESTED_TAGS = 8;
+// Preferred and rejected tags from the user's feedback listed in prompts, each
+const FEEDBACK_PROMPT_TAGS = 20;
+
+const TAG_GUIDELINES = `Please provide tags that are:
+- Descriptive and specific
+- Useful for categorization
+- Common enough to group similar articles
+- A mix of topics, technologies, and themes
+- NOT synonyms with one another`;
+
+const TAG_FIELDS = `- "tag": lowercase, at most three words
+- "confidence": how sure you are the tag fits, from 0 to 1
+- "category": one of ${TAG_CATEGORIES.join(', ')}`;
+
+/**
+ * Describe what the prompt is based on, e.g. "article title, URL and text excerpt"
+ */
+function describeInputs(url, excerpt) {
+  const inputs = ['title', url && 'URL', excerpt && 'text excerpt'].filter(Boolean);
+  return inputs.length === 1 ? inputs[0] : `${inputs.slice(0, -1).join(', ')} and ${inputs[inputs.length - 1]}`;
 }
 
 /**
- * Generate tag suggestions using Claude Desktop
+ * Load the user's preferred and rejected tags for the prompt; resolves with
+ * null when they can't be read, so tagging carries on without them
  */
-async function generateTagSuggestions(title, url = null) {
+async function loadTagFeedback() {
   try {
-    // Check if Claude is available
-    console.log('🔍 Checking Claude Desktop availability...');
-    const claudeAvailable = await checkClaudeDesktopAvailable();
-    if (!claudeAvailable) {
-      console.log('❌ Claude Desktop not available - no tags will be generated');
-      return {
-        success: false,
-        tags: [],
-        error: 'Claude Desktop not available'
-      };
-    } else {
-      console.log('✅ Claude Desktop detected, attempting real AI integration...');
-    }
+    return await repository.tagFeedback.vocabulary(FEEDBACK_PROMPT_TAGS);
+  } catch (error) {
+    console.log('⚠️ Could not load tag feedback:', error.message);
+    return null;
+  }
+}
 
-    // Construct the prompt for Claude
-    const prompt = `Based on this article title${url ? ' and URL' : ''}, suggest 4-6 relevant tags that would help categorize and find this content later.
+/**
+ * Load the tag hierarchy for the prompt: { mode, children, tags }, children
+ * mapping each parent to its child tags. Resolves with null when the
+ * hierarchy is empty, can't be read or TAG_TAXONOMY_MODE is 'off'.
+ */
+async function loadTaxonomy(mode = TAG_TAXONOMY_MODE) {
+  if (mode === 'off') return null;
 
-Title: "${title}"${url ? `\nURL: ${url}` : ''}
+  let relations;
+  try {
+    relations = await repository.tagHierarchy.list();
+  } catch (error) {
+    console.log('⚠️ Could not load tag hierarchy:', error.message);
+    return null;
+  }
+  if (relations.length === 0) return null;
+
+  const children = new Map();
+  const tags = new Set();
+  relations.forEach(({ tag, parent }) => {
+    children.set(parent, [...(children.get(parent) || []), tag]);
+    tags.add(tag);
+    tags.add(parent);
+  });
+  return { mode: mode === 'constrain' ? 'constrain' : 'guide', children, tags };
+}
 
-Please provide tags that are:
-- Descriptive and specific
-- Useful for categorization
-- Common enough to group similar articles
-- A mix of topics, technologies, and themes
-- NOT synonyms with one another
+/**
+ * Describe the tag hierarchy for a prompt, or nothing without one
+ */
+function describeTaxonomy(taxonomy) {
+  if (!taxonomy) return '';
+
+  const lines = Array.from(taxonomy.children, ([parent, tags]) => `- ${parent}: ${tags.join(', ')}`);
+  const intro = taxonomy.mode === 'constrain'
+    ? 'Only use tags from this taxonomy, listed as parent: children. Parents and children are both valid tags:'
+    : 'The reader organizes tags in this taxonomy, listed as parent: children. Prefer its tags where they fit, the most specific one first:';
+  return `\n\n${intro}\n${lines.join('\n')}`;
+}
+
+/**
+ * In 'constrain' mode, drop suggestions that are not in the taxonomy
+ */
+function keepTaxonomyTags(suggestions, taxonomy) {
+  if (!taxonomy || taxonomy.mode !== 'constrain') return suggestions;
+  return suggestions.filter(suggestion => taxonomy.tags.has(suggestion.tag));
+}
 
-Return only the tags as a comma-separated list, no explanations.`;
+/**
+ * Describe the user's tag feedback for a prompt, or nothing without any
+ * @param {Object} [feedback] - { preferred, rejected } tag lists
+ */
+function describeFeedback(feedback) {
+  const lines = [];
+  if (feedback && feedback.preferred.length > 0) {
+    lines.push(`- Tags the reader has accepted; reuse them where they fit: ${feedback.preferred.join(', ')}`);
+  }
+  if (feedback && feedback.rejected.length > 0) {
+    lines.push(`- Tags the reader has rejected; do not suggest them: ${feedback.rejected.join(', ')}`);
+  }
+  return lines.length > 0 ? `\n\nThe reader's tagging history:\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Build the tag suggestion prompt for an article
+ * @param {string} [excerpt] - opening text of the article, when it was fetched
+ * @param {Object} [feedback] - { preferred, rejected } tags from the user's feedback
+ * @param {Object} [taxonomy] - the tag hierarchy from loadTaxonomy
+ */
+function buildTagPrompt(title, url = null, excerpt = null, feedback = null, taxonomy = null) {
+  return `Based on this article ${describeInputs(url, excerpt)}, suggest 4-6 relevant tags that would help categorize and find this content later.${excerpt ? ' Prefer the excerpt over the title when they disagree.' : ''}
 
-    console.log('🤖 Generating Claude AI tag suggestions for:', title);
+Title: "${title}"${url ? `\nURL: ${url}` : ''}${excerpt ? `\nExcerpt: "${excerpt}"` : ''}
 
-    // Try to use Claude Desktop API first
-    try {
-      console.log('🚀 Attempting Claude Desktop API call...');
-      const claudeResponse = await callClaudeDesktop(prompt);
-      if (claudeResponse.success) {
-        console.log(`🎉 SUCCESS! Claude Desktop responded via ${claudeResponse.source}`);
-        return claudeResponse;
-      } else {
-        console.log('⚠️ Claude Desktop API returned unsuccessful response');
+${TAG_GUIDELINES}${describeTaxonomy(taxonomy)}${describeFeedback(feedback)}
+
+Respond with only a JSON object, no explanations, in this format:
+{"tags": [{"tag": "machine learning", "confidence": 0.9, "category": "topic"}]}
+
+${TAG_FIELDS}`;
+}
+
+/**
+ * Build one prompt asking for tags for several numbered articles
+ */
+function buildBatchTagPrompt(items, feedback = null, taxonomy = null) {
+  const articles = items.map((item, index) =>
+    `${index + 1}. Title: "${item.title}"${item.url ? `\n   URL: ${item.url}` : ''}` +
+    `${item.excerpt ? `\n   Excerpt: "${item.excerpt}"` : ''}`).join('\n');
+
+  return `For each of these ${items.length} articles, suggest 4-6 relevant tags that would help categorize and find it later.
+
+${articles}
+
+${TAG_GUIDELINES}${describeTaxonomy(taxonomy)}${describeFeedback(feedback)}
+
+Respond with only a JSON object, no explanations, with one entry per article number, in this format:
+{"items": [{"id": 1, "tags": [{"tag": "machine learning", "confidence": 0.9, "category": "topic"}]}]}
+
+${TAG_FIELDS}`;
+}
+
+/**
+ * Generate tag suggestions using the configured LLM provider, or the offline
+ * keyword tagger when no provider is available
+ * @param {Object} [context] - { excerpt } of the article text and { feedback, taxonomy }
+ *   for the model (loaded when not given), and { source, subreddit, commentsUrl }
+ *   for the keyword tagger
+ * @returns {Promise<Object>} { success, tags, suggestions, source, origin } or { success: false, tags: [], error },
+ *   where suggestions are { tag, confidence, category } entries for the tags
+ */
+async function generateTagSuggestions(title, url = null, context = {}) {
+  try {
+    const provider = getConfiguredProvider();
+
+    if (!(await checkLlmAvailable(provider))) {
+      console.log(`ℹ️ LLM provider ${provider.name} not available - using keyword tagger`);
+      const tags = suggestKeywordTags({ ...context, title, url });
+      if (tags.length === 0) {
+        return {
+          success: false,
+          tags: [],
+          source: 'keywords',
+          error: `LLM provider ${provider.name} not available and no keywords matched`
+        };
       }
-    } catch (claudeError) {
-      console.log('❌ Claude Desktop API failed:', claudeError.message);
+      console.log(`🔤 Keyword tagger suggested: ${tags.join(', ')}`);
+      return {
+        success: true,
+        tags: tags,
+        suggestions: tags.map(tag => ({ tag, confidence: null, category: null })),
+        source: 'keywords',
+        origin: 'keyword'
+      };
     }
 
-    // No fallback - if Claude fails, return no tags
-    console.log('❌ Claude integration failed - no tags will be generated');
-    return {
-      success: false,
-      tags: [],
-      error: 'Claude integration failed'
-    };
+    console.log(`🤖 Generating tag suggestions with ${provider.name} for:`, title);
+
+    try {
+      const feedback = context.feedback === undefined ? await loadTagFeedback() : context.feedback;
+      const taxonomy = context.taxonomy === undefined ? await loadTaxonomy() : context.taxonomy;
+      const response = await provider.complete(buildTagPrompt(title, url, context.excerpt, feedback, taxonomy));
+      const parsed = parseTagResponse(response);
+      const suggestions = keepTaxonomyTags(parsed, taxonomy);
+      if (parsed.length > 0 && suggestions.length === 0) {
+        throw new Error(`None of the suggested tags are in the taxonomy: ${parsed.map(suggestion => suggestion.tag).join(', ')}`);
+      }
+      console.log(`🎉 ${provider.name} suggested: ${suggestions.map(formatSuggestion).join(', ')}`);
+      return {
+        success: true,
+        tags: suggestions.map(suggestion => suggestion.tag),
+        suggestions: suggestions,
+        source: provider.name,
+        origin: 'ai'
+      };
+    } catch (providerError) {
+      console.log(`❌ ${provider.name} tagging failed:`, providerError.message);
+      return {
+        success: false,
+        tags: [],
+        source: provider.name,
+        error: `${provider.name} tagging failed: ${providerError.message}`
+      };
+    }
 
   } catch (error) {
     console.error('Error generating tag suggestions:', error);
@@ -121,198 +233,208 @@ Return only the tags as a comma-separated list, no explanations.`;
 }
 
 /**
- * Call Claude Desktop API to generate tag suggestions
+ * Generate tag suggestions for several articles with a single model call
+ * @param {Array<Object>} items - { title, url, excerpt, source, subreddit, commentsUrl } per article
+ * @returns {Promise<Array<Object>>} one generateTagSuggestions-style result per item,
+ *   in the same order. Items missing from the model's reply or failing
+ *   validation are retried one at a time.
  */
-async function callClaudeDesktop(prompt) {
-  return new Promise(async (resolve, reject) => {
-    // Try multiple methods to communicate with Claude Desktop
+async function generateBatchTagSuggestions(items) {
+  if (items.length === 0) return [];
 
-    // Method 1: Try HTTP API first (if Claude Desktop exposes one)
-    try {
-      console.log('🌐 Trying Claude HTTP API...');
-      const apiResponse = await tryClaudeHttpAPI(prompt);
-      if (apiResponse.success) {
-        console.log(`✅ HTTP API succeeded on ${apiResponse.source}`);
-        resolve(apiResponse);
-        return;
-      }
-    } catch (apiError) {
-      console.log('❌ Claude HTTP API failed:', apiError.message);
+  let provider;
+  try {
+    provider = getConfiguredProvider();
+  } catch (error) {
+    // Same result generateTagSuggestions gives each item for an unusable provider
+    console.error('Error generating tag suggestions:', error);
+    return items.map(() => ({ success: false, error: error.message, tags: [] }));
+  }
+  let feedback;
+  let taxonomy;
+  const single = ({ title, url, ...context }) => generateTagSuggestions(title, url, { ...context, feedback, taxonomy });
+
+  if (items.length === 1 || !(await checkLlmAvailable(provider))) {
+    return runSequentially(items, single);
+  }
+
+  feedback = await loadTagFeedback();
+  taxonomy = await loadTaxonomy();
+
+  console.log(`🤖 Generating tag suggestions with ${provider.name} for ${items.length} articles in one call`);
+
+  let response;
+  try {
+    response = await provider.complete(buildBatchTagPrompt(items, feedback, taxonomy), { maxTokens: 150 * items.length + 100 });
+  } catch (providerError) {
+    console.log(`❌ ${provider.name} batch tagging failed:`, providerError.message);
+    return items.map(() => ({
+      success: false,
+      tags: [],
+      source: provider.name,
+      error: `${provider.name} tagging failed: ${providerError.message}`
+    }));
+  }
+
+  const suggestionsById = parseBatchResponse(response, items.length);
+  suggestionsById.forEach((suggestions, id) => {
+    const kept = keepTaxonomyTags(suggestions, taxonomy);
+    if (kept.length > 0) {
+      suggestionsById.set(id, kept);
+    } else {
+      suggestionsById.delete(id);
     }
+  });
+  const retries = items.filter((item, index) => !suggestionsById.has(index + 1));
+  if (retries.length > 0) {
+    console.warn(`⚠️ ${retries.length} of ${items.length} batch items had no valid tags, retrying them one at a time`);
+  }
 
-    // Method 2: Try using claude CLI command if available
-    const { exec } = require('child_process');
-
-    // Escape the prompt for shell command
-    const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/\n/g, '\\n');
-
-    // Try claude CLI
-    console.log('💻 Trying Claude CLI...');
-    exec(`echo "${escapedPrompt}" | claude --print --output-format=text`, {
-      timeout: 15000, // 15 second timeout
-      maxBuffer: 1024 * 1024 // 1MB buffer
-    }, (error, stdout, stderr) => {
-      if (error) {
-        console.log('❌ Claude CLI failed:', error.message);
-        // Try alternative method
-        console.log('📱 Trying AppleScript method...');
-        tryClaudeDesktopAppleScript(prompt, resolve, reject);
-      } else if (stderr) {
-        console.log('⚠️ Claude CLI stderr:', stderr);
-        console.log('📱 Trying AppleScript method...');
-        tryClaudeDesktopAppleScript(prompt, resolve, reject);
-      } else {
-        // Parse Claude's response
-        try {
-          console.log('✅ Claude CLI succeeded, parsing response...');
-          const tags = parseClaudeResponse(stdout);
-          resolve({
-            success: true,
-            tags: tags,
-            source: 'claude-cli'
-          });
-        } catch (parseError) {
-          console.log('❌ Failed to parse Claude CLI response:', parseError.message);
-          console.log('📱 Trying AppleScript method...');
-          tryClaudeDesktopAppleScript(prompt, resolve, reject);
-        }
-      }
-    });
+  const retried = new Map();
+  (await runSequentially(retries, single)).forEach((result, index) => retried.set(retries[index], result));
+
+  return items.map((item, index) => {
+    const suggestions = suggestionsById.get(index + 1);
+    if (!suggestions) return retried.get(item);
+
+    return {
+      success: true,
+      tags: suggestions.map(suggestion => suggestion.tag),
+      suggestions: suggestions,
+      source: provider.name,
+      origin: 'ai'
+    };
   });
 }
 
 /**
- * Try to use Claude Desktop's HTTP API (if available)
+ * Map each article number in a batch reply to its validated suggestions,
+ * leaving out entries that are missing, out of range or invalid
  */
-async function tryClaudeHttpAPI(prompt) {
-  return new Promise((resolve, reject) => {
-    const axios = require('axios');
-
-    // Common ports that Claude Desktop might use
-    const possiblePorts = [3000, 8080, 9000, 52000, 52001];
-
-    let attemptCount = 0;
-
-    const tryPort = (port) => {
-      axios.post(`http://localhost:${port}/api/chat`, {
-        message: prompt,
-        max_tokens: 100
-      }, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'MacHN-TagGenerator/1.0'
-        }
-      })
-      .then(response => {
-        try {
-          const tags = parseClaudeResponse(response.data.response || response.data.message || response.data);
-          resolve({
-            success: true,
-            tags: tags,
-            source: `claude-http-${port}`
-          });
-        } catch (parseError) {
-          attemptCount++;
-          if (attemptCount < possiblePorts.length) {
-            tryPort(possiblePorts[attemptCount]);
-          } else {
-            reject(new Error('No working HTTP API found'));
-          }
-        }
-      })
-      .catch(error => {
-        attemptCount++;
-        if (attemptCount < possiblePorts.length) {
-          tryPort(possiblePorts[attemptCount]);
-        } else {
-          reject(new Error('No working HTTP API found'));
-        }
-      });
-    };
+function parseBatchResponse(response, count) {
+  const suggestionsById = new Map();
+  const json = typeof response === 'string' ? extractJson(response) : null;
+
+  if (!json || !Array.isArray(json.items)) {
+    console.warn('⚠️ Batch response did not contain an "items" array');
+    return suggestionsById;
+  }
 
-    tryPort(possiblePorts[0]);
+  json.items.forEach(entry => {
+    const id = entry ? Number(entry.id) : NaN;
+    if (!Number.isInteger(id) || id < 1 || id > count || suggestionsById.has(id)) return;
+
+    try {
+      suggestionsById.set(id, validateTagJson(entry));
+    } catch (error) {
+      console.warn(`⚠️ Invalid tags for batch item ${id}:`, error.message);
+    }
   });
+
+  return suggestionsById;
+}
+
+/**
+ * Run an async function over items one after another
+ */
+async function runSequentially(items, fn) {
+  const results = [];
+  for (const item of items) {
+    results.push(await fn(item));
+  }
+  return results;
+}
+
+/**
+ * Format a suggestion for logging, e.g. "rust (0.92)"
+ */
+function formatSuggestion(suggestion) {
+  return suggestion.confidence === null ? suggestion.tag : `${suggestion.tag} (${suggestion.confidence})`;
+}
+
+/**
+ * Extract tags from a model response: the requested JSON when present,
+ * otherwise the legacy text parser as a last resort
+ * @returns {Array<Object>} { tag, confidence, category } entries, most confident first
+ */
+function parseTagResponse(response) {
+  if (!response || typeof response !== 'string') {
+    throw new Error('Invalid model response');
+  }
+
+  const json = extractJson(response);
+  if (json !== null) {
+    return validateTagJson(json);
+  }
+
+  console.warn('⚠️ Model response was not JSON, falling back to text parsing:', response.slice(0, 100));
+  return parseClaudeResponse(response).map(tag => ({ tag, confidence: null, category: null }));
+}
+
+/**
+ * Find and parse the JSON object in a response, ignoring code fences and
+ * any text around it; null when there is none
+ */
+function extractJson(response) {
+  const text = response.replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Try using AppleScript to communicate with Claude Desktop app
+ * Validate tag JSON against the schema requested in the prompt. Entries
+ * with a missing tag or confidence are dropped; unknown categories are cleared.
  */
-function tryClaudeDesktopAppleScript(prompt, resolve, reject) {
-  const { exec } = require('child_process');
-
-  // First check if Claude app is running
-  exec('osascript -e \'tell application "System Events" to return name of every application process\'', (checkError, processes) => {
-    if (checkError || !processes.includes('Claude')) {
-      console.log('Claude Desktop app is not running');
-      reject(new Error('Claude Desktop app is not running'));
+function validateTagJson(json) {
+  if (!json || !Array.isArray(json.tags)) {
+    throw new Error('Tag JSON is missing a "tags" array');
+  }
+
+  const seen = new Set();
+  const suggestions = [];
+
+  json.tags.forEach(item => {
+    const tag = item && typeof item.tag === 'string' ? item.tag.trim().toLowerCase() : '';
+    const confidence = item ? Number(item.confidence) : NaN;
+
+    if (!tag || tag.length >= 30 || /[.!?]/.test(tag) || seen.has(tag)) return;
+    if (item.confidence === null || item.confidence === undefined || !(confidence >= 0 && confidence <= 1)) {
+      console.warn(`⚠️ Dropping tag "${tag}" with invalid confidence:`, item.confidence);
       return;
     }
 
-    // Clean prompt for AppleScript
-    const cleanPrompt = prompt
-      .replace(/"/g, '\\"')
-      .replace(/\n/g, '\\n')
-      .substring(0, 500); // Limit length to avoid issues
-
-    // AppleScript to interact with Claude Desktop
-    const appleScript = `
-      tell application "Claude"
-        activate
-      end tell
-
-      delay 1
-
-      tell application "System Events"
-        tell process "Claude"
-          -- Clear any existing text
-          keystroke "a" using command down
-          keystroke "${cleanPrompt}"
-
-          -- Send the message
-          key code 36
-
-          -- Wait for response
-          delay 3
-
-          -- Try to select and copy the response
-          keystroke "a" using command down
-          keystroke "c" using command down
-
-          delay 0.5
-        end tell
-      end tell
-
-      return the clipboard
-    `;
-
-    exec(`osascript -e '${appleScript}'`, { timeout: 25000 }, (error, stdout, stderr) => {
-      if (error) {
-        console.log('AppleScript method failed:', error.message);
-        reject(new Error('All Claude Desktop communication methods failed'));
-      } else {
-        try {
-          const tags = parseClaudeResponse(stdout);
-          resolve({
-            success: true,
-            tags: tags,
-            source: 'claude-applescript'
-          });
-        } catch (parseError) {
-          console.log('Failed to parse AppleScript Claude response:', parseError.message);
-          reject(new Error('Failed to parse Claude response from AppleScript'));
-        }
-      }
+    const category = typeof item.category === 'string' ? item.category.trim().toLowerCase() : null;
+    seen.add(tag);
+    suggestions.push({
+      tag,
+      confidence: Math.round(confidence * 100) / 100,
+      category: TAG_CATEGORIES.includes(category) ? category : null
     });
   });
+
+  if (suggestions.length === 0) {
+    throw new Error('No valid tags in tag JSON');
+  }
+
+  return suggestions
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_SUGGESTED_TAGS);
 }
 
 /**
- * Parse Claude's response to extract tags
+ * Legacy text parser: scrape a comma-separated line from the response, or
+ * failing that, its first words. Only used when the model ignores the JSON format.
  */
 function parseClaudeResponse(response) {
   if (!response || typeof response !== 'string') {
-    throw new Error('Invalid Claude response');
+    throw new Error('Invalid model response');
   }
 
   // Clean up the response
@@ -356,6 +478,7 @@ function parseClaudeResponse(response) {
 
   // If no comma-separated tags found, try to extract individual words
   if (tags.length === 0) {
+    console.warn('⚠️ No comma-separated tags in model response, using its first words as tags');
     const words = cleanResponse.toLowerCase()
       .replace(/[^\w\s-]/g, ' ')
       .split(/\s+/)
@@ -369,17 +492,75 @@ function parseClaudeResponse(response) {
 
   // Fallback: if still no tags, throw error
   if (tags.length === 0) {
-    throw new Error('No valid tags found in Claude response');
+    throw new Error('No valid tags found in model response');
   }
 
   return tags;
 }
 
+const MAX_SUMMARY_LENGTH = 400;
+
+/**
+ * Build the prompt asking for a short summary of an article's text
+ */
+function buildSummaryPrompt(title, url, excerpt) {
+  return `Summarize this article in one or two plain sentences (at most 50 words) for someone deciding whether to read it. Describe what the article says, not what it is about in general.
+
+Title: "${title}"${url ? `\nURL: ${url}` : ''}
+Text: "${excerpt}"
+
+Respond with only the summary, no preamble.`;
+}
+
+/**
+ * Tidy a model's summary: one line, without a "Summary:" label or wrapping quotes
+ */
+function cleanSummary(response) {
+  const summary = String(response || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\**summary\**:\s*/i, '')
+    .replace(/^["“](.*)["”]$/, '$1')
+    .trim();
+
+  if (!summary) {
+    throw new Error('Empty summary');
+  }
+  return summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1).trim()}…` : summary;
+}
+
 /**
- * Mock tag generation for development (fallback when Claude is unavailable)
+ * Generate a short summary of an article using the configured LLM provider.
+ * There is no offline fallback: without a provider or article text nothing
+ * is generated.
+ * @param {string} excerpt - the article's text, trimmed to a sensible length
+ * @returns {Promise<Object>} { success, summary, source } or { success: false, error, source }
  */
-// Mock function removed - only Claude tagging is supported
-// async function generateMockSuggestions(title) { ... }
+async function generateSummary(title, url, excerpt) {
+  if (!excerpt) {
+    return { success: false, source: null, error: 'No article text to summarize' };
+  }
+
+  let provider;
+  try {
+    provider = getConfiguredProvider();
+  } catch (error) {
+    console.log('❌ Could not load the LLM provider for summaries:', error.message);
+    return { success: false, source: null, error: error.message };
+  }
+  if (!(await checkLlmAvailable(provider))) {
+    return { success: false, source: provider.name, error: `LLM provider ${provider.name} not available` };
+  }
+
+  try {
+    const summary = cleanSummary(await provider.complete(buildSummaryPrompt(title, url, excerpt), { maxTokens: 200 }));
+    console.log(`📝 ${provider.name} summarized "${title}"`);
+    return { success: true, summary, source: provider.name };
+  } catch (providerError) {
+    console.log(`❌ ${provider.name} summary failed:`, providerError.message);
+    return { success: false, source: provider.name, error: `${provider.name} summary failed: ${providerError.message}` };
+  }
+}
 
 /**
  * Show tag suggestion window
@@ -491,7 +672,8 @@ function showTagSuggestionWindow(storyId, title, url, source) {
       <script>
         const { ipcRenderer } = require('electron');
         let selectedTags = new Set();
-        let storyId = ${storyId};
+        let suggestedTags = [];
+        let storyId = ${JSON.stringify(storyId)};
         let storySource = '${source}';
 
         // Generate tag suggestions when window loads
@@ -514,6 +696,7 @@ function showTagSuggestionWindow(storyId, title, url, source) {
 
         function displayTagSuggestions(tags) {
           const content = document.getElementById('content');
+          suggestedTags = tags;
 
           if (tags.length === 0) {
             content.innerHTML = '<div class="error">No tags generated</div>';
@@ -557,7 +740,8 @@ function showTagSuggestionWindow(storyId, title, url, source) {
           ipcRenderer.send('apply-ai-tags', {
             storyId: storyId,
             source: storySource,
-            tags: tagsArray
+            tags: tagsArray,
+            suggested: suggestedTags
           });
 
           window.close();
@@ -577,12 +761,15 @@ function showTagSuggestionWindow(storyId, title, url, source) {
 
   // Handle IPC events
   const { ipcMain } = require('electron');
+  // The last suggestions shown, with the confidence and category of each tag
+  let suggestions = [];
 
   // Handle tag generation request
   ipcMain.removeAllListeners('generate-tags');
   ipcMain.on('generate-tags', async (event, data) => {
     try {
-      const result = await generateTagSuggestions(data.title, data.url);
+      const result = await generateTagSuggestions(data.title, data.url, { source });
+      suggestions = result.suggestions || [];
       event.reply('tags-generated', result);
     } catch (error) {
       event.reply('tags-generated', {
@@ -598,15 +785,22 @@ function showTagSuggestionWindow(storyId, title, url, source) {
   ipcMain.on('apply-ai-tags', (event, data) => {
     console.log('Applying AI-generated tags:', data);
 
-    // Apply each tag to the story
-    const { addTagToStory, trackEngagement } = require('./database');
+    // The user picked these tags, so they count as confirmed like manual tags,
+    // keeping the model's confidence and category
+    const { addMultipleTagsToStory, trackEngagement } = require('./database');
+    const { toStoryKey } = require('./story-identity');
+    const storyKey = toStoryKey(data.storyId, data.source);
+    const details = new Map(suggestions.map(suggestion => [suggestion.tag, suggestion]));
 
-    data.tags.forEach(tag => {
-      addTagToStory(data.storyId, tag);
-    });
+    addMultipleTagsToStory(storyKey, data.tags.map(tag => details.get(tag) || tag), 'manual');
+
+    // Suggestions left unselected count as rejected, so later prompts avoid them
+    const rejected = (data.suggested || []).filter(tag => !data.tags.includes(tag));
+    repository.tagFeedback.record(storyKey, data.tags, rejected)
+      .catch(error => console.log('⚠️ Could not record tag feedback:', error.message));
 
     // Track engagement for using AI tags
-    trackEngagement(data.storyId, data.source);
+    trackEngagement(storyKey, data.source);
 
     // Refresh the menu to show updated tags
     const { updateMenu } = require('./menu');
@@ -615,7 +809,9 @@ function showTagSuggestionWindow(storyId, title, url, source) {
 }
 
 module.exports = {
-  checkClaudeDesktopAvailable,
+  checkLlmAvailable,
   generateTagSuggestions,
+  generateBatchTagSuggestions,
+  generateSummary,
   showTagSuggestionWindow
 };
\ No newline at end of file
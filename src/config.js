@@ -46,11 +46,107 @@ const USER_AGENT = process.env.USER_AGENT || 'Reading-Tracker/1.0';
 const DEFAULT_SUBREDDITS = process.env.REDDIT_SUBREDDITS ? 
   process.env.REDDIT_SUBREDDITS.split(',') : 
   ['news', 'television', 'elixir', 'aitah', 'bestofredditorupdates', 'explainlikeimfive', 'technology', 'askreddit', 'gadgets', 'gaming'];
+const HN_LISTS = process.env.HN_LISTS ?
+  process.env.HN_LISTS.split(',').map(list => list.trim().toLowerCase()).filter(list => list) :
+  ['top'];
+
+/**
+ * Parse RSS_FEEDS: comma-separated entries of "url" or "url|label|limit"
+ */
+function parseFeedList(value) {
+  if (!value) return [];
+  
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const [url, label, limit] = entry.split('|').map(part => part.trim());
+      return {
+        url,
+        label: label || null,
+        limit: parseInt(limit) || 10
+      };
+    });
+}
+
+/**
+ * Parse TAG_KEYWORDS: comma-separated "keyword:tag" entries for the offline tagger
+ */
+function parseKeywordMap(value) {
+  if (!value) return {};
+
+  return value.split(',').reduce((keywords, entry) => {
+    const [keyword, tag] = entry.split(':').map(part => (part || '').trim().toLowerCase());
+    if (keyword && tag) {
+      keywords[keyword] = tag;
+    }
+    return keywords;
+  }, {});
+}
+
+const RSS_FEEDS = parseFeedList(process.env.RSS_FEEDS);
+const RSS_MENU_LIMIT = parseInt(process.env.RSS_MENU_LIMIT) || 10;
+
+// LLM provider for tag suggestions: anthropic, openai (any compatible endpoint), cli or none.
+// Defaults to the Anthropic API when a key is configured, otherwise the claude CLI.
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || null;
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || (ANTHROPIC_API_KEY ? 'anthropic' : 'cli')).trim().toLowerCase();
+const LLM_BASE_URL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+const LLM_MODEL = process.env.LLM_MODEL || 'llama3.1';
+const LLM_API_KEY = process.env.LLM_API_KEY || null;
+const LLM_CLI_COMMAND = process.env.LLM_CLI_COMMAND || 'claude';
+const LLM_TIMEOUT = parseInt(process.env.LLM_TIMEOUT) || 30000;
+const TAG_KEYWORDS = parseKeywordMap(process.env.TAG_KEYWORDS);
+
+// Background tagging: links tagged per hourly run, and how many share one model call
+const TAGGING_LINKS_PER_RUN = parseInt(process.env.TAGGING_LINKS_PER_RUN) || 100;
+const TAGGING_BATCH_SIZE = parseInt(process.env.TAGGING_BATCH_SIZE) || 10;
+// Failed links are retried after TAGGING_RETRY_MINUTES, doubling each time, and
+// parked after TAGGING_MAX_ATTEMPTS failures
+const TAGGING_RETRY_MINUTES = parseInt(process.env.TAGGING_RETRY_MINUTES) || 60;
+const TAGGING_MAX_ATTEMPTS = parseInt(process.env.TAGGING_MAX_ATTEMPTS) || 5;
+// Fetch article pages and send an excerpt of their text to the tagger (off by default)
+const TAG_FROM_CONTENT = /^(1|true|yes|on)$/i.test(process.env.TAG_FROM_CONTENT || '');
+const CONTENT_EXCERPT_CHARS = parseInt(process.env.CONTENT_EXCERPT_CHARS) || 1500;
+const CONTENT_FETCH_TIMEOUT = parseInt(process.env.CONTENT_FETCH_TIMEOUT) || 10000;
+// How the tag hierarchy shapes tagging prompts: 'guide' lists it as preferred
+// tags, 'constrain' only accepts tags from it, 'off' leaves it out
+const TAG_TAXONOMY_MODE = (process.env.TAG_TAXONOMY_MODE || 'guide').trim().toLowerCase();
+// Summaries of clicked and saved articles written per background run, and how much text they see
+const SUMMARIES_PER_RUN = parseInt(process.env.SUMMARIES_PER_RUN) || 20;
+const SUMMARY_EXCERPT_CHARS = parseInt(process.env.SUMMARY_EXCERPT_CHARS) || 4000;
 
 module.exports = {
   CACHE_DURATION,
   API_PORT,
   HTTPS_PORT,
   USER_AGENT,
-  DEFAULT_SUBREDDITS
+  DEFAULT_SUBREDDITS,
+  HN_LISTS,
+  RSS_FEEDS,
+  RSS_MENU_LIMIT,
+  LLM_PROVIDER,
+  ANTHROPIC_API_KEY,
+  ANTHROPIC_MODEL,
+  ANTHROPIC_BASE_URL,
+  LLM_BASE_URL,
+  LLM_MODEL,
+  LLM_API_KEY,
+  LLM_CLI_COMMAND,
+  LLM_TIMEOUT,
+  TAG_KEYWORDS,
+  TAGGING_LINKS_PER_RUN,
+  TAGGING_BATCH_SIZE,
+  TAGGING_RETRY_MINUTES,
+  TAGGING_MAX_ATTEMPTS,
+  TAG_FROM_CONTENT,
+  CONTENT_EXCERPT_CHARS,
+  CONTENT_FETCH_TIMEOUT,
+  TAG_TAXONOMY_MODE,
+  SUMMARIES_PER_RUN,
+  SUMMARY_EXCERPT_CHARS,
+  parseFeedList,
+  parseKeywordMap
 };
@@ -0,0 +1,191 @@
+/**
+ * Article content extraction for tagging
+ *
+ * Downloads a story's page, pulls out its readable text and caches it in the
+ * articles table (text_content), so the tagger can see what an article is
+ * about rather than guessing from its title. Cached text is reused, so
+ * re-tagging never fetches a page twice.
+ */
+
+const axios = require('axios');
+const repository = require('./repository');
+const { USER_AGENT, CONTENT_EXCERPT_CHARS, CONTENT_FETCH_TIMEOUT } = require('./config');
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024; // 2MB
+const WORDS_PER_MINUTE = 200;
+// Lines shorter than this are menus, bylines and buttons rather than prose
+const MIN_LINE_WORDS = 4;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+/**
+ * Decode the HTML entities that commonly appear in article text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    const decoded = ENTITIES[code.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Read a <meta> tag's content by name or property
+ */
+function findMeta(html, name) {
+  const tags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const key = tag.match(/\b(?:name|property)\s*=\s*["']([^"']+)["']/i);
+    if (key && key[1].toLowerCase() === name) {
+      const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+      if (content) return decodeEntities(content[1] || content[2] || '').trim() || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Inner HTML of the first matching element, if there is one
+ */
+function findElement(html, tagName) {
+  const match = html.match(new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)</${tagName}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract the readable text of an HTML page
+ * @returns {Object} { title, description, textContent, wordCount, readingTime }
+ */
+function extractReadableText(html) {
+  const page = String(html || '');
+  const titleElement = findElement(page, 'title');
+  const title = findMeta(page, 'og:title') ||
+    (titleElement ? decodeEntities(titleElement.replace(/<[^>]+>/g, '')).trim() : null) || null;
+  const description = findMeta(page, 'og:description') || findMeta(page, 'description');
+
+  const cleaned = page
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template|iframe|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  // Prefer the article itself over the rest of the page
+  const body = findElement(cleaned, 'article') || findElement(cleaned, 'main') || findElement(cleaned, 'body') || cleaned;
+
+  const textContent = body
+    .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/section|\/blockquote|\/pre|\/tr)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .split('\n')
+    .map(line => decodeEntities(line).replace(/\s+/g, ' ').trim())
+    .filter(line => line.split(' ').length >= MIN_LINE_WORDS)
+    .join('\n');
+
+  const wordCount = textContent ? textContent.split(/\s+/).length : 0;
+
+  return {
+    title,
+    description,
+    textContent,
+    wordCount,
+    readingTime: Math.ceil(wordCount / WORDS_PER_MINUTE)
+  };
+}
+
+/**
+ * Trim text to at most maxChars on a single line, cutting at a word boundary
+ */
+function makeExcerpt(text, maxChars) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxChars) return flat;
+
+  const cut = flat.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+/**
+ * Download a page and extract its readable text
+ * @throws when the page can't be fetched or isn't HTML
+ */
+async function fetchArticleText(url, { timeout = CONTENT_FETCH_TIMEOUT } = {}) {
+  const response = await axios.get(url, {
+    timeout,
+    maxContentLength: MAX_PAGE_BYTES,
+    responseType: 'text',
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml'
+    }
+  });
+
+  const contentType = String((response.headers && response.headers['content-type']) || 'text/html');
+  if (!/html/i.test(contentType)) {
+    throw new Error(`Not an HTML page (${contentType})`);
+  }
+
+  return extractReadableText(response.data);
+}
+
+/**
+ * Get an excerpt of an article's text for the tagger, fetching and caching
+ * the page the first time. Resolves with null when there is no usable text.
+ * @param {Object} link - { url, title }
+ * @param {Object} [options] - { maxChars, timeout }
+ */
+async function getArticleExcerpt(link, { maxChars = CONTENT_EXCERPT_CHARS, timeout = CONTENT_FETCH_TIMEOUT } = {}) {
+  const url = link && link.url;
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+
+  const cached = await repository.articles.findByUrl(url);
+  if (cached && (cached.text_content || cached.description)) {
+    return makeExcerpt(cached.text_content || cached.description, maxChars) || null;
+  }
+
+  let extracted;
+  try {
+    extracted = await fetchArticleText(url, { timeout });
+  } catch (error) {
+    console.log(`⚠️ Could not fetch article content for ${url}:`, error.message);
+    return null;
+  }
+
+  if (!extracted.textContent && !extracted.description) {
+    console.log(`⚠️ No readable text found at ${url}`);
+    return null;
+  }
+
+  await repository.articles.cacheText({
+    url,
+    title: extracted.title || link.title || url,
+    domain: new URL(url).hostname,
+    description: extracted.description,
+    textContent: extracted.textContent,
+    wordCount: extracted.wordCount,
+    readingTime: extracted.readingTime
+  });
+  console.log(`📄 Cached ${extracted.wordCount} words of article text for ${url}`);
+
+  return makeExcerpt(extracted.textContent || extracted.description, maxChars) || null;
+}
+
+module.exports = {
+  extractReadableText,
+  makeExcerpt,
+  fetchArticleText,
+  getArticleExcerpt
+};
@@ -2,7 +2,12 @@
  * Database operations and initialization
  */
 
-const sqlite3 = require('sqlite3').verbose();
+const { getStoryKey, toStoryKey } = require('./story-identity');
+const { canonicalizeUrl } = require('./url-utils');
+const { runMigrations } = require('./migrations');
+const repository = require('./repository');
+const { applyTagRules } = require('./tag-rules');
+const { parseTagQuery } = require('./tag-query');
 
 let db = null;
 
@@ -33,13 +38,14 @@ function extractDomain(url) {
 }
 
 /**
- * Initialize SQLite database with required tables and schema
- * @param {Function} callback - Callback function to execute after initialization
+ * Open the SQLite database and apply pending schema migrations
+ * @param {Function} callback - Called with (err, report) once migrations have run
  */
 function initDatabase(callback) {
   const path = require('path');
   const fs = require('fs');
   const { app } = require('electron');
+  const sqlite3 = require('sqlite3').verbose();
   
   // Use Electron's userData directory for database storage
   const userDataPath = app.getPath('userData');
@@ -54,163 +60,12 @@ function initDatabase(callback) {
   db = new sqlite3.Database(dbPath);
   
   db.serialize(() => {
-    // Legacy clicks table (keeping existing structure for migration)
-    db.run(`CREATE TABLE IF NOT EXISTS clicks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      story_added_at DATETIME,
-      clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    // Links table for tracking story appearances and engagement
-    db.run(`CREATE TABLE IF NOT EXISTS links (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      comments_url TEXT,
-      source TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      viewed BOOLEAN DEFAULT FALSE,
-      viewed_at DATETIME,
-      engaged BOOLEAN DEFAULT FALSE,
-      engaged_at DATETIME,
-      engagement_count INTEGER DEFAULT 0,
-      first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      times_appeared INTEGER DEFAULT 1,
-      archive_url TEXT,
-      tags TEXT
-    )`, () => {});
-    
-    // Main stories table (consolidated from old links table)
-    db.run(`CREATE TABLE IF NOT EXISTS stories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      comments_url TEXT,
-      source TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      viewed BOOLEAN DEFAULT FALSE,
-      viewed_at DATETIME,
-      engaged BOOLEAN DEFAULT FALSE,
-      engaged_at DATETIME,
-      engagement_count INTEGER DEFAULT 0,
-      first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      times_appeared INTEGER DEFAULT 1,
-      archive_url TEXT
-    )`, () => {});
-    
-    // New normalized tags table
-    db.run(`CREATE TABLE IF NOT EXISTS tags (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      tag TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (story_id) REFERENCES stories(id),
-      UNIQUE(story_id, tag)
-    )`, () => {});
-    
-    // Create index for fast tag lookups
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tags_story_id ON tags(story_id)`, () => {});
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag)`, () => {});
-    
-    // Create articles table for saved content
-    db.run(`CREATE TABLE IF NOT EXISTS articles (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      url TEXT NOT NULL UNIQUE,
-      title TEXT NOT NULL,
-      domain TEXT,
-      click_count INTEGER DEFAULT 0,
-      author TEXT,
-      publish_date TEXT,
-      content TEXT,
-      text_content TEXT,
-      word_count INTEGER,
-      reading_time INTEGER,
-      saved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_clicked_at DATETIME,
-      tags TEXT,
-      notes TEXT,
-      archive_path TEXT,
-      archive_date DATETIME,
-      file_size INTEGER,
-      description TEXT
-    )`);
-    
-    // Create full-text search table for articles
-    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
-      title,
-      author,
-      text_content,
-      tags,
-      content='articles',
-      content_rowid='id'
-    )`);
-    
-    // Triggers to keep FTS table in sync
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_ai AFTER INSERT ON articles BEGIN
-      INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
-      VALUES (new.id, new.title, new.author, new.text_content, new.tags);
-    END`);
-    
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_ad AFTER DELETE ON articles BEGIN
-      INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
-      VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
-    END`);
-    
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_au AFTER UPDATE ON articles BEGIN
-      INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
-      VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
-      INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
-      VALUES (new.id, new.title, new.author, new.text_content, new.tags);
-    END`);
-    
-    // Migration: Copy data from links table to new stories table if needed
-    db.run(`INSERT OR IGNORE INTO stories (story_id, title, url, comments_url, source, points, comments, 
-            viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared)
-            SELECT story_id, title, url, comments_url, source, points, comments, 
-            viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared
-            FROM links WHERE EXISTS (SELECT name FROM sqlite_master WHERE type='table' AND name='links')`, () => {});
-    
-    // Migration: Extract tags from old stories/links tables into new tags table
-    db.all(`SELECT id, story_id, tags FROM stories WHERE tags IS NOT NULL AND tags != ''`, [], (err, rows) => {
-      if (!err && rows) {
-        rows.forEach(row => {
-          if (row.tags) {
-            const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            tags.forEach(tag => {
-              db.run(`INSERT OR IGNORE INTO tags (story_id, tag) VALUES (?, ?)`, [row.id, tag]);
-            });
-          }
-        });
+    runMigrations(db, (err, report) => {
+      if (err) {
+        console.error('❌ Database migrations failed:', err);
       }
+      if (callback) callback(err, report);
     });
-    
-    // Legacy table support - keep old columns for migration
-    db.run(`ALTER TABLE clicks ADD COLUMN points INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN comments INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN story_added_at DATETIME`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN archive_url TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN tags TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN comments_url TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN link_id INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN click_type TEXT`, () => {});
-    
-    // Add new columns to articles table for existing databases
-    db.run(`ALTER TABLE articles ADD COLUMN domain TEXT`, () => {});
-    db.run(`ALTER TABLE articles ADD COLUMN click_count INTEGER DEFAULT 0`, () => {});
-    db.run(`ALTER TABLE articles ADD COLUMN last_clicked_at DATETIME`, () => {});
-    
-    if (callback) callback();
   });
 }
 
@@ -236,165 +91,140 @@ function generateArchiveDirectUrl(originalUrl) {
   return `https://archive.ph/${encodeURIComponent(originalUrl)}`;
 }
 
+/**
+ * Adapt a repository promise to the (err, result) callbacks of the legacy
+ * exports. The returned promise never rejects; errors go to the callback.
+ */
+function withCallback(promise, callback, fallback) {
+  if (callback) {
+    promise.then(result => callback(null, result), err => callback(err, fallback));
+  }
+  return promise.catch(() => fallback);
+}
+
 /**
  * Save archive URL to database for a story
  */
 function saveArchiveUrl(storyId, originalUrl, archiveUrl, source) {
-  if (!db) return;
+  if (!db) return Promise.resolve();
   
-  console.log(`💾 SAVING ARCHIVE URL: Story ${storyId} [${source}] -> ${archiveUrl}`);
+  const storyKey = toStoryKey(storyId, source);
+  console.log(`💾 SAVING ARCHIVE URL: ${storyKey} -> ${archiveUrl}`);
   
-  // Update the links table with archive URL
-  db.run(`UPDATE links SET archive_url = ? WHERE story_id = ? AND source = ?`, 
-    [archiveUrl, storyId, source], (err) => {
-      if (err) {
-        console.error('Error saving archive URL to links:', err);
-      } else {
-        console.log(`✅ Archive URL saved for story ${storyId}`);
-      }
-    });
-    
-  // Also save to clicks table for the most recent click
-  db.run(`UPDATE clicks SET archive_url = ? WHERE id = (
-    SELECT id FROM clicks WHERE story_id = ? ORDER BY clicked_at DESC LIMIT 1
-  )`, 
-    [archiveUrl, storyId], (err) => {
-      if (err) {
-        console.error('Error saving archive URL to clicks:', err);
-      }
-    });
+  return repository.links.setArchiveUrl(storyKey, archiveUrl)
+    .then(() => console.log(`✅ Archive URL saved for ${storyKey}`))
+    .catch(err => console.error('Error saving archive URL:', err));
 }
 
 /**
  * Track when a story appears in the menu - adds to links table
  */
 function trackLinkAppearance(story, source) {
-  if (!db) return;
+  if (!db) return Promise.resolve();
+  
+  const { getSource } = require('./api-sources');
+  const sourceDef = getSource(source);
   
-  // Handle stories without URLs (like HN text posts)
+  // Handle stories without URLs (like HN text posts) by falling back to the discussion URL
   let storyUrl = story.url;
   if (!storyUrl) {
-    if (source === 'hn' && typeof story.id === 'number') {
-      // For HN text posts, use the HN discussion URL as the main URL
-      storyUrl = `https://news.ycombinator.com/item?id=${story.id}`;
-    } else {
+    storyUrl = sourceDef ? sourceDef.commentsUrl(story) : null;
+    if (!storyUrl) {
       console.warn('Skipping story without URL:', story.title);
-      return;
+      return Promise.resolve();
     }
   }
   
-  // Convert story ID to integer - use hash for string IDs
+  const storyKey = getStoryKey({ ...story, url: storyUrl }, source);
+  
+  // The article itself, which may differ from the tracked URL (e.g. Reddit link posts)
+  const articleUrl = (sourceDef && sourceDef.articleUrl(story)) || storyUrl;
+  
+  // Legacy integer story_id column - use hash for string IDs
   let storyId;
   if (typeof story.id === 'number') {
     storyId = story.id;
   } else {
-    storyId = hashStringToInt(story.id);
+    storyId = hashStringToInt(String(story.id || storyKey));
   }
   
   // Generate comments URL based on source
   let commentsUrl = null;
   if (story.comments_url) {
     commentsUrl = story.comments_url;
-  } else if (source === 'reddit') {
-    commentsUrl = storyUrl; // For Reddit, the URL is the comments page
-  } else if (source === 'hn' && typeof story.id === 'number') {
-    commentsUrl = `https://news.ycombinator.com/item?id=${story.id}`;
+  } else if (sourceDef) {
+    commentsUrl = sourceDef.commentsUrl(story) || null;
   }
   
+  const title = story.title || 'Untitled';
   
-  // Check if link already exists
-  db.get('SELECT id, times_appeared FROM links WHERE story_id = ? AND source = ?', [storyId, source], (err, row) => {
-    if (err) {
-      console.error('Error checking existing link:', err);
-      return;
-    }
-    
-    if (row) {
-      // Link exists, update it
-      db.run(`UPDATE links SET 
-        title = ?, 
-        points = ?, 
-        comments = ?, 
-        comments_url = ?,
-        last_seen_at = CURRENT_TIMESTAMP,
-        times_appeared = times_appeared + 1
-        WHERE id = ?`, 
-        [story.title || 'Untitled', story.points, story.comments, commentsUrl, row.id], (updateErr) => {
-          if (updateErr) {
-            console.error('Error updating link:', updateErr);
-          }
-        });
-    } else {
-      // New link, insert it
-      console.log(`💾 PERSISTING NEW LINK TO DATABASE: [${source.toUpperCase()}] Story ID: ${storyId}`);
-      db.run(`INSERT INTO links (
-        story_id, title, url, comments_url, source, points, comments
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`, 
-        [storyId, story.title || 'Untitled', storyUrl, commentsUrl, source, story.points, story.comments], 
-        function(err) {
-          if (err) {
-            console.error('Error inserting link:', err);
-          } else {
-            console.log(`✅ NEW LINK PERSISTED: Database ID ${this.lastID}, Story ID: ${storyId}, Source: ${source.toUpperCase()}, Title: "${story.title || 'Untitled'}"`);
-          }
-        });
-    }
-  });
+  return repository.links.recordAppearance({
+    storyKey,
+    storyId,
+    title,
+    url: storyUrl,
+    commentsUrl,
+    source,
+    points: story.points,
+    comments: story.comments,
+    articleUrl,
+    canonicalUrl: canonicalizeUrl(articleUrl)
+  })
+    .then(({ id, created }) => {
+      if (created) {
+        console.log(`✅ NEW LINK PERSISTED: Database ID ${id}, Story key: ${storyKey}, Title: "${title}"`);
+      }
+      return Promise.resolve(applySourceTags(storyKey, story))
+        // User-defined rules tag new links before the AI tagger sees them
+        .then(() => created && applyTagRules(storyKey, {
+          title,
+          url: articleUrl,
+          source,
+          subreddit: story.subreddit,
+          commentsUrl
+        }));
+    })
+    .catch(err => console.error('Error tracking link appearance:', err));
+}
+
+/**
+ * Copy tags supplied by the source itself (e.g. Lobsters) onto the link,
+ * so stories arrive pre-tagged before any AI tagging runs
+ */
+function applySourceTags(storyKey, story) {
+  if (Array.isArray(story.tags) && story.tags.length > 0) {
+    return addMultipleTagsToStory(storyKey, story.tags, 'source');
+  }
 }
 
 /**
  * Legacy function - now calls trackLinkAppearance
  */
 function trackStoryAppearance(story) {
-  // Determine source from URL or story properties
-  let source = 'unknown';
-  if (story.url && story.url.includes('reddit.com')) {
-    source = 'reddit';
-  } else if (typeof story.id === 'number') {
-    source = 'hn';
-  } else if (story.url && (story.url.includes('pinboard.in') || story.source === 'pinboard')) {
-    source = 'pinboard';
-  }
-  
-  trackLinkAppearance(story, source);
+  const { detectSource } = require('./api-sources');
+  return trackLinkAppearance(story, detectSource(story));
 }
 
 /**
  * Track when a user engages with a story (expands submenu, hovers, shows interest)
  */
 function trackEngagement(storyId, source) {
-  if (!db) return;
+  if (!db) return Promise.resolve();
   
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
+  const storyKey = toStoryKey(storyId, source);
   
-  console.log(`🎯 ENGAGEMENT TRACKED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
+  console.log(`🎯 ENGAGEMENT TRACKED: ${storyKey}`);
   
-  // Update the link with engagement data
-  db.run(`UPDATE links SET 
-    engaged = TRUE, 
-    engaged_at = CURRENT_TIMESTAMP,
-    engagement_count = engagement_count + 1
-    WHERE story_id = ? AND source = ?`, 
-    [normalizedStoryId, source], (err) => {
-      if (err) {
-        console.error('Error tracking engagement:', err);
-      } else {
-        console.log(`✅ ENGAGEMENT RECORDED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
-      }
-    });
+  return repository.links.recordEngagement(storyKey)
+    .then(() => console.log(`✅ ENGAGEMENT RECORDED: ${storyKey}`))
+    .catch(err => console.error('Error tracking engagement:', err));
 }
 
 /**
  * Track when a user expands a story menu (shows the submenu) - now tracks engagement
  */
 function trackExpansion(storyId, source) {
-  trackEngagement(storyId, source);
+  return trackEngagement(storyId, source);
 }
 
 /**
@@ -402,8 +232,10 @@ function trackExpansion(storyId, source) {
  */
 function trackArticleClick(storyId, source) {
   console.log(`🔗 ARTICLE CLICK: [${source.toUpperCase()}] Story ID: ${storyId}`);
-  trackClickEvent(storyId, source, 'article');
-  markLinkAsViewed(storyId, source);
+  return Promise.all([
+    trackClickEvent(storyId, source, 'article'),
+    markLinkAsViewed(storyId, source)
+  ]);
 }
 
 /**
@@ -411,7 +243,7 @@ function trackArticleClick(storyId, source) {
  */
 function trackCommentsClick(storyId, source) {
   console.log(`💬 COMMENTS CLICK: [${source.toUpperCase()}] Story ID: ${storyId}`);
-  trackClickEvent(storyId, source, 'comments');
+  return trackClickEvent(storyId, source, 'comments');
 }
 
 /**
@@ -419,366 +251,217 @@ function trackCommentsClick(storyId, source) {
  */
 function trackArchiveClick(storyId, source) {
   console.log(`📚 ARCHIVE CLICK: [${source.toUpperCase()}] Story ID: ${storyId}`);
-  trackClickEvent(storyId, source, 'archive');
+  return trackClickEvent(storyId, source, 'archive');
 }
 
 /**
  * Internal function to track specific click events
  */
 function trackClickEvent(storyId, source, clickType) {
-  if (!db) return;
+  if (!db) return Promise.resolve();
   
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
+  const storyKey = toStoryKey(storyId, source);
   
-  console.log(`🎪 CLICK EVENT: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}, Type: ${clickType}`);
+  console.log(`🎪 CLICK EVENT: ${storyKey}, Type: ${clickType}`);
   
-  // Find the link data for insertion
-  db.get('SELECT id, story_id, title, url FROM links WHERE story_id = ? AND source = ?', [normalizedStoryId, source], (err, row) => {
-    if (err) {
-      console.error('Error finding link for click tracking:', err);
-      return;
-    }
-    
-    if (row) {
-      // Record the click with all required legacy fields
-      console.log(`💾 PERSISTING CLICK TO DATABASE: Link ID ${row.id}, Type: ${clickType}`);
-      db.run('INSERT INTO clicks (story_id, title, url, link_id, click_type, clicked_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)', 
-        [row.story_id, row.title, row.url, row.id, clickType], (insertErr) => {
-        if (insertErr) {
-          console.error('Error tracking click:', insertErr);
-        } else {
-          console.log(`✅ CLICK PERSISTED: Link ID ${row.id}, Type: ${clickType}, Story ID: ${normalizedStoryId}`);
-        }
-      });
-    } else {
-      console.warn('No link found for click tracking:', normalizedStoryId, source);
-    }
-  });
+  return repository.clicks.record(storyKey, clickType)
+    .then(click => {
+      if (click) {
+        console.log(`✅ CLICK PERSISTED: Link ID ${click.linkId}, Type: ${clickType}, Story key: ${storyKey}`);
+      } else {
+        console.warn('No link found for click tracking:', storyKey);
+      }
+      return click;
+    })
+    .catch(err => console.error('Error tracking click:', err));
 }
 
 /**
  * Mark a link as viewed and update viewed_at timestamp
  */
 function markLinkAsViewed(storyId, source) {
-  if (!db) return;
+  if (!db) return Promise.resolve();
   
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
+  const storyKey = toStoryKey(storyId, source);
   
-  console.log(`👀 MARKING LINK AS VIEWED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
+  console.log(`👀 MARKING LINK AS VIEWED: ${storyKey}`);
   
-  db.run('UPDATE links SET viewed = TRUE, viewed_at = CURRENT_TIMESTAMP WHERE story_id = ? AND source = ?', 
-    [normalizedStoryId, source], (err) => {
-      if (err) {
-        console.error('Error marking link as viewed:', err);
-      } else {
-        console.log(`✅ LINK MARKED AS VIEWED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
-      }
-    });
+  return repository.links.markViewed(storyKey)
+    .then(() => console.log(`✅ LINK MARKED AS VIEWED: ${storyKey}`))
+    .catch(err => console.error('Error marking link as viewed:', err));
 }
 
 /**
  * Legacy function - now calls trackArticleClick
  */
 function trackClick(storyId, title, url, points, comments, commentsUrl = null) {
-  // Determine source from URL
-  let source = 'unknown';
-  if (url && url.includes('reddit.com')) {
-    source = 'reddit';
-  } else if (typeof storyId === 'number') {
-    source = 'hn';
-  } else if (url && url.includes('pinboard.in')) {
-    source = 'pinboard';
-  }
-  
-  trackArticleClick(storyId, source);
+  const { detectSource } = require('./api-sources');
+  return trackArticleClick(storyId, detectSource({ id: storyId, url }));
 }
 
-function addTagToStory(storyId, tag) {
-  if (db && tag && tag.trim()) {
-    const cleanTag = tag.trim().toLowerCase();
-    
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get current tags for the story from links table
-    db.get('SELECT tags FROM links WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err) {
-        let currentTags = [];
-        if (row && row.tags) {
-          currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        }
-        
-        // Add new tag if not already present
-        if (!currentTags.includes(cleanTag)) {
-          currentTags.push(cleanTag);
-          const updatedTags = currentTags.join(',');
-          
-          // Update the links table
-          db.run('UPDATE links SET tags = ? WHERE story_id = ?', [updatedTags, normalizedStoryId], (err) => {
-            if (err) {
-              console.error('Error adding tag to links:', err);
-            } else {
-              console.log(`✅ Tag "${cleanTag}" added to story ${normalizedStoryId} in links table`);
-            }
-          });
-        } else {
-          console.log(`⚠️ Tag "${cleanTag}" already exists for story ${normalizedStoryId}`);
-        }
-      } else {
-        console.warn(`⚠️ Story ${normalizedStoryId} not found in links table for tagging`);
-      }
-    });
-  }
+/**
+ * Add a tag to a tracked link, identified by its story key
+ * @param {string} [origin] - Where the tag came from: 'manual', 'ai', 'rule' or 'source'
+ */
+function addTagToStory(storyKey, tag, origin = 'manual') {
+  return addMultipleTagsToStory(storyKey, [tag], origin);
 }
 
-function addMultipleTagsToStory(storyId, tags) {
-  if (db && tags && tags.length > 0) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get current tags for the story from links table
-    db.get('SELECT tags FROM links WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err) {
-        let currentTags = [];
-        if (row && row.tags) {
-          currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        }
-        
-        // Add all new tags that aren't already present
-        const cleanTags = tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag);
-        const newTags = cleanTags.filter(tag => !currentTags.includes(tag));
-        
-        if (newTags.length > 0) {
-          const allTags = [...currentTags, ...newTags];
-          const updatedTags = allTags.join(',');
-          
-          // Update the links table
-          db.run('UPDATE links SET tags = ? WHERE story_id = ?', [updatedTags, normalizedStoryId], (err) => {
-            if (err) {
-              console.error('Error adding tags to links:', err);
-            } else {
-              console.log(`✅ Added ${newTags.length} tags to story ${normalizedStoryId}: ${newTags.join(', ')}`);
-            }
-          });
-        } else {
-          console.log(`⚠️ All tags already exist for story ${normalizedStoryId}`);
-        }
+/**
+ * Add several tags to a tracked link, identified by its story key
+ * @param {Array<string|Object>} tags - Tag names, or { tag, confidence, category } suggestions
+ * @param {string} [origin] - Where the tags came from: 'manual', 'ai', 'keyword', 'rule' or 'source'
+ */
+function addMultipleTagsToStory(storyKey, tags, origin = 'manual') {
+  if (!db || !Array.isArray(tags) || tags.length === 0) return Promise.resolve(null);
+  
+  return repository.tags.add(storyKey, tags, origin)
+    .then(result => {
+      if (!result) {
+        console.warn(`⚠️ Story ${storyKey} not found in links table for tagging`);
+      } else if (result.added.length > 0) {
+        console.log(`✅ Added ${result.added.length} tags to story ${storyKey}: ${result.added.join(', ')}`);
       } else {
-        console.warn(`⚠️ Story ${normalizedStoryId} not found in links table for tagging`);
+        console.log(`⚠️ All tags already exist for story ${storyKey}`);
       }
+      return result;
+    })
+    .catch(err => {
+      console.error('Error adding tags:', err);
+      return null;
     });
-  }
 }
 
-function getStoryTags(storyId, callback) {
-  if (db) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get the internal story ID first
-    db.get('SELECT id FROM stories WHERE story_id = ?', [normalizedStoryId], (err, storyRow) => {
-      if (err) {
-        callback(err, []);
-        return;
-      }
-      
-      if (storyRow) {
-        // Get tags from normalized tags table
-        db.all('SELECT tag FROM tags WHERE story_id = ? ORDER BY created_at', [storyRow.id], (err, tagRows) => {
-          if (err) {
-            callback(err, []);
-          } else {
-            const tags = tagRows.map(row => row.tag);
-            callback(null, tags);
-          }
-        });
-      } else {
-        callback(null, []);
-      }
-    });
-  } else {
+/**
+ * Get the tags of a tracked link, identified by its story key
+ */
+function getStoryTags(storyKey, callback) {
+  if (!db) {
     callback(null, []);
+    return;
   }
+  withCallback(repository.tags.get(storyKey), callback, []);
 }
 
-function removeTagFromStory(storyId, tagToRemove) {
-  if (db && tagToRemove) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    db.get('SELECT tags FROM stories WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err && row && row.tags) {
-        const currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        const updatedTags = currentTags.filter(tag => tag !== tagToRemove.trim().toLowerCase());
-        const newTagsString = updatedTags.join(',');
-        
-        db.run('UPDATE stories SET tags = ? WHERE story_id = ?', [newTagsString, normalizedStoryId], (err) => {
-          if (err) {
-            console.error('Error removing tag:', err);
-          }
-        });
-      }
-    });
-  }
+/**
+ * Remove a tag from a tracked link, identified by its story key
+ */
+function removeTagFromStory(storyKey, tagToRemove) {
+  if (!db || !tagToRemove) return Promise.resolve();
+  
+  return repository.tags.remove(storyKey, tagToRemove)
+    .catch(err => console.error('Error removing tag:', err));
 }
 
 function getAllUniqueTags(callback) {
-  if (db) {
-    db.all('SELECT DISTINCT tags FROM stories WHERE tags IS NOT NULL AND tags != ""', (err, rows) => {
-      if (err) {
-        callback(err, []);
-        return;
-      }
-      
-      // Parse all tag strings and create a unique set
-      const allTags = new Set();
-      
-      rows.forEach(row => {
-        if (row.tags) {
-          const tags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-          tags.forEach(tag => allTags.add(tag));
-        }
-      });
-      
-      // Convert to sorted array
-      const uniqueTags = Array.from(allTags).sort();
-      callback(null, uniqueTags);
-    });
-  } else {
+  if (!db) {
     callback(null, []);
+    return;
   }
+  withCallback(repository.tags.listUnique(), callback, []);
 }
 
-function saveArticle(articleData, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
+/**
+ * Rename a tag on every link; the old name becomes an alias of the new one
+ */
+function renameTag(from, to, callback) {
+  const renamed = repository.tags.rename(from, to).then(result => {
+    console.log(`🏷️ Renamed tag "${from}" to "${result.tag}" on ${result.links} links`);
+    return result;
+  });
+  return withCallback(renamed, callback);
+}
 
-  const {
-    url, title, author, publishDate, content, textContent, 
-    wordCount, readingTime, tags = null, notes = null
-  } = articleData;
+/**
+ * Merge several tags into one on every link, keeping the merged names as aliases
+ */
+function mergeTags(sources, target, callback) {
+  const merged = repository.tags.merge(sources, target).then(result => {
+    console.log(`🏷️ Merged ${result.merged.join(', ') || 'nothing'} into "${result.tag}" (${result.links} tag assignments moved)`);
+    return result;
+  });
+  return withCallback(merged, callback);
+}
 
-  const domain = extractDomain(url);
+/**
+ * Remove a tag from every link
+ */
+function deleteTag(tag, callback) {
+  const deleted = repository.tags.delete(tag).then(count => {
+    console.log(`🗑️ Deleted tag "${tag}" from ${count} links`);
+    return count;
+  });
+  return withCallback(deleted, callback);
+}
 
-  db.run(`INSERT OR REPLACE INTO articles 
-    (url, title, domain, author, publish_date, content, text_content, word_count, reading_time, tags, notes) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [url, title, domain, author, publishDate, content, textContent, wordCount, readingTime, tags, notes],
-    function(err) {
-      if (err) {
-        console.error('Error saving article:', err);
-        callback(err);
-      } else {
-        console.log('Article saved with ID:', this.lastID);
-        callback(null, { id: this.lastID, message: 'Article saved successfully' });
-      }
-    }
+/**
+ * Make `alias` another spelling of `tag`; existing uses of the alias are merged into the tag
+ */
+function addTagAlias(alias, tag, callback) {
+  return withCallback(repository.tags.alias(alias, tag), callback);
+}
+
+/**
+ * Stop treating `alias` as another spelling of a tag
+ */
+function removeTagAlias(alias, callback) {
+  return withCallback(repository.tags.removeAlias(alias), callback);
+}
+
+function getTagAliases(callback) {
+  withCallback(repository.tags.listAliases(), callback, []);
+}
+
+function saveArticle(articleData, callback) {
+  const article = { ...articleData, domain: extractDomain(articleData.url) };
+
+  withCallback(
+    repository.articles.save(article).then(({ id }) => {
+      console.log('Article saved with ID:', id);
+      return { id, message: 'Article saved successfully' };
+    }, err => {
+      console.error('Error saving article:', err);
+      throw err;
+    }),
+    callback
   );
 }
 
 function trackSavedArticleClick(articleId, callback) {
-  if (!db) {
-    if (callback) callback(new Error('Database not initialized'));
-    return;
-  }
-
   console.log(`📖 SAVED ARTICLE CLICK: Article ID: ${articleId}`);
 
-  db.run(`UPDATE articles 
-          SET click_count = click_count + 1, last_clicked_at = CURRENT_TIMESTAMP 
-          WHERE id = ?`, 
-    [articleId], 
-    function(err) {
-      if (err) {
-        console.error('Error tracking article click:', err);
-      } else {
-        console.log(`✅ SAVED ARTICLE CLICK TRACKED: Article ID: ${articleId}`);
-      }
-      if (callback) callback(err);
-    }
+  return withCallback(
+    repository.articles.recordClick(articleId).then(() => {
+      console.log(`✅ SAVED ARTICLE CLICK TRACKED: Article ID: ${articleId}`);
+    }, err => {
+      console.error('Error tracking article click:', err);
+      throw err;
+    }),
+    callback && (err => callback(err))
   );
 }
 
 function getArticles(limit = 50, offset = 0, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.all(`SELECT * FROM articles 
-          ORDER BY click_count DESC, saved_at DESC 
-          LIMIT ? OFFSET ?`, 
-    [limit, offset], callback);
+  withCallback(repository.articles.list(limit, offset), callback);
 }
 
 function searchArticles(query, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.all(`SELECT articles.*, snippet(articles_fts, -1, '<mark>', '</mark>', '...', 64) as snippet
-          FROM articles_fts 
-          JOIN articles ON articles.id = articles_fts.rowid
-          WHERE articles_fts MATCH ?
-          ORDER BY rank
-          LIMIT 20`, 
-    [query], callback);
+  withCallback(repository.articles.search(query), callback);
 }
 
 function getArticleStats(callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.get(`SELECT 
-    COUNT(*) as total_articles,
-    SUM(word_count) as total_words,
-    AVG(word_count) as avg_words,
-    COUNT(CASE WHEN saved_at > datetime('now', '-7 days') THEN 1 END) as week_articles,
-    COUNT(CASE WHEN saved_at > datetime('now', '-30 days') THEN 1 END) as month_articles
-    FROM articles`, callback);
+  withCallback(repository.articles.stats(), callback);
 }
 
-function searchStoriesByTags(tagQuery, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
+/**
+ * Find stories matching a search query such as "rust AND (compilers OR wasm) -crypto"
+ * (see tag-query.js). Invalid queries call back with an error explaining the problem.
+ * @param {Object} [options] - { includeDescendants: false } to match tags without the tags below them
+ */
+function searchStoriesByTags(tagQuery, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
 
   if (!tagQuery || !tagQuery.trim()) {
@@ -786,48 +469,101 @@ function searchStoriesByTags(tagQuery, callback) {
     return;
   }
 
-  // Parse comma-separated tags and clean them
-  const searchTags = tagQuery.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
-  
-  if (searchTags.length === 0) {
-    callback(null, []);
+  const parsed = parseTagQuery(tagQuery, options);
+  if (parsed.error) {
+    const error = new Error(parsed.error);
+    error.position = parsed.position;
+    callback(error, []);
     return;
   }
 
-  // Build WHERE clause for OR conditions on tags
-  const tagConditions = searchTags.map(() => 'tags LIKE ?').join(' OR ');
-  const tagParams = searchTags.map(tag => `%${tag}%`);
+  const stories = repository.links.searchByQuery(parsed).then(rows => rows
+    // Transform database rows to story format and filter out stories without URLs
+    .map(row => ({
+      id: row.story_id,
+      story_key: row.story_key,
+      source: row.source,
+      title: row.title,
+      url: row.url,
+      comments_url: row.comments_url,
+      points: row.points || 0,
+      comments: row.comments || 0,
+      tags: row.tags ? row.tags.split(',').map(t => t.trim()).filter(t => t) : [],
+      impression_count: row.times_appeared || 0,
+      first_seen_at: row.first_seen_at
+    }))
+    .filter(story => story.url && story.url.trim()), err => {
+    console.error('Error searching stories by tags:', err);
+    throw err;
+  });
+
+  withCallback(stories, callback, []);
+}
+
+/**
+ * Collapse links that point at the same article (same canonical URL) into one
+ * entry that lists every discussion thread for it, e.g. HN and Reddit.
+ * Keeps the order of the first occurrence and sums the per-row counters.
+ */
+function groupLinksByArticle(links, callback) {
+  const canonicalUrls = Array.from(new Set(links.map(link => link.canonical_url).filter(Boolean)));
   
-  const query = `
-    SELECT story_id, title, url, points, comments, tags, impression_count, first_seen_at
-    FROM stories 
-    WHERE (${tagConditions}) AND tags IS NOT NULL AND tags != ''
-    ORDER BY impression_count DESC, first_seen_at DESC
-    LIMIT 20
-  `;
-
-  db.all(query, tagParams, (err, rows) => {
-    if (err) {
-      console.error('Error searching stories by tags:', err);
-      callback(err, []);
-    } else {
-      // Transform database rows to story format and filter out stories without URLs
-      const stories = rows
-        .map(row => ({
-          id: row.story_id,
-          title: row.title,
-          url: row.url,
-          points: row.points || 0,
-          comments: row.comments || 0,
-          tags: row.tags ? row.tags.split(',').map(t => t.trim()).filter(t => t) : [],
-          impression_count: row.impression_count || 0,
-          first_seen_at: row.first_seen_at
-        }))
-        .filter(story => story.url && story.url.trim()); // Filter out stories without valid URLs
+  if (!db || canonicalUrls.length === 0) {
+    callback(null, links.map(link => ({ ...link, discussions: [toDiscussion(link)] })));
+    return;
+  }
+  
+  repository.links.findByCanonicalUrls(canonicalUrls).then(siblings => {
+    const siblingsByUrl = new Map();
+    siblings.forEach(sibling => {
+      if (!siblingsByUrl.has(sibling.canonical_url)) siblingsByUrl.set(sibling.canonical_url, []);
+      siblingsByUrl.get(sibling.canonical_url).push(sibling);
+    });
+    
+    const groups = new Map();
+    links.forEach(link => {
+      const groupKey = link.canonical_url || `link:${link.id}`;
+      const existing = groups.get(groupKey);
       
-      callback(null, stories);
-    }
-  });
+      if (existing) {
+        ['total_clicks', 'article_clicks', 'engagements', 'times_appeared', 'engagement_count'].forEach(field => {
+          if (typeof link[field] === 'number') {
+            existing[field] = (existing[field] || 0) + link[field];
+          }
+        });
+        existing.viewed = existing.viewed || link.viewed;
+        return;
+      }
+      
+      const family = siblingsByUrl.get(link.canonical_url) || [link];
+      const tags = new Set();
+      family.forEach(member => {
+        (member.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => tags.add(tag));
+      });
+      
+      groups.set(groupKey, {
+        ...link,
+        tags: tags.size > 0 ? Array.from(tags).join(',') : link.tags,
+        summary: link.summary || (family.find(member => member.summary) || {}).summary || null,
+        discussions: family.map(toDiscussion).sort((a, b) => (b.points || 0) - (a.points || 0))
+      });
+    });
+    
+    return Array.from(groups.values());
+  }).then(grouped => callback(null, grouped), err => callback(err, links));
+}
+
+/**
+ * Describe a link as one discussion thread of its article
+ */
+function toDiscussion(link) {
+  return {
+    story_key: link.story_key,
+    source: link.source,
+    url: link.comments_url || link.url,
+    points: link.points || 0,
+    comments: link.comments || 0
+  };
 }
 
 function getDatabase() {
@@ -892,44 +628,22 @@ function clearAllData(callback) {
  * Clear all tags from the database
  */
 function clearAllTags(callback) {
-  if (!db) {
-    console.error('Database not initialized');
-    if (callback) callback(new Error('Database not initialized'));
-    return;
-  }
-
   console.log('🗑️ Clearing all tags from database...');
   
-  db.serialize(() => {
-    // Clear tags from stories table
-    db.run('UPDATE stories SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from stories:', err);
-      } else {
-        console.log('✅ Tags cleared from stories table');
-      }
-    });
-    
-    // Clear tags from links table
-    db.run('UPDATE links SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from links:', err);
-      } else {
-        console.log('✅ Tags cleared from links table');
-      }
+  const cleared = repository.tags.clearAll()
+    // Legacy copies of the tags
+    .then(() => repository.run('UPDATE stories SET tags = NULL'))
+    .then(() => repository.run('UPDATE clicks SET tags = NULL'))
+    // Every link is untagged again, so earlier attempts no longer apply
+    .then(() => repository.taggingJobs.clear())
+    .then(() => {
+      console.log('🎉 All tags cleared successfully');
+    }, err => {
+      console.error('Error clearing tags:', err);
+      throw err;
     });
-    
-    // Clear tags from clicks table
-    db.run('UPDATE clicks SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from clicks:', err);
-      } else {
-        console.log('✅ Tags cleared from clicks table');
-        console.log('🎉 All tags cleared successfully');
-        if (callback) callback();
-      }
-    });
-  });
+  
+  return withCallback(cleared, callback && (err => callback(err)));
 }
 
 module.exports = {
@@ -950,7 +664,14 @@ module.exports = {
   getStoryTags,
   removeTagFromStory,
   getAllUniqueTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  addTagAlias,
+  removeTagAlias,
+  getTagAliases,
   searchStoriesByTags,
+  groupLinksByArticle,
   saveArticle,
   getArticles,
   searchArticles,
@@ -0,0 +1,255 @@
+/**
+ * Offline keyword tagger
+ *
+ * Deterministic fallback used when no LLM provider is available. Tags come
+ * from title words and phrases, URL path segments, the site's domain and the
+ * subreddit, matched against a keyword → tag dictionary that can be extended
+ * with TAG_KEYWORDS.
+ */
+
+const MAX_TAGS = 6;
+
+/**
+ * Built-in keyword → tag dictionary. Keys are lowercase words or two-word phrases.
+ */
+const DEFAULT_KEYWORDS = {
+  // Languages
+  'javascript': 'javascript',
+  'js': 'javascript',
+  'node.js': 'nodejs',
+  'nodejs': 'nodejs',
+  'typescript': 'typescript',
+  'python': 'python',
+  'rust': 'rust',
+  'golang': 'go',
+  'java': 'java',
+  'kotlin': 'kotlin',
+  'swift': 'swift',
+  'c++': 'c++',
+  'ruby': 'ruby',
+  'rails': 'ruby',
+  'elixir': 'elixir',
+  'erlang': 'erlang',
+  'haskell': 'haskell',
+  'zig': 'zig',
+  'sql': 'databases',
+  'wasm': 'webassembly',
+  'webassembly': 'webassembly',
+
+  // Technology topics
+  'ai': 'ai',
+  'llm': 'ai',
+  'llms': 'ai',
+  'gpt': 'ai',
+  'chatgpt': 'ai',
+  'openai': 'ai',
+  'anthropic': 'ai',
+  'claude': 'ai',
+  'machine learning': 'machine learning',
+  'neural': 'machine learning',
+  'database': 'databases',
+  'databases': 'databases',
+  'postgres': 'databases',
+  'postgresql': 'databases',
+  'sqlite': 'databases',
+  'security': 'security',
+  'vulnerability': 'security',
+  'exploit': 'security',
+  'malware': 'security',
+  'breach': 'security',
+  'privacy': 'privacy',
+  'encryption': 'cryptography',
+  'crypto': 'cryptocurrency',
+  'bitcoin': 'cryptocurrency',
+  'linux': 'linux',
+  'kernel': 'operating systems',
+  'windows': 'windows',
+  'macos': 'macos',
+  'apple': 'apple',
+  'iphone': 'apple',
+  'google': 'google',
+  'microsoft': 'microsoft',
+  'android': 'android',
+  'docker': 'containers',
+  'kubernetes': 'kubernetes',
+  'k8s': 'kubernetes',
+  'aws': 'cloud',
+  'cloud': 'cloud',
+  'compiler': 'compilers',
+  'browser': 'web',
+  'css': 'web',
+  'html': 'web',
+  'react': 'react',
+  'open source': 'open source',
+  'startup': 'startups',
+  'startups': 'startups',
+  'programming': 'programming',
+  'hardware': 'hardware',
+  'chip': 'hardware',
+  'gpu': 'hardware',
+  'robot': 'robotics',
+  'robotics': 'robotics',
+
+  // General topics
+  'nasa': 'space',
+  'spacex': 'space',
+  'climate': 'climate',
+  'energy': 'energy',
+  'solar': 'energy',
+  'science': 'science',
+  'physics': 'physics',
+  'biology': 'biology',
+  'health': 'health',
+  'medical': 'health',
+  'cancer': 'health',
+  'economy': 'economics',
+  'inflation': 'economics',
+  'court': 'law',
+  'lawsuit': 'law',
+  'election': 'politics',
+  'congress': 'politics',
+  'game': 'gaming',
+  'games': 'gaming',
+  'gaming': 'gaming',
+  'movie': 'movies',
+  'film': 'movies',
+  'tv': 'television',
+  'music': 'music',
+  'history': 'history',
+  'book': 'books',
+  'books': 'books',
+  'career': 'careers',
+  'hiring': 'careers',
+  'remote work': 'careers'
+};
+
+/**
+ * Tags implied by the site an article is hosted on
+ */
+const DOMAIN_TAGS = {
+  'github.com': 'open source',
+  'gitlab.com': 'open source',
+  'arxiv.org': 'research',
+  'youtube.com': 'video',
+  'youtu.be': 'video',
+  'wikipedia.org': 'reference',
+  'medium.com': 'blog',
+  'substack.com': 'newsletter',
+  'nytimes.com': 'news',
+  'bbc.co.uk': 'news',
+  'bbc.com': 'news',
+  'reuters.com': 'news',
+  'apnews.com': 'news',
+  'theverge.com': 'technology',
+  'arstechnica.com': 'technology',
+  'nature.com': 'science',
+  'science.org': 'science'
+};
+
+/**
+ * Subreddits whose tag is not simply their lowercased name
+ */
+const SUBREDDIT_TAGS = {
+  'aitah': 'relationships',
+  'bestofredditorupdates': 'relationships',
+  'explainlikeimfive': 'explainers',
+  'askreddit': 'discussion',
+  'todayilearned': 'trivia'
+};
+
+/**
+ * The dictionary in use: built-in keywords plus TAG_KEYWORDS overrides
+ */
+function getKeywordMap() {
+  const { TAG_KEYWORDS } = require('./config');
+  return { ...DEFAULT_KEYWORDS, ...(TAG_KEYWORDS || {}) };
+}
+
+/**
+ * Split text into lowercase word tokens, keeping characters that are part of
+ * names such as "c++" and "node.js"
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token);
+}
+
+/**
+ * Tags for the words and two-word phrases of a piece of text
+ */
+function matchKeywords(text, keywords) {
+  const tokens = tokenize(text);
+  const matches = [];
+
+  tokens.forEach((token, index) => {
+    const phrase = index + 1 < tokens.length ? `${token} ${tokens[index + 1]}` : null;
+    if (phrase && keywords[phrase]) {
+      matches.push(keywords[phrase]);
+    }
+    if (keywords[token]) {
+      matches.push(keywords[token]);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find the subreddit from an explicit name or a /r/<name>/ URL
+ */
+function findSubreddit(subreddit, urls) {
+  if (subreddit) return String(subreddit).toLowerCase();
+
+  for (const url of urls) {
+    const match = String(url || '').match(/reddit\.com\/r\/([a-z0-9_]+)/i);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Suggest tags for a story without calling a model
+ * @param {Object} story - { title, url, source, subreddit, commentsUrl }
+ * @param {Object} [keywords] - keyword → tag dictionary, defaults to getKeywordMap()
+ * @returns {Array<string>} up to six tags, most specific first
+ */
+function suggestKeywordTags({ title, url, source, subreddit, commentsUrl } = {}, keywords = getKeywordMap()) {
+  const tags = [];
+  const add = (tag) => {
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  };
+
+  if (/^show hn\b/i.test(title || '') || source === 'hn/show') add('show hn');
+  if (/^ask hn\b/i.test(title || '') || source === 'hn/ask') add('ask hn');
+
+  matchKeywords(title, keywords).forEach(add);
+
+  let hostname = null;
+  try {
+    const parsed = new URL(url);
+    hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    if (!hostname.endsWith('reddit.com')) {
+      matchKeywords(decodeURIComponent(parsed.pathname).replace(/[-_/]+/g, ' '), keywords).forEach(add);
+    }
+  } catch (error) {
+    // No usable URL (self posts); title and source still apply
+  }
+
+  const domain = hostname && Object.keys(DOMAIN_TAGS).find(site => hostname === site || hostname.endsWith(`.${site}`));
+  if (domain) add(DOMAIN_TAGS[domain]);
+
+  const sub = findSubreddit(subreddit, [commentsUrl, url]);
+  if (sub) add(SUBREDDIT_TAGS[sub] || keywords[sub] || sub);
+
+  return tags.slice(0, MAX_TAGS);
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  getKeywordMap,
+  suggestKeywordTags,
+  findSubreddit
+};
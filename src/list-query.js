@@ -0,0 +1,275 @@
+/**
+ * Paging, sorting and filtering for the database browser's list endpoints
+ *
+ * Every list takes the same query parameters:
+ *   limit         - page size, 1 to 500
+ *   cursor        - next_cursor from the previous page
+ *   sort, order   - one of the list's sorts, asc or desc
+ *   source        - a source, or a family of them (hn matches hn/top, hn/best...)
+ *   tag           - a tag (with the tags below it), or a search query such as rust -crypto
+ *   domain        - the article's host, including subdomains
+ *   since, until  - a date (2024-05-01), a time (2024-05-01T12:00:00Z) or an age (24h, 7d, 4w);
+ *                   until a date includes that whole day
+ * and resolves with one page of rows, the number of matching rows and the
+ * cursor for the next page (null on the last page).
+ */
+
+const repository = require('./repository');
+const { parseTagQuery, parseFilter } = require('./tag-query');
+const { visibleTag } = require('./migrations/009_tag_confidence');
+
+const MAX_LIMIT = 500;
+const AGE_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Shuffled lists order ids by (id * seed) mod a prime; the seed travels in
+// the cursor so later pages continue the same shuffle. Ties in other sorts
+// are broken the same way.
+const SHUFFLE_MODULUS = 2147483647;
+
+// Link lists join each link's click statistics as cs; links never clicked have no row
+const LINK_FROM = 'links l LEFT JOIN link_click_stats cs ON cs.link_id = l.id';
+
+const LINK_SORTS = {
+  last_seen: { column: 'l.last_seen_at', order: 'desc' },
+  first_seen: { column: 'l.first_seen_at', order: 'desc' },
+  appearances: { column: 'l.times_appeared', order: 'desc' },
+  points: { column: 'l.points', order: 'desc' },
+  clicks: { column: 'COALESCE(cs.total_clicks, 0)', order: 'desc' },
+  last_clicked: { column: 'cs.last_article_click_at', order: 'desc' },
+  title: { column: 'l.title COLLATE NOCASE', order: 'asc' },
+  random: { column: null, order: 'asc' }
+};
+
+/**
+ * A list of links (aliased l) with their click counts (statistics aliased cs)
+ * @param {Object} [options] - { where, params, defaultSort, defaultOrder, defaultLimit, dateField },
+ *   dateField naming the sort whose column since/until filter on
+ */
+function linkList({
+  where = '1 = 1',
+  params = [],
+  defaultSort = 'last_seen',
+  defaultOrder,
+  defaultLimit = 100,
+  dateField = 'last_seen'
+} = {}) {
+  return {
+    select: `l.*,
+      COALESCE(cs.total_clicks, 0) as total_clicks,
+      COALESCE(cs.article_clicks, 0) as article_clicks,
+      COALESCE(cs.engage_clicks, 0) as engagements,
+      cs.last_article_click_at as last_clicked`,
+    from: LINK_FROM,
+    where,
+    params,
+    sorts: LINK_SORTS,
+    defaultSort,
+    defaultOrder: defaultOrder || LINK_SORTS[defaultSort].order,
+    defaultLimit,
+    dateColumn: LINK_SORTS[dateField].column,
+    idColumn: 'l.id'
+  };
+}
+
+/**
+ * The click history, newest first, with the clicked link aliased l
+ */
+const CLICK_LIST = {
+  select: `c.id,
+      c.story_id,
+      c.title,
+      c.url,
+      c.points,
+      c.comments,
+      c.clicked_at,
+      c.story_added_at,
+      c.archive_url,
+      c.tags,
+      s.url as story_url,
+      l.summary`,
+  from: `clicks c
+    LEFT JOIN stories s ON c.story_id = s.story_id
+    LEFT JOIN links l ON l.id = c.link_id`,
+  where: '1 = 1',
+  params: [],
+  sorts: {
+    clicked_at: { column: 'c.clicked_at', order: 'desc' },
+    points: { column: 'c.points', order: 'desc' },
+    title: { column: 'c.title COLLATE NOCASE', order: 'asc' },
+    random: { column: null, order: 'asc' }
+  },
+  defaultSort: 'clicked_at',
+  defaultOrder: 'desc',
+  defaultLimit: 100,
+  dateColumn: 'c.clicked_at',
+  idColumn: 'c.id'
+};
+
+/**
+ * Tags with the number of links carrying them, most used first. Filters apply
+ * to the tagged links (aliased l), so ?source=reddit counts Reddit's tags.
+ * Low-confidence tags waiting for review are left out, as on the links.
+ */
+const TAG_LIST = {
+  select: 't.tag, COUNT(*) as count',
+  from: 'tags t JOIN links l ON l.id = t.link_id',
+  groupBy: 't.tag',
+  where: visibleTag('t'),
+  params: [],
+  sorts: {
+    count: { column: 'COUNT(*)', order: 'desc' },
+    tag: { column: 't.tag', order: 'asc' },
+    random: { column: null, order: 'asc' }
+  },
+  defaultSort: 'count',
+  defaultOrder: 'desc',
+  defaultLimit: 100,
+  dateColumn: 'l.last_seen_at',
+  idColumn: 'MIN(t.id)'
+};
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Read a cursor back into { offset, seed }, or null if it is not one of ours
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset, seed } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isInteger(offset) && offset >= 0 && Number.isInteger(seed) && seed > 0 && seed < SHUFFLE_MODULUS) {
+      return { offset, seed };
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error
+  }
+  return null;
+}
+
+/**
+ * Turn a since/until value into a timestamp in SQLite's UTC format
+ * @returns {Object} { value } or { error }
+ */
+function parseTime(value, name) {
+  const text = String(value).trim();
+  const age = text.match(/^(\d+)\s*([hdw])$/i);
+  const time = age
+    ? new Date(Date.now() - parseInt(age[1], 10) * AGE_UNITS[age[2].toLowerCase()])
+    : /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) ? new Date(text) : null;
+
+  if (!time || Number.isNaN(time.getTime())) {
+    return { error: `"${name}" must be a date (2024-05-01), a time (2024-05-01T12:00:00Z) or an age such as 24h, 7d or 4w` };
+  }
+  // A plain date runs until the end of that day
+  if (name === 'until' && text.length === 10) {
+    time.setTime(time.getTime() + AGE_UNITS.d - 1000);
+  }
+  return { value: time.toISOString().slice(0, 19).replace('T', ' ') };
+}
+
+/**
+ * Check a request's list parameters against a list
+ * @returns {Object} { where, params, orderBy, orderParams, limit, offset, seed }, or { error }
+ */
+function parseListQuery(query, list) {
+  const input = query || {};
+
+  const limit = input.limit === undefined || input.limit === '' ? list.defaultLimit : Number(input.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `"limit" must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  const sortName = input.sort || list.defaultSort;
+  const sort = Object.prototype.hasOwnProperty.call(list.sorts, sortName) ? list.sorts[sortName] : null;
+  if (!sort) {
+    return { error: `"sort" must be one of: ${Object.keys(list.sorts).join(', ')}` };
+  }
+
+  const order = String(input.order || (sortName === list.defaultSort ? list.defaultOrder : sort.order)).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: '"order" must be asc or desc' };
+  }
+
+  let position = { offset: 0, seed: 1 + Math.floor(Math.random() * (SHUFFLE_MODULUS - 2)) };
+  if (input.cursor) {
+    position = decodeCursor(input.cursor);
+    if (!position) {
+      return { error: '"cursor" is not valid; use next_cursor from the previous page' };
+    }
+  }
+
+  const conditions = [`(${list.where})`];
+  const params = [...list.params];
+  const filters = [];
+
+  ['source', 'domain'].forEach(field => {
+    if (input[field]) filters.push([field, parseFilter(field, input[field])]);
+  });
+  if (input.tag) {
+    filters.push(['tag', parseTagQuery(String(input.tag), { includeDescendants: input.descendants !== 'false' })]);
+  }
+  ['since', 'until'].forEach(name => {
+    if (!input[name]) return;
+    const time = parseTime(input[name], name);
+    filters.push([name, time.error ? time : { where: `${list.dateColumn} ${name === 'since' ? '>=' : '<='} ?`, params: [time.value] }]);
+  });
+
+  for (const [name, filter] of filters) {
+    if (filter.error) {
+      return { error: filter.error.startsWith(`"${name}"`) ? filter.error : `"${name}": ${filter.error}` };
+    }
+    conditions.push(`(${filter.where})`);
+    params.push(...filter.params);
+  }
+
+  const shuffle = `((${list.idColumn} * ?) % ${SHUFFLE_MODULUS})`;
+  return {
+    where: conditions.join(' AND '),
+    params,
+    orderBy: sort.column ? `${sort.column} ${order.toUpperCase()}, ${shuffle}` : shuffle,
+    orderParams: [position.seed],
+    limit,
+    offset: position.offset,
+    seed: position.seed
+  };
+}
+
+/**
+ * Fetch one page of a list for a request's query parameters
+ * @param {Object} list - linkList(...), CLICK_LIST or TAG_LIST
+ * @returns {Promise<Object>} { rows, total, limit, next_cursor }, or { error } for invalid parameters
+ */
+async function listPage(list, query) {
+  const parsed = parseListQuery(query, list);
+  if (parsed.error) return parsed;
+
+  const { where, params, orderBy, orderParams, limit, offset, seed } = parsed;
+  const groupBy = list.groupBy ? `GROUP BY ${list.groupBy}` : '';
+  const [rows, count] = await Promise.all([
+    repository.all(`SELECT ${list.select}
+      FROM ${list.from}
+      WHERE ${where}
+      ${groupBy}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?`, [...params, ...orderParams, limit, offset]),
+    repository.get(`SELECT COUNT(*) as total FROM (SELECT 1 FROM ${list.from} WHERE ${where} ${groupBy})`, params)
+  ]);
+
+  const nextOffset = offset + rows.length;
+  return {
+    rows,
+    total: count.total,
+    limit,
+    next_cursor: rows.length === limit && nextOffset < count.total ? encodeCursor({ offset: nextOffset, seed }) : null
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  CLICK_LIST,
+  TAG_LIST,
+  linkList,
+  parseListQuery,
+  listPage
+};
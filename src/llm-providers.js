@@ -0,0 +1,249 @@
+/**
+ * LLM providers for tag generation
+ *
+ * Each provider exposes { name, isAvailable(), complete(prompt, options) } and
+ * is chosen by the LLM_PROVIDER setting:
+ *   anthropic - Anthropic Messages API, authenticated with ANTHROPIC_API_KEY
+ *   openai    - any OpenAI-compatible chat completions endpoint (Ollama,
+ *               LM Studio, llama.cpp server...) at LLM_BASE_URL
+ *   cli       - the `claude` command line tool (LLM_CLI_COMMAND)
+ *   none      - disable LLM tagging
+ */
+
+const axios = require('axios');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 400;
+const MAX_CLI_OUTPUT = 1024 * 1024; // 1MB
+
+/**
+ * Anthropic Messages API provider
+ */
+function createAnthropicProvider(options) {
+  const baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+
+  return {
+    name: 'anthropic',
+    model: options.model,
+
+    async isAvailable() {
+      return !!options.apiKey;
+    },
+
+    async complete(prompt, { maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+      if (!options.apiKey) {
+        throw new Error('ANTHROPIC_API_KEY is not set');
+      }
+
+      const response = await axios.post(`${baseUrl}/v1/messages`, {
+        model: options.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        timeout: options.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': options.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        }
+      });
+
+      const text = (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      if (!text) {
+        throw new Error('Empty response from Anthropic API');
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions provider
+ */
+function createOpenAIProvider(options) {
+  const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    model: options.model,
+
+    async isAvailable() {
+      return !!baseUrl;
+    },
+
+    async complete(prompt, { maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+      if (!baseUrl) {
+        throw new Error('LLM_BASE_URL is not set');
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (options.apiKey) {
+        headers.Authorization = `Bearer ${options.apiKey}`;
+      }
+
+      const response = await axios.post(`${baseUrl}/chat/completions`, {
+        model: options.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        timeout: options.timeout,
+        headers
+      });
+
+      const choice = (response.data.choices || [])[0];
+      const text = choice && choice.message ? choice.message.content : null;
+
+      if (!text) {
+        throw new Error('Empty response from LLM endpoint');
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * Claude CLI provider. The command is spawned without a shell and the prompt
+ * is written to its stdin, so nothing in a story title is ever interpreted
+ * as shell syntax.
+ */
+function createCliProvider(options) {
+  const command = options.command || 'claude';
+  const args = options.args || ['--print', '--output-format=text'];
+  const timeout = options.timeout || 30000;
+  const maxOutput = options.maxOutput || MAX_CLI_OUTPUT;
+
+  return {
+    name: 'claude-cli',
+    model: null,
+
+    isAvailable() {
+      const { execFile } = require('child_process');
+      return new Promise((resolve) => {
+        execFile('which', [command], (error) => resolve(!error));
+      });
+    },
+
+    complete(prompt) {
+      const { spawn } = require('child_process');
+
+      return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        let failure = null;
+
+        const fail = (error) => {
+          if (!failure) {
+            failure = error;
+            child.kill('SIGKILL');
+          }
+        };
+
+        const timer = setTimeout(() => fail(new Error(`${command} timed out after ${timeout}ms`)), timeout);
+
+        child.stdout.on('data', (chunk) => {
+          stdout += chunk;
+          if (stdout.length > maxOutput) {
+            fail(new Error(`${command} output exceeded ${maxOutput} bytes`));
+          }
+        });
+        child.stderr.on('data', (chunk) => {
+          stderr = (stderr + chunk).slice(-maxOutput);
+        });
+
+        child.on('error', (error) => {
+          // Spawning failed (e.g. the command does not exist), so close may never fire
+          clearTimeout(timer);
+          reject(failure || error);
+        });
+        child.on('close', (code) => {
+          clearTimeout(timer);
+          if (failure) {
+            reject(failure);
+          } else if (code !== 0) {
+            reject(new Error(`${command} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+          } else {
+            resolve(stdout);
+          }
+        });
+
+        // The command may exit before reading all of stdin; that surfaces through close
+        child.stdin.on('error', () => {});
+        child.stdin.end(prompt);
+      });
+    }
+  };
+}
+
+/**
+ * Provider used when LLM tagging is turned off
+ */
+function createDisabledProvider() {
+  return {
+    name: 'none',
+    model: null,
+
+    async isAvailable() {
+      return false;
+    },
+
+    async complete() {
+      throw new Error('LLM tagging is disabled');
+    }
+  };
+}
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  cli: createCliProvider,
+  none: createDisabledProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - One of anthropic, openai, cli, none
+ * @param {Object} options - { apiKey, baseUrl, model, command, timeout }
+ */
+function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Create the provider selected in the configuration
+ */
+function getConfiguredProvider() {
+  const config = require('./config');
+  const name = config.LLM_PROVIDER;
+
+  const options = {
+    anthropic: {
+      apiKey: config.ANTHROPIC_API_KEY,
+      baseUrl: config.ANTHROPIC_BASE_URL,
+      model: config.ANTHROPIC_MODEL
+    },
+    openai: {
+      apiKey: config.LLM_API_KEY,
+      baseUrl: config.LLM_BASE_URL,
+      model: config.LLM_MODEL
+    },
+    cli: {
+      command: config.LLM_CLI_COMMAND
+    }
+  }[name] || {};
+
+  return createProvider(name, { ...options, timeout: config.LLM_TIMEOUT });
+}
+
+module.exports = {
+  createProvider,
+  getConfiguredProvider
+};
@@ -4,7 +4,9 @@
 
 const { Tray, Menu, shell } = require('electron');
 const path = require('path');
-const { fetchHNStories, fetchRedditStories, fetchPinboardPopular } = require('./api-sources');
+const { getSource, getSources } = require('./api-sources');
+const { getStoryKey } = require('./story-identity');
+const { canonicalizeUrl } = require('./url-utils');
 const { 
   trackStoryAppearance, 
   trackLinkAppearance,
@@ -22,8 +24,10 @@ const {
   saveArchiveUrl,
   searchStoriesByTags
 } = require('./database');
-const { promptForCustomTag, showArticleLibrary, promptForTagSearch, showDatabaseBrowser, showArticleBrowser } = require('./ui');
+const { promptForCustomTag, showArticleLibrary, promptForTagSearch, showDatabaseBrowser, showArticleBrowser, showTagManager, showTagRulesEditor } = require('./ui');
 const { showTagSuggestionWindow, generateTagSuggestions } = require('./claude-integration');
+const { getArticleExcerpt } = require('./content-extractor');
+const { TAG_FROM_CONTENT } = require('./config');
 
 let tray = null;
 let currentSearchQuery = '';
@@ -31,10 +35,11 @@ let currentSearchQuery = '';
 /**
  * Automatically generate and apply AI tags for a story
  */
-async function autoGenerateAndApplyTags(storyId, title, url, source) {
+async function autoGenerateAndApplyTags(storyKey, title, url, source, context = {}) {
   try {
     console.log(`🤖 Auto-generating tags for: ${title}`);
-    const result = await generateTagSuggestions(title, url);
+    const excerpt = TAG_FROM_CONTENT ? await getArticleExcerpt({ url, title }) : null;
+    const result = await generateTagSuggestions(title, url, { ...context, source, excerpt });
     
     if (result.success && result.tags.length > 0) {
       // Apply all suggested tags automatically in one operation
@@ -46,12 +51,12 @@ async function autoGenerateAndApplyTags(storyId, title, url, source) {
       });
       
       // Add all tags at once to avoid race conditions
-      addMultipleTagsToStory(storyId, result.tags);
+      addMultipleTagsToStory(storyKey, result.suggestions || result.tags, result.origin || 'ai');
       
       // Track engagement for AI tagging
-      trackEngagement(storyId, source);
+      trackEngagement(storyKey, source);
       
-      console.log(`✅ Auto-applied ${result.tags.length} AI tags [${result.source}]: ${result.tags.join(', ')}`);
+      console.log(`✅ Auto-applied ${result.tags.length} tags [${result.source}]: ${result.tags.join(', ')}`);
       
       // Refresh menu to show new tags
       setTimeout(updateMenu, 100);
@@ -63,6 +68,124 @@ async function autoGenerateAndApplyTags(storyId, title, url, source) {
   }
 }
 
+/**
+ * Archive an article and open it together with its discussion.
+ * Tabs open in order: archive submission, archive copy, comments, article
+ * (last, so it becomes the active tab).
+ */
+function openWithArchive(storyKey, articleUrl, commentsUrl, source) {
+  const archiveSubmissionUrl = generateArchiveSubmissionUrl(articleUrl);
+  const archiveDirectUrl = generateArchiveDirectUrl(articleUrl);
+  
+  // Save archive URLs to database
+  saveArchiveUrl(storyKey, articleUrl, archiveDirectUrl, source);
+  
+  const urls = [archiveSubmissionUrl, archiveDirectUrl];
+  if (commentsUrl && commentsUrl !== articleUrl) {
+    urls.push(commentsUrl);
+  }
+  urls.push(articleUrl);
+  
+  urls.forEach((url, index) => {
+    setTimeout(() => {
+      shell.openExternal(url);
+    }, index * 200);
+  });
+}
+
+/**
+ * Open a story using its source's open behavior and track the click
+ */
+function openStory(story, source) {
+  console.log(`${source.label} story clicked:`, story.title);
+  const articleUrl = source.articleUrl(story);
+  const commentsUrl = source.commentsUrl(story);
+  const storyKey = getStoryKey({ ...story, url: story.url || commentsUrl }, source.id);
+  trackArticleClick(storyKey, source.id);
+  
+  // Auto-generate and apply AI tags when link is clicked
+  autoGenerateAndApplyTags(storyKey, story.title, articleUrl, source.id, { subreddit: story.subreddit, commentsUrl });
+  
+  if (articleUrl) {
+    openWithArchive(storyKey, articleUrl, commentsUrl, source.id);
+  } else if (commentsUrl) {
+    // Self post: just open the discussion
+    console.log(`${source.label} self post, opening discussion:`, commentsUrl);
+    shell.openExternal(commentsUrl);
+  }
+}
+
+/**
+ * Create a menu item for a story using its source's open behavior
+ */
+function createStoryItem(story, source) {
+  return {
+    label: `${source.icon} ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
+    click: () => openStory(story, source)
+  };
+}
+
+/**
+ * Create a menu item for an article posted on several sources, with a
+ * submenu to open the article or any of its discussion threads
+ */
+function createArticleItem({ story, source, discussions }) {
+  const icons = discussions.map(discussion => discussion.source.icon).join('');
+  
+  return {
+    label: `${icons} ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
+    submenu: [
+      {
+        label: '📖 Open Article',
+        click: () => openStory(story, source)
+      },
+      { type: 'separator' },
+      ...discussions.map(({ story: discussionStory, source: discussionSource }) => {
+        const commentsUrl = discussionSource.commentsUrl(discussionStory);
+        return {
+          label: `${discussionSource.icon} ${discussionSource.label} (${discussionStory.points || 0} points, ${discussionStory.comments || 0} comments)`,
+          enabled: Boolean(commentsUrl),
+          click: () => {
+            const storyKey = getStoryKey({ ...discussionStory, url: discussionStory.url || commentsUrl }, discussionSource.id);
+            trackCommentsClick(storyKey, discussionSource.id);
+            shell.openExternal(commentsUrl);
+          }
+        };
+      })
+    ]
+  };
+}
+
+/**
+ * Collapse stories that link to the same article into the first section
+ * showing it; later copies become extra discussions of that menu item
+ */
+function groupSectionsByArticle(sections) {
+  const entriesByUrl = new Map();
+  
+  return sections.map(({ source, stories }) => {
+    const entries = [];
+    
+    stories.forEach(story => {
+      const canonicalUrl = canonicalizeUrl(source.articleUrl(story));
+      const discussion = { story, source };
+      
+      if (canonicalUrl && entriesByUrl.has(canonicalUrl)) {
+        entriesByUrl.get(canonicalUrl).discussions.push(discussion);
+        return;
+      }
+      
+      const entry = { story, source, discussions: [discussion] };
+      if (canonicalUrl) {
+        entriesByUrl.set(canonicalUrl, entry);
+      }
+      entries.push(entry);
+    });
+    
+    return { source, entries };
+  });
+}
+
 /**
  * Create menu items for search results
  */
@@ -85,42 +208,15 @@ function createSearchResultItems(searchResults) {
         return;
       }
       
-      const archiveSubmissionUrl = generateArchiveSubmissionUrl(story.url);
-      const archiveDirectUrl = generateArchiveDirectUrl(story.url);
-      // For search results, comments URL might be stored or generated
-      let commentsUrl = story.comments_url;
-      if (!commentsUrl && story.url.includes('reddit.com')) {
-        commentsUrl = story.url;
-      } else if (!commentsUrl && typeof story.id === 'number') {
-        commentsUrl = `https://news.ycombinator.com/item?id=${story.id}`;
-      }
-      trackArticleClick(story.id, 'search');
+      // Use the stored discussion URL, else let the story's own source build it
+      const source = getSource(story.source);
+      const commentsUrl = story.comments_url || (source ? source.commentsUrl(story) : null);
+      trackArticleClick(story.story_key, story.source);
       
       // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, story.url, 'search');
-      
-      // Save archive URLs to database
-      saveArchiveUrl(story.id, story.url, archiveDirectUrl, 'search');
+      autoGenerateAndApplyTags(story.story_key, story.title, story.url, story.source);
       
-      // 1. Open archive.ph submission URL (triggers archiving)
-      shell.openExternal(archiveSubmissionUrl);
-      
-      // 2. Open direct archive.ph link
-      setTimeout(() => {
-        shell.openExternal(archiveDirectUrl);
-      }, 200);
-      
-      // 3. Open comments if available
-      if (commentsUrl && commentsUrl !== story.url) {
-        setTimeout(() => {
-          shell.openExternal(commentsUrl);
-        }, 400);
-      }
-      
-      // 4. Open the original article LAST (becomes active tab)
-      setTimeout(() => {
-        shell.openExternal(story.url);
-      }, 600);
+      openWithArchive(story.story_key, story.url, commentsUrl, story.source);
     }
   }));
 }
@@ -241,31 +337,41 @@ async function updateMenu() {
     });
   });
   
-  const allStories = await fetchHNStories();
-  const allRedditStories = await fetchRedditStories();
-  const allPinboardStories = await fetchPinboardPopular();
+  const sources = getSources();
+  const fetched = await Promise.all(sources.map(source =>
+    Promise.resolve()
+      .then(() => source.fetch())
+      .catch(error => {
+        console.error(`Error fetching ${source.label} stories:`, error);
+        return [];
+      })
+  ));
   
   // Story distribution optimized for menu length
-  const stories = allStories.slice(0, 13); // Top 13 HN stories
-  const redditStories = allRedditStories.slice(0, 15); // Top 15 Reddit stories
-  const pinboardStories = allPinboardStories.slice(0, 12); // Top 12 Pinboard stories
+  const sections = sources.map((source, index) => ({
+    source,
+    stories: fetched[index].slice(0, source.menuLimit)
+  }));
   
-  console.log('Limited stories for menu:', stories.length, 'HN,', redditStories.length, 'Reddit,', pinboardStories.length, 'Pinboard');
-  console.log('Total fetched:', allStories.length, 'HN,', allRedditStories.length, 'Reddit,', allPinboardStories.length, 'Pinboard');
+  console.log('Limited stories for menu:', sections.map(({ source, stories }) => `${stories.length} ${source.label}`).join(', '));
+  console.log('Total fetched:', sources.map((source, index) => `${fetched[index].length} ${source.label}`).join(', '));
   
   // Track all stories appearing in the menu with their specific sources
-  stories.forEach(story => trackLinkAppearance(story, 'hn'));
-  redditStories.forEach(story => trackLinkAppearance(story, 'reddit'));
-  pinboardStories.forEach(story => trackLinkAppearance(story, 'pinboard'));
+  sections.forEach(({ source, stories }) => {
+    stories.forEach(story => trackLinkAppearance(story, source.id));
+  });
   
   const menuTemplate = [];
 
   // If there's an active search, show search results first
   if (currentSearchQuery && currentSearchQuery.trim()) {
+    let searchError = null;
     const searchResults = await new Promise((resolve) => {
-      searchStoriesByTags(currentSearchQuery, (err, results) => {
+      // Searching for a tag also finds stories tagged with anything below it
+      searchStoriesByTags(currentSearchQuery, { includeDescendants: true }, (err, results) => {
         if (err) {
-          console.error('Search error:', err);
+          console.error('Search error:', err.message);
+          searchError = err;
           resolve([]);
         } else {
           resolve(results);
@@ -280,6 +386,7 @@ async function updateMenu() {
         label: `━━━ SEARCH: "${currentSearchQuery}" (${limitedSearchResults.length}/${searchResults.length}) ━━━`,
         enabled: false
       },
+      ...(searchError ? [{ label: `⚠️ ${searchError.message}`, enabled: false }] : []),
       { type: 'separator' }
     );
 
@@ -299,128 +406,14 @@ async function updateMenu() {
     );
   }
 
-  
-  const storyItems = stories.map((story, index) => {
-    console.log(`Creating HN story item ${index}:`, story.title);
-    return {
-      label: `🟠 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-      click: () => {
-        console.log('HN story clicked:', story.title);
-        const hnDiscussionUrl = `https://news.ycombinator.com/item?id=${story.id}`;
-        trackArticleClick(story.id, 'hn');
-        
-        // Auto-generate and apply AI tags when link is clicked
-        autoGenerateAndApplyTags(story.id, story.title, story.url, 'hn');
-        
-        if (story.url) {
-          // External link: Open archive + discussion + article (in that order)
-          const articleUrl = story.url;
-          console.log('HN story URL:', articleUrl);
-          
-          const archiveSubmissionUrl = generateArchiveSubmissionUrl(articleUrl);
-          const archiveDirectUrl = generateArchiveDirectUrl(articleUrl);
-          
-          // Save archive URLs to database
-          saveArchiveUrl(story.id, articleUrl, archiveDirectUrl, 'hn');
-          
-          // 1. Open archive.ph submission URL (triggers archiving)
-          shell.openExternal(archiveSubmissionUrl);
-          
-          // 2. Open direct archive.ph link
-          setTimeout(() => {
-            shell.openExternal(archiveDirectUrl);
-          }, 200);
-          
-          // 3. Open HN discussion
-          setTimeout(() => {
-            shell.openExternal(hnDiscussionUrl);
-          }, 400);
-          
-          // 4. Open the original article LAST (becomes active tab)
-          setTimeout(() => {
-            shell.openExternal(articleUrl);
-          }, 600);
-        } else {
-          // Self post: Just open HN discussion
-          console.log('HN self post, opening discussion:', hnDiscussionUrl);
-          shell.openExternal(hnDiscussionUrl);
-        }
-      }
-    };
-  });
-  
-  menuTemplate.push(...storyItems);
-  
-  const redditStoryItems = redditStories.map(story => ({
-    label: `👽 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-    click: () => {
-      console.log('Reddit story clicked:', story.title);
-      // For Reddit: open archive + actual content + Reddit discussion (in that order)
-      const targetUrl = story.is_self ? story.url : story.actual_url;
-      const redditCommentsUrl = story.url; // Reddit discussion URL
-      const archiveSubmissionUrl = generateArchiveSubmissionUrl(targetUrl);
-      const archiveDirectUrl = generateArchiveDirectUrl(targetUrl);
-      trackArticleClick(story.id, 'reddit');
-      
-      // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, targetUrl, 'reddit');
-      
-      // Save archive URLs to database
-      saveArchiveUrl(story.id, targetUrl, archiveDirectUrl, 'reddit');
-      
-      // 1. Open archive.ph submission URL (triggers archiving)
-      shell.openExternal(archiveSubmissionUrl);
-      
-      // 2. Open direct archive.ph link
-      setTimeout(() => {
-        shell.openExternal(archiveDirectUrl);
-      }, 200);
-      
-      // 3. Open Reddit discussion page
-      setTimeout(() => {
-        shell.openExternal(story.url); // This is always the Reddit discussion URL
-      }, 400);
-      
-      // 4. Open the actual article content LAST (becomes active tab)
-      setTimeout(() => {
-        shell.openExternal(targetUrl);
-      }, 600);
+  groupSectionsByArticle(sections).forEach(({ source, entries }) => {
+    if (source.menuHeader && entries.length > 0) {
+      menuTemplate.push({ label: source.menuHeader, enabled: false });
     }
-  }));
-  
-  menuTemplate.push(...redditStoryItems);
-  
-  const pinboardStoryItems = pinboardStories.map(story => ({
-    label: `📌 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-    click: () => {
-      console.log('Pinboard story clicked:', story.title);
-      // For Pinboard: open archive + article (no discussion)
-      const archiveSubmissionUrl = generateArchiveSubmissionUrl(story.url);
-      const archiveDirectUrl = generateArchiveDirectUrl(story.url);
-      trackArticleClick(story.id, 'pinboard');
-      
-      // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, story.url, 'pinboard');
-      
-      // Save archive URLs to database
-      saveArchiveUrl(story.id, story.url, archiveDirectUrl, 'pinboard');
-      
-      // 1. Open archive.ph submission URL (triggers archiving)
-      shell.openExternal(archiveSubmissionUrl);
-      
-      // 2. Open direct archive.ph link
-      setTimeout(() => {
-        shell.openExternal(archiveDirectUrl);
-      }, 200);
-      
-      // 3. Open the original article LAST (becomes active tab)
-      setTimeout(() => {
-        shell.openExternal(story.url);
-      }, 400);
-    }
-  }));
-  
-  menuTemplate.push(...pinboardStoryItems);
+    menuTemplate.push(...entries.map(entry => entry.discussions.length > 1 ?
+      createArticleItem(entry) :
+      createStoryItem(entry.story, entry.source)));
+  });
   
   menuTemplate.push(
     { type: 'separator' },
@@ -438,6 +431,18 @@ async function updateMenu() {
           updateMenu(); // Refresh menu with search results
         });
       }
+    },
+    {
+      label: '🏷️ Tag Manager',
+      click: () => {
+        showTagManager();
+      }
+    },
+    {
+      label: '📏 Tagging Rules',
+      click: () => {
+        showTagRulesEditor();
+      }
     }
   );
 
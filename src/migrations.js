@@ -0,0 +1,197 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in src/migrations as NNN_name.js files and are listed in
+ * order in src/migrations/index.js. Each exports { version, name, up(db, callback) }.
+ * Pending migrations are applied once, in version order, each inside its own
+ * transaction, and recorded in the schema_version table.
+ */
+
+/**
+ * Run SQL statements one after another, stopping at the first error.
+ * Each statement is either a SQL string or a [sql, params] pair.
+ */
+function runStatements(db, statements, callback) {
+  let index = 0;
+
+  const next = (err) => {
+    if (err || index >= statements.length) {
+      callback(err || null);
+      return;
+    }
+    const statement = statements[index++];
+    const [sql, params = []] = Array.isArray(statement) ? statement : [statement];
+    db.run(sql, params, next);
+  };
+
+  next();
+}
+
+/**
+ * Add a column unless the table already has it
+ */
+function addColumnIfMissing(db, table, column, definition, callback) {
+  db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if ((columns || []).some(existing => existing.name === column)) {
+      callback(null);
+      return;
+    }
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], callback);
+  });
+}
+
+/**
+ * Add several columns to a table, skipping the ones it already has
+ * @param {Array<Array<string>>} columns - [column, definition] pairs
+ */
+function addColumnsIfMissing(db, table, columns, callback) {
+  let index = 0;
+
+  const next = (err) => {
+    if (err || index >= columns.length) {
+      callback(err || null);
+      return;
+    }
+    const [column, definition] = columns[index++];
+    addColumnIfMissing(db, table, column, definition, next);
+  };
+
+  next();
+}
+
+/**
+ * Apply one migration inside a transaction and record it in schema_version
+ */
+function applyMigration(db, migration, callback) {
+  const rollback = (err) => {
+    db.run('ROLLBACK', [], () => callback(err));
+  };
+
+  db.run('BEGIN TRANSACTION', [], (beginErr) => {
+    if (beginErr) {
+      callback(beginErr);
+      return;
+    }
+
+    const recordAndCommit = (upErr) => {
+      if (upErr) {
+        rollback(upErr);
+        return;
+      }
+      db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name], (insertErr) => {
+        if (insertErr) {
+          rollback(insertErr);
+          return;
+        }
+        db.run('COMMIT', [], (commitErr) => {
+          if (commitErr) {
+            rollback(commitErr);
+          } else {
+            callback(null);
+          }
+        });
+      });
+    };
+
+    try {
+      migration.up(db, recordAndCommit);
+    } catch (error) {
+      rollback(error);
+    }
+  });
+}
+
+/**
+ * Format a migration as it appears in logs and reports, e.g. "005_story_keys"
+ */
+function describeMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} db - sqlite3 database
+ * @param {Array<Object>} [migrations] - Migrations to consider, defaults to src/migrations
+ * @param {Function} callback - Called with (err, report); report lists the applied
+ *   migrations and the resulting schema version
+ */
+function runMigrations(db, migrations, callback) {
+  if (typeof migrations === 'function') {
+    callback = migrations;
+    migrations = require('./migrations/index');
+  }
+
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const report = { applied: [], version: 0 };
+
+  const duplicate = ordered.find((migration, index) => index > 0 && ordered[index - 1].version === migration.version);
+  if (duplicate) {
+    callback(new Error(`Duplicate migration version ${duplicate.version}`), report);
+    return;
+  }
+
+  db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, [], (createErr) => {
+    if (createErr) {
+      callback(createErr, report);
+      return;
+    }
+
+    db.all('SELECT version FROM schema_version', [], (selectErr, rows) => {
+      if (selectErr) {
+        callback(selectErr, report);
+        return;
+      }
+
+      const appliedVersions = new Set((rows || []).map(row => row.version));
+      const pending = ordered.filter(migration => !appliedVersions.has(migration.version));
+      report.version = Array.from(appliedVersions)
+        .filter(Number.isInteger)
+        .reduce((latest, version) => Math.max(latest, version), 0);
+
+      let index = 0;
+      const next = (err) => {
+        if (err) {
+          const failed = pending[index - 1];
+          console.error(`❌ Migration ${describeMigration(failed)} failed, rolled back:`, err.message);
+          callback(err, report);
+          return;
+        }
+
+        if (index >= pending.length) {
+          if (report.applied.length > 0) {
+            console.log(`🗄️ Applied migrations: ${report.applied.map(describeMigration).join(', ')}`);
+          }
+          console.log(`🗄️ Database schema at version ${report.version}`);
+          callback(null, report);
+          return;
+        }
+
+        const migration = pending[index++];
+        applyMigration(db, migration, (applyErr) => {
+          if (!applyErr) {
+            report.applied.push({ version: migration.version, name: migration.name });
+            report.version = Math.max(report.version, migration.version);
+          }
+          next(applyErr);
+        });
+      };
+
+      next();
+    });
+  });
+}
+
+module.exports = {
+  runMigrations,
+  runStatements,
+  addColumnIfMissing,
+  addColumnsIfMissing
+};
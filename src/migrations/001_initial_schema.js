@@ -0,0 +1,129 @@
+/**
+ * Initial schema: clicks, links, stories, tags and saved articles with full-text search.
+ * Uses IF NOT EXISTS throughout so databases created before migrations existed
+ * are adopted as-is.
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+  up(db, callback) {
+    runStatements(db, [
+      // Legacy clicks table (keeping existing structure for migration)
+      `CREATE TABLE IF NOT EXISTS clicks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        story_added_at DATETIME,
+        clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      
+      // Links table for tracking story appearances and engagement
+      `CREATE TABLE IF NOT EXISTS links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        comments_url TEXT,
+        source TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        viewed BOOLEAN DEFAULT FALSE,
+        viewed_at DATETIME,
+        engaged BOOLEAN DEFAULT FALSE,
+        engaged_at DATETIME,
+        engagement_count INTEGER DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        times_appeared INTEGER DEFAULT 1,
+        archive_url TEXT,
+        tags TEXT
+      )`,
+      
+      // Main stories table (consolidated from old links table)
+      `CREATE TABLE IF NOT EXISTS stories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        comments_url TEXT,
+        source TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        viewed BOOLEAN DEFAULT FALSE,
+        viewed_at DATETIME,
+        engaged BOOLEAN DEFAULT FALSE,
+        engaged_at DATETIME,
+        engagement_count INTEGER DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        times_appeared INTEGER DEFAULT 1,
+        archive_url TEXT
+      )`,
+      
+      // Normalized tags table
+      `CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (story_id) REFERENCES stories(id),
+        UNIQUE(story_id, tag)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tags_story_id ON tags(story_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag)`,
+      
+      // Articles table for saved content
+      `CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        domain TEXT,
+        click_count INTEGER DEFAULT 0,
+        author TEXT,
+        publish_date TEXT,
+        content TEXT,
+        text_content TEXT,
+        word_count INTEGER,
+        reading_time INTEGER,
+        saved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_clicked_at DATETIME,
+        tags TEXT,
+        notes TEXT,
+        archive_path TEXT,
+        archive_date DATETIME,
+        file_size INTEGER,
+        description TEXT
+      )`,
+      
+      // Full-text search table for articles, kept in sync by triggers
+      `CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+        title,
+        author,
+        text_content,
+        tags,
+        content='articles',
+        content_rowid='id'
+      )`,
+      `CREATE TRIGGER IF NOT EXISTS articles_ai AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
+        VALUES (new.id, new.title, new.author, new.text_content, new.tags);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS articles_ad AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
+        VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS articles_au AFTER UPDATE ON articles BEGIN
+        INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
+        VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
+        INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
+        VALUES (new.id, new.title, new.author, new.text_content, new.tags);
+      END`
+    ], callback);
+  }
+};
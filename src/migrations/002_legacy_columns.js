@@ -0,0 +1,32 @@
+/**
+ * Columns added to clicks and articles after their tables were first created
+ */
+
+const { addColumnsIfMissing } = require('../migrations');
+
+module.exports = {
+  version: 2,
+  name: 'legacy_columns',
+  up(db, callback) {
+    addColumnsIfMissing(db, 'clicks', [
+      ['points', 'INTEGER'],
+      ['comments', 'INTEGER'],
+      ['story_added_at', 'DATETIME'],
+      ['archive_url', 'TEXT'],
+      ['tags', 'TEXT'],
+      ['comments_url', 'TEXT'],
+      ['link_id', 'INTEGER'],
+      ['click_type', 'TEXT']
+    ], (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      addColumnsIfMissing(db, 'articles', [
+        ['domain', 'TEXT'],
+        ['click_count', 'INTEGER DEFAULT 0'],
+        ['last_clicked_at', 'DATETIME']
+      ], callback);
+    });
+  }
+};
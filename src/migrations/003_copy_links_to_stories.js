@@ -0,0 +1,49 @@
+/**
+ * One-time copy of links into the stories table, and of comma-separated
+ * story tags into the tags table for databases old enough to have them.
+ * This used to run on every boot.
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 3,
+  name: 'copy_links_to_stories',
+  up(db, callback) {
+    runStatements(db, [
+      `INSERT INTO stories (story_id, title, url, comments_url, source, points, comments, 
+        viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared)
+        SELECT story_id, title, url, comments_url, source, points, comments, 
+        viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared
+        FROM links
+        WHERE NOT EXISTS (SELECT 1 FROM stories s WHERE s.story_id = links.story_id AND s.source = links.source)`
+    ], (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      
+      db.all(`PRAGMA table_info(stories)`, [], (pragmaErr, columns) => {
+        if (pragmaErr || !(columns || []).some(column => column.name === 'tags')) {
+          callback(pragmaErr || null);
+          return;
+        }
+        
+        db.all(`SELECT id, tags FROM stories WHERE tags IS NOT NULL AND tags != ''`, [], (selectErr, rows) => {
+          if (selectErr) {
+            callback(selectErr);
+            return;
+          }
+          
+          const statements = [];
+          rows.forEach(row => {
+            row.tags.split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => {
+              statements.push([`INSERT OR IGNORE INTO tags (story_id, tag) VALUES (?, ?)`, [row.id, tag]]);
+            });
+          });
+          runStatements(db, statements, callback);
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Hacker News stories used to be tracked without their list name
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 4,
+  name: 'hn_list_sources',
+  up(db, callback) {
+    runStatements(db, [
+      `UPDATE links SET source = 'hn/top' WHERE source = 'hn'`
+    ], callback);
+  }
+};
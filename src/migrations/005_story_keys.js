@@ -0,0 +1,102 @@
+/**
+ * Canonical story keys (see story-identity.js). Rows tracked before keys
+ * existed get their key recovered, and rows that turn out to be the same
+ * story (e.g. Pinboard bookmarks counted under a positional id) are merged.
+ */
+
+const { runStatements, addColumnIfMissing } = require('../migrations');
+const { getLegacyStoryKey } = require('../story-identity');
+
+const earliest = (a, b) => (!a || (b && b < a)) ? b : a;
+const latest = (a, b) => (!a || (b && b > a)) ? b : a;
+
+/**
+ * Statements that give one group of rows its key, folding duplicates into the first row
+ */
+function mergeStatements(key, group) {
+  const [keep, ...duplicates] = group;
+  const tags = new Set();
+  group.forEach(row => {
+    (row.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => tags.add(tag));
+  });
+  
+  const statements = [[`UPDATE links SET 
+    story_key = ?,
+    viewed = ?,
+    viewed_at = ?,
+    engaged = ?,
+    engaged_at = ?,
+    engagement_count = ?,
+    first_seen_at = ?,
+    last_seen_at = ?,
+    times_appeared = ?,
+    archive_url = ?,
+    tags = ?
+    WHERE id = ?`, [
+    key,
+    group.some(row => row.viewed) ? 1 : 0,
+    group.map(row => row.viewed_at).reduce(latest, null),
+    group.some(row => row.engaged) ? 1 : 0,
+    group.map(row => row.engaged_at).reduce(latest, null),
+    group.reduce((sum, row) => sum + (row.engagement_count || 0), 0),
+    group.map(row => row.first_seen_at).reduce(earliest, null),
+    group.map(row => row.last_seen_at).reduce(latest, null),
+    group.reduce((sum, row) => sum + (row.times_appeared || 0), 0),
+    group.map(row => row.archive_url).find(Boolean) || null,
+    tags.size > 0 ? Array.from(tags).join(',') : null,
+    keep.id
+  ]]];
+  
+  if (duplicates.length > 0) {
+    const ids = duplicates.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+    statements.push([`UPDATE clicks SET link_id = ? WHERE link_id IN (${placeholders})`, [keep.id, ...ids]]);
+    statements.push([`DELETE FROM links WHERE id IN (${placeholders})`, ids]);
+  }
+  
+  return statements;
+}
+
+module.exports = {
+  version: 5,
+  name: 'story_keys',
+  up(db, callback) {
+    addColumnIfMissing(db, 'links', 'story_key', 'TEXT', (alterErr) => {
+      if (alterErr) {
+        callback(alterErr);
+        return;
+      }
+      
+      db.all(`SELECT id, story_id, url, comments_url, source, story_key, viewed, viewed_at,
+        engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared,
+        archive_url, tags
+        FROM links ORDER BY id`, [], (err, rows) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+        
+        const groups = new Map();
+        (rows || []).forEach(row => {
+          const key = row.story_key || getLegacyStoryKey(row);
+          if (!key) return;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(row);
+        });
+        
+        const statements = [];
+        groups.forEach((group, key) => {
+          if (group.length > 1 || !group[0].story_key) {
+            statements.push(...mergeStatements(key, group));
+          }
+        });
+        statements.push(`CREATE UNIQUE INDEX IF NOT EXISTS idx_links_story_key ON links(story_key)`);
+        
+        if (groups.size > 0) {
+          console.log(`🔑 Assigning story keys to ${groups.size} links...`);
+        }
+        runStatements(db, statements, callback);
+      });
+    });
+  }
+};
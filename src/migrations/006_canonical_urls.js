@@ -0,0 +1,36 @@
+/**
+ * Canonical article URLs for grouping the same article across sources.
+ * Only the stored URL is known for existing rows, so Reddit link posts group
+ * by their thread until they are seen again.
+ */
+
+const { runStatements, addColumnsIfMissing } = require('../migrations');
+const { canonicalizeUrl } = require('../url-utils');
+
+module.exports = {
+  version: 6,
+  name: 'canonical_urls',
+  up(db, callback) {
+    addColumnsIfMissing(db, 'links', [
+      ['article_url', 'TEXT'],
+      ['canonical_url', 'TEXT']
+    ], (alterErr) => {
+      if (alterErr) {
+        callback(alterErr);
+        return;
+      }
+      
+      db.all(`SELECT id, url FROM links WHERE canonical_url IS NULL`, [], (err, rows) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+        
+        runStatements(db, [
+          ...(rows || []).map(row => [`UPDATE links SET canonical_url = ? WHERE id = ?`, [canonicalizeUrl(row.url), row.id]]),
+          `CREATE INDEX IF NOT EXISTS idx_links_canonical_url ON links(canonical_url)`
+        ], callback);
+      });
+    });
+  }
+};
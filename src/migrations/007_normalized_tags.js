@@ -0,0 +1,82 @@
+/**
+ * Make the normalized tags table the source of truth for link tags.
+ *
+ * The old table was keyed by stories.id and never written after the initial
+ * copy; tags actually lived in the comma-separated links.tags column. Tags now
+ * belong to links, one row per (link, tag), with their provenance in `origin`
+ * ('manual', 'ai', 'rule', 'source', or 'imported' for tags carried over
+ * here). links.tags is kept as a read-only copy maintained by triggers so
+ * listings can show tags without a join.
+ */
+
+const { runStatements } = require('../migrations');
+
+// Rebuild links.tags for one link from the tags table, in the order tags were added
+const refreshLinkTags = (linkId) => `UPDATE links SET tags = (
+      SELECT GROUP_CONCAT(tag, ',') FROM (SELECT tag FROM tags WHERE link_id = ${linkId} ORDER BY id)
+    ) WHERE id = ${linkId}`;
+
+module.exports = {
+  version: 7,
+  name: 'normalized_tags',
+  up(db, callback) {
+    runStatements(db, [
+      `ALTER TABLE tags RENAME TO story_tags_legacy`,
+      `CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        origin TEXT NOT NULL DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(link_id, tag)
+      )`,
+      // Rows of the old table point at stories; find the matching link
+      `INSERT OR IGNORE INTO tags (link_id, tag, origin, created_at)
+        SELECT l.id, LOWER(TRIM(t.tag)), 'imported', t.created_at
+        FROM story_tags_legacy t
+        JOIN stories s ON s.id = t.story_id
+        JOIN links l ON l.story_id = s.story_id
+          AND l.source = CASE WHEN s.source = 'hn' THEN 'hn/top' ELSE s.source END
+        WHERE TRIM(t.tag) != ''`,
+      `DROP TABLE story_tags_legacy`
+    ], (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      db.all(`SELECT id, tags FROM links WHERE tags IS NOT NULL AND tags != ''`, [], (selectErr, rows) => {
+        if (selectErr) {
+          callback(selectErr);
+          return;
+        }
+
+        const statements = [];
+        (rows || []).forEach(row => {
+          row.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag).forEach(tag => {
+            statements.push([`INSERT OR IGNORE INTO tags (link_id, tag, origin) VALUES (?, ?, 'imported')`, [row.id, tag]]);
+          });
+        });
+
+        runStatements(db, [
+          ...statements,
+          `CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag)`,
+          `CREATE INDEX IF NOT EXISTS idx_tags_link_id ON tags(link_id)`,
+          `CREATE TRIGGER IF NOT EXISTS tags_ai AFTER INSERT ON tags BEGIN
+            ${refreshLinkTags('new.link_id')};
+          END`,
+          `CREATE TRIGGER IF NOT EXISTS tags_ad AFTER DELETE ON tags BEGIN
+            ${refreshLinkTags('old.link_id')};
+          END`,
+          `CREATE TRIGGER IF NOT EXISTS links_ad AFTER DELETE ON links BEGIN
+            DELETE FROM tags WHERE link_id = old.id;
+          END`,
+          // Normalize the copies of tags that were just imported
+          `UPDATE links SET tags = (
+            SELECT GROUP_CONCAT(tag, ',') FROM (SELECT tag FROM tags WHERE link_id = links.id ORDER BY id)
+          )`
+        ], callback);
+      });
+    });
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Tag aliases: alternative spellings (e.g. "js") that are stored as their
+ * canonical tag (e.g. "javascript") whenever they are added
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 8,
+  name: 'tag_aliases',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS tag_aliases (
+        alias TEXT PRIMARY KEY,
+        tag TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag ON tag_aliases(tag)`
+    ], callback);
+  }
+};
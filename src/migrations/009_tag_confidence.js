@@ -0,0 +1,56 @@
+/**
+ * Record how confident the tagger was in each tag, and what kind of tag it is
+ * (topic, technology, organization...). Model-suggested tags below
+ * LOW_CONFIDENCE are kept for review but left out of the links.tags copy used
+ * for display until someone confirms them by adding them by hand.
+ */
+
+const { runStatements, addColumnsIfMissing } = require('../migrations');
+
+const LOW_CONFIDENCE = 0.5;
+
+// Whether a row of the tags table (named alias) is confident or confirmed
+// enough to be shown, as in links.tags
+const visibleTag = alias => `(${alias}.origin = 'manual' OR ${alias}.confidence IS NULL OR ${alias}.confidence >= ${LOW_CONFIDENCE})`;
+
+// Rebuild links.tags for one link from its confident or confirmed tags
+const refreshLinkTags = (linkId) => `UPDATE links SET tags = (
+      SELECT GROUP_CONCAT(tag, ',') FROM (
+        SELECT tag FROM tags
+        WHERE link_id = ${linkId}
+          AND ${visibleTag('tags')}
+        ORDER BY id
+      )
+    ) WHERE id = ${linkId}`;
+
+module.exports = {
+  version: 9,
+  name: 'tag_confidence',
+  LOW_CONFIDENCE,
+  visibleTag,
+  up(db, callback) {
+    addColumnsIfMissing(db, 'tags', [
+      ['confidence', 'REAL'],
+      ['category', 'TEXT']
+    ], (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      runStatements(db, [
+        `DROP TRIGGER IF EXISTS tags_ai`,
+        `DROP TRIGGER IF EXISTS tags_ad`,
+        `CREATE TRIGGER tags_ai AFTER INSERT ON tags BEGIN
+          ${refreshLinkTags('new.link_id')};
+        END`,
+        `CREATE TRIGGER tags_ad AFTER DELETE ON tags BEGIN
+          ${refreshLinkTags('old.link_id')};
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS tags_au AFTER UPDATE OF origin, confidence ON tags BEGIN
+          ${refreshLinkTags('new.link_id')};
+        END`
+      ], callback);
+    });
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Persistent state for background tagging: one row per link that the tagger
+ * has attempted, with the attempt count, the provider and outcome of the
+ * latest attempt, and when to try again. Untagged links without a row are
+ * waiting for their first attempt.
+ *
+ * status is 'done', 'failed' (retried at next_attempt_at) or 'parked'
+ * (failed too often; only retried on request).
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 10,
+  name: 'tagging_jobs',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS tagging_jobs (
+        link_id INTEGER PRIMARY KEY REFERENCES links(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        provider TEXT,
+        result TEXT,
+        error TEXT,
+        last_attempt_at DATETIME,
+        next_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tagging_jobs_status ON tagging_jobs(status, next_attempt_at)`,
+      `CREATE TRIGGER IF NOT EXISTS links_ad_tagging_jobs AFTER DELETE ON links BEGIN
+        DELETE FROM tagging_jobs WHERE link_id = old.id;
+      END`
+    ], callback);
+  }
+};
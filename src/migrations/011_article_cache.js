@@ -0,0 +1,18 @@
+/**
+ * Article text fetched for tagging is cached in the articles table. Such rows
+ * are not part of the saved article library: saved = 0 until the user saves
+ * the article, and fetched_at records when the page was downloaded.
+ */
+
+const { addColumnsIfMissing } = require('../migrations');
+
+module.exports = {
+  version: 11,
+  name: 'article_cache',
+  up(db, callback) {
+    addColumnsIfMissing(db, 'articles', [
+      ['saved', 'INTEGER NOT NULL DEFAULT 1'],
+      ['fetched_at', 'DATETIME']
+    ], callback);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Short AI summaries for clicked links and saved articles, with the provider
+ * that wrote them. summary_attempted_at records the last attempt so failures
+ * are retried later rather than on every run.
+ */
+
+const { addColumnsIfMissing } = require('../migrations');
+
+const SUMMARY_COLUMNS = [
+  ['summary', 'TEXT'],
+  ['summary_source', 'TEXT'],
+  ['summary_attempted_at', 'DATETIME']
+];
+
+module.exports = {
+  version: 12,
+  name: 'summaries',
+  up(db, callback) {
+    addColumnsIfMissing(db, 'links', SUMMARY_COLUMNS, (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      addColumnsIfMissing(db, 'articles', SUMMARY_COLUMNS, callback);
+    });
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * User-defined tagging rules: links whose domain, URL, title, source or
+ * subreddit match a rule's pattern get the rule's tags when first seen.
+ * Tags applied by a rule have origin 'rule' and keep the rule's id in
+ * tags.rule_id.
+ */
+
+const { runStatements, addColumnsIfMissing } = require('../migrations');
+
+module.exports = {
+  version: 13,
+  name: 'tag_rules',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS tag_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        field TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        tags TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ], (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      addColumnsIfMissing(db, 'tags', [
+        ['rule_id', 'INTEGER']
+      ], callback);
+    });
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * What the user made of suggested tags: one row per link and tag the user
+ * accepted or rejected, keeping the latest decision. action is 'accept' or
+ * 'reject'. The tagger turns this into a short list of preferred and
+ * rejected tags for its prompts.
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 14,
+  name: 'tag_feedback',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS tag_feedback (
+        link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        action TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (link_id, tag)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tag_feedback_tag ON tag_feedback(tag, action)`,
+      `CREATE TRIGGER IF NOT EXISTS links_ad_tag_feedback AFTER DELETE ON links BEGIN
+        DELETE FROM tag_feedback WHERE link_id = old.id;
+      END`
+    ], callback);
+  }
+};
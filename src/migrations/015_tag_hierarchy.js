@@ -0,0 +1,22 @@
+/**
+ * Tag taxonomy: each tag may have one parent tag (rust -> programming), so
+ * searches and statistics can take in everything under a tag. Tags without
+ * a row are roots.
+ */
+
+const { runStatements } = require('../migrations');
+
+module.exports = {
+  version: 15,
+  name: 'tag_hierarchy',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS tag_parents (
+        tag TEXT PRIMARY KEY,
+        parent TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tag_parents_parent ON tag_parents(parent)`
+    ], callback);
+  }
+};
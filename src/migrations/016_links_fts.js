@@ -0,0 +1,69 @@
+/**
+ * Full-text index over every tracked link: title, article URL, domain, tags,
+ * summary and the cached article text. Its columns are derived from several
+ * tables, so it keeps its own copy of the text (needed for snippets), with
+ * rowid = links.id. Triggers on links and articles keep it in sync.
+ */
+
+const { runStatements } = require('../migrations');
+
+// Host of a link's article, from its canonical URL (which has no www.)
+const urlRest = link => `substr(COALESCE(${link}.canonical_url, ${link}.url), instr(COALESCE(${link}.canonical_url, ${link}.url), '://') + 3)`;
+const linkHost = link => `lower(substr(${urlRest(link)}, 1, instr(${urlRest(link)} || '/', '/') - 1))`;
+
+// (Re)index the links matching a condition on links l
+const indexLinks = condition => `INSERT INTO links_fts(rowid, title, url, domain, tags, summary, content)
+      SELECT l.id, l.title, COALESCE(l.article_url, l.url), ${linkHost('l')}, l.tags, l.summary,
+        (SELECT COALESCE(a.text_content, a.description) FROM articles a WHERE a.url IN (l.url, l.article_url) LIMIT 1)
+      FROM links l
+      WHERE ${condition}`;
+
+// Article text is cached by the URL the link was fetched with
+const reindexArticleLinks = article => `DELETE FROM links_fts WHERE rowid IN (SELECT id FROM links WHERE ${article}.url IN (url, article_url));
+      ${indexLinks(`${article}.url IN (l.url, l.article_url)`)};`;
+
+module.exports = {
+  version: 16,
+  name: 'links_fts',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS links_fts USING fts5(
+        title,
+        url,
+        domain,
+        tags,
+        summary,
+        content,
+        tokenize = 'porter unicode61'
+      )`,
+      `DELETE FROM links_fts`,
+      indexLinks('1 = 1'),
+      `CREATE TRIGGER IF NOT EXISTS links_fts_ai AFTER INSERT ON links BEGIN
+        ${indexLinks('l.id = new.id')};
+      END`,
+      // Appearances rewrite most columns on every refresh; only reindex real changes
+      `CREATE TRIGGER IF NOT EXISTS links_fts_au AFTER UPDATE OF title, url, article_url, canonical_url, tags, summary ON links
+      WHEN old.title IS NOT new.title OR old.url IS NOT new.url OR old.article_url IS NOT new.article_url
+        OR old.canonical_url IS NOT new.canonical_url OR old.tags IS NOT new.tags OR old.summary IS NOT new.summary
+      BEGIN
+        DELETE FROM links_fts WHERE rowid = old.id;
+        ${indexLinks('l.id = new.id')};
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS links_fts_ad AFTER DELETE ON links BEGIN
+        DELETE FROM links_fts WHERE rowid = old.id;
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS articles_links_fts_ai AFTER INSERT ON articles BEGIN
+        ${reindexArticleLinks('new')}
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS articles_links_fts_au AFTER UPDATE OF url, text_content, description ON articles
+      WHEN old.url IS NOT new.url OR old.text_content IS NOT new.text_content OR old.description IS NOT new.description
+      BEGIN
+        ${reindexArticleLinks('old')}
+        ${reindexArticleLinks('new')}
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS articles_links_fts_ad AFTER DELETE ON articles BEGIN
+        ${reindexArticleLinks('old')}
+      END`
+    ], callback);
+  }
+};
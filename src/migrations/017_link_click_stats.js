@@ -0,0 +1,71 @@
+/**
+ * Per-link click statistics, so listings join one row per link instead of
+ * counting clicks with a subquery for every row and column. Triggers on
+ * clicks recount the affected links (cheap with the link_id index), so the
+ * table stays right however clicks are added, moved or removed.
+ */
+
+const { runStatements } = require('../migrations');
+
+const STATS_COLUMNS = `link_id, total_clicks, article_clicks, comments_clicks, archive_clicks, engage_clicks,
+      last_clicked_at, last_article_click_at`;
+
+// Counts for the links l matching a condition, one row per link
+const countClicks = condition => `SELECT l.id,
+        COUNT(c.id),
+        COUNT(CASE WHEN c.click_type = 'article' THEN 1 END),
+        COUNT(CASE WHEN c.click_type = 'comments' THEN 1 END),
+        COUNT(CASE WHEN c.click_type = 'archive' THEN 1 END),
+        COUNT(CASE WHEN c.click_type = 'engage' THEN 1 END),
+        MAX(c.clicked_at),
+        MAX(CASE WHEN c.click_type = 'article' THEN c.clicked_at END)
+      FROM links l
+      LEFT JOIN clicks c ON c.link_id = l.id
+      WHERE ${condition}
+      GROUP BY l.id`;
+
+// Recount one link's clicks; no-op for clicks without a tracked link
+const refreshLink = linkId => `INSERT OR REPLACE INTO link_click_stats (${STATS_COLUMNS})
+      ${countClicks(`l.id = ${linkId}`)}`;
+
+module.exports = {
+  version: 17,
+  name: 'link_click_stats',
+  up(db, callback) {
+    runStatements(db, [
+      `CREATE INDEX IF NOT EXISTS idx_clicks_link_id ON clicks(link_id, click_type)`,
+      `CREATE INDEX IF NOT EXISTS idx_clicks_clicked_at ON clicks(clicked_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_links_last_seen_at ON links(last_seen_at)`,
+      `CREATE TABLE IF NOT EXISTS link_click_stats (
+        link_id INTEGER PRIMARY KEY REFERENCES links(id) ON DELETE CASCADE,
+        total_clicks INTEGER NOT NULL DEFAULT 0,
+        article_clicks INTEGER NOT NULL DEFAULT 0,
+        comments_clicks INTEGER NOT NULL DEFAULT 0,
+        archive_clicks INTEGER NOT NULL DEFAULT 0,
+        engage_clicks INTEGER NOT NULL DEFAULT 0,
+        last_clicked_at DATETIME,
+        last_article_click_at DATETIME
+      )`,
+      `DELETE FROM link_click_stats`,
+      `INSERT INTO link_click_stats (${STATS_COLUMNS})
+      ${countClicks('l.id IN (SELECT link_id FROM clicks)')}`,
+      `CREATE TRIGGER IF NOT EXISTS link_click_stats_ai AFTER INSERT ON clicks
+      WHEN new.link_id IS NOT NULL
+      BEGIN
+        ${refreshLink('new.link_id')};
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS link_click_stats_au AFTER UPDATE OF link_id, click_type, clicked_at ON clicks BEGIN
+        ${refreshLink('old.link_id')};
+        ${refreshLink('new.link_id')};
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS link_click_stats_ad AFTER DELETE ON clicks
+      WHEN old.link_id IS NOT NULL
+      BEGIN
+        ${refreshLink('old.link_id')};
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS link_click_stats_links_ad AFTER DELETE ON links BEGIN
+        DELETE FROM link_click_stats WHERE link_id = old.id;
+      END`
+    ], callback);
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Schema migrations in the order they are applied. Add new migrations to the
+ * end of this list with the next version number.
+ */
+
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_legacy_columns'),
+  require('./003_copy_links_to_stories'),
+  require('./004_hn_list_sources'),
+  require('./005_story_keys'),
+  require('./006_canonical_urls'),
+  require('./007_normalized_tags'),
+  require('./008_tag_aliases'),
+  require('./009_tag_confidence'),
+  require('./010_tagging_jobs'),
+  require('./011_article_cache'),
+  require('./012_summaries'),
+  require('./013_tag_rules'),
+  require('./014_tag_feedback'),
+  require('./015_tag_hierarchy'),
+  require('./016_links_fts'),
+  require('./017_link_click_stats')
+];
@@ -0,0 +1,1003 @@
+/**
+ * Promise-based data access for links, clicks, tags, the tag hierarchy, tag
+ * feedback, tagging jobs, tagging rules, saved articles and their summaries
+ *
+ * Every method resolves with its result and rejects on database errors, so
+ * callers can await writes instead of firing and forgetting them. The
+ * callback-style exports of database.js are thin wrappers around these.
+ */
+
+const { LOW_CONFIDENCE, visibleTag } = require('./migrations/009_tag_confidence');
+
+/**
+ * Get the open database or throw if it has not been initialized yet
+ */
+function requireDatabase() {
+  const { getDatabase } = require('./database');
+  const db = getDatabase();
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+  return db;
+}
+
+/**
+ * Run a write statement; resolves with { lastID, changes }
+ */
+function run(sql, params) {
+  return new Promise((resolve, reject) => {
+    const args = params === undefined ? [sql] : [sql, params];
+    requireDatabase().run(...args, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this && this.lastID, changes: (this && this.changes) || 0 });
+      }
+    });
+  });
+}
+
+/**
+ * Fetch a single row (undefined when nothing matches)
+ */
+function get(sql, params) {
+  return new Promise((resolve, reject) => {
+    const args = params === undefined ? [sql] : [sql, params];
+    requireDatabase().get(...args, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+/**
+ * Fetch all matching rows
+ */
+function all(sql, params) {
+  return new Promise((resolve, reject) => {
+    const args = params === undefined ? [sql] : [sql, params];
+    requireDatabase().all(...args, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Transactions wait for each other: the single connection cannot nest them
+let lastTransaction = Promise.resolve();
+
+/**
+ * Run work() inside a transaction, committing when it resolves and rolling
+ * back when it rejects; resolves with work's result
+ */
+function transaction(work) {
+  const result = lastTransaction.then(async () => {
+    await run('BEGIN TRANSACTION');
+    try {
+      const value = await work();
+      await run('COMMIT');
+      return value;
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    }
+  });
+  lastTransaction = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Lowercase, trim and de-duplicate tags given as a string or an array
+ */
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  return Array.from(new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag)));
+}
+
+/**
+ * Normalize tags given as strings or { tag, confidence, category, ruleId }
+ * objects into entries with a cleaned tag name, de-duplicated by name
+ */
+function cleanTagEntries(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  const entries = new Map();
+
+  list.forEach(item => {
+    const entry = typeof item === 'string' ? { tag: item } : item;
+    const [tag] = cleanTags(entry && entry.tag);
+    if (tag && !entries.has(tag)) {
+      entries.set(tag, {
+        tag,
+        confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+        category: entry.category || null,
+        ruleId: entry.ruleId || null
+      });
+    }
+  });
+
+  return Array.from(entries.values());
+}
+
+/**
+ * Turn search box text into an FTS5 query matching every word or "quoted
+ * phrase", so punctuation in the text can't be read as query syntax
+ */
+function toMatchQuery(text) {
+  return (String(text || '').match(/"[^"]*"|[^\s"]+/g) || [])
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(term => term)
+    .map(term => `"${term}"`)
+    .join(' ');
+}
+
+// Ranking weights for links_fts columns: title, url, domain, tags, summary, content
+const LINK_SEARCH_WEIGHTS = '10.0, 2.0, 4.0, 6.0, 3.0, 1.0';
+
+const links = {
+  /**
+   * Find a tracked link by its story key
+   */
+  findByKey(storyKey) {
+    return get('SELECT * FROM links WHERE story_key = ?', [storyKey]);
+  },
+
+  /**
+   * Record that a story appeared in the menu, inserting the link the first
+   * time it is seen; resolves with { id, created }
+   */
+  async recordAppearance(link) {
+    const existing = await get('SELECT id FROM links WHERE story_key = ?', [link.storyKey]);
+
+    if (existing) {
+      await run(`UPDATE links SET
+        title = ?,
+        points = ?,
+        comments = ?,
+        comments_url = ?,
+        article_url = ?,
+        canonical_url = ?,
+        last_seen_at = CURRENT_TIMESTAMP,
+        times_appeared = times_appeared + 1
+        WHERE id = ?`,
+        [link.title, link.points, link.comments, link.commentsUrl, link.articleUrl, link.canonicalUrl, existing.id]);
+      return { id: existing.id, created: false };
+    }
+
+    const { lastID } = await run(`INSERT INTO links (
+      story_id, story_key, title, url, comments_url, source, points, comments, article_url, canonical_url
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [link.storyId, link.storyKey, link.title, link.url, link.commentsUrl, link.source,
+        link.points, link.comments, link.articleUrl, link.canonicalUrl]);
+    return { id: lastID, created: true };
+  },
+
+  /**
+   * Mark a link as read; resolves with the number of links updated
+   */
+  async markViewed(storyKey) {
+    const { changes } = await run('UPDATE links SET viewed = TRUE, viewed_at = CURRENT_TIMESTAMP WHERE story_key = ?', [storyKey]);
+    return changes;
+  },
+
+  /**
+   * Count an engagement (submenu opened, tag added, ...) with a link
+   */
+  async recordEngagement(storyKey) {
+    const { changes } = await run(`UPDATE links SET
+      engaged = TRUE,
+      engaged_at = CURRENT_TIMESTAMP,
+      engagement_count = engagement_count + 1
+      WHERE story_key = ?`, [storyKey]);
+    return changes;
+  },
+
+  /**
+   * Store the archive.ph URL on the link and on its most recent click
+   */
+  async setArchiveUrl(storyKey, archiveUrl) {
+    const { changes } = await run('UPDATE links SET archive_url = ? WHERE story_key = ?', [archiveUrl, storyKey]);
+    await run(`UPDATE clicks SET archive_url = ? WHERE id = (
+      SELECT c.id FROM clicks c JOIN links l ON c.link_id = l.id
+      WHERE l.story_key = ? ORDER BY c.clicked_at DESC LIMIT 1
+    )`, [archiveUrl, storyKey]);
+    return changes;
+  },
+
+  /**
+   * Every link with a title, most frequently seen first
+   */
+  listTitled() {
+    return all(`
+      SELECT id, story_id, story_key, title, url, article_url, comments_url, source, points, comments, times_appeared
+      FROM links
+      WHERE title IS NOT NULL
+      AND title != ''
+      ORDER BY times_appeared DESC, last_seen_at DESC
+    `, []);
+  },
+
+  /**
+   * Links carrying any of the given tags (exact match), or with
+   * includeDescendants any tag below them in the hierarchy
+   */
+  async searchByTags(tagList, limit = 20, { includeDescendants = false } = {}) {
+    const wanted = includeDescendants ? await tagHierarchy.expand(tagList) : tagList;
+    const placeholders = wanted.map(() => '?').join(',');
+    return all(`
+      SELECT story_id, story_key, source, title, url, comments_url, points, comments, tags, times_appeared, first_seen_at
+      FROM links
+      WHERE id IN (SELECT link_id FROM tags WHERE tag IN (${placeholders}))
+      ORDER BY times_appeared DESC, first_seen_at DESC
+      LIMIT ?
+    `, [...wanted, limit]);
+  },
+
+  /**
+   * Links matching a condition from parseTagQuery ({ where, params }, on
+   * links aliased l), most often seen first
+   */
+  searchByQuery({ where, params }, limit = 20) {
+    return all(`
+      SELECT l.story_id, l.story_key, l.source, l.title, l.url, l.comments_url, l.points, l.comments, l.tags,
+        l.times_appeared, l.first_seen_at
+      FROM links l
+      WHERE ${where}
+      ORDER BY l.times_appeared DESC, l.first_seen_at DESC
+      LIMIT ?
+    `, [...params, limit]);
+  },
+
+  /**
+   * Full-text search over every link's title, URL, domain, tags, summary and
+   * cached article text, best match first. Each row carries click counts and
+   * a snippet with the matched words wrapped in <mark>.
+   */
+  searchText(text, limit = 50) {
+    const match = toMatchQuery(text);
+    if (!match) return Promise.resolve([]);
+
+    return all(`
+      SELECT l.*,
+        snippet(links_fts, -1, '<mark>', '</mark>', '...', 16) as snippet,
+        bm25(links_fts, ${LINK_SEARCH_WEIGHTS}) as score,
+        COALESCE(cs.total_clicks, 0) as total_clicks,
+        COALESCE(cs.article_clicks, 0) as article_clicks,
+        COALESCE(cs.engage_clicks, 0) as engagements
+      FROM links_fts
+      JOIN links l ON l.id = links_fts.rowid
+      LEFT JOIN link_click_stats cs ON cs.link_id = l.id
+      WHERE links_fts MATCH ?
+      ORDER BY score
+      LIMIT ?
+    `, [match, limit]);
+  },
+
+  /**
+   * Every link whose article canonicalizes to one of the given URLs
+   */
+  findByCanonicalUrls(canonicalUrls) {
+    if (canonicalUrls.length === 0) return Promise.resolve([]);
+    const placeholders = canonicalUrls.map(() => '?').join(',');
+    return all(`SELECT id, story_key, source, url, comments_url, points, comments, tags, canonical_url, summary
+      FROM links WHERE canonical_url IN (${placeholders})`, canonicalUrls);
+  }
+};
+
+const clicks = {
+  /**
+   * Record a click on a link; resolves with { id, linkId }, or null when
+   * the link is not tracked
+   */
+  async record(storyKey, clickType) {
+    const link = await get('SELECT id, story_id, title, url FROM links WHERE story_key = ?', [storyKey]);
+    if (!link) return null;
+
+    const { lastID } = await run('INSERT INTO clicks (story_id, title, url, link_id, click_type, clicked_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      [link.story_id, link.title, link.url, link.id, clickType]);
+    return { id: lastID, linkId: link.id };
+  }
+};
+
+const tags = {
+  /**
+   * Tags of a link in the order they were added (empty when the link is
+   * unknown or untagged)
+   */
+  async get(storyKey) {
+    const rows = await tags.getWithOrigin(storyKey);
+    return rows.map(row => row.tag);
+  },
+
+  /**
+   * Tags of a link with their provenance: [{ tag, origin, confidence, category, rule_id, created_at }]
+   */
+  getWithOrigin(storyKey) {
+    return all(`SELECT t.tag, t.origin, t.confidence, t.category, t.rule_id, t.created_at
+      FROM tags t
+      JOIN links l ON l.id = t.link_id
+      WHERE l.story_key = ?
+      ORDER BY t.id`, [storyKey]);
+  },
+
+  /**
+   * Add one or more tags to a link; resolves with { added, tags }, or null
+   * when the link is not tracked. Tags are strings, { tag, confidence,
+   * category } objects from a tagger or { tag, ruleId } from a tagging rule. `origin` records where the tags came
+   * from: 'manual', 'ai', 'keyword', 'rule' or 'source'. Aliases are stored
+   * as their canonical tag, and adding an existing tag by hand marks it as
+   * manual, which also confirms a low-confidence tag.
+   */
+  async add(storyKey, newTags, origin = 'manual') {
+    const link = await get('SELECT id FROM links WHERE story_key = ?', [storyKey]);
+    if (!link) return null;
+
+    const added = [];
+    const seen = new Set();
+
+    for (const entry of cleanTagEntries(newTags)) {
+      const [tag] = await tags.resolveAliases([entry.tag]);
+      if (seen.has(tag)) continue;
+      seen.add(tag);
+
+      const { changes } = await run('INSERT OR IGNORE INTO tags (link_id, tag, origin, confidence, category, rule_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [link.id, tag, origin, entry.confidence, entry.category, entry.ruleId]);
+      if (changes > 0) {
+        added.push(tag);
+      } else if (origin === 'manual') {
+        await run(`UPDATE tags SET origin = 'manual' WHERE link_id = ? AND tag = ?`, [link.id, tag]);
+      }
+    }
+
+    return { added, tags: await tags.get(storyKey) };
+  },
+
+  /**
+   * Remove a tag from a link; resolves with the remaining tags
+   */
+  async remove(storyKey, tag) {
+    const link = await get('SELECT id FROM links WHERE story_key = ?', [storyKey]);
+    if (!link) return [];
+
+    const [removed] = cleanTags(tag);
+    await run('DELETE FROM tags WHERE link_id = ? AND tag = ?', [link.id, removed]);
+    return tags.get(storyKey);
+  },
+
+  /**
+   * Every distinct tag, sorted
+   */
+  async listUnique() {
+    const rows = await all('SELECT DISTINCT tag FROM tags ORDER BY tag', []);
+    return rows.map(row => row.tag);
+  },
+
+  /**
+   * Number of links showing each tag, most used first: [{ tag, count }].
+   * Low-confidence tags waiting for review are not counted.
+   */
+  counts(limit = -1) {
+    return all(`SELECT t.tag, COUNT(*) as count
+      FROM tags t
+      WHERE ${visibleTag('t')}
+      GROUP BY t.tag
+      ORDER BY count DESC, tag ASC
+      LIMIT ?`, [limit]);
+  },
+
+  /**
+   * Model-suggested tags below the confidence threshold, which are hidden from
+   * links.tags until confirmed: [{ story_key, title, url, tag, origin, confidence, category }]
+   */
+  listForReview(limit = 100) {
+    return all(`SELECT l.story_key, l.title, l.url, t.tag, t.origin, t.confidence, t.category
+      FROM tags t
+      JOIN links l ON l.id = t.link_id
+      WHERE t.origin != 'manual' AND t.confidence < ?
+      ORDER BY t.confidence ASC, t.id DESC
+      LIMIT ?`, [LOW_CONFIDENCE, limit]);
+  },
+
+  /**
+   * Map each tag to its canonical spelling through tag_aliases, dropping duplicates
+   */
+  async resolveAliases(tagList) {
+    if (tagList.length === 0) return [];
+
+    const placeholders = tagList.map(() => '?').join(',');
+    const rows = await all(`SELECT alias, tag FROM tag_aliases WHERE alias IN (${placeholders})`, tagList);
+    const canonical = new Map(rows.map(row => [row.alias, row.tag]));
+    return Array.from(new Set(tagList.map(tag => canonical.get(tag) || tag)));
+  },
+
+  /**
+   * Merge several tags into one on every link. The merged names become
+   * aliases of the target, so taggers that keep suggesting them add the
+   * target instead. Resolves with { tag, merged, links }, where links counts
+   * the tag assignments that were moved. A target that is already an alias
+   * of one of the sources takes that tag's place, so renaming a tag to one
+   * of its own aliases makes the alias the canonical spelling. Runs in one
+   * transaction, so a failure leaves every tag as it was.
+   */
+  async merge(sources, target) {
+    const [requested] = cleanTags(target);
+    if (!requested) {
+      throw new Error('A target tag is required');
+    }
+
+    const sourceTags = cleanTags(sources);
+    return transaction(async () => {
+      let [canonical] = await tags.resolveAliases([requested]);
+      if (canonical !== requested && sourceTags.includes(canonical)) {
+        await run('DELETE FROM tag_aliases WHERE alias = ?', [requested]);
+        canonical = requested;
+      }
+
+      const merged = sourceTags.filter(tag => tag !== canonical);
+      let moved = 0;
+
+      for (const tag of merged) {
+        await run('INSERT OR REPLACE INTO tag_aliases (alias, tag) VALUES (?, ?)', [tag, canonical]);
+        // Aliases that pointed at the merged tag follow it to the target
+        await run('UPDATE tag_aliases SET tag = ? WHERE tag = ?', [canonical, tag]);
+        await run(`INSERT OR IGNORE INTO tags (link_id, tag, origin, confidence, category, rule_id, created_at)
+          SELECT link_id, ?, origin, confidence, category, rule_id, created_at FROM tags WHERE tag = ?`, [canonical, tag]);
+        const { changes } = await run('DELETE FROM tags WHERE tag = ?', [tag]);
+        moved += changes;
+        await run('UPDATE OR IGNORE tag_feedback SET tag = ? WHERE tag = ?', [canonical, tag]);
+        await run('DELETE FROM tag_feedback WHERE tag = ?', [tag]);
+        // The target takes over the merged tag's place in the hierarchy
+        await run('UPDATE tag_parents SET parent = ? WHERE parent = ?', [canonical, tag]);
+        await run('UPDATE OR IGNORE tag_parents SET tag = ? WHERE tag = ?', [canonical, tag]);
+        await run('DELETE FROM tag_parents WHERE tag = ? OR tag = parent', [tag]);
+      }
+
+      return { tag: canonical, merged, links: moved };
+    });
+  },
+
+  /**
+   * Rename a tag on every link; the old name becomes an alias of the new one
+   */
+  rename(from, to) {
+    return tags.merge([from], to);
+  },
+
+  /**
+   * Make `alias` a spelling of `tag`, folding links already tagged with the
+   * alias into the tag
+   */
+  alias(alias, tag) {
+    return tags.merge([alias], tag);
+  },
+
+  /**
+   * Aliases with the tag each one stands for: [{ alias, tag }]
+   */
+  listAliases() {
+    return all('SELECT alias, tag FROM tag_aliases ORDER BY tag, alias', []);
+  },
+
+  /**
+   * Stop treating `alias` as another spelling; resolves with the number of aliases removed
+   */
+  async removeAlias(alias) {
+    const { changes } = await run('DELETE FROM tag_aliases WHERE alias = ?', [cleanTags(alias)[0]]);
+    return changes;
+  },
+
+  /**
+   * Remove a tag, and the aliases pointing at it, from every link; resolves
+   * with the number of links it was removed from
+   */
+  async delete(tag) {
+    const [removed] = cleanTags(tag);
+    const { changes } = await run('DELETE FROM tags WHERE tag = ?', [removed]);
+    await run('DELETE FROM tag_aliases WHERE tag = ?', [removed]);
+    await tagHierarchy.remove(removed);
+    return changes;
+  },
+
+  /**
+   * Remove every tag from every link
+   */
+  clearAll() {
+    return run('DELETE FROM tags');
+  }
+};
+
+// Links the background tagger still has work for: titled and without tags
+const WAITING_FOR_TAGS = `NOT EXISTS (SELECT 1 FROM tags t WHERE t.link_id = l.id)
+      AND l.title IS NOT NULL
+      AND l.title != ''`;
+
+const tagHierarchy = {
+  /**
+   * Every parent relationship: [{ tag, parent }], by parent then tag
+   */
+  list() {
+    return all('SELECT tag, parent FROM tag_parents ORDER BY parent, tag', []);
+  },
+
+  /**
+   * Make `parent` the parent of `tag`, replacing any earlier parent. Both
+   * are resolved through aliases. Resolves with { tag, parent }, or null
+   * when the parent is the tag itself or one of its descendants.
+   */
+  async setParent(tag, parent) {
+    const [child] = await tags.resolveAliases(cleanTags(tag));
+    const [canonicalParent] = await tags.resolveAliases(cleanTags(parent));
+    if (!child || !canonicalParent) {
+      throw new Error('A tag and a parent tag are required');
+    }
+    if ((await tagHierarchy.expand([child])).includes(canonicalParent)) {
+      return null;
+    }
+
+    await run('INSERT OR REPLACE INTO tag_parents (tag, parent) VALUES (?, ?)', [child, canonicalParent]);
+    return { tag: child, parent: canonicalParent };
+  },
+
+  /**
+   * Detach a tag from its parent, keeping the tags below it; resolves with
+   * the number of relationships removed
+   */
+  async removeParent(tag) {
+    const [child] = cleanTags(tag);
+    const { changes } = await run('DELETE FROM tag_parents WHERE tag = ?', [child]);
+    return changes;
+  },
+
+  /**
+   * Take a deleted tag out of the hierarchy. Its children move up to its
+   * parent, or become roots. Resolves with the number of relationships changed.
+   */
+  async remove(tag) {
+    const [removed] = cleanTags(tag);
+    const row = await get('SELECT parent FROM tag_parents WHERE tag = ?', [removed]);
+    const moved = row
+      ? await run('UPDATE tag_parents SET parent = ? WHERE parent = ?', [row.parent, removed])
+      : await run('DELETE FROM tag_parents WHERE parent = ?', [removed]);
+    const { changes } = await run('DELETE FROM tag_parents WHERE tag = ?', [removed]);
+    return moved.changes + changes;
+  },
+
+  /**
+   * The given tags and every tag below them
+   */
+  async expand(tagList) {
+    if (tagList.length === 0) return [];
+
+    const seeds = tagList.map(() => 'SELECT ?').join(' UNION ');
+    const rows = await all(`
+      WITH RECURSIVE below(tag) AS (
+        ${seeds}
+        UNION
+        SELECT p.tag FROM tag_parents p JOIN below b ON p.parent = b.tag
+      )
+      SELECT tag FROM below
+    `, tagList);
+    return rows.map(row => row.tag);
+  },
+
+  /**
+   * Tag usage rolled up the hierarchy: a tag's story_count counts the links
+   * carrying it or any tag below it, each link once; direct_count only the
+   * links carrying the tag itself. Parents appear even when no link carries
+   * them directly. [{ tag, parent, story_count, direct_count, viewed_count,
+   * total_engagements, avg_appearances }], most used first.
+   */
+  stats(limit = 50) {
+    return all(`
+      WITH RECURSIVE lineage(tag, ancestor) AS (
+        SELECT DISTINCT tag, tag FROM tags
+        UNION
+        SELECT lineage.tag, p.parent FROM lineage JOIN tag_parents p ON p.tag = lineage.ancestor
+      ),
+      rolled AS (
+        SELECT DISTINCT lineage.ancestor as tag, t.link_id
+        FROM lineage
+        JOIN tags t ON t.tag = lineage.tag
+      )
+      SELECT
+        r.tag,
+        (SELECT parent FROM tag_parents p WHERE p.tag = r.tag) as parent,
+        COUNT(*) as story_count,
+        (SELECT COUNT(*) FROM tags t WHERE t.tag = r.tag) as direct_count,
+        SUM(CASE WHEN l.viewed = 1 THEN 1 ELSE 0 END) as viewed_count,
+        SUM(l.engagement_count) as total_engagements,
+        AVG(l.times_appeared) as avg_appearances
+      FROM rolled r
+      JOIN links l ON l.id = r.link_id
+      GROUP BY r.tag
+      ORDER BY story_count DESC, r.tag ASC
+      LIMIT ?
+    `, [limit]);
+  }
+};
+
+const tagFeedback = {
+  /**
+   * Record which suggested tags the user accepted and rejected for a link,
+   * replacing earlier decisions about the same tags. Resolves with the
+   * number of decisions recorded, or null when the link is not tracked.
+   */
+  async record(storyKey, accepted = [], rejected = []) {
+    const link = await get('SELECT id FROM links WHERE story_key = ?', [storyKey]);
+    if (!link) return null;
+
+    const acceptedTags = await tags.resolveAliases(cleanTags(accepted));
+    const rejectedTags = (await tags.resolveAliases(cleanTags(rejected))).filter(tag => !acceptedTags.includes(tag));
+    const decisions = [
+      ...acceptedTags.map(tag => [tag, 'accept']),
+      ...rejectedTags.map(tag => [tag, 'reject'])
+    ];
+
+    for (const [tag, action] of decisions) {
+      await run(`INSERT INTO tag_feedback (link_id, tag, action) VALUES (?, ?, ?)
+        ON CONFLICT(link_id, tag) DO UPDATE SET action = excluded.action, created_at = CURRENT_TIMESTAMP`,
+      [link.id, tag, action]);
+    }
+    return decisions.length;
+  },
+
+  /**
+   * Acceptance per tag, most decided first: [{ tag, accepted, rejected, acceptance_rate }]
+   */
+  stats(limit = 100) {
+    return all(`SELECT tag,
+        SUM(action = 'accept') as accepted,
+        SUM(action = 'reject') as rejected,
+        ROUND(AVG(action = 'accept'), 2) as acceptance_rate
+      FROM tag_feedback
+      GROUP BY tag
+      ORDER BY COUNT(*) DESC, tag ASC
+      LIMIT ?`, [limit]);
+  },
+
+  /**
+   * The user's tagging vocabulary for prompts: { preferred, rejected }, tags
+   * accepted more often than rejected and the reverse, each most decided first
+   */
+  async vocabulary(limit = 20) {
+    const query = (having, order) => all(`SELECT tag,
+        SUM(action = 'accept') as accepted,
+        SUM(action = 'reject') as rejected
+      FROM tag_feedback
+      GROUP BY tag
+      HAVING ${having}
+      ORDER BY ${order} DESC, MAX(created_at) DESC, tag ASC
+      LIMIT ?`, [limit]);
+
+    const preferred = await query('accepted > rejected', 'accepted');
+    const rejected = await query('rejected > accepted', 'rejected');
+    return { preferred: preferred.map(row => row.tag), rejected: rejected.map(row => row.tag) };
+  }
+};
+
+const taggingJobs = {
+  /**
+   * Links due for tagging, least attempted first. url is the article's
+   * address, not the discussion thread a Reddit link post is stored under.
+   */
+  listDue(limit = 10) {
+    return all(`
+      SELECT l.id, l.story_id, l.story_key, l.title, COALESCE(l.article_url, l.url) as url, l.source, l.points, l.comments,
+        l.times_appeared, COALESCE(j.attempts, 0) as attempts
+      FROM links l
+      LEFT JOIN tagging_jobs j ON j.link_id = l.id
+      WHERE ${WAITING_FOR_TAGS}
+      AND (j.link_id IS NULL OR (j.status = 'failed' AND j.next_attempt_at <= CURRENT_TIMESTAMP))
+      ORDER BY COALESCE(j.attempts, 0) ASC, l.times_appeared DESC, l.last_seen_at DESC
+      LIMIT ?
+    `, [limit]);
+  },
+
+  /**
+   * Untagged links still to be tagged, with the state of any earlier
+   * attempts: never attempted ('pending') first, then failures by retry time
+   */
+  listQueue(limit = 100) {
+    return all(`
+      SELECT l.id as link_id, l.story_key, l.title, l.url, l.source,
+        COALESCE(j.status, 'pending') as status, COALESCE(j.attempts, 0) as attempts,
+        j.provider, j.error, j.last_attempt_at, j.next_attempt_at
+      FROM links l
+      LEFT JOIN tagging_jobs j ON j.link_id = l.id
+      WHERE ${WAITING_FOR_TAGS}
+      AND (j.link_id IS NULL OR j.status = 'failed')
+      ORDER BY j.link_id IS NOT NULL, j.next_attempt_at ASC, l.times_appeared DESC
+      LIMIT ?
+    `, [limit]);
+  },
+
+  /**
+   * Attempted jobs, most recent first, optionally limited to some statuses
+   */
+  listHistory(limit = 50, statuses = ['done', 'failed', 'parked']) {
+    const placeholders = statuses.map(() => '?').join(',');
+    return all(`
+      SELECT j.link_id, l.story_key, l.title, l.url, j.status, j.attempts, j.provider,
+        j.result, j.error, j.last_attempt_at, j.next_attempt_at
+      FROM tagging_jobs j
+      JOIN links l ON l.id = j.link_id
+      WHERE j.status IN (${placeholders})
+      ORDER BY j.last_attempt_at DESC, j.link_id DESC
+      LIMIT ?
+    `, [...statuses, limit]);
+  },
+
+  /**
+   * Number of links in each state: { pending, failed, parked, done }
+   */
+  async counts() {
+    const counts = { pending: 0, failed: 0, parked: 0, done: 0 };
+    const pending = await get(`SELECT COUNT(*) as count FROM links l
+      WHERE ${WAITING_FOR_TAGS}
+      AND NOT EXISTS (SELECT 1 FROM tagging_jobs j WHERE j.link_id = l.id)`, []);
+    counts.pending = pending ? pending.count : 0;
+
+    const rows = await all('SELECT status, COUNT(*) as count FROM tagging_jobs GROUP BY status', []);
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  },
+
+  /**
+   * Record a successful attempt and the tags it produced
+   */
+  recordSuccess(linkId, provider, tagList) {
+    return run(`INSERT INTO tagging_jobs (link_id, status, attempts, provider, result, error, last_attempt_at, next_attempt_at)
+      VALUES (?, 'done', 1, ?, ?, NULL, CURRENT_TIMESTAMP, NULL)
+      ON CONFLICT(link_id) DO UPDATE SET
+        status = 'done',
+        attempts = attempts + 1,
+        provider = excluded.provider,
+        result = excluded.result,
+        error = NULL,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        next_attempt_at = NULL`, [linkId, provider || null, JSON.stringify(tagList || [])]);
+  },
+
+  /**
+   * Record a failed attempt. The link is retried after retryMinutes, doubling
+   * with each further failure, and parked once it has failed maxAttempts
+   * times. Resolves with { status, attempts, retryInMinutes }.
+   */
+  async recordFailure(linkId, provider, error, { maxAttempts = 5, retryMinutes = 60 } = {}) {
+    const job = await get('SELECT attempts FROM tagging_jobs WHERE link_id = ?', [linkId]);
+    const attempts = (job ? job.attempts : 0) + 1;
+    const status = attempts >= maxAttempts ? 'parked' : 'failed';
+    const retryInMinutes = status === 'failed' ? retryMinutes * Math.pow(2, attempts - 1) : null;
+
+    await run(`INSERT INTO tagging_jobs (link_id, status, attempts, provider, result, error, last_attempt_at, next_attempt_at)
+      VALUES (?, ?, ?, ?, NULL, ?, CURRENT_TIMESTAMP, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+      ON CONFLICT(link_id) DO UPDATE SET
+        status = excluded.status,
+        attempts = excluded.attempts,
+        provider = excluded.provider,
+        result = NULL,
+        error = excluded.error,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        next_attempt_at = excluded.next_attempt_at`,
+      [linkId, status, attempts, provider || null, error || null, retryInMinutes, `+${retryInMinutes} minutes`]);
+
+    return { status, attempts, retryInMinutes };
+  },
+
+  /**
+   * Queue a failed or parked link for another attempt on the next run, with
+   * a fresh set of attempts; resolves with the number of jobs requeued
+   */
+  async retry(linkId) {
+    const { changes } = await run(`UPDATE tagging_jobs
+      SET status = 'failed', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE link_id = ? AND status IN ('failed', 'parked')`, [linkId]);
+    return changes;
+  },
+
+  /**
+   * Forget every job, so all untagged links are pending again
+   */
+  clear() {
+    return run('DELETE FROM tagging_jobs');
+  }
+};
+
+const articles = {
+  /**
+   * Save (or replace) an article by URL; resolves with { id }
+   */
+  async save(article) {
+    const { lastID } = await run(`INSERT OR REPLACE INTO articles
+      (url, title, domain, author, publish_date, content, text_content, word_count, reading_time, tags, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [article.url, article.title, article.domain, article.author, article.publishDate, article.content,
+        article.textContent, article.wordCount, article.readingTime, article.tags || null, article.notes || null]);
+    return { id: lastID };
+  },
+
+  /**
+   * Saved articles, most clicked first
+   */
+  list(limit = 50, offset = 0) {
+    return all(`SELECT * FROM articles
+      WHERE saved = 1
+      ORDER BY click_count DESC, saved_at DESC
+      LIMIT ? OFFSET ?`, [limit, offset]);
+  },
+
+  /**
+   * Full-text search over saved articles, with highlighted snippets
+   */
+  search(query) {
+    return all(`SELECT articles.*, snippet(articles_fts, -1, '<mark>', '</mark>', '...', 64) as snippet
+      FROM articles_fts
+      JOIN articles ON articles.id = articles_fts.rowid
+      WHERE articles_fts MATCH ?
+      AND articles.saved = 1
+      ORDER BY rank
+      LIMIT 20`, [query]);
+  },
+
+  /**
+   * Totals for the saved article collection
+   */
+  stats() {
+    return get(`SELECT
+      COUNT(*) as total_articles,
+      SUM(word_count) as total_words,
+      AVG(word_count) as avg_words,
+      COUNT(CASE WHEN saved_at > datetime('now', '-7 days') THEN 1 END) as week_articles,
+      COUNT(CASE WHEN saved_at > datetime('now', '-30 days') THEN 1 END) as month_articles
+      FROM articles
+      WHERE saved = 1`);
+  },
+
+  /**
+   * Find an article, saved or only cached for tagging, by URL
+   */
+  findByUrl(url) {
+    return get('SELECT * FROM articles WHERE url = ?', [url]);
+  },
+
+  /**
+   * Cache the text of an article fetched for tagging. Articles the user has
+   * saved keep their other details; new rows stay out of the library.
+   */
+  cacheText(article) {
+    return run(`INSERT INTO articles
+      (url, title, domain, description, text_content, word_count, reading_time, saved, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+      ON CONFLICT(url) DO UPDATE SET
+        description = COALESCE(articles.description, excluded.description),
+        text_content = excluded.text_content,
+        word_count = excluded.word_count,
+        reading_time = excluded.reading_time,
+        fetched_at = CURRENT_TIMESTAMP`,
+      [article.url, article.title, article.domain, article.description || null, article.textContent,
+        article.wordCount, article.readingTime]);
+  },
+
+  /**
+   * Count a click on a saved article
+   */
+  async recordClick(articleId) {
+    const { changes } = await run(`UPDATE articles
+      SET click_count = click_count + 1, last_clicked_at = CURRENT_TIMESTAMP
+      WHERE id = ?`, [articleId]);
+    return changes;
+  }
+};
+
+const tagRules = {
+  /**
+   * Every tagging rule, oldest first; tags are stored comma-separated
+   */
+  list() {
+    return all('SELECT * FROM tag_rules ORDER BY id', []);
+  },
+
+  /**
+   * Find a rule by id
+   */
+  get(id) {
+    return get('SELECT * FROM tag_rules WHERE id = ?', [id]);
+  },
+
+  /**
+   * Add a rule; resolves with { id }
+   */
+  async create(rule) {
+    const { lastID } = await run('INSERT INTO tag_rules (field, pattern, tags, enabled) VALUES (?, ?, ?, ?)',
+      [rule.field, rule.pattern, rule.tags.join(','), rule.enabled === false ? 0 : 1]);
+    return { id: lastID };
+  },
+
+  /**
+   * Replace a rule's definition; resolves with the number of rules updated
+   */
+  async update(id, rule) {
+    const { changes } = await run('UPDATE tag_rules SET field = ?, pattern = ?, tags = ?, enabled = ? WHERE id = ?',
+      [rule.field, rule.pattern, rule.tags.join(','), rule.enabled === false ? 0 : 1, id]);
+    return changes;
+  },
+
+  /**
+   * Delete a rule. Tags it applied stay on their links without the rule id.
+   * Resolves with the number of rules deleted.
+   */
+  async delete(id) {
+    await run('UPDATE tags SET rule_id = NULL WHERE rule_id = ?', [id]);
+    const { changes } = await run('DELETE FROM tag_rules WHERE id = ?', [id]);
+    return changes;
+  }
+};
+
+const summaries = {
+  /**
+   * Clicked links and saved articles still without a summary, skipping
+   * items whose last attempt was less than retryHours ago. Resolves with
+   * { kind: 'link' | 'article', id, title, url } entries, most recent first;
+   * a link's url is its article rather than its discussion thread.
+   */
+  listDue(limit = 20, retryHours = 24) {
+    const retryAfter = `-${retryHours} hours`;
+    return all(`
+      SELECT kind, id, title, url FROM (
+        SELECT 'link' as kind, l.id, l.title, COALESCE(l.article_url, l.url) as url, cs.last_clicked_at as active_at
+        FROM links l
+        JOIN link_click_stats cs ON cs.link_id = l.id
+        WHERE l.summary IS NULL
+        AND (l.summary_attempted_at IS NULL OR l.summary_attempted_at <= datetime('now', ?))
+        AND cs.article_clicks > 0
+        UNION ALL
+        SELECT 'article' as kind, a.id, a.title, a.url, a.saved_at as active_at
+        FROM articles a
+        WHERE a.saved = 1
+        AND a.summary IS NULL
+        AND (a.summary_attempted_at IS NULL OR a.summary_attempted_at <= datetime('now', ?))
+      )
+      ORDER BY active_at DESC
+      LIMIT ?
+    `, [retryAfter, retryAfter, limit]);
+  },
+
+  /**
+   * Store a summary on the item it was written for, and on any link or
+   * article for the same URL that has none yet
+   */
+  async save(item, summary, source) {
+    const table = item.kind === 'article' ? 'articles' : 'links';
+    await run(`UPDATE ${table}
+      SET summary = ?, summary_source = ?, summary_attempted_at = CURRENT_TIMESTAMP
+      WHERE id = ?`, [summary, source || null, item.id]);
+
+    if (item.url) {
+      await run(`UPDATE links SET summary = ?, summary_source = ?, summary_attempted_at = CURRENT_TIMESTAMP
+        WHERE url = ? AND summary IS NULL`, [summary, source || null, item.url]);
+      await run(`UPDATE articles SET summary = ?, summary_source = ?, summary_attempted_at = CURRENT_TIMESTAMP
+        WHERE url = ? AND summary IS NULL`, [summary, source || null, item.url]);
+    }
+  },
+
+  /**
+   * Note a failed attempt so the item waits before being tried again
+   */
+  recordFailure(item) {
+    const table = item.kind === 'article' ? 'articles' : 'links';
+    return run(`UPDATE ${table} SET summary_attempted_at = CURRENT_TIMESTAMP WHERE id = ?`, [item.id]);
+  }
+};
+
+module.exports = {
+  run,
+  get,
+  all,
+  links,
+  clicks,
+  tags,
+  tagHierarchy,
+  tagFeedback,
+  taggingJobs,
+  articles,
+  tagRules,
+  summaries
+};
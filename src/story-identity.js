@@ -0,0 +1,95 @@
+/**
+ * Canonical story identity
+ *
+ * Every tracked link is identified by a story key: the source id plus the
+ * story's native id (e.g. "hn/top:41234567", "reddit:1c2d3e"), or the
+ * normalized URL for sources that have no stable ids of their own
+ * (e.g. "pinboard:url:https://example.com/post").
+ */
+
+/**
+ * Normalize a URL for identity purposes: lowercase scheme and host, drop
+ * "www.", default ports, fragments and trailing slashes
+ */
+function normalizeIdentityUrl(url) {
+  if (!url) return null;
+
+  try {
+    const urlObj = new URL(url.trim());
+    urlObj.hash = '';
+
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const port = urlObj.port ? `:${urlObj.port}` : '';
+    const pathname = urlObj.pathname.replace(/\/+$/, '');
+
+    return `${urlObj.protocol.toLowerCase()}//${host}${port}${pathname}${urlObj.search}`;
+  } catch (error) {
+    return url.trim();
+  }
+}
+
+/**
+ * Build the key for a story fetched from a registered source
+ */
+function getStoryKey(story, sourceId) {
+  const { getSource } = require('./api-sources');
+  const source = getSource(sourceId);
+  const nativeId = source ? source.identify(story) : story.id;
+
+  if (nativeId !== undefined && nativeId !== null && nativeId !== '') {
+    return `${sourceId}:${nativeId}`;
+  }
+
+  const url = normalizeIdentityUrl(story.url);
+  return url ? `${sourceId}:url:${url}` : null;
+}
+
+/**
+ * Turn the (storyId, source) pair used by tracking calls into a story key.
+ * Ids that are already keys for the given source are passed through, as are
+ * ids tracked without a known source (e.g. from the curated bag).
+ */
+function toStoryKey(storyId, source) {
+  if (storyId === undefined || storyId === null || storyId === '') return null;
+
+  const id = String(storyId);
+  if (!source || source === 'unknown' || id.startsWith(`${source}:`)) {
+    return id;
+  }
+  return `${source}:${id}`;
+}
+
+/**
+ * Recover the key for a row tracked before story keys existed. Legacy rows
+ * only stored hashed ids for string-id sources, so the native id is read
+ * back out of the discussion URL where possible, falling back to the URL.
+ */
+function getLegacyStoryKey(row) {
+  const source = row.source || 'unknown';
+
+  if (source.startsWith('hn/') && row.story_id) {
+    return `${source}:${row.story_id}`;
+  }
+
+  const discussionUrls = [row.comments_url, row.url].filter(Boolean);
+
+  if (source === 'reddit') {
+    const match = discussionUrls.map(url => url.match(/\/comments\/([a-z0-9]+)/i)).find(Boolean);
+    if (match) return `reddit:${match[1]}`;
+  }
+
+  if (source === 'lobsters') {
+    const match = discussionUrls.map(url => url.match(/lobste\.rs\/s\/([a-z0-9]+)/i)).find(Boolean);
+    if (match) return `lobsters:${match[1]}`;
+  }
+
+  const url = normalizeIdentityUrl(row.url);
+  return url ? `${source}:url:${url}` : null;
+}
+
+module.exports = {
+  normalizeIdentityUrl,
+  getStoryKey,
+  toStoryKey,
+  getLegacyStoryKey
+};
@@ -0,0 +1,83 @@
+/**
+ * Background article summaries
+ *
+ * Clicked links and saved articles get a short summary written by the
+ * configured LLM provider from the article's text. Summaries are generated
+ * lazily, a few per background tagging run, and stored on the link or
+ * article row.
+ */
+
+const repository = require('./repository');
+const { SUMMARIES_PER_RUN, SUMMARY_EXCERPT_CHARS } = require('./config');
+const { checkLlmAvailable, generateSummary } = require('./claude-integration');
+const { getArticleExcerpt } = require('./content-extractor');
+
+let isSummarizing = false;
+
+/**
+ * Summarize one clicked link or saved article and store the result
+ * @param {Object} item - { kind: 'link' | 'article', id, title, url }
+ */
+async function summarizeItem(item) {
+  const excerpt = await getArticleExcerpt(item, { maxChars: SUMMARY_EXCERPT_CHARS });
+  const result = await generateSummary(item.title, item.url, excerpt);
+
+  if (result.success) {
+    await repository.summaries.save(item, result.summary, result.source);
+  } else {
+    console.log(`⚠️ No summary for "${item.title}": ${result.error}`);
+    await repository.summaries.recordFailure(item);
+  }
+  return result;
+}
+
+/**
+ * Summarize clicked links and saved articles that have no summary yet
+ * @returns {Promise<Object>} { processed, successful }
+ */
+async function summarizePendingArticles(limit = SUMMARIES_PER_RUN) {
+  if (isSummarizing) {
+    console.log('📝 Summaries already in progress, skipping...');
+    return { processed: 0, successful: 0 };
+  }
+
+  isSummarizing = true;
+  let processed = 0;
+  let successful = 0;
+
+  try {
+    if (!(await checkLlmAvailable())) {
+      console.log('ℹ️ No LLM provider available - skipping article summaries');
+      return { processed, successful };
+    }
+
+    const items = await repository.summaries.listDue(limit);
+    if (items.length === 0) {
+      return { processed, successful };
+    }
+
+    console.log(`📝 Summarizing ${items.length} clicked or saved articles...`);
+    for (const item of items) {
+      try {
+        const result = await summarizeItem(item);
+        if (result.success) successful++;
+      } catch (error) {
+        console.error(`❌ Error summarizing "${item.title}":`, error.message);
+      }
+      processed++;
+    }
+
+    console.log(`✅ Summarized ${successful}/${processed} articles`);
+  } catch (error) {
+    console.error('❌ Error in background summaries:', error);
+  } finally {
+    isSummarizing = false;
+  }
+
+  return { processed, successful };
+}
+
+module.exports = {
+  summarizeItem,
+  summarizePendingArticles
+};
@@ -0,0 +1,301 @@
+/**
+ * Search query language for stories
+ *
+ *   rust AND (compilers OR wasm) -crypto
+ *   machine learning, source:reddit
+ *   domain:github.com clicked:no seen:>5
+ *
+ * Terms are tags (with the tags below them in the hierarchy) or field:value
+ * filters. Neighbouring words form one tag ("machine learning"), or quote a
+ * tag to keep it whole. Terms combine with AND, OR (or a comma) and
+ * NOT (or a leading -), grouped with parentheses; terms side by side
+ * without an operator must all match. Queries compile to a parameterized
+ * SQL condition on the links table (aliased l).
+ */
+
+const QUERY_FIELDS = ['tag', 'source', 'domain', 'clicked', 'seen'];
+const MAX_QUERY_LENGTH = 500;
+
+const YES = ['yes', 'true', '1'];
+const NO = ['no', 'false', '0'];
+
+// Host of a link's article, from its canonical URL (scheme and www. already removed)
+const URL_REST = "substr(COALESCE(l.canonical_url, l.url), instr(COALESCE(l.canonical_url, l.url), '://') + 3)";
+const LINK_HOST = `lower(substr(${URL_REST}, 1, instr(${URL_REST} || '/', '/') - 1))`;
+
+/**
+ * An error in the query at a 1-based character position
+ */
+function queryError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Escape LIKE wildcards so a value only matches itself
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Split a query into tokens: { type, value, position }, with type one of
+ * '(', ')', 'or', 'and', 'not', 'word', 'phrase' or 'field'. Positions are
+ * 1-based character offsets for error messages.
+ */
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  const readQuoted = () => {
+    const start = index;
+    const end = query.indexOf('"', index + 1);
+    if (end === -1) {
+      throw queryError('Missing closing quote', start + 1);
+    }
+    index = end + 1;
+    return query.slice(start + 1, end);
+  };
+
+  while (index < query.length) {
+    const char = query[index];
+    const position = index + 1;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index++;
+    } else if (char === ',') {
+      tokens.push({ type: 'or', position });
+      index++;
+    } else if (char === '-' && index + 1 < query.length && !/[\s,)]/.test(query[index + 1])) {
+      tokens.push({ type: 'not', position });
+      index++;
+    } else if (char === '"') {
+      tokens.push({ type: 'phrase', value: readQuoted(), position });
+    } else {
+      const start = index;
+      while (index < query.length && !/[\s(),"]/.test(query[index])) index++;
+      const word = query.slice(start, index);
+      const colon = word.indexOf(':');
+
+      if (/^(and|or|not)$/i.test(word)) {
+        tokens.push({ type: word.toLowerCase(), position });
+      } else if (colon > 0) {
+        const value = colon === word.length - 1 && query[index] === '"' ? readQuoted() : word.slice(colon + 1);
+        tokens.push({ type: 'field', field: word.slice(0, colon).toLowerCase(), value, position });
+      } else {
+        tokens.push({ type: 'word', value: word, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the SQL condition for one field:value filter
+ */
+function compileField(token, { includeDescendants }) {
+  const value = token.value.trim().toLowerCase();
+  const fail = message => {
+    throw queryError(message, token.position);
+  };
+
+  if (!QUERY_FIELDS.includes(token.field)) {
+    fail(`Unknown field "${token.field}:", use one of: ${QUERY_FIELDS.map(field => `${field}:`).join(', ')}`);
+  }
+  if (!value) {
+    fail(`"${token.field}:" needs a value`);
+  }
+
+  switch (token.field) {
+    case 'tag':
+      return compileTag(value, { includeDescendants });
+    case 'source':
+      // A source family matches its feeds: hn matches hn/top and hn/best
+      return { sql: "(l.source = ? OR l.source LIKE ? ESCAPE '\\')", params: [value, `${escapeLike(value)}/%`] };
+    case 'domain': {
+      const domain = value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+      return { sql: `(${LINK_HOST} = ? OR ${LINK_HOST} LIKE ? ESCAPE '\\')`, params: [domain, `%.${escapeLike(domain)}`] };
+    }
+    case 'clicked': {
+      if (!YES.includes(value) && !NO.includes(value)) {
+        fail('"clicked:" must be yes or no');
+      }
+      const clicked = 'EXISTS (SELECT 1 FROM clicks c WHERE c.link_id = l.id)';
+      return { sql: YES.includes(value) ? clicked : `NOT ${clicked}`, params: [] };
+    }
+    case 'seen': {
+      const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+      if (!match) {
+        fail('"seen:" needs a number of appearances, e.g. seen:5 or seen:>5');
+      }
+      return { sql: `l.times_appeared ${match[1] || '='} ?`, params: [parseInt(match[2], 10)] };
+    }
+    default:
+      return fail(`Unknown field "${token.field}:"`);
+  }
+}
+
+/**
+ * Build the SQL condition matching links with a tag (or an alias of it),
+ * optionally along with every tag below it
+ */
+function compileTag(tag, { includeDescendants }) {
+  const below = includeDescendants
+    ? 'UNION SELECT p.tag FROM tag_parents p JOIN wanted w ON p.parent = w.tag'
+    : '';
+  return {
+    sql: `l.id IN (SELECT t.link_id FROM tags t WHERE t.tag IN (
+      WITH RECURSIVE wanted(tag) AS (
+        SELECT ? UNION SELECT a.tag FROM tag_aliases a WHERE a.alias = ?
+        ${below}
+      )
+      SELECT tag FROM wanted
+    ))`,
+    params: [tag, tag]
+  };
+}
+
+/**
+ * Recursive descent parser over the tokens, producing { sql, params }:
+ *   or    := and (OR and)*
+ *   and   := unary (AND? unary)*
+ *   unary := NOT unary | primary
+ *   primary := ( or ) | field | phrase | word+
+ */
+function parseTokens(tokens, options) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = token => (token.type === 'word' || token.type === 'phrase' ? `"${token.value}"` : `"${token.type.toUpperCase()}"`);
+  const fail = (message, position) => {
+    throw queryError(message, position);
+  };
+  const combine = (operator, parts) => (parts.length === 1 ? parts[0] : {
+    sql: `(${parts.map(part => part.sql).join(` ${operator} `)})`,
+    params: parts.flatMap(part => part.params)
+  });
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      index++;
+      parts.push(parseAnd());
+    }
+    return combine('OR', parts);
+  }
+
+  function parseAnd() {
+    const parts = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') index++;
+      parts.push(parseUnary());
+    }
+    return combine('AND', parts);
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'not') {
+      index++;
+      const negated = parseUnary();
+      return { sql: `NOT (${negated.sql})`, params: negated.params };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    const previous = tokens[index - 1];
+    if (!token) {
+      return fail(previous ? `Expected a tag or filter after ${describe(previous)}` : 'The query is empty',
+        previous ? previous.position : 1);
+    }
+
+    index++;
+    switch (token.type) {
+      case '(': {
+        const inner = parseOr();
+        if (!peek() || peek().type !== ')') {
+          fail('Missing ")" to close this "("', token.position);
+        }
+        index++;
+        return { sql: `(${inner.sql})`, params: inner.params };
+      }
+      case 'field':
+        return compileField(token, options);
+      case 'phrase':
+        if (!token.value.trim()) fail('Empty quotes', token.position);
+        return compileTag(token.value.trim().toLowerCase(), options);
+      case 'word': {
+        // Neighbouring words are one tag, e.g. machine learning
+        const words = [token.value];
+        while (peek() && peek().type === 'word') {
+          words.push(peek().value);
+          index++;
+        }
+        return compileTag(words.join(' ').toLowerCase(), options);
+      }
+      default:
+        return fail(`Unexpected ${describe(token)}, expected a tag or filter`, token.position);
+    }
+  }
+
+  const result = parseOr();
+  if (peek()) {
+    fail(`Unexpected ${describe(peek())}`, peek().position);
+  }
+  return result;
+}
+
+/**
+ * Parse a search query into a SQL condition on links (aliased l)
+ * @param {Object} [options] - { includeDescendants: false } to match tags exactly,
+ *   without the tags below them
+ * @returns {Object} { where, params }, or { error, position } describing what is
+ *   wrong and where
+ */
+function parseTagQuery(query, { includeDescendants = true } = {}) {
+  const text = typeof query === 'string' ? query.trim() : '';
+  if (!text) {
+    return { error: 'The query is empty', position: 1 };
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `The query must be at most ${MAX_QUERY_LENGTH} characters`, position: MAX_QUERY_LENGTH + 1 };
+  }
+
+  try {
+    const { sql, params } = parseTokens(tokenize(text), { includeDescendants });
+    return { where: sql, params };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { error: `${error.message} (at character ${error.position})`, position: error.position };
+  }
+}
+
+/**
+ * Parse a single filter, as if written field:value in a query
+ * @returns {Object} { where, params }, or { error }
+ */
+function parseFilter(field, value) {
+  const text = String(value || '').trim();
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `The value must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  try {
+    const { sql, params } = compileField({ field, value: text, position: 1 }, { includeDescendants: true });
+    return { where: sql, params };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  parseTagQuery,
+  parseFilter
+};
@@ -0,0 +1,226 @@
+/**
+ * User-defined tagging rules
+ *
+ * A rule gives every link matching one field a fixed set of tags:
+ *   domain    - the article's host, including subdomains (github.com)
+ *   url       - regular expression matched against the article URL
+ *   title     - regular expression matched against the title
+ *   source    - a source id, or a family of them (hn matches hn/top, hn/best...)
+ *   subreddit - a subreddit name, with or without the r/
+ * Rules run when a link is first seen, before any AI tagging. Their tags
+ * are stored with origin 'rule' and the id of the rule that applied them.
+ */
+
+const repository = require('./repository');
+const { findSubreddit } = require('./keyword-tagger');
+
+const RULE_FIELDS = ['domain', 'url', 'title', 'source', 'subreddit'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Enabled rules, compiled; reloaded after any rule changes
+let cachedRules = null;
+
+/**
+ * Check and normalize a rule from the API or editor
+ * @param {Object} input - { field, pattern, tags, enabled }, tags as an array or comma-separated
+ * @returns {Object} { rule } or { error } describing what is wrong
+ */
+function parseRule(input) {
+  const { field, enabled = true } = input || {};
+  const pattern = typeof (input || {}).pattern === 'string' ? input.pattern.trim() : '';
+  const tagList = (input || {}).tags;
+  const tags = Array.from(new Set((Array.isArray(tagList) ? tagList : String(tagList || '').split(','))
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag)));
+
+  if (!RULE_FIELDS.includes(field)) {
+    return { error: `"field" must be one of: ${RULE_FIELDS.join(', ')}` };
+  }
+  if (!pattern) {
+    return { error: '"pattern" is required' };
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { error: `"pattern" must be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  if (field === 'url' || field === 'title') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return { error: `Invalid regular expression: ${error.message}` };
+    }
+  }
+  if (tags.length === 0) {
+    return { error: '"tags" must name at least one tag' };
+  }
+
+  return { rule: { field, pattern, tags, enabled: enabled !== false && enabled !== 0 } };
+}
+
+/**
+ * Turn a tag_rules row into a rule ready for matching
+ */
+function compileRule(row) {
+  const pattern = row.pattern.trim().toLowerCase();
+  return {
+    id: row.id,
+    field: row.field,
+    pattern: row.pattern,
+    tags: row.tags.split(',').filter(tag => tag),
+    regex: row.field === 'url' || row.field === 'title' ? new RegExp(row.pattern, 'i') : null,
+    value: {
+      domain: pattern.replace(/^www\./, ''),
+      subreddit: pattern.replace(/^\/?r\//, '')
+    }[row.field] || pattern
+  };
+}
+
+/**
+ * Whether a link matches a compiled rule
+ * @param {Object} link - { title, url, source, subreddit, commentsUrl }, url being the article's
+ */
+function ruleMatches(rule, link) {
+  switch (rule.field) {
+    case 'domain': {
+      let hostname;
+      try {
+        hostname = new URL(link.url).hostname.toLowerCase().replace(/^www\./, '');
+      } catch (error) {
+        return false;
+      }
+      return hostname === rule.value || hostname.endsWith(`.${rule.value}`);
+    }
+    case 'url':
+      return !!link.url && rule.regex.test(link.url);
+    case 'title':
+      return !!link.title && rule.regex.test(link.title);
+    case 'source': {
+      const source = String(link.source || '').toLowerCase();
+      return source === rule.value || source.startsWith(`${rule.value}/`);
+    }
+    case 'subreddit':
+      return findSubreddit(link.subreddit, [link.commentsUrl, link.url]) === rule.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Tags the rules give a link, each with the id of the first rule that gave it
+ * @returns {Array<Object>} { tag, ruleId } entries
+ */
+function evaluateRules(rules, link) {
+  const matches = new Map();
+  rules.forEach(rule => {
+    if (!ruleMatches(rule, link)) return;
+    rule.tags.forEach(tag => {
+      if (!matches.has(tag)) matches.set(tag, { tag, ruleId: rule.id });
+    });
+  });
+  return Array.from(matches.values());
+}
+
+/**
+ * The enabled rules, compiled and cached until rules change
+ */
+async function loadRules() {
+  if (!cachedRules) {
+    const rows = await repository.tagRules.list();
+    cachedRules = rows.filter(row => row.enabled).map(compileRule);
+  }
+  return cachedRules;
+}
+
+/**
+ * Tag a link with every matching rule's tags
+ * @returns {Promise<Array<string>>} the tags the rules added
+ */
+async function applyTagRules(storyKey, link) {
+  const matches = evaluateRules(await loadRules(), link);
+  if (matches.length === 0) return [];
+
+  const result = await repository.tags.add(storyKey, matches, 'rule');
+  if (result && result.added.length > 0) {
+    console.log(`📏 Rules tagged ${storyKey}: ${result.added.join(', ')}`);
+  }
+  return result ? result.added : [];
+}
+
+/**
+ * Run the rules over every link already in the database, e.g. after adding
+ * a rule. Resolves with { links, tags }: links that gained tags and tags added.
+ */
+async function applyRulesToAllLinks() {
+  const rules = await loadRules();
+  let linksTagged = 0;
+  let tagsAdded = 0;
+
+  if (rules.length === 0) return { links: linksTagged, tags: tagsAdded };
+
+  for (const link of await repository.links.listTitled()) {
+    const matches = evaluateRules(rules, {
+      title: link.title,
+      url: link.article_url || link.url,
+      source: link.source,
+      commentsUrl: link.comments_url
+    });
+    if (matches.length === 0) continue;
+
+    const result = await repository.tags.add(link.story_key, matches, 'rule');
+    if (result && result.added.length > 0) {
+      linksTagged++;
+      tagsAdded += result.added.length;
+    }
+  }
+
+  console.log(`📏 Rules added ${tagsAdded} tags to ${linksTagged} existing links`);
+  return { links: linksTagged, tags: tagsAdded };
+}
+
+/**
+ * Rules as shown to the API and editor: { id, field, pattern, tags, enabled, created_at }
+ */
+async function listRules() {
+  const rows = await repository.tagRules.list();
+  return rows.map(row => ({ ...row, tags: row.tags.split(',').filter(tag => tag), enabled: !!row.enabled }));
+}
+
+/**
+ * Add a parsed rule; resolves with { id }
+ */
+async function createRule(rule) {
+  const created = await repository.tagRules.create(rule);
+  cachedRules = null;
+  return created;
+}
+
+/**
+ * Replace a rule with a parsed definition; resolves with the number of rules updated
+ */
+async function updateRule(id, rule) {
+  const changes = await repository.tagRules.update(id, rule);
+  cachedRules = null;
+  return changes;
+}
+
+/**
+ * Delete a rule, keeping the tags it applied; resolves with the number of rules deleted
+ */
+async function deleteRule(id) {
+  const changes = await repository.tagRules.delete(id);
+  cachedRules = null;
+  return changes;
+}
+
+module.exports = {
+  RULE_FIELDS,
+  parseRule,
+  evaluateRules,
+  compileRule,
+  applyTagRules,
+  applyRulesToAllLinks,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -4,11 +4,12 @@
 
 const { BrowserWindow, shell } = require('electron');
 const { addTagToStory, getArticles, trackSavedArticleClick, getDatabase } = require('./database');
+const { getSources } = require('./api-sources');
 
 /**
- * Show custom tag input dialog
+ * Show custom tag input dialog for a tracked link, identified by its story key
  */
-function promptForCustomTag(storyId, storyTitle) {
+function promptForCustomTag(storyKey, storyTitle) {
   // Create a simple HTML form for tag input
   const tagInputWindow = new BrowserWindow({
     width: 400,
@@ -105,7 +106,7 @@ function promptForCustomTag(storyId, storyTitle) {
           const tag = tagInput.value.trim();
           
           if (tag) {
-            ipcRenderer.send('add-custom-tag', ${storyId}, tag);
+            ipcRenderer.send('add-custom-tag', ${JSON.stringify(storyKey)}, tag);
             window.close();
           }
         }
@@ -131,17 +132,11 @@ function promptForCustomTag(storyId, storyTitle) {
   // Handle the custom tag addition
   const { ipcMain } = require('electron');
   ipcMain.removeAllListeners('add-custom-tag'); // Remove previous listeners
-  ipcMain.on('add-custom-tag', (event, storyId, tag) => {
+  ipcMain.on('add-custom-tag', (event, storyKey, tag) => {
     // Track engagement when user adds custom tag
     const { trackEngagement } = require('./database');
-    let source = 'unknown';
-    // Try to determine source - this is a best guess
-    if (storyTitle && storyTitle.includes('reddit')) source = 'reddit';
-    else if (typeof storyId === 'number') source = 'hn';
-    else source = 'pinboard';
-    
-    trackEngagement(storyId, source);
-    addTagToStory(storyId, tag);
+    trackEngagement(storyKey);
+    addTagToStory(storyKey, tag);
     tagInputWindow.close();
     // Refresh the menu after adding the tag
     const { updateMenu } = require('./menu');
@@ -497,7 +492,7 @@ function showArticleLibrary() {
 function promptForTagSearch(callback) {
   const searchWindow = new BrowserWindow({
     width: 500,
-    height: 150,
+    height: 230,
     title: 'Search Stories by Tags',
     resizable: false,
     alwaysOnTop: true,
@@ -547,6 +542,14 @@ function promptForTagSearch(callback) {
           outline: none;
           border-color: #007bff;
         }
+        .error-text {
+          font-size: 12px;
+          color: #dc3545;
+          margin: -8px 0 12px 0;
+        }
+        .error-text:empty {
+          display: none;
+        }
         .buttons {
           display: flex;
           gap: 10px;
@@ -581,8 +584,9 @@ function promptForTagSearch(callback) {
     <body>
       <div class="container">
         <h3>🔍 Search Stories by Tags</h3>
-        <div class="help-text">Enter comma-separated tags (e.g., "tech,ai" or "programming,business")</div>
-        <input type="text" id="searchInput" placeholder="tech,food,programming..." autocomplete="off">
+        <div class="help-text">Tags combined with AND, OR (or commas), NOT (or -) and parentheses, plus source:, domain:, clicked: and seen: filters</div>
+        <input type="text" id="searchInput" placeholder="rust AND (compilers OR wasm) -crypto" autocomplete="off">
+        <div class="error-text" id="searchError"></div>
         <div class="buttons">
           <button onclick="clearSearch()">Clear Search</button>
           <button onclick="window.close()">Cancel</button>
@@ -597,9 +601,13 @@ function promptForTagSearch(callback) {
           const searchInput = document.getElementById('searchInput');
           const query = searchInput.value.trim();
           
+          // The main process closes the window, or sends back why the query is invalid
           ipcRenderer.send('tag-search', query);
-          window.close();
         }
+
+        ipcRenderer.on('tag-search-error', (event, message) => {
+          document.getElementById('searchError').textContent = message;
+        });
         
         function clearSearch() {
           ipcRenderer.send('tag-search', '');
@@ -628,6 +636,12 @@ function promptForTagSearch(callback) {
   const { ipcMain } = require('electron');
   ipcMain.removeAllListeners('tag-search'); // Remove previous listeners
   ipcMain.on('tag-search', (event, query) => {
+    const { parseTagQuery } = require('./tag-query');
+    const parsed = query ? parseTagQuery(query) : {};
+    if (parsed.error) {
+      event.reply('tag-search-error', parsed.error);
+      return;
+    }
     callback(query);
     searchWindow.close();
   });
@@ -722,6 +736,19 @@ function showDatabaseBrowser() {
           .filter-btn.active {
             background: #333;
           }
+          .sort-select {
+            margin-left: auto;
+            font-size: 9px;
+            padding: 2px 4px;
+          }
+          .pager {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px;
+            font-size: 10px;
+            color: #666;
+          }
           .source-filters {
             display: flex;
             gap: 6px;
@@ -802,6 +829,15 @@ function showDatabaseBrowser() {
           .comments-link:hover {
             text-decoration: underline;
           }
+          .summary {
+            font-size: 10px;
+            color: #555;
+            margin-top: 2px;
+          }
+          .summary summary {
+            color: #888;
+            cursor: pointer;
+          }
           .source-badge {
             display: inline-block;
             padding: 2px 4px;
@@ -811,9 +847,7 @@ function showDatabaseBrowser() {
             text-transform: uppercase;
             color: white;
           }
-          .source-hn { background: #ff6600; }
-          .source-reddit { background: #ff4500; }
-          .source-pinboard { background: #0066cc; }
+          ${getSources().map(source => `.source-${source.id.replace(/[^a-z0-9_-]/gi, '-')} { background: ${source.color}; }`).join('\n          ')}
           .source-unknown { background: #666; }
           .meta {
             font-size: 10px;
@@ -875,6 +909,47 @@ function showDatabaseBrowser() {
             color: #666;
             font-weight: normal;
           }
+          .tags-option {
+            float: right;
+            font-weight: normal;
+            text-transform: none;
+          }
+          .search-section {
+            display: flex;
+            gap: 4px;
+            margin-bottom: 8px;
+          }
+          .search-section input {
+            flex: 1;
+            padding: 4px 6px;
+            font-size: 11px;
+            border: 1px solid #ddd;
+            border-radius: 3px;
+          }
+          .search-error {
+            font-size: 10px;
+            color: #dc3545;
+            margin: -4px 0 8px 0;
+          }
+          .search-error:empty {
+            display: none;
+          }
+          .snippet {
+            font-size: 10px;
+            color: #555;
+            margin-top: 2px;
+          }
+          .review-actions {
+            white-space: nowrap;
+          }
+          .review-actions .btn {
+            font-size: 9px;
+            padding: 2px 6px;
+          }
+          .snippet mark {
+            background: #fff3b0;
+            color: inherit;
+          }
         </style>
       </head>
       <body>
@@ -885,6 +960,7 @@ function showDatabaseBrowser() {
           <button class="btn" onclick="loadRecent()">🕒 Recent</button>
           <button class="btn" onclick="loadAll()">📋 All</button>
           <button class="btn" onclick="showAnalytics()">📊 Analytics</button>
+          <button class="btn" onclick="showTagReview()">🏷️ Review Tags</button>
         </div>
         
         <div class="filters">
@@ -893,17 +969,36 @@ function showDatabaseBrowser() {
           <button class="filter-btn" onclick="filterByDays(7)">1 WEEK</button>
           <button class="filter-btn" onclick="filterByDays(30)">1 MONTH</button>
           <button class="filter-btn active" onclick="clearFilters()">ALL TIME</button>
+          <select class="sort-select" id="sortSelect" onchange="reloadList()">
+            <option value="">Default order</option>
+            <option value="last_seen:desc">Last seen</option>
+            <option value="first_seen:desc">First seen</option>
+            <option value="appearances:desc">Most seen</option>
+            <option value="points:desc">Most points</option>
+            <option value="clicks:desc">Most clicked</option>
+            <option value="last_clicked:desc">Last clicked</option>
+            <option value="title:asc">Title</option>
+            <option value="random:asc">Shuffle</option>
+          </select>
         </div>
         
         <div class="source-filters">
-          <button class="source-btn" onclick="filterBySource('reddit')">REDDIT</button>
-          <button class="source-btn" onclick="filterBySource('hn')">HN</button>
-          <button class="source-btn" onclick="filterBySource('pinboard')">PINBOARD</button>
+          ${getSources().map(source => `<button class="source-btn" onclick="filterBySource('${source.id}')">${source.label.toUpperCase()}</button>`).join('\n          ')}
           <button class="source-btn active" onclick="clearSourceFilter()">ALL SOURCES</button>
         </div>
         
+        <div class="search-section">
+          <input type="text" id="searchQuery" placeholder="rust AND (compilers OR wasm) -crypto, source:reddit, domain:github.com, clicked:no, seen:>5">
+          <button class="btn" onclick="searchLinks()">🔍 Search</button>
+          <button class="btn" onclick="searchText()">📝 Full text</button>
+        </div>
+        <div class="search-error" id="searchError"></div>
+        
         <div class="tags-section">
-          <div class="tags-header">All Tags</div>
+          <div class="tags-header">
+            All Tags
+            <label class="tags-option"><input type="checkbox" id="includeSubTags" checked> include sub-tags</label>
+          </div>
           <div id="tagsContainer" class="tags-container">
             <div class="loading" style="font-size: 8px; color: #999;">Loading tags...</div>
           </div>
@@ -922,17 +1017,26 @@ function showDatabaseBrowser() {
           
           let currentLinks = []; // Store current results for filtering
           let currentTitle = ''; // Store current result set title
+          let currentList = null; // { endpoint, title } of the paged list shown, null for one-off results
+          let listFilters = {}; // since and source, applied by the server to paged lists
+          let nextCursor = null;
+          let loadedCount = 0;
+          let listTotal = 0;
+          let reviewQueue = []; // Low-confidence model tags shown for review
           
           // Load tags and discover view when page loads
           window.addEventListener('DOMContentLoaded', () => {
             loadTags();
             loadDiscover();
+            document.getElementById('searchQuery').addEventListener('keydown', event => {
+              if (event.key === 'Enter') searchLinks();
+            });
           });
           
           function openLink(url, storyId, source, title) {
             if (url) {
               // Check if this link has been clicked before by looking at the current link data
-              const linkData = currentLinks.find(link => link.url === url);
+              const linkData = currentLinks.find(link => (link.article_url || link.url) === url);
               
               if (linkData && !linkData.viewed && linkData.total_clicks === 0) {
                 // This is an unclicked link - trigger Claude tagging
@@ -941,7 +1045,7 @@ function showDatabaseBrowser() {
                 // Send IPC message to main process to show Claude tagging window
                 const { ipcRenderer } = require('electron');
                 ipcRenderer.send('show-claude-tags', {
-                  storyId: storyId || linkData.story_id,
+                  storyId: storyId || linkData.story_key,
                   title: title || linkData.title,
                   url: url,
                   source: source || linkData.source
@@ -972,6 +1076,45 @@ function showDatabaseBrowser() {
             }).catch(err => console.error('Error tracking click:', err));
           }
           
+          function renderDiscussionLinks(link, hideSource) {
+            // Grouped links list every discussion of the article; fall back to the link's own thread
+            const discussions = link.discussions || [{ story_key: link.story_key, source: link.source, url: link.comments_url }];
+            const articleUrl = link.article_url || link.url;
+            
+            return discussions
+              .filter(discussion => discussion.url && discussion.url !== articleUrl)
+              .map(discussion => {
+                const label = discussions.length > 1 && !hideSource && discussion.source ? discussion.source : 'comments';
+                return \`<a href="#" onclick="openLink(\${jsString(discussion.url)}, \${jsString(discussion.story_key)}, \${jsString(discussion.source || link.source || 'unknown')}, \${jsString(link.title)})" class="comments-link">[\${label}]</a>\`;
+              })
+              .join(' ');
+          }
+          
+          function escapeHtml(text) {
+            return String(text).replace(/[&<>"']/g, char => ({
+              '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+            })[char]);
+          }
+          
+          // A value as a quoted JS string that is safe inside an onclick="..." attribute
+          function jsString(value) {
+            return escapeHtml(JSON.stringify(value == null ? '' : String(value)));
+          }
+          
+          function renderSummary(link) {
+            if (!link.summary) return '';
+            return \`<details class="summary"><summary>summary</summary>\${escapeHtml(link.summary)}</details>\`;
+          }
+          
+          function renderSnippet(link) {
+            if (!link.snippet) return '';
+            // Snippets come from page text; only the match markers are HTML
+            const html = escapeHtml(link.snippet)
+              .replace(/&lt;mark&gt;/g, '<mark>')
+              .replace(/&lt;\\/mark&gt;/g, '</mark>');
+            return \`<div class="snippet">\${html}</div>\`;
+          }
+          
           function truncateTitle(title, maxLength = 100) {
             if (!title) return 'Untitled';
             return title.length > maxLength ? title.substring(0, maxLength) + '...' : title;
@@ -1005,7 +1148,7 @@ function showDatabaseBrowser() {
             if (links.length === 0) {
               resultsDiv.innerHTML = \`
                 <div class="empty-state">
-                  No \${title.toLowerCase()} found
+                  No \${escapeHtml(title.toLowerCase())} found
                 </div>
               \`;
               return;
@@ -1026,21 +1169,21 @@ function showDatabaseBrowser() {
                 </thead>
                 <tbody>
                   \${links.map(link => {
-                    const sourceClass = 'source-' + (link.source || 'unknown');
                     const titleClass = link.viewed ? 'viewed' : (link.engaged ? 'engaged' : '');
-                    const hasComments = link.comments_url && link.comments_url !== link.url;
                     
                     return \`
                       <tr>
                         <td>
-                          <a href="#" onclick="openLink('\${link.url}', '\${link.story_id}', '\${link.source || 'unknown'}', '\${link.title.replace(/'/g, "\\'")}')\" class="title-link \${titleClass}">
-                            \${truncateTitle(link.title)}
+                          <a href="#" onclick="openLink(\${jsString(link.article_url || link.url)}, \${jsString(link.story_key)}, \${jsString(link.source || 'unknown')}, \${jsString(link.title)})" class="title-link \${titleClass}">
+                            \${escapeHtml(truncateTitle(link.title))}
                           </a>
-                          \${hasComments ? \`<a href="#" onclick="openLink('\${link.comments_url}', '\${link.story_id}', '\${link.source || 'unknown'}', '\${link.title.replace(/'/g, "\\'")}')\" class="comments-link">[comments]</a>\` : ''}
+                          \${renderDiscussionLinks(link, hideSource)}
+                          \${renderSnippet(link)}
+                          \${renderSummary(link)}
                         </td>
                         \${hideSource ? '' : \`
                         <td>
-                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}</span>
+                          \${(link.discussions || [link]).map(discussion => \`<span class="source-badge source-\${(discussion.source || 'unknown').replace(/[^a-z0-9_-]/gi, '-')}">\${discussion.source || 'unknown'}</span>\`).join(' ')}
                         </td>\`}
                         <td>
                           <div class="stats">
@@ -1084,7 +1227,7 @@ function showDatabaseBrowser() {
           
           async function loadTags() {
             try {
-              const response = await fetch('http://127.0.0.1:3002/api/database/tags');
+              const response = await fetch('http://127.0.0.1:3002/api/database/tags?limit=500');
               if (!response.ok) {
                 throw new Error(\`HTTP \${response.status}: \${response.statusText}\`);
               }
@@ -1105,58 +1248,221 @@ function showDatabaseBrowser() {
             }
             
             const tagsHtml = tags.map(tagData => \`
-              <div class="tag-item" onclick="filterByTag('\${tagData.tag}')">
-                \${tagData.tag} <span class="tag-count">(\${tagData.count})</span>
+              <div class="tag-item" onclick="filterByTag(\${jsString(tagData.tag)})">
+                \${escapeHtml(tagData.tag)} <span class="tag-count">(\${tagData.count})</span>
               </div>
             \`).join('');
             
             container.innerHTML = tagsHtml;
           }
           
-          function filterByTag(tag) {
-            // For now, just show an alert - you could implement tag filtering here
-            alert(\`Filtering by tag: \${tag}\`);
+          async function filterByTag(tag) {
+            const descendants = document.getElementById('includeSubTags').checked;
+            loadList(\`/api/database/by-tag?tag=\${encodeURIComponent(tag)}&descendants=\${descendants}\`,
+              descendants ? \`Tagged "\${tag}" or below\` : \`Tagged "\${tag}"\`);
+          }
+          
+          async function searchLinks() {
+            const query = document.getElementById('searchQuery').value.trim();
+            const errorDiv = document.getElementById('searchError');
+            errorDiv.textContent = '';
+            if (!query) return;
+            
+            currentList = null;
+            showLoading();
+            try {
+              const response = await fetch('http://127.0.0.1:3002/api/search?q=' + encodeURIComponent(query));
+              const data = await response.json();
+              if (!response.ok) {
+                errorDiv.textContent = data.error || \`HTTP \${response.status}: \${response.statusText}\`;
+                document.getElementById('results').innerHTML = '';
+                return;
+              }
+              renderResults(data.links || [], \`Matching "\${query}"\`);
+            } catch (error) {
+              console.error('Search error:', error);
+              document.getElementById('results').innerHTML = \`<div class="loading">Error: \${error.message}</div>\`;
+            }
+          }
+          
+          async function searchText() {
+            const query = document.getElementById('searchQuery').value.trim();
+            document.getElementById('searchError').textContent = '';
+            if (!query) return;
+            
+            currentList = null;
+            showLoading();
+            const links = await fetchData('/api/database/search?q=' + encodeURIComponent(query));
+            renderResults(links, \`Text matching "\${query}"\`);
+          }
+          
+          /**
+           * Show a paged list endpoint with the current sort and filters, or
+           * with append add its next page below the links already shown
+           */
+          async function loadList(endpoint, title, { append = false } = {}) {
+            const [path, search] = endpoint.split('?');
+            const params = new URLSearchParams(search || '');
+            Object.entries(listFilters).forEach(([name, value]) => params.set(name, value));
+            const sort = document.getElementById('sortSelect').value;
+            if (sort) {
+              const [name, order] = sort.split(':');
+              params.set('sort', name);
+              params.set('order', order);
+            }
+            if (append) params.set('cursor', nextCursor);
+            
+            if (!append) showLoading();
+            try {
+              const response = await fetch('http://127.0.0.1:3002' + path + '?' + params.toString());
+              const data = await response.json();
+              if (!response.ok) {
+                throw new Error(data.error || \`HTTP \${response.status}: \${response.statusText}\`);
+              }
+              
+              currentList = { endpoint, title };
+              nextCursor = data.next_cursor;
+              listTotal = data.total;
+              loadedCount = data.next_cursor ? (append ? loadedCount : 0) + data.limit : data.total;
+              renderResults(append ? currentLinks.concat(data.links) : data.links, title);
+              renderPager();
+            } catch (error) {
+              console.error('Fetch error:', error);
+              document.getElementById('results').innerHTML = \`<div class="loading">Error: \${error.message}</div>\`;
+            }
+          }
+          
+          function renderPager() {
+            if (!currentList || listTotal === 0) return;
+            document.getElementById('results').insertAdjacentHTML('beforeend', \`
+              <div class="pager">
+                \${loadedCount} of \${listTotal} links
+                \${nextCursor ? '<button class="btn" onclick="loadMore()">Load more</button>' : ''}
+              </div>
+            \`);
+          }
+          
+          function loadMore() {
+            if (currentList && nextCursor) {
+              loadList(currentList.endpoint, currentList.title, { append: true });
+            }
+          }
+          
+          function reloadList() {
+            if (currentList) {
+              loadList(currentList.endpoint, currentList.title);
+            }
           }
           
           async function loadCuratedBag() {
             setActiveButton(event.target);
             showLoading();
-            const links = await fetchData('/api/database/curated-bag');
+            currentList = null;
+            // A fixed-size sample, so it is filtered but not paged
+            const links = await fetchData('/api/database/curated-bag?' + new URLSearchParams(listFilters).toString());
             renderResults(links, 'Curated Mix');
           }
           
           async function loadBagOfLinks() {
             setActiveButton(event.target);
-            showLoading();
-            const links = await fetchData('/api/database/bag-of-links');
-            renderResults(links, 'Hidden Gems');
+            loadList('/api/database/bag-of-links', 'Hidden Gems');
           }
           
           async function loadUnread() {
             setActiveButton(event.target);
-            showLoading();
-            const links = await fetchData('/api/database/unread');
-            renderResults(links, 'Unread Stories');
+            loadList('/api/database/unread', 'Unread Stories');
           }
           
           async function loadRecent() {
             setActiveButton(event.target);
-            showLoading();
-            const links = await fetchData('/api/database/recent');
-            renderResults(links, 'Recently Clicked');
+            loadList('/api/database/recent', 'Recently Clicked');
           }
           
           async function loadAll() {
             setActiveButton(event.target);
-            showLoading();
-            const links = await fetchData('/api/database/all');
-            renderResults(links, 'All Links');
+            loadList('/api/database/all', 'All Links');
           }
           
           async function loadDiscover() {
+            loadList('/api/database/discover', 'Random Unclicked Links (Past Week)');
+          }
+          
+          /**
+           * Model tags below the confidence threshold stay off links until
+           * kept or removed here; each choice is recorded as tag feedback
+           */
+          async function showTagReview() {
+            setActiveButton(event.target);
             showLoading();
-            const links = await fetchData('/api/database/discover');
-            renderResults(links, '25 Random Unclicked Links (Past Week)');
+            currentList = null;
+            
+            try {
+              const response = await fetch('http://127.0.0.1:3002/api/database/tags/review');
+              const data = await response.json();
+              if (!response.ok) {
+                throw new Error(data.error || \`HTTP \${response.status}: \${response.statusText}\`);
+              }
+              reviewQueue = data.tags || [];
+              renderTagReview();
+            } catch (error) {
+              console.error('Tag review error:', error);
+              document.getElementById('results').innerHTML = \`<div class="loading">Error: \${escapeHtml(error.message)}</div>\`;
+            }
+          }
+          
+          function renderTagReview() {
+            const resultsDiv = document.getElementById('results');
+            if (reviewQueue.length === 0) {
+              resultsDiv.innerHTML = '<div class="empty-state">No tags waiting for review</div>';
+              return;
+            }
+            
+            resultsDiv.innerHTML = \`
+              <table>
+                <thead>
+                  <tr>
+                    <th>Tag</th>
+                    <th>Link</th>
+                    <th>Confidence</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  \${reviewQueue.map((entry, index) => \`
+                    <tr id="review-\${index}">
+                      <td><strong>\${escapeHtml(entry.tag)}</strong>\${entry.category ? \` <span class="meta">\${escapeHtml(entry.category)}</span>\` : ''}</td>
+                      <td><a href="#" onclick="shell.openExternal(\${jsString(entry.url)})" class="title-link">\${escapeHtml(truncateTitle(entry.title))}</a></td>
+                      <td class="meta">\${Math.round(entry.confidence * 100)}%</td>
+                      <td class="review-actions">
+                        <button class="btn" onclick="reviewTag(\${index}, 'accept')">✓ Keep</button>
+                        <button class="btn" onclick="reviewTag(\${index}, 'reject')">✕ Remove</button>
+                      </td>
+                    </tr>
+                  \`).join('')}
+                </tbody>
+              </table>
+            \`;
+          }
+          
+          async function reviewTag(index, action) {
+            const entry = reviewQueue[index];
+            const row = document.getElementById(\`review-\${index}\`);
+            try {
+              const response = await fetch('http://127.0.0.1:3002/api/database/tags/review', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ story_key: entry.story_key, tag: entry.tag, action })
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                throw new Error(data.error || \`HTTP \${response.status}: \${response.statusText}\`);
+              }
+              row.remove();
+              loadTags();
+            } catch (error) {
+              console.error('Tag review error:', error);
+              row.querySelector('.review-actions').textContent = error.message;
+            }
           }
           
           async function showAnalytics() {
@@ -1164,20 +1470,21 @@ function showDatabaseBrowser() {
             showLoading();
             
             try {
-              const [clicksPerDay, clicksPerSource, tagStats] = await Promise.all([
+              const [clicksPerDay, clicksPerSource, tagStats, topArticles] = await Promise.all([
                 fetch('/api/analytics/clicks-per-day').then(r => r.json()),
                 fetch('/api/analytics/clicks-per-day-per-source').then(r => r.json()),
-                fetch('/api/analytics/tag-stats').then(r => r.json())
+                fetch('/api/analytics/tag-stats').then(r => r.json()),
+                fetch('/api/analytics/top-articles').then(r => r.json())
               ]);
               
-              renderAnalytics(clicksPerDay.data, clicksPerSource.data, tagStats.data);
+              renderAnalytics(clicksPerDay.data, clicksPerSource.data, tagStats.data, topArticles.data);
             } catch (error) {
               console.error('Error loading analytics:', error);
               document.getElementById('results').innerHTML = '<div class="loading">Error loading analytics</div>';
             }
           }
           
-          function renderAnalytics(clicksPerDay, clicksPerSource, tagStats) {
+          function renderAnalytics(clicksPerDay, clicksPerSource, tagStats, topArticles) {
             const resultsDiv = document.getElementById('results');
             
             // Prepare clicks per day chart data
@@ -1223,8 +1530,9 @@ function showDatabaseBrowser() {
                         \${tagStats.slice(0, 20).map(tag => \`
                           <tr>
                             <td style="padding: 8px; border-bottom: 1px solid #eee;">
+                              \${tag.parent ? \`<span style="color: #999; font-size: 11px;">\${escapeHtml(tag.parent)} ›</span>\` : ''}
                               <span style="background: #e3f2fd; color: #1976d2; padding: 2px 6px; border-radius: 3px; font-size: 12px;">
-                                \${tag.tag}
+                                \${escapeHtml(tag.tag)}
                               </span>
                             </td>
                             <td style="padding: 8px; text-align: right; border-bottom: 1px solid #eee;">\${tag.story_count}</td>
@@ -1236,6 +1544,18 @@ function showDatabaseBrowser() {
                     </table>
                   </div>
                 </div>
+                
+                <div style="background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-top: 20px;">
+                  <h3>📰 Top Articles (All Discussions)</h3>
+                  \${(topArticles || []).length === 0 ? '<div class="meta">No clicks yet</div>' : ''}
+                  \${(topArticles || []).map(article => \`
+                    <div style="padding: 6px 0; border-bottom: 1px solid #eee;">
+                      <a href="#" onclick="openLink(\${jsString(article.url)}, \${jsString(article.discussions[0].story_key)}, \${jsString(article.discussions[0].source)}, \${jsString(article.title)})" class="title-link">\${escapeHtml(truncateTitle(article.title))}</a>
+                      <span class="stat">\${article.click_count} clicks</span>
+                      \${renderDiscussionLinks({ ...article, article_url: article.url }, false)}
+                    </div>
+                  \`).join('')}
+                </div>
               </div>
             \`;
             
@@ -1380,7 +1700,7 @@ function showDatabaseBrowser() {
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 20px;">
                   <div style="background: #000; color: #00ff00; padding: 15px; border-radius: 4px; border: 1px solid #333;">
                     <h3 style="margin: 0 0 10px 0; color: #ff6b35;">🏷️ TOP 10 TAGS</h3>
-                    \${data.topTags.map(tag => \`<div>\${tag.count}x \${tag.tag}</div>\`).join('')}
+                    \${data.topTags.map(tag => \`<div>\${tag.count}x \${escapeHtml(tag.tag)}</div>\`).join('')}
                   </div>
                   
                   <div style="background: #000; color: #00ff00; padding: 15px; border-radius: 4px; border: 1px solid #333;">
@@ -1439,6 +1759,14 @@ function showDatabaseBrowser() {
           function filterByHours(hours) {
             setActiveFilter(event.target);
             
+            listFilters.since = \`\${hours}h\`;
+            
+            // Paged lists are filtered by the server
+            if (currentList) {
+              reloadList();
+              return;
+            }
+            
             if (currentLinks.length === 0) {
               return; // No data to filter
             }
@@ -1458,6 +1786,14 @@ function showDatabaseBrowser() {
           function filterByDays(days) {
             setActiveFilter(event.target);
             
+            listFilters.since = \`\${days}d\`;
+            
+            // Paged lists are filtered by the server
+            if (currentList) {
+              reloadList();
+              return;
+            }
+            
             if (currentLinks.length === 0) {
               return; // No data to filter
             }
@@ -1477,6 +1813,14 @@ function showDatabaseBrowser() {
           function clearFilters() {
             setActiveFilter(event.target);
             
+            delete listFilters.since;
+            
+            // Paged lists are filtered by the server
+            if (currentList) {
+              reloadList();
+              return;
+            }
+            
             if (currentLinks.length === 0) {
               return; // No data to restore
             }
@@ -1494,12 +1838,22 @@ function showDatabaseBrowser() {
           function filterBySource(source) {
             setActiveSourceFilter(event.target);
             
+            listFilters.source = source;
+            
+            // Paged lists are filtered by the server
+            if (currentList) {
+              reloadList();
+              return;
+            }
+            
             if (currentLinks.length === 0) {
               return; // No data to filter
             }
             
             const filteredLinks = currentLinks.filter(link => {
-              return link.source === source;
+              return (link.discussions || [link]).some(discussion => {
+                return discussion.source === source || (discussion.source || '').startsWith(source + '/');
+              });
             });
             
             renderFilteredResults(filteredLinks, \`\${currentTitle} (\${source.toUpperCase()} only)\`);
@@ -1508,6 +1862,14 @@ function showDatabaseBrowser() {
           function clearSourceFilter() {
             setActiveSourceFilter(event.target);
             
+            delete listFilters.source;
+            
+            // Paged lists are filtered by the server
+            if (currentList) {
+              reloadList();
+              return;
+            }
+            
             if (currentLinks.length === 0) {
               return; // No data to restore
             }
@@ -1521,7 +1883,7 @@ function showDatabaseBrowser() {
             if (links.length === 0) {
               resultsDiv.innerHTML = \`
                 <div class="empty-state">
-                  No \${title.toLowerCase()} found
+                  No \${escapeHtml(title.toLowerCase())} found
                 </div>
               \`;
               return;
@@ -1542,21 +1904,21 @@ function showDatabaseBrowser() {
                 </thead>
                 <tbody>
                   \${links.map(link => {
-                    const sourceClass = 'source-' + (link.source || 'unknown');
                     const titleClass = link.viewed ? 'viewed' : (link.engaged ? 'engaged' : '');
-                    const hasComments = link.comments_url && link.comments_url !== link.url;
                     
                     return \`
                       <tr>
                         <td>
-                          <a href="#" onclick="openLink('\${link.url}', '\${link.story_id}', '\${link.source || 'unknown'}', '\${link.title.replace(/'/g, "\\'")}')\" class="title-link \${titleClass}">
-                            \${truncateTitle(link.title)}
+                          <a href="#" onclick="openLink(\${jsString(link.article_url || link.url)}, \${jsString(link.story_key)}, \${jsString(link.source || 'unknown')}, \${jsString(link.title)})" class="title-link \${titleClass}">
+                            \${escapeHtml(truncateTitle(link.title))}
                           </a>
-                          \${hasComments ? \`<a href="#" onclick="openLink('\${link.comments_url}', '\${link.story_id}', '\${link.source || 'unknown'}', '\${link.title.replace(/'/g, "\\'")}')\" class="comments-link">[comments]</a>\` : ''}
+                          \${renderDiscussionLinks(link, hideSource)}
+                          \${renderSnippet(link)}
+                          \${renderSummary(link)}
                         </td>
                         \${hideSource ? '' : \`
                         <td>
-                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}</span>
+                          \${(link.discussions || [link]).map(discussion => \`<span class="source-badge source-\${(discussion.source || 'unknown').replace(/[^a-z0-9_-]/gi, '-')}">\${discussion.source || 'unknown'}</span>\`).join(' ')}
                         </td>\`}
                         <td>
                           <div class="stats">
@@ -1817,6 +2179,754 @@ function showArticleBrowser() {
   }
 }
 
+/**
+ * Show the Tag Manager: every tag with its usage count, with rename, merge,
+ * delete and alias operations backed by the API server
+ */
+function showTagManager() {
+  try {
+    const win = new BrowserWindow({
+      width: 720,
+      height: 760,
+      title: '🏷️ Tag Manager',
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>🏷️ Tag Manager</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+            font-size: 13px;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 16px 20px;
+            border-radius: 12px;
+            margin-bottom: 16px;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 22px;
+            font-weight: 300;
+          }
+          .stats {
+            font-size: 12px;
+            opacity: 0.9;
+            margin-top: 4px;
+          }
+          .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 12px 16px;
+            margin-bottom: 16px;
+          }
+          .panel h2 {
+            font-size: 14px;
+            margin: 0 0 10px 0;
+            color: #333;
+          }
+          input[type="text"] {
+            padding: 6px 8px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 13px;
+          }
+          input[type="text"]:focus {
+            outline: none;
+            border-color: #667eea;
+          }
+          button {
+            padding: 5px 10px;
+            border: none;
+            border-radius: 6px;
+            background: #667eea;
+            color: white;
+            font-size: 12px;
+            cursor: pointer;
+          }
+          button.secondary {
+            background: #e0e0e0;
+            color: #333;
+          }
+          button.danger {
+            background: #e74c3c;
+          }
+          button:disabled {
+            opacity: 0.5;
+            cursor: default;
+          }
+          .toolbar {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            flex-wrap: wrap;
+          }
+          .filter {
+            flex: 1;
+            min-width: 160px;
+          }
+          .tag-list {
+            max-height: 380px;
+            overflow-y: auto;
+            margin-top: 10px;
+          }
+          .tag-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 4px;
+            border-bottom: 1px solid #f0f0f0;
+          }
+          .tag-row:last-child {
+            border-bottom: none;
+          }
+          .tag-name {
+            flex: 1;
+            font-weight: 500;
+          }
+          .tag-count {
+            background: #e3f2fd;
+            color: #1976d2;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: bold;
+          }
+          .alias-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 4px 0;
+          }
+          .alias-row span {
+            flex: 1;
+          }
+          .status {
+            min-height: 18px;
+            margin-bottom: 10px;
+            color: #555;
+          }
+          .status.error {
+            color: #e74c3c;
+          }
+          .empty {
+            color: #999;
+            padding: 10px 0;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🏷️ Tag Manager</h1>
+          <div class="stats" id="stats">Loading tags...</div>
+        </div>
+
+        <div id="status" class="status"></div>
+
+        <div class="panel">
+          <div class="toolbar">
+            <input type="text" id="filter" class="filter" placeholder="Filter tags...">
+            <input type="text" id="mergeTarget" placeholder="Merge selected into...">
+            <button id="mergeButton" disabled>Merge</button>
+          </div>
+          <div id="tagList" class="tag-list"></div>
+        </div>
+
+        <div class="panel">
+          <h2>Aliases</h2>
+          <div class="toolbar">
+            <input type="text" id="aliasName" placeholder="Alias (e.g. js)">
+            <span>→</span>
+            <input type="text" id="aliasTag" placeholder="Tag (e.g. javascript)">
+            <button id="aliasButton">Add alias</button>
+          </div>
+          <div id="aliasList"></div>
+        </div>
+
+        <div class="panel">
+          <h2>Hierarchy</h2>
+          <div class="toolbar">
+            <input type="text" id="childTag" placeholder="Tag (e.g. rust)">
+            <span>under</span>
+            <input type="text" id="parentTag" placeholder="Parent (e.g. programming)">
+            <button id="parentButton">Set parent</button>
+          </div>
+          <div id="hierarchyList"></div>
+        </div>
+
+        <script>
+          const API = 'http://127.0.0.1:3002/api/database';
+          let tags = [];
+          const selected = new Set();
+
+          function escapeHtml(text) {
+            return String(text).replace(/[&<>"']/g, char => ({
+              '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+            })[char]);
+          }
+
+          function showStatus(message, isError) {
+            const status = document.getElementById('status');
+            status.textContent = message;
+            status.className = isError ? 'status error' : 'status';
+          }
+
+          async function request(path, options = {}) {
+            const response = await fetch(API + path, {
+              headers: { 'Content-Type': 'application/json' },
+              ...options
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.error || response.statusText);
+            }
+            return data;
+          }
+
+          async function loadTags() {
+            try {
+              const [tagData, aliasData, hierarchyData] = await Promise.all([
+                request('/tags'),
+                request('/tag-aliases'),
+                request('/tag-hierarchy')
+              ]);
+              tags = tagData.tags || [];
+              selected.forEach(tag => {
+                if (!tags.some(entry => entry.tag === tag)) selected.delete(tag);
+              });
+              renderTags();
+              renderAliases(aliasData.aliases || []);
+              renderHierarchy(hierarchyData.relations || []);
+            } catch (error) {
+              showStatus('Error loading tags: ' + error.message, true);
+            }
+          }
+
+          function renderTags() {
+            const filter = document.getElementById('filter').value.trim().toLowerCase();
+            const visible = tags.filter(entry => entry.tag.includes(filter));
+            const total = tags.reduce((sum, entry) => sum + entry.count, 0);
+
+            document.getElementById('stats').textContent =
+              \`\${tags.length} tags • \${total} tag assignments\`;
+
+            document.getElementById('tagList').innerHTML = visible.length === 0 ?
+              '<div class="empty">No tags found</div>' :
+              visible.map(entry => \`
+                <div class="tag-row" data-tag="\${escapeHtml(entry.tag)}">
+                  <input type="checkbox" class="select" \${selected.has(entry.tag) ? 'checked' : ''}>
+                  <span class="tag-name">\${escapeHtml(entry.tag)}</span>
+                  <span class="tag-count">\${entry.count}</span>
+                  <button class="secondary rename">Rename</button>
+                  <button class="danger delete">Delete</button>
+                </div>
+              \`).join('');
+
+            updateMergeControls();
+          }
+
+          function renderAliases(aliases) {
+            document.getElementById('aliasList').innerHTML = aliases.length === 0 ?
+              '<div class="empty">No aliases yet</div>' :
+              aliases.map(entry => \`
+                <div class="alias-row" data-alias="\${escapeHtml(entry.alias)}">
+                  <span>\${escapeHtml(entry.alias)} → <strong>\${escapeHtml(entry.tag)}</strong></span>
+                  <button class="secondary remove-alias">Remove</button>
+                </div>
+              \`).join('');
+          }
+
+          function renderHierarchy(relations) {
+            document.getElementById('hierarchyList').innerHTML = relations.length === 0 ?
+              '<div class="empty">No parent tags yet</div>' :
+              relations.map(entry => \`
+                <div class="alias-row" data-tag="\${escapeHtml(entry.tag)}">
+                  <span><strong>\${escapeHtml(entry.parent)}</strong> › \${escapeHtml(entry.tag)}</span>
+                  <button class="secondary remove-parent">Remove</button>
+                </div>
+              \`).join('');
+          }
+
+          function updateMergeControls() {
+            const button = document.getElementById('mergeButton');
+            const target = document.getElementById('mergeTarget');
+            button.disabled = selected.size < 1;
+            button.textContent = selected.size > 0 ? \`Merge \${selected.size}\` : 'Merge';
+
+            // Suggest the most used selected tag as the merge target
+            if (!target.value && selected.size > 1) {
+              const mostUsed = tags.find(entry => selected.has(entry.tag));
+              if (mostUsed) target.value = mostUsed.tag;
+            }
+          }
+
+          async function runOperation(operation, successMessage) {
+            try {
+              const result = await operation();
+              showStatus(successMessage(result));
+              await loadTags();
+            } catch (error) {
+              showStatus(error.message, true);
+            }
+          }
+
+          function startRename(row) {
+            const tag = row.dataset.tag;
+            const name = row.querySelector('.tag-name');
+            name.innerHTML = \`<input type="text" value="\${escapeHtml(tag)}">\`;
+            const input = name.querySelector('input');
+            input.focus();
+            input.select();
+
+            input.addEventListener('keydown', (event) => {
+              if (event.key === 'Escape') {
+                renderTags();
+              } else if (event.key === 'Enter') {
+                const to = input.value.trim();
+                if (!to || to.toLowerCase() === tag) {
+                  renderTags();
+                  return;
+                }
+                runOperation(
+                  () => request('/tags/rename', { method: 'POST', body: JSON.stringify({ from: tag, to }) }),
+                  result => \`Renamed "\${tag}" to "\${result.tag}"\`
+                );
+              }
+            });
+          }
+
+          document.getElementById('tagList').addEventListener('click', (event) => {
+            const row = event.target.closest('.tag-row');
+            if (!row) return;
+            const tag = row.dataset.tag;
+
+            if (event.target.classList.contains('select')) {
+              if (event.target.checked) {
+                selected.add(tag);
+              } else {
+                selected.delete(tag);
+              }
+              updateMergeControls();
+            } else if (event.target.classList.contains('rename')) {
+              startRename(row);
+            } else if (event.target.classList.contains('delete')) {
+              if (confirm(\`Remove the tag "\${tag}" from every link?\`)) {
+                selected.delete(tag);
+                runOperation(
+                  () => request('/tags/' + encodeURIComponent(tag), { method: 'DELETE' }),
+                  result => \`Deleted "\${tag}" from \${result.links} links\`
+                );
+              }
+            }
+          });
+
+          document.getElementById('mergeButton').addEventListener('click', () => {
+            const target = document.getElementById('mergeTarget').value.trim();
+            if (!target) {
+              showStatus('Enter the tag to merge into', true);
+              return;
+            }
+            const sources = Array.from(selected);
+            runOperation(
+              () => request('/tags/merge', { method: 'POST', body: JSON.stringify({ sources, target }) }),
+              result => {
+                selected.clear();
+                document.getElementById('mergeTarget').value = '';
+                return \`Merged \${result.merged.length} tags into "\${result.tag}"\`;
+              }
+            );
+          });
+
+          document.getElementById('aliasButton').addEventListener('click', () => {
+            const alias = document.getElementById('aliasName').value.trim();
+            const tag = document.getElementById('aliasTag').value.trim();
+            if (!alias || !tag) {
+              showStatus('Enter both an alias and a tag', true);
+              return;
+            }
+            runOperation(
+              () => request('/tag-aliases', { method: 'POST', body: JSON.stringify({ alias, tag }) }),
+              result => {
+                document.getElementById('aliasName').value = '';
+                document.getElementById('aliasTag').value = '';
+                return \`"\${alias}" is now an alias of "\${result.tag}"\`;
+              }
+            );
+          });
+
+          document.getElementById('aliasList').addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-alias')) return;
+            const alias = event.target.closest('.alias-row').dataset.alias;
+            runOperation(
+              () => request('/tag-aliases/' + encodeURIComponent(alias), { method: 'DELETE' }),
+              () => \`Removed alias "\${alias}"\`
+            );
+          });
+
+          document.getElementById('parentButton').addEventListener('click', () => {
+            const tag = document.getElementById('childTag').value.trim();
+            const parent = document.getElementById('parentTag').value.trim();
+            if (!tag || !parent) {
+              showStatus('Enter both a tag and its parent', true);
+              return;
+            }
+            runOperation(
+              () => request('/tag-hierarchy', { method: 'POST', body: JSON.stringify({ tag, parent }) }),
+              result => {
+                document.getElementById('childTag').value = '';
+                return \`"\${result.tag}" is now under "\${result.parent}"\`;
+              }
+            );
+          });
+
+          document.getElementById('hierarchyList').addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-parent')) return;
+            const tag = event.target.closest('.alias-row').dataset.tag;
+            runOperation(
+              () => request('/tag-hierarchy/' + encodeURIComponent(tag), { method: 'DELETE' }),
+              () => \`"\${tag}" no longer has a parent\`
+            );
+          });
+
+          document.getElementById('filter').addEventListener('input', renderTags);
+
+          loadTags();
+        </script>
+      </body>
+      </html>
+    `;
+
+    win.loadURL('data:text/html;charset=UTF-8,' + encodeURIComponent(html));
+    win.on('closed', () => {});
+
+  } catch (error) {
+    console.error('Error opening tag manager:', error);
+  }
+}
+
+/**
+ * Show the tagging rules editor
+ */
+function showTagRulesEditor() {
+  try {
+    const win = new BrowserWindow({
+      width: 720,
+      height: 640,
+      title: '📏 Tagging Rules',
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>📏 Tagging Rules</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #f5f5f5;
+            font-size: 13px;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 16px 20px;
+            border-radius: 12px;
+            margin-bottom: 16px;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 22px;
+            font-weight: 300;
+          }
+          .stats {
+            font-size: 12px;
+            opacity: 0.9;
+            margin-top: 4px;
+          }
+          .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 12px 16px;
+            margin-bottom: 16px;
+          }
+          .panel h2 {
+            font-size: 14px;
+            margin: 0 0 10px 0;
+            color: #333;
+          }
+          input[type="text"], select {
+            padding: 6px 8px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 13px;
+          }
+          input[type="text"]:focus, select:focus {
+            outline: none;
+            border-color: #667eea;
+          }
+          button {
+            padding: 5px 10px;
+            border: none;
+            border-radius: 6px;
+            background: #667eea;
+            color: white;
+            font-size: 12px;
+            cursor: pointer;
+          }
+          button.secondary {
+            background: #e0e0e0;
+            color: #333;
+          }
+          button.danger {
+            background: #e74c3c;
+          }
+          .toolbar {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            flex-wrap: wrap;
+          }
+          .grow {
+            flex: 1;
+            min-width: 140px;
+          }
+          .hint {
+            color: #888;
+            font-size: 11px;
+            margin-top: 6px;
+          }
+          .rule-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 4px;
+            border-bottom: 1px solid #f0f0f0;
+          }
+          .rule-row:last-child {
+            border-bottom: none;
+          }
+          .rule-row.disabled .rule-text {
+            color: #aaa;
+          }
+          .rule-text {
+            flex: 1;
+          }
+          .rule-field {
+            background: #e3f2fd;
+            color: #1976d2;
+            padding: 1px 6px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: bold;
+          }
+          code {
+            background: #f4f4f4;
+            padding: 1px 4px;
+            border-radius: 3px;
+          }
+          .status {
+            min-height: 18px;
+            margin-bottom: 10px;
+            color: #555;
+          }
+          .status.error {
+            color: #e74c3c;
+          }
+          .empty {
+            color: #999;
+            padding: 10px 0;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📏 Tagging Rules</h1>
+          <div class="stats" id="stats">Loading rules...</div>
+        </div>
+
+        <div id="status" class="status"></div>
+
+        <div class="panel">
+          <h2>New rule</h2>
+          <div class="toolbar">
+            <select id="field"></select>
+            <input type="text" id="pattern" class="grow" placeholder="github.com">
+            <span>→</span>
+            <input type="text" id="tags" class="grow" placeholder="code, open source">
+            <button id="addButton">Add rule</button>
+          </div>
+          <div class="hint">
+            Domains include subdomains; URL and title patterns are regular expressions; sources match
+            their family (hn matches hn/top). New links are tagged when they first appear.
+          </div>
+        </div>
+
+        <div class="panel">
+          <div class="toolbar">
+            <h2 class="grow">Rules</h2>
+            <button id="applyButton" class="secondary">Apply to existing links</button>
+          </div>
+          <div id="ruleList"></div>
+        </div>
+
+        <script>
+          const API = 'http://127.0.0.1:3002/api/database/tag-rules';
+          const PLACEHOLDERS = {
+            domain: 'github.com',
+            url: '/blog/|\\\\.pdf$',
+            title: '^show hn',
+            source: 'lobsters',
+            subreddit: 'elixir'
+          };
+          let rules = [];
+
+          function escapeHtml(text) {
+            return String(text).replace(/[&<>"']/g, char => ({
+              '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+            })[char]);
+          }
+
+          function showStatus(message, isError) {
+            const status = document.getElementById('status');
+            status.textContent = message;
+            status.className = isError ? 'status error' : 'status';
+          }
+
+          async function request(path, options = {}) {
+            const response = await fetch(API + path, {
+              headers: { 'Content-Type': 'application/json' },
+              ...options
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.error || response.statusText);
+            }
+            return data;
+          }
+
+          async function loadRules() {
+            try {
+              const data = await request('');
+              rules = data.rules || [];
+
+              const select = document.getElementById('field');
+              if (select.options.length === 0) {
+                select.innerHTML = data.fields.map(field => \`<option value="\${field}">\${field}</option>\`).join('');
+              }
+              renderRules();
+            } catch (error) {
+              showStatus('Error loading rules: ' + error.message, true);
+            }
+          }
+
+          function renderRules() {
+            const enabled = rules.filter(rule => rule.enabled).length;
+            document.getElementById('stats').textContent = \`\${rules.length} rules • \${enabled} enabled\`;
+
+            document.getElementById('ruleList').innerHTML = rules.length === 0 ?
+              '<div class="empty">No rules yet</div>' :
+              rules.map(rule => \`
+                <div class="rule-row \${rule.enabled ? '' : 'disabled'}" data-id="\${rule.id}">
+                  <input type="checkbox" class="toggle" title="Enabled" \${rule.enabled ? 'checked' : ''}>
+                  <span class="rule-text">
+                    <span class="rule-field">\${escapeHtml(rule.field)}</span>
+                    <code>\${escapeHtml(rule.pattern)}</code> → <strong>\${escapeHtml(rule.tags.join(', '))}</strong>
+                  </span>
+                  <button class="danger delete">Delete</button>
+                </div>
+              \`).join('');
+          }
+
+          async function runOperation(operation, successMessage) {
+            try {
+              const result = await operation();
+              showStatus(successMessage(result));
+              await loadRules();
+            } catch (error) {
+              showStatus(error.message, true);
+            }
+          }
+
+          document.getElementById('field').addEventListener('change', (event) => {
+            document.getElementById('pattern').placeholder = PLACEHOLDERS[event.target.value] || '';
+          });
+
+          document.getElementById('addButton').addEventListener('click', () => {
+            const rule = {
+              field: document.getElementById('field').value,
+              pattern: document.getElementById('pattern').value,
+              tags: document.getElementById('tags').value
+            };
+            runOperation(
+              () => request('', { method: 'POST', body: JSON.stringify(rule) }),
+              () => {
+                document.getElementById('pattern').value = '';
+                document.getElementById('tags').value = '';
+                return 'Rule added. It applies to new links; use "Apply to existing links" for the rest.';
+              }
+            );
+          });
+
+          document.getElementById('applyButton').addEventListener('click', () => {
+            runOperation(
+              () => request('/apply', { method: 'POST' }),
+              result => \`Added \${result.tags} tags to \${result.links} links\`
+            );
+          });
+
+          document.getElementById('ruleList').addEventListener('click', (event) => {
+            const row = event.target.closest('.rule-row');
+            if (!row) return;
+            const rule = rules.find(entry => String(entry.id) === row.dataset.id);
+
+            if (event.target.classList.contains('toggle')) {
+              runOperation(
+                () => request('/' + rule.id, { method: 'PUT', body: JSON.stringify({ ...rule, enabled: event.target.checked }) }),
+                () => \`Rule \${event.target.checked ? 'enabled' : 'disabled'}\`
+              );
+            } else if (event.target.classList.contains('delete')) {
+              if (confirm('Delete this rule? Tags it already applied are kept.')) {
+                runOperation(
+                  () => request('/' + rule.id, { method: 'DELETE' }),
+                  () => 'Rule deleted'
+                );
+              }
+            }
+          });
+
+          loadRules();
+        </script>
+      </body>
+      </html>
+    `;
+
+    win.loadURL('data:text/html;charset=UTF-8,' + encodeURIComponent(html));
+    win.on('closed', () => {});
+
+  } catch (error) {
+    console.error('Error opening tagging rules editor:', error);
+  }
+}
+
 function formatDate(dateStr) {
   if (!dateStr) return 'Unknown';
   const date = new Date(dateStr);
@@ -1832,5 +2942,7 @@ module.exports = {
   showArticleLibrary,
   promptForTagSearch,
   showDatabaseBrowser,
-  showArticleBrowser
+  showArticleBrowser,
+  showTagManager,
+  showTagRulesEditor
 };
\ No newline at end of file
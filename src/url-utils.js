@@ -0,0 +1,96 @@
+/**
+ * URL canonicalization for recognizing the same article across sources
+ */
+
+// Query parameters that only carry tracking or referral information
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|igshid|twclid)$/i,
+  /^(mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i,
+  /^(ref|ref_src|ref_url)$/i
+];
+
+// Redirect services and the query parameter that holds the real destination
+const REDIRECTORS = {
+  'l.facebook.com': 'u',
+  'lm.facebook.com': 'u',
+  'l.messenger.com': 'u',
+  'l.instagram.com': 'u',
+  'google.com': 'q',
+  'out.reddit.com': 'url',
+  'href.li': null,
+  'slack-redir.net': 'url',
+  't.umblr.com': 'z',
+  'youtube.com': 'q'
+};
+
+/**
+ * Follow known redirector URLs to their destination without a network request
+ */
+function resolveRedirector(urlObj) {
+  const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  if (!(host in REDIRECTORS)) return null;
+
+  // href.li puts the destination after the question mark, unencoded
+  if (REDIRECTORS[host] === null) {
+    const target = urlObj.href.slice(urlObj.href.indexOf('?') + 1);
+    return /^https?:\/\//i.test(target) ? target : null;
+  }
+
+  // Only the redirect endpoints of general-purpose hosts count
+  if ((host === 'google.com' && urlObj.pathname !== '/url') ||
+      (host === 'youtube.com' && urlObj.pathname !== '/redirect')) {
+    return null;
+  }
+
+  const target = urlObj.searchParams.get(REDIRECTORS[host]) ||
+    (host === 'google.com' ? urlObj.searchParams.get('url') : null);
+  return target && /^https?:\/\//i.test(target) ? target : null;
+}
+
+/**
+ * Canonicalize an article URL: resolve known redirectors, drop tracking
+ * parameters and fragments, and normalize scheme, host and trailing slash,
+ * so the same article shared on different sites compares equal
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url.trim());
+  } catch (error) {
+    return url.trim() || null;
+  }
+
+  if (!/^https?:$/.test(urlObj.protocol)) {
+    return urlObj.href;
+  }
+
+  // Redirectors can be nested (e.g. a Google result pointing at out.reddit.com)
+  for (let hops = 0; hops < 3; hops++) {
+    const target = resolveRedirector(urlObj);
+    if (!target) break;
+    try {
+      urlObj = new URL(target);
+    } catch (error) {
+      break;
+    }
+  }
+
+  const host = urlObj.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const port = urlObj.port && urlObj.port !== '80' && urlObj.port !== '443' ? `:${urlObj.port}` : '';
+  const pathname = urlObj.pathname.replace(/\/+$/, '').replace(/\/index\.html?$/i, '');
+
+  const params = Array.from(urlObj.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  // http and https versions of a page are the same article
+  return `https://${host}${port}${pathname}${search}`;
+}
+
+module.exports = {
+  canonicalizeUrl
+};
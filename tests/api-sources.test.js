@@ -0,0 +1,296 @@
+// Mock axios for feed requests
+const mockAxios = {
+  get: jest.fn(),
+  post: jest.fn()
+};
+jest.mock('axios', () => mockAxios);
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:slash="http://purl.org/rss/1.0/modules/slash/">
+  <channel>
+    <title>Engineering Blog</title>
+    <link>https://blog.example.com</link>
+    <item>
+      <title><![CDATA[Scaling Postgres & friends]]></title>
+      <link>https://blog.example.com/scaling-postgres</link>
+      <guid isPermaLink="false">post-1001</guid>
+      <pubDate>Tue, 03 Jun 2025 10:00:00 GMT</pubDate>
+      <comments>https://blog.example.com/scaling-postgres#comments</comments>
+      <slash:comments>12</slash:comments>
+    </item>
+    <item>
+      <title>Why we moved off &lt;iframe&gt; embeds</title>
+      <link>https://blog.example.com/iframes</link>
+      <pubDate>Mon, 02 Jun 2025 10:00:00 GMT</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Compiler Notes</title>
+  <entry>
+    <title type="html">Register allocation &amp;amp; you</title>
+    <link rel="self" href="https://notes.example.org/feed/1"/>
+    <link rel="alternate" href="https://notes.example.org/posts/regalloc"/>
+    <id>tag:notes.example.org,2025:regalloc</id>
+    <updated>2025-06-04T08:00:00Z</updated>
+  </entry>
+</feed>`;
+
+describe('API Sources', () => {
+  let apiSources;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    apiSources = require('../src/api-sources');
+  });
+
+  describe('Source registry', () => {
+    test('should register the built-in sources in menu order', () => {
+      const ids = apiSources.getSources().map(source => source.id);
+      expect(ids.slice(0, 3)).toEqual(['hn/top', 'reddit', 'pinboard']);
+      expect(ids).toContain('lobsters');
+      expect(ids).toContain('rss');
+    });
+
+    test('should fill in defaults for custom sources', () => {
+      apiSources.registerSource({ id: 'custom', fetch: async () => [] });
+
+      const source = apiSources.getSource('custom');
+      expect(source.label).toBe('custom');
+      expect(source.commentsUrl({ id: 1 })).toBeNull();
+      expect(source.articleUrl({ url: 'https://example.com' })).toBe('https://example.com');
+    });
+
+    test('should look up registered sources by id', () => {
+      expect(apiSources.getSource('reddit')).toMatchObject({ id: 'reddit', label: 'Reddit', icon: '👽' });
+      expect(apiSources.getSource('hn/top').label).toBe('Hacker News');
+      expect(apiSources.getSource('myspace')).toBeNull();
+      expect(apiSources.getSource(undefined)).toBeNull();
+    });
+
+    test('should build comments URLs for each source', () => {
+      expect(apiSources.getSource('hn/top').commentsUrl({ id: 123 })).toBe('https://news.ycombinator.com/item?id=123');
+      expect(apiSources.getSource('hn/top').commentsUrl({ id: 'abc' })).toBeNull();
+      expect(apiSources.getSource('reddit').commentsUrl({ url: 'https://reddit.com/r/rust/comments/abc' }))
+        .toBe('https://reddit.com/r/rust/comments/abc');
+      expect(apiSources.getSource('pinboard').commentsUrl({ id: 42, url: 'https://example.com' })).toBeNull();
+      expect(apiSources.getSource('rss').commentsUrl({ id: 42 })).toBeNull();
+    });
+
+    test('should reject sources without a fetch function', () => {
+      expect(() => apiSources.registerSource({ id: 'broken' })).toThrow();
+    });
+
+    test('should detect the source of legacy stories', () => {
+      expect(apiSources.detectSource({ id: 123, url: 'https://example.com' })).toBe('hn/top');
+      expect(apiSources.detectSource({ id: 'abc', url: 'https://old.reddit.com/r/elixir/comments/abc' })).toBe('reddit');
+      expect(apiSources.detectSource({ id: 'x', url: 'https://pinboard.in/u:someone' })).toBe('pinboard');
+      expect(apiSources.detectSource({ id: 'x', url: 'https://example.com' })).toBe('unknown');
+    });
+  });
+
+  describe('Hacker News lists', () => {
+    test('should fetch the endpoint for the requested list', async () => {
+      mockAxios.get.mockImplementation(async (url) => ({
+        data: url.endsWith('showstories.json') ? [42] : { id: 42, title: 'Show HN: A tiny Lisp', score: 10, descendants: 3 }
+      }));
+
+      const stories = await apiSources.fetchHNStories('show');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://hacker-news.firebaseio.com/v0/showstories.json');
+      expect(stories).toEqual([
+        expect.objectContaining({ id: 42, title: 'Show HN: A tiny Lisp', points: 10, comments: 3 })
+      ]);
+    });
+
+    test('should return no stories for an unknown list', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const stories = await apiSources.fetchHNStories('frontpage');
+      consoleSpy.mockRestore();
+
+      expect(stories).toEqual([]);
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+
+    test('should register one source per configured list', () => {
+      const previous = process.env.HN_LISTS;
+      process.env.HN_LISTS = 'top, show,bogus';
+      jest.resetModules();
+
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const sources = require('../src/api-sources');
+      warnSpy.mockRestore();
+
+      if (previous === undefined) {
+        delete process.env.HN_LISTS;
+      } else {
+        process.env.HN_LISTS = previous;
+      }
+
+      const hnIds = sources.getSources().map(source => source.id).filter(id => id.startsWith('hn/'));
+      expect(hnIds).toEqual(['hn/top', 'hn/show']);
+      expect(sources.getSource('hn/top').menuHeader).toBeNull();
+      expect(sources.getSource('hn/show').menuHeader).toContain('Show HN');
+      expect(sources.getSource('hn/show').commentsUrl({ id: 42 })).toBe('https://news.ycombinator.com/item?id=42');
+      expect(sources.detectSource({ id: 42, url: 'https://example.com' })).toBe('hn/top');
+    });
+  });
+
+  describe('Lobsters', () => {
+    test('should map hottest stories and keep site tags', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: [
+          {
+            short_id: 'abc123',
+            title: 'A tour of the Zig build system',
+            url: 'https://example.com/zig-build',
+            score: 42,
+            comment_count: 7,
+            comments_url: 'https://lobste.rs/s/abc123/a_tour_of_zig_build_system',
+            tags: ['zig', 'programming']
+          },
+          {
+            short_id: 'def456',
+            title: 'Ask: favorite debugging stories?',
+            url: '',
+            score: 5,
+            comment_count: 30,
+            comments_url: 'https://lobste.rs/s/def456/ask_favorite_debugging_stories',
+            tags: ['ask']
+          }
+        ]
+      });
+
+      const stories = await apiSources.fetchLobstersStories();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://lobste.rs/hottest.json', expect.any(Object));
+      expect(stories[0]).toEqual({
+        id: 'abc123',
+        title: 'A tour of the Zig build system',
+        url: 'https://example.com/zig-build',
+        points: 42,
+        comments: 7,
+        comments_url: 'https://lobste.rs/s/abc123/a_tour_of_zig_build_system',
+        tags: ['zig', 'programming']
+      });
+      expect(stories[1].url).toBeNull();
+    });
+
+    test('should use the Lobsters discussion as the comments URL', () => {
+      const lobsters = apiSources.getSource('lobsters');
+      const story = { id: 'abc123', url: null, comments_url: 'https://lobste.rs/s/abc123' };
+
+      expect(lobsters.commentsUrl(story)).toBe('https://lobste.rs/s/abc123');
+      expect(lobsters.articleUrl(story)).toBeNull();
+    });
+
+    test('should return no stories when the request fails', async () => {
+      mockAxios.get.mockRejectedValue(new Error('Network error'));
+
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const stories = await apiSources.fetchLobstersStories();
+      consoleSpy.mockRestore();
+
+      expect(stories).toEqual([]);
+    });
+  });
+
+  describe('RSS/Atom parsing', () => {
+    test('should parse RSS 2.0 items into stories', () => {
+      const stories = apiSources.parseFeed(RSS_FEED, { url: 'https://blog.example.com/feed', limit: 10 });
+
+      expect(stories).toHaveLength(2);
+      expect(stories[0]).toEqual({
+        id: 'post-1001',
+        title: 'Scaling Postgres & friends',
+        url: 'https://blog.example.com/scaling-postgres',
+        points: 0,
+        comments: 12,
+        comments_url: 'https://blog.example.com/scaling-postgres#comments',
+        feed: 'Engineering Blog',
+        published_at: '2025-06-03T10:00:00.000Z'
+      });
+    });
+
+    test('should fall back to the link when an item has no GUID', () => {
+      const stories = apiSources.parseFeed(RSS_FEED, { url: 'https://blog.example.com/feed', limit: 10 });
+
+      expect(stories[1].id).toBe('https://blog.example.com/iframes');
+      expect(stories[1].title).toBe('Why we moved off embeds');
+    });
+
+    test('should parse Atom entries using the alternate link and entry id', () => {
+      const stories = apiSources.parseFeed(ATOM_FEED, { url: 'https://notes.example.org/feed', label: 'Notes', limit: 10 });
+
+      expect(stories).toHaveLength(1);
+      expect(stories[0].id).toBe('tag:notes.example.org,2025:regalloc');
+      expect(stories[0].url).toBe('https://notes.example.org/posts/regalloc');
+      expect(stories[0].title).toBe('Register allocation & you');
+      expect(stories[0].feed).toBe('Notes');
+    });
+
+    test('should reduce titles to plain text even when markup is escaped twice', () => {
+      const feed = ATOM_FEED.replace('Register allocation &amp;amp; you',
+        'Tips &amp;lt;img src=x onerror=alert(1)&amp;gt; &amp;amp; tricks');
+      const [story] = apiSources.parseFeed(feed, { url: 'https://notes.example.org/feed', limit: 10 });
+
+      expect(story.title).toBe('Tips & tricks');
+    });
+
+    test('should produce the same ids regardless of entry position', () => {
+      const reordered = RSS_FEED.replace(/(<item>[\s\S]*?<\/item>)(\s*)(<item>[\s\S]*?<\/item>)/, '$3$2$1');
+
+      const original = apiSources.parseFeed(RSS_FEED, { url: 'feed', limit: 10 }).map(story => story.id).sort();
+      const shuffled = apiSources.parseFeed(reordered, { url: 'feed', limit: 10 }).map(story => story.id).sort();
+
+      expect(shuffled).toEqual(original);
+    });
+
+    test('should respect the per-feed limit', () => {
+      const stories = apiSources.parseFeed(RSS_FEED, { url: 'feed', limit: 1 });
+      expect(stories).toHaveLength(1);
+    });
+
+    test('should return no stories for invalid documents', () => {
+      expect(apiSources.parseFeed('', { url: 'feed' })).toEqual([]);
+      expect(apiSources.parseFeed('<html><body>Not a feed</body></html>', { url: 'feed' })).toEqual([]);
+    });
+  });
+
+  describe('Feed fetching', () => {
+    test('should merge configured feeds newest first', async () => {
+      mockAxios.get.mockImplementation(async (url) => ({
+        data: url.includes('notes') ? ATOM_FEED : RSS_FEED
+      }));
+
+      const stories = await apiSources.fetchFeedStories([
+        { url: 'https://blog.example.com/feed', limit: 10 },
+        { url: 'https://notes.example.org/feed', limit: 10 }
+      ]);
+
+      expect(stories.map(story => story.id)).toEqual([
+        'tag:notes.example.org,2025:regalloc',
+        'post-1001',
+        'https://blog.example.com/iframes'
+      ]);
+    });
+
+    test('should skip feeds that fail to load', async () => {
+      mockAxios.get
+        .mockRejectedValueOnce(new Error('ENOTFOUND'))
+        .mockResolvedValueOnce({ data: ATOM_FEED });
+
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const stories = await apiSources.fetchFeedStories([
+        { url: 'https://down.example.com/feed', limit: 10 },
+        { url: 'https://notes.example.org/feed', limit: 10 }
+      ]);
+      consoleSpy.mockRestore();
+
+      expect(stories).toHaveLength(1);
+    });
+  });
+});
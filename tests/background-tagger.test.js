@@ -8,7 +8,10 @@ jest.mock('../src/database', () => mockDatabase);
 
 // Mock Claude integration
 const mockClaudeIntegration = {
-  generateTagSuggestions: jest.fn()
+  checkLlmAvailable: jest.fn(),
+  generateTagSuggestions: jest.fn(),
+  generateBatchTagSuggestions: jest.fn(),
+  generateSummary: jest.fn()
 };
 
 jest.mock('../src/claude-integration', () => mockClaudeIntegration);
@@ -24,7 +27,13 @@ describe('Background Tagger', () => {
     // Setup mock database
     mockDb = {
       all: jest.fn(),
-      run: jest.fn(),
+      get: jest.fn((sql, params, callback) => callback(null, undefined)),
+      run: jest.fn(function(sql, ...args) {
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+          callback.call({ lastID: 1, changes: 1 }, null);
+        }
+      }),
       serialize: jest.fn((callback) => callback())
     };
     
@@ -99,8 +108,8 @@ describe('Background Tagger', () => {
   describe('Untagged links processing', () => {
     test('should process untagged links successfully', async () => {
       const mockUntaggedLinks = [
-        { id: 1, story_id: 101, title: 'JavaScript Tutorial', url: 'https://example.com/js' },
-        { id: 2, story_id: 102, title: 'React Guide', url: 'https://example.com/react' }
+        { id: 1, story_id: 101, story_key: 'hn/top:101', title: 'JavaScript Tutorial', url: 'https://example.com/js', source: 'hn/top' },
+        { id: 2, story_id: 102, story_key: 'hn/top:102', title: 'React Guide', url: 'https://example.com/react', source: 'hn/top' }
       ];
 
       // Mock database query for untagged links
@@ -108,24 +117,44 @@ describe('Background Tagger', () => {
         callback(null, mockUntaggedLinks);
       });
 
-      // Mock successful Claude integration
-      mockClaudeIntegration.generateTagSuggestions.mockResolvedValue({
-        success: true,
-        tags: ['javascript', 'tutorial', 'programming']
-      });
+      // Mock successful batch tagging, with one link left untagged
+      mockClaudeIntegration.generateBatchTagSuggestions.mockResolvedValue([
+        { success: true, tags: ['javascript', 'tutorial'], origin: 'ai' },
+        { success: false, tags: [], error: 'No valid tags' }
+      ]);
 
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
       
       await backgroundTagger.processUntaggedLinks();
       
       expect(mockDb.all).toHaveBeenCalledWith(
-        expect.stringContaining('tags IS NULL OR tags = \'\''),
-        [10],
+        expect.stringContaining('NOT EXISTS'),
+        [100],
         expect.any(Function)
       );
       
-      expect(mockClaudeIntegration.generateTagSuggestions).toHaveBeenCalledTimes(2);
-      expect(mockDatabase.addMultipleTagsToStory).toHaveBeenCalledTimes(2);
+      // Both links go to the model in one call
+      expect(mockClaudeIntegration.generateBatchTagSuggestions).toHaveBeenCalledTimes(1);
+      expect(mockClaudeIntegration.generateBatchTagSuggestions).toHaveBeenCalledWith([
+        { title: 'JavaScript Tutorial', url: 'https://example.com/js', source: 'hn/top' },
+        { title: 'React Guide', url: 'https://example.com/react', source: 'hn/top' }
+      ]);
+      expect(mockClaudeIntegration.generateTagSuggestions).not.toHaveBeenCalled();
+      expect(mockDatabase.addMultipleTagsToStory).toHaveBeenCalledTimes(1);
+      expect(mockDatabase.addMultipleTagsToStory).toHaveBeenCalledWith('hn/top:101', ['javascript', 'tutorial'], 'ai');
+
+      // Both outcomes are recorded in the job queue, the failure with a retry time
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining("VALUES (?, 'done', 1"),
+        [1, null, '["javascript","tutorial"]'],
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO tagging_jobs'),
+        [2, 'failed', 1, null, 'No valid tags', 60, '+60 minutes'],
+        expect.any(Function)
+      );
+      expect(consoleSpy).toHaveBeenCalledWith('⏳ Will retry "React Guide" in 60 minutes (attempt 1/5)');
       
       expect(consoleSpy).toHaveBeenCalledWith('✅ Background tagging batch completed');
       
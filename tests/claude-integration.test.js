@@ -1,13 +1,14 @@
-const { spawn } = require('child_process');
+const { useTestDatabase } = require('./test-database');
 
-// Mock child_process
-jest.mock('child_process');
-
-// Mock axios for HTTP API calls
-const mockAxios = {
-  post: jest.fn()
+// Mock the configured LLM provider
+const mockProvider = {
+  name: 'anthropic',
+  isAvailable: jest.fn(),
+  complete: jest.fn()
 };
-jest.mock('axios', () => mockAxios);
+jest.mock('../src/llm-providers', () => ({
+  getConfiguredProvider: jest.fn(() => mockProvider)
+}));
 
 // Mock electron modules
 const mockBrowserWindow = {
@@ -23,204 +24,305 @@ const mockIpcMain = {
 };
 
 jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn()
+  },
   BrowserWindow: jest.fn(() => mockBrowserWindow),
   ipcMain: mockIpcMain
 }));
 
-// Mock fs for file existence checks
-const mockFs = {
-  existsSync: jest.fn()
-};
-jest.mock('fs', () => mockFs);
-
 describe('Claude Integration', () => {
   let claudeIntegration;
-  let mockExec;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    
-    // Setup exec mock
-    mockExec = jest.fn();
-    require('child_process').exec = mockExec;
-    
-    // Reset modules
-    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    mockProvider.isAvailable.mockResolvedValue(true);
+
     claudeIntegration = require('../src/claude-integration');
   });
 
-  describe('Claude Desktop availability check', () => {
-    test('should detect Claude CLI in PATH', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(null, '/usr/local/bin/claude\n', '');
-        }
-      });
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
 
-      const available = await claudeIntegration.checkClaudeDesktopAvailable();
-      
-      expect(available).toBe(true);
-      expect(mockExec).toHaveBeenCalledWith('which claude', expect.any(Function));
+  describe('Provider availability check', () => {
+    test('should report the configured provider as available', async () => {
+      await expect(claudeIntegration.checkLlmAvailable()).resolves.toBe(true);
     });
 
-    test('should detect Claude Desktop app when CLI not found', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(new Error('not found'), '', 'command not found');
-        }
-      });
+    test('should report unavailable when the check fails', async () => {
+      mockProvider.isAvailable.mockRejectedValue(new Error('boom'));
 
-      mockFs.existsSync.mockImplementation((path) => {
-        return path === '/Applications/Claude.app';
-      });
+      await expect(claudeIntegration.checkLlmAvailable()).resolves.toBe(false);
+    });
+  });
+
+  describe('Tag suggestions generation', () => {
+    test('should generate tags with the configured provider', async () => {
+      mockProvider.complete.mockResolvedValue('javascript, react, tutorial, web development, frontend');
+
+      const result = await claudeIntegration.generateTagSuggestions(
+        'Building a React App with JavaScript',
+        'https://example.com/react-tutorial'
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.tags).toEqual(['javascript', 'react', 'tutorial', 'web development', 'frontend']);
+      expect(result.source).toBe('anthropic');
+      expect(result.origin).toBe('ai');
 
-      const available = await claudeIntegration.checkClaudeDesktopAvailable();
-      
-      expect(available).toBe(true);
-      expect(mockFs.existsSync).toHaveBeenCalledWith('/Applications/Claude.app');
+      const prompt = mockProvider.complete.mock.calls[0][0];
+      expect(prompt).toContain('Title: "Building a React App with JavaScript"');
+      expect(prompt).toContain('URL: https://example.com/react-tutorial');
     });
 
-    test('should check alternative locations for Claude app', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        callback(new Error('not found'), '', '');
-      });
+    test('should include the article excerpt when one was fetched', async () => {
+      mockProvider.complete.mockResolvedValue('{"tags": [{"tag": "databases", "confidence": 0.9, "category": "topic"}]}');
 
-      mockFs.existsSync.mockImplementation((path) => {
-        return path === '/System/Applications/Claude.app';
+      await claudeIntegration.generateTagSuggestions('You won\'t believe this', 'https://example.com/post', {
+        excerpt: 'Postgres 17 adds incremental backups.'
       });
+      await claudeIntegration.generateBatchTagSuggestions([
+        { title: 'Read this', url: 'https://example.com/a', excerpt: 'SQLite gains a new query planner.' },
+        { title: 'And this', url: 'https://example.com/b' }
+      ]);
+
+      const [[prompt], [batchPrompt]] = mockProvider.complete.mock.calls;
+      expect(prompt).toContain('article title, URL and text excerpt');
+      expect(prompt).toContain('Excerpt: "Postgres 17 adds incremental backups."');
+      expect(batchPrompt).toContain('1. Title: "Read this"\n   URL: https://example.com/a\n   Excerpt: "SQLite gains a new query planner."\n2. Title: "And this"');
+    });
 
-      const available = await claudeIntegration.checkClaudeDesktopAvailable();
-      
-      expect(available).toBe(true);
-      expect(mockFs.existsSync).toHaveBeenCalledWith('/Applications/Claude.app');
-      expect(mockFs.existsSync).toHaveBeenCalledWith('/System/Applications/Claude.app');
+    test('should steer the model with the tags the reader accepted and rejected', async () => {
+      const repository = require('../src/repository');
+      const vocabulary = jest.spyOn(repository.tagFeedback, 'vocabulary')
+        .mockResolvedValue({ preferred: ['rust', 'databases'], rejected: ['technology'] });
+      mockProvider.complete.mockResolvedValue('{"tags": [{"tag": "rust", "confidence": 0.9, "category": "language"}]}');
+
+      await claudeIntegration.generateTagSuggestions('Rust 2024 edition', 'https://example.com/rust');
+      await claudeIntegration.generateBatchTagSuggestions([
+        { title: 'Read this', url: 'https://example.com/a' },
+        { title: 'And this', url: 'https://example.com/b' }
+      ]);
+      await claudeIntegration.generateTagSuggestions('No history', null, { feedback: null });
+      vocabulary.mockRestore();
+
+      const calls = mockProvider.complete.mock.calls;
+      const [[prompt], [batchPrompt]] = calls;
+      const plainPrompt = calls[calls.length - 1][0];
+      expect(prompt).toContain('Tags the reader has accepted; reuse them where they fit: rust, databases');
+      expect(prompt).toContain('Tags the reader has rejected; do not suggest them: technology');
+      expect(batchPrompt).toContain('do not suggest them: technology');
+      expect(plainPrompt).not.toContain('tagging history');
     });
 
-    test('should return false when Claude not found anywhere', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        callback(new Error('not found'), '', '');
+    test('should guide the model with the tag hierarchy, or constrain it to the hierarchy', async () => {
+      const relations = [
+        { tag: 'elixir', parent: 'programming' },
+        { tag: 'rust', parent: 'programming' },
+        { tag: 'postgres', parent: 'databases' }
+      ];
+      const reply = '{"tags": [{"tag": "rust", "confidence": 0.9, "category": "language"}, {"tag": "memory safety", "confidence": 0.8, "category": "topic"}]}';
+      mockProvider.complete.mockResolvedValue(reply);
+
+      const repository = require('../src/repository');
+      const list = jest.spyOn(repository.tagHierarchy, 'list').mockResolvedValue(relations);
+      const guided = await claudeIntegration.generateTagSuggestions('Rust 2024 edition', null, { feedback: null });
+      list.mockRestore();
+
+      expect(guided.tags).toEqual(['rust', 'memory safety']);
+      const prompt = mockProvider.complete.mock.calls[0][0];
+      expect(prompt).toContain('Prefer its tags where they fit');
+      expect(prompt).toContain('- programming: elixir, rust\n- databases: postgres');
+
+      let constrained;
+      let isolatedRepository;
+      jest.isolateModules(() => {
+        process.env.TAG_TAXONOMY_MODE = 'constrain';
+        constrained = require('../src/claude-integration');
+        isolatedRepository = require('../src/repository');
       });
+      delete process.env.TAG_TAXONOMY_MODE;
+      jest.spyOn(isolatedRepository.tagHierarchy, 'list').mockResolvedValue(relations);
 
-      mockFs.existsSync.mockReturnValue(false);
+      const result = await constrained.generateTagSuggestions('Rust 2024 edition', null, { feedback: null });
+      expect(result.tags).toEqual(['rust']);
+      expect(mockProvider.complete.mock.calls[1][0]).toContain('Only use tags from this taxonomy');
 
-      const available = await claudeIntegration.checkClaudeDesktopAvailable();
-      
-      expect(available).toBe(false);
+      mockProvider.complete.mockResolvedValue('{"tags": [{"tag": "memory safety", "confidence": 0.8, "category": "topic"}]}');
+      await expect(constrained.generateTagSuggestions('Rust 2024 edition', null, { feedback: null })).resolves.toMatchObject({
+        success: false,
+        error: 'anthropic tagging failed: None of the suggested tags are in the taxonomy: memory safety'
+      });
     });
-  });
 
-  describe('Tag suggestions generation', () => {
-    test('should generate tags when Claude is available', async () => {
-      // Mock Claude availability check
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(null, '/usr/local/bin/claude', '');
-        } else if (command.includes('echo') && command.includes('claude --print')) {
-          callback(null, 'javascript, react, tutorial, web development, frontend', '');
-        }
-      });
+    test('should fall back to the keyword tagger when the provider is not available', async () => {
+      mockProvider.isAvailable.mockResolvedValue(false);
 
       const result = await claudeIntegration.generateTagSuggestions(
-        'Building a React App with JavaScript',
-        'https://example.com/react-tutorial'
+        'Writing a Rust compiler',
+        'https://github.com/example/compiler',
+        { source: 'hn/top' }
       );
 
-      expect(result.success).toBe(true);
-      expect(result.tags).toEqual(['javascript', 'react', 'tutorial', 'web development', 'frontend']);
-      expect(result.source).toBe('claude-cli');
+      expect(result).toMatchObject({
+        success: true,
+        tags: ['rust', 'compilers', 'open source'],
+        source: 'keywords',
+        origin: 'keyword'
+      });
+      expect(result.suggestions[0]).toEqual({ tag: 'rust', confidence: null, category: null });
+      expect(mockProvider.complete).not.toHaveBeenCalled();
     });
 
-    test('should handle Claude CLI failures with AppleScript fallback', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          // Claude availability check succeeds
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          // Claude CLI call fails
-          callback(new Error('CLI timeout'), '', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          // AppleScript process check
-          callback(null, 'Claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          // AppleScript execution
-          callback(null, 'python, machine learning, ai, tutorial', '');
-        });
+    test('should return error when neither the provider nor keywords produce tags', async () => {
+      mockProvider.isAvailable.mockResolvedValue(false);
 
-      const result = await claudeIntegration.generateTagSuggestions(
-        'Introduction to Machine Learning with Python'
-      );
+      const result = await claudeIntegration.generateTagSuggestions('Test Article');
 
-      expect(result.success).toBe(true);
-      expect(result.tags).toEqual(['python', 'machine learning', 'ai', 'tutorial']);
-      expect(result.source).toBe('claude-applescript');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('LLM provider anthropic not available and no keywords matched');
+      expect(result.tags).toEqual([]);
     });
 
-    test('should return error when Claude is not available', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        callback(new Error('not found'), '', '');
-      });
-
-      mockFs.existsSync.mockReturnValue(false);
+    test('should handle provider failures', async () => {
+      mockProvider.complete.mockRejectedValue(new Error('Request timeout'));
 
       const result = await claudeIntegration.generateTagSuggestions('Test Article');
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Claude Desktop not available');
+      expect(result.error).toBe('anthropic tagging failed: Request timeout');
       expect(result.tags).toEqual([]);
     });
+  });
 
-    test('should handle HTTP API fallback', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(null, '/usr/local/bin/claude', '');
-        } else {
-          callback(new Error('CLI failed'), '', '');
-        }
-      });
+  describe('Batch tag suggestions', () => {
+    const items = [
+      { title: 'Rust in the Linux kernel', url: 'https://example.com/rust' },
+      { title: 'Postgres query planning', url: 'https://example.com/pg' },
+      { title: 'A new Zig release', url: 'https://example.com/zig', source: 'lobsters' }
+    ];
+
+    test('should tag several articles in one call and retry invalid items singly', async () => {
+      mockProvider.complete
+        .mockResolvedValueOnce(JSON.stringify({
+          items: [
+            { id: 1, tags: [{ tag: 'rust', confidence: 0.9, category: 'language' }, { tag: 'linux', confidence: 0.8, category: 'technology' }] },
+            { id: 2, tags: [{ tag: 'postgres' }] },
+            { id: 3, tags: [{ tag: 'zig', confidence: 0.95, category: 'language' }] },
+            { id: 7, tags: [{ tag: 'stray', confidence: 0.9, category: 'topic' }] }
+          ]
+        }))
+        .mockResolvedValueOnce(JSON.stringify({ tags: [{ tag: 'databases', confidence: 0.85, category: 'topic' }] }));
+
+      const results = await claudeIntegration.generateBatchTagSuggestions(items);
+
+      expect(mockProvider.complete).toHaveBeenCalledTimes(2);
+      const batchPrompt = mockProvider.complete.mock.calls[0][0];
+      expect(batchPrompt).toContain('1. Title: "Rust in the Linux kernel"');
+      expect(batchPrompt).toContain('3. Title: "A new Zig release"');
+      expect(mockProvider.complete.mock.calls[1][0]).toContain('Title: "Postgres query planning"');
+
+      expect(results.map(result => result.tags)).toEqual([['rust', 'linux'], ['databases'], ['zig']]);
+      expect(results[0]).toMatchObject({ success: true, source: 'anthropic', origin: 'ai' });
+      expect(results[0].suggestions[1]).toEqual({ tag: 'linux', confidence: 0.8, category: 'technology' });
+    });
 
-      mockAxios.post.mockResolvedValue({
-        data: { response: 'nodejs, backend, api, rest, server' }
-      });
+    test('should retry every item singly when the batch reply is unusable', async () => {
+      mockProvider.complete
+        .mockResolvedValueOnce('Sorry, I can only tag one article at a time.')
+        .mockResolvedValue(JSON.stringify({ tags: [{ tag: 'programming', confidence: 0.6, category: 'topic' }] }));
 
-      const result = await claudeIntegration.generateTagSuggestions(
-        'Building REST APIs with Node.js'
-      );
+      const results = await claudeIntegration.generateBatchTagSuggestions(items);
+
+      expect(mockProvider.complete).toHaveBeenCalledTimes(4);
+      expect(results.every(result => result.success)).toBe(true);
+    });
+
+    test('should report provider failures for every item without retrying', async () => {
+      mockProvider.complete.mockRejectedValue(new Error('overloaded'));
+
+      const results = await claudeIntegration.generateBatchTagSuggestions(items);
+
+      expect(mockProvider.complete).toHaveBeenCalledTimes(1);
+      expect(results).toHaveLength(3);
+      expect(results[2]).toEqual({ success: false, tags: [], source: 'anthropic', error: 'anthropic tagging failed: overloaded' });
+    });
+
+    test('should use the keyword tagger per item when the provider is not available', async () => {
+      mockProvider.isAvailable.mockResolvedValue(false);
+
+      const results = await claudeIntegration.generateBatchTagSuggestions(items);
+
+      expect(mockProvider.complete).not.toHaveBeenCalled();
+      expect(results.map(result => result.tags)).toEqual([['rust', 'linux', 'operating systems'], ['databases'], ['zig']]);
+      expect(results[0].origin).toBe('keyword');
+    });
+  });
 
+  describe('Response parsing', () => {
+    test('should ask for JSON and return tags with confidence and category', async () => {
+      mockProvider.complete.mockResolvedValue('```json\n' + JSON.stringify({
+        tags: [
+          { tag: 'Memory Safety', confidence: 0.7, category: 'topic' },
+          { tag: 'rust', confidence: 0.95, category: 'language' },
+          { tag: 'mozilla', confidence: 0.4, category: 'company' }
+        ]
+      }) + '\n```');
+
+      const result = await claudeIntegration.generateTagSuggestions('Rust without the borrow checker');
+
+      expect(mockProvider.complete.mock.calls[0][0]).toContain('"confidence"');
       expect(result.success).toBe(true);
-      expect(result.tags).toEqual(['nodejs', 'backend', 'api', 'rest', 'server']);
-      expect(result.source).toContain('claude-http');
+      expect(result.tags).toEqual(['rust', 'memory safety', 'mozilla']);
+      expect(result.suggestions).toEqual([
+        { tag: 'rust', confidence: 0.95, category: 'language' },
+        { tag: 'memory safety', confidence: 0.7, category: 'topic' },
+        { tag: 'mozilla', confidence: 0.4, category: null }
+      ]);
+      expect(console.warn).not.toHaveBeenCalled();
     });
 
-    test('should handle HTTP API failures', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(null, '/usr/local/bin/claude', '');
-        } else {
-          callback(new Error('CLI failed'), '', '');
-        }
-      });
+    test('should drop JSON entries that fail validation', async () => {
+      mockProvider.complete.mockResolvedValue(JSON.stringify({
+        tags: [
+          { tag: 'databases', confidence: 0.8, category: 'topic' },
+          { tag: 'the', confidence: 'high' },
+          { tag: 'sqlite' },
+          { tag: 'This is a sentence.', confidence: 0.9 },
+          { confidence: 0.9 }
+        ]
+      }));
+
+      const result = await claudeIntegration.generateTagSuggestions('SQLite internals');
+
+      expect(result.tags).toEqual(['databases']);
+    });
 
-      mockAxios.post.mockRejectedValue(new Error('Network error'));
+    test('should fail on JSON without valid tags rather than scraping it', async () => {
+      mockProvider.complete.mockResolvedValue('{"labels": ["rust", "systems"]}');
 
       const result = await claudeIntegration.generateTagSuggestions('Test Article');
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Claude integration failed');
+      expect(result.error).toBe('anthropic tagging failed: Tag JSON is missing a "tags" array');
+    });
+
+    test('should fall back to text parsing with a warning when the reply is not JSON', async () => {
+      mockProvider.complete.mockResolvedValue('rust, systems, compilers');
+
+      const result = await claudeIntegration.generateTagSuggestions('Test Article');
+
+      expect(result.tags).toEqual(['rust', 'systems', 'compilers']);
+      expect(result.suggestions[0]).toEqual({ tag: 'rust', confidence: null, category: null });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('not JSON'), expect.any(String));
     });
-  });
 
-  describe('Response parsing', () => {
     test('should parse comma-separated tags correctly', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, 'Here are some tags:\njavascript, react, frontend, web development\nThese should help categorize the article.', '');
-        });
+      mockProvider.complete.mockResolvedValue('Here are some tags:\njavascript, react, frontend, web development\nThese should help categorize the article.');
 
       const result = await claudeIntegration.generateTagSuggestions('React Tutorial');
 
@@ -229,13 +331,7 @@ describe('Claude Integration', () => {
     });
 
     test('should handle markdown formatting in response', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '```\npython, data-science, pandas, analysis\n```', '');
-        });
+      mockProvider.complete.mockResolvedValue('`python`, `data-science`, `pandas`, `analysis`');
 
       const result = await claudeIntegration.generateTagSuggestions('Data Analysis with Pandas');
 
@@ -244,13 +340,7 @@ describe('Claude Integration', () => {
     });
 
     test('should handle responses with explanatory text', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, 'Based on the article title, here are suggested tags:\nkubernetes, devops, containers, orchestration, cloud\nThese tags will help with categorization.', '');
-        });
+      mockProvider.complete.mockResolvedValue('Based on the article title, here are suggested tags:\nkubernetes, devops, containers, orchestration, cloud\nThese tags will help with categorization.');
 
       const result = await claudeIntegration.generateTagSuggestions('Kubernetes for DevOps');
 
@@ -259,13 +349,7 @@ describe('Claude Integration', () => {
     });
 
     test('should fallback to word extraction when no comma-separated tags', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, 'This article is about database performance optimization using indexes', '');
-        });
+      mockProvider.complete.mockResolvedValue('This article is about database performance optimization using indexes');
 
       const result = await claudeIntegration.generateTagSuggestions('Database Performance');
 
@@ -275,29 +359,16 @@ describe('Claude Integration', () => {
     });
 
     test('should handle empty or invalid responses', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '', '');
-        });
+      mockProvider.complete.mockResolvedValue('');
 
       const result = await claudeIntegration.generateTagSuggestions('Test Article');
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('Claude integration failed');
+      expect(result.error).toBe('anthropic tagging failed: Invalid model response');
     });
 
     test('should limit tag count and length', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          const longTags = Array.from({ length: 15 }, (_, i) => `tag${i}`).join(', ');
-          callback(null, longTags, '');
-        });
+      mockProvider.complete.mockResolvedValue(Array.from({ length: 15 }, (_, i) => `tag${i}`).join(', '));
 
       const result = await claudeIntegration.generateTagSuggestions('Many Tags Article');
 
@@ -306,6 +377,65 @@ describe('Claude Integration', () => {
     });
   });
 
+  describe('Summaries', () => {
+    test('should summarize the article text in one clean line', async () => {
+      mockProvider.complete.mockResolvedValue('Summary: "Postgres 17 adds incremental backups,\n  copying only changed blocks."');
+
+      const result = await claudeIntegration.generateSummary('Postgres 17', 'https://example.com/pg17', 'Postgres 17 adds...');
+
+      expect(result).toEqual({
+        success: true,
+        summary: 'Postgres 17 adds incremental backups, copying only changed blocks.',
+        source: 'anthropic'
+      });
+      const [prompt, options] = mockProvider.complete.mock.calls[0];
+      expect(prompt).toContain('Text: "Postgres 17 adds..."');
+      expect(options).toEqual({ maxTokens: 200 });
+    });
+
+    test('should not guess a summary without article text or a provider', async () => {
+      await expect(claudeIntegration.generateSummary('Postgres 17', null, null))
+        .resolves.toMatchObject({ success: false, error: 'No article text to summarize' });
+
+      mockProvider.isAvailable.mockResolvedValue(false);
+      await expect(claudeIntegration.generateSummary('Postgres 17', null, 'text'))
+        .resolves.toMatchObject({ success: false, error: 'LLM provider anthropic not available' });
+      expect(mockProvider.complete).not.toHaveBeenCalled();
+    });
+
+    test('should report provider failures', async () => {
+      mockProvider.complete.mockRejectedValue(new Error('overloaded'));
+
+      await expect(claudeIntegration.generateSummary('Postgres 17', null, 'text'))
+        .resolves.toEqual({ success: false, source: 'anthropic', error: 'anthropic summary failed: overloaded' });
+    });
+  });
+
+  describe('Unknown providers', () => {
+    test('should report an unusable LLM_PROVIDER instead of throwing', async () => {
+      const { getConfiguredProvider } = require('../src/llm-providers');
+      getConfiguredProvider.mockImplementation(() => {
+        throw new Error('Unknown LLM provider "gpt" (expected one of: anthropic, openai, cli, none)');
+      });
+      jest.spyOn(console, 'error').mockImplementation();
+
+      try {
+        await expect(claudeIntegration.generateTagSuggestions('Rust 2024 edition'))
+          .resolves.toEqual({ success: false, error: 'Unknown LLM provider "gpt" (expected one of: anthropic, openai, cli, none)', tags: [] });
+        await expect(claudeIntegration.generateBatchTagSuggestions([{ title: 'Read this' }, { title: 'And this' }]))
+          .resolves.toEqual([
+            { success: false, error: 'Unknown LLM provider "gpt" (expected one of: anthropic, openai, cli, none)', tags: [] },
+            { success: false, error: 'Unknown LLM provider "gpt" (expected one of: anthropic, openai, cli, none)', tags: [] }
+          ]);
+        await expect(claudeIntegration.generateSummary('Postgres 17', null, 'text'))
+          .resolves.toEqual({ success: false, source: null, error: 'Unknown LLM provider "gpt" (expected one of: anthropic, openai, cli, none)' });
+      } finally {
+        getConfiguredProvider.mockImplementation(() => mockProvider);
+        console.error.mockRestore();
+      }
+    });
+  });
+
   describe('Tag suggestion window', () => {
     test('should create tag suggestion window with correct parameters', () => {
       const storyId = 123;
@@ -330,89 +460,43 @@ describe('Claude Integration', () => {
     });
   });
 
-  describe('Error handling', () => {
-    test('should handle network timeouts gracefully', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, options, callback) => {
-          // Simulate timeout
-          callback(new Error('Command timeout'), '', '');
-        });
-
-      mockAxios.post.mockRejectedValue(new Error('Request timeout'));
-
-      const result = await claudeIntegration.generateTagSuggestions('Test Article');
-
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('Claude integration failed');
-    });
-
-    test('should handle malformed Claude responses', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '{"invalid": "json"', '');
-        });
+  describe('Applying tags from the suggestion window', () => {
+    let repository;
 
-      const result = await claudeIntegration.generateTagSuggestions('Test Article');
+    useTestDatabase();
 
-      expect(result.success).toBe(false);
+    beforeAll(() => {
+      repository = require('../src/repository');
     });
 
-    test('should handle AppleScript execution failures', async () => {
-      mockExec
-        .mockImplementationOnce((command, callback) => {
-          callback(null, '/usr/local/bin/claude', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(new Error('CLI failed'), '', '');
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(null, 'Claude', ''); // Process check succeeds
-        })
-        .mockImplementationOnce((command, callback) => {
-          callback(new Error('AppleScript failed'), '', '');
-        });
-
-      const result = await claudeIntegration.generateTagSuggestions('Test Article');
-
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('Claude integration failed');
-    });
-  });
-
-  describe('Integration with different Claude setups', () => {
-    test('should work with Claude CLI in different paths', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        if (command === 'which claude') {
-          callback(null, '/opt/homebrew/bin/claude\n', '');
-        } else if (command.includes('claude --print')) {
-          callback(null, 'docker, containers, deployment', '');
-        }
+    test('should store the selected tags as confirmed, with their confidence and category', async () => {
+      const database = require('../src/database');
+      await repository.links.recordAppearance({
+        storyKey: 'hn/top:123', storyId: 123, source: 'hn/top', title: 'Rust ownership', url: 'https://example.com/rust',
+        commentsUrl: 'https://news.ycombinator.com/item?id=123', points: 1, comments: 0
       });
-
-      const result = await claudeIntegration.generateTagSuggestions('Docker Tutorial');
-
-      expect(result.success).toBe(true);
-      expect(result.tags).toEqual(['docker', 'containers', 'deployment']);
-    });
-
-    test('should handle Claude Desktop in alternative locations', async () => {
-      mockExec.mockImplementation((command, callback) => {
-        callback(new Error('not found'), '', '');
-      });
-
-      mockFs.existsSync.mockImplementation((path) => {
-        return path === '~/Applications/Claude.app';
-      });
-
-      const available = await claudeIntegration.checkClaudeDesktopAvailable();
-      
-      expect(available).toBe(true);
+      const addTags = jest.spyOn(database, 'addMultipleTagsToStory');
+      const trackEngagement = jest.spyOn(database, 'trackEngagement').mockImplementation();
+      const recordFeedback = jest.spyOn(repository.tagFeedback, 'record').mockResolvedValue();
+      jest.useFakeTimers();
+      mockProvider.complete.mockResolvedValue('{"tags": [{"tag": "rust", "confidence": 0.9, "category": "language"}, {"tag": "memory safety", "confidence": 0.4, "category": "topic"}]}');
+
+      claudeIntegration.showTagSuggestionWindow(123, 'Rust ownership', 'https://example.com/rust', 'hn/top');
+      const handler = name => mockIpcMain.on.mock.calls.find(([channel]) => channel === name)[1];
+      const event = { reply: jest.fn() };
+      await handler('generate-tags')(event, { title: 'Rust ownership', url: 'https://example.com/rust' });
+      handler('apply-ai-tags')(event, { storyId: 123, source: 'hn/top', tags: ['memory safety'], suggested: ['rust', 'memory safety'] });
+      jest.useRealTimers();
+      await addTags.mock.results[0].value;
+
+      // Below the confidence threshold, yet shown on the link and not queued for review
+      expect((await repository.links.findByKey('hn/top:123')).tags).toBe('memory safety');
+      expect(await repository.tags.getWithOrigin('hn/top:123')).toEqual([
+        expect.objectContaining({ tag: 'memory safety', origin: 'manual', confidence: 0.4, category: 'topic' })
+      ]);
+      expect(await repository.tags.listForReview()).toEqual([]);
+      expect(recordFeedback).toHaveBeenCalledWith('hn/top:123', ['memory safety'], ['rust']);
+      [addTags, trackEngagement, recordFeedback].forEach(spy => spy.mockRestore());
     });
   });
-});
\ No newline at end of file
+});
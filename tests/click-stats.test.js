@@ -0,0 +1,130 @@
+const { useTestDatabase } = require('./test-database');
+
+// The list benchmark only runs on request: BENCHMARK_LINKS=50000 npx jest tests/click-stats.test.js
+const BENCHMARK_LINKS = parseInt(process.env.BENCHMARK_LINKS, 10) || 0;
+// Generous; correlated subqueries took seconds per list at 50000 links
+const PAGE_BUDGET_MS = 1500;
+
+describe('Link click statistics', () => {
+  let repository;
+  let listPage;
+  let linkList;
+
+  const stats = storyKey => repository.get(`SELECT s.* FROM link_click_stats s
+    JOIN links l ON l.id = s.link_id
+    WHERE l.story_key = ?`, [storyKey]);
+
+  // Add synthetic links seen over the past weeks, with about two clicks for
+  // every five links, a third of them on comments
+  const seedLinks = async (prefix, count) => {
+    await repository.run('BEGIN');
+    await repository.run(`WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+      INSERT INTO links (story_id, story_key, title, url, comments_url, source, points, comments,
+        times_appeared, viewed, first_seen_at, last_seen_at)
+      SELECT 100000 + i, ? || ':' || i, 'Synthetic story ' || i, 'https://site' || (i % 500) || '.example.com/' || ? || '/' || i,
+        'https://news.ycombinator.com/item?id=' || i, CASE i % 3 WHEN 0 THEN 'hn/top' WHEN 1 THEN 'reddit' ELSE 'lobsters' END,
+        i % 700, i % 90, 1 + i % 12, i % 4 = 0,
+        datetime('now', '-' || (i % 60) || ' days'), datetime('now', '-' || (i % 14) || ' days', '-' || (i % 24) || ' hours')
+      FROM n`, [count, prefix, prefix]);
+    await repository.run(`WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+      INSERT INTO clicks (story_id, title, url, link_id, click_type, clicked_at)
+      SELECT l.story_id, l.title, l.url, l.id, CASE n.i % 3 WHEN 0 THEN 'comments' ELSE 'article' END,
+        datetime('now', '-' || (n.i % 30) || ' days')
+      FROM n JOIN links l ON l.story_key = ? || ':' || ((n.i * 7919) % ? + 1)`, [Math.floor(count * 0.4), prefix, count]);
+    await repository.run('COMMIT');
+  };
+
+  // Links whose maintained statistics differ from a full recount of their clicks
+  const countMismatches = async () => (await repository.get(`SELECT COUNT(*) as count FROM (
+      SELECT link_id, COUNT(*) as total, COUNT(CASE WHEN click_type = 'article' THEN 1 END) as article, MAX(clicked_at) as last
+      FROM clicks GROUP BY link_id
+    ) counted
+    LEFT JOIN link_click_stats s ON s.link_id = counted.link_id
+    WHERE s.total_clicks IS NOT counted.total OR s.article_clicks IS NOT counted.article OR s.last_clicked_at IS NOT counted.last`)).count;
+
+  useTestDatabase();
+
+  beforeAll(() => {
+    repository = require('../src/repository');
+    ({ listPage, linkList } = require('../src/list-query'));
+  });
+
+  test('should keep per-link counts as clicks are added, moved and removed', async () => {
+    for (const id of [1, 2]) {
+      await repository.links.recordAppearance({
+        storyKey: `hn/top:${id}`, storyId: id, source: 'hn/top', title: `Story ${id}`, url: `https://example.com/${id}`,
+        commentsUrl: `https://news.ycombinator.com/item?id=${id}`, points: 1, comments: 0
+      });
+    }
+    expect(await stats('hn/top:1')).toBeUndefined();
+
+    await repository.clicks.record('hn/top:1', 'article');
+    await repository.clicks.record('hn/top:1', 'article');
+    const { id: commentsClick } = await repository.clicks.record('hn/top:1', 'comments');
+    await repository.clicks.record('hn/top:1', 'engage');
+    expect(await stats('hn/top:1')).toMatchObject({
+      total_clicks: 4, article_clicks: 2, comments_clicks: 1, archive_clicks: 0, engage_clicks: 1,
+      last_clicked_at: expect.any(String), last_article_click_at: expect.any(String)
+    });
+
+    const { id: link2 } = await repository.links.findByKey('hn/top:2');
+    await repository.run('UPDATE clicks SET link_id = ? WHERE id = ?', [link2, commentsClick]);
+    expect(await stats('hn/top:1')).toMatchObject({ total_clicks: 3, comments_clicks: 0 });
+    expect(await stats('hn/top:2')).toMatchObject({ total_clicks: 1, comments_clicks: 1, last_article_click_at: null });
+
+    await repository.run('DELETE FROM clicks WHERE id = ?', [commentsClick]);
+    expect(await stats('hn/top:2')).toMatchObject({ total_clicks: 0, last_clicked_at: null });
+
+    const { rows } = await listPage(linkList(), { sort: 'clicks' });
+    expect(rows.map(row => [row.story_key, row.total_clicks, row.article_clicks, row.engagements])).toEqual([
+      ['hn/top:1', 3, 2, 1],
+      ['hn/top:2', 0, 0, 0]
+    ]);
+  });
+
+  test('should match a full recount after bulk inserts, moves and deletes', async () => {
+    await seedLinks('small', 300);
+    expect(await countMismatches()).toBe(0);
+
+    await repository.run(`UPDATE clicks SET link_id = (SELECT id FROM links WHERE story_key = 'small:1')
+      WHERE id IN (SELECT id FROM clicks WHERE click_type = 'comments' LIMIT 10)`);
+    await repository.run("UPDATE clicks SET click_type = 'archive' WHERE id % 7 = 0");
+    await repository.run('DELETE FROM clicks WHERE id % 5 = 0');
+    expect(await countMismatches()).toBe(0);
+
+    const { clicked } = await repository.get(`SELECT COUNT(*) as clicked FROM link_click_stats s
+      JOIN links l ON l.id = s.link_id
+      WHERE s.total_clicks > 0 AND l.story_key LIKE 'small:%'`);
+    expect(clicked).toBeGreaterThan(50);
+  });
+
+  (BENCHMARK_LINKS ? test : test.skip)(`should list ${BENCHMARK_LINKS} links quickly`, async () => {
+    await seedLinks('bench', BENCHMARK_LINKS);
+    expect(await countMismatches()).toBe(0);
+
+    const unclicked = 'COALESCE(cs.article_clicks, 0) = 0';
+    const lists = {
+      all: [linkList(), {}],
+      gems: [linkList({ where: unclicked, defaultSort: 'appearances', defaultOrder: 'asc' }), {}],
+      unread: [linkList({ where: 'l.viewed = 0 OR l.viewed IS NULL', defaultSort: 'random' }), {}],
+      recent: [linkList({ where: `NOT (${unclicked})`, defaultSort: 'last_clicked', dateField: 'last_clicked' }), {}],
+      discover: [linkList({ where: `${unclicked} AND l.last_seen_at >= datetime('now', '-7 days')`, defaultSort: 'random', defaultLimit: 25 }), {}],
+      'most clicked from hn this week': [linkList(), { sort: 'clicks', source: 'hn', since: '7d' }]
+    };
+
+    const timings = {};
+    for (const [name, [list, query]] of Object.entries(lists)) {
+      const start = Date.now();
+      const page = await listPage(list, query);
+      const next = page.next_cursor ? await listPage(list, { ...query, cursor: page.next_cursor }) : null;
+      timings[name] = Date.now() - start;
+
+      expect(page.rows.length).toBeGreaterThan(0);
+      expect(page.total).toBeGreaterThan(page.rows.length);
+      if (next) expect(next.rows[0].id).not.toBe(page.rows[0].id);
+    }
+
+    // Lists over budget, with the milliseconds their two pages took
+    expect(Object.entries(timings).filter(([, ms]) => ms >= PAGE_BUDGET_MS)).toEqual([]);
+  }, 180000);
+});
@@ -0,0 +1,118 @@
+const http = require('http');
+const { useTestDatabase } = require('./test-database');
+
+const ARTICLE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <title>You won&#39;t believe what happened next | Example</title>
+  <meta property="og:description" content="A look at incremental backups in Postgres 17">
+  <script>window.tracking = "ignore me please, this is not article text";</script>
+  <style>body { font-family: sans-serif; }</style>
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About this site and its many authors</a></nav>
+  <article>
+    <h1>Postgres</h1>
+    <p>Postgres 17 adds incremental backups, so only the blocks that changed are copied.</p>
+    <p>Restoring combines a full backup with the increments using pg_combinebackup &amp; friends.</p>
+    <aside>Subscribe to our newsletter for more database content</aside>
+  </article>
+  <footer>Copyright 2024 Example Media Group and partners</footer>
+</body>
+</html>`;
+
+describe('Content extractor', () => {
+  let contentExtractor;
+
+  describe('extractReadableText', () => {
+    beforeAll(() => {
+      contentExtractor = require('../src/content-extractor');
+    });
+
+    test('should keep the article text and drop scripts, navigation and asides', () => {
+      const extracted = contentExtractor.extractReadableText(ARTICLE_HTML);
+
+      expect(extracted.title).toBe('You won\'t believe what happened next | Example');
+      expect(extracted.description).toBe('A look at incremental backups in Postgres 17');
+      expect(extracted.textContent).toBe([
+        'Postgres 17 adds incremental backups, so only the blocks that changed are copied.',
+        'Restoring combines a full backup with the increments using pg_combinebackup & friends.'
+      ].join('\n'));
+      expect(extracted.wordCount).toBe(25);
+      expect(extracted.readingTime).toBe(1);
+    });
+
+    test('should fall back to the page body without an article element', () => {
+      const extracted = contentExtractor.extractReadableText(
+        '<html><body><div>Short</div><div>Rust ownership rules explained with examples</div></body></html>'
+      );
+
+      expect(extracted.title).toBeNull();
+      expect(extracted.textContent).toBe('Rust ownership rules explained with examples');
+    });
+
+    test('should trim excerpts at a word boundary', () => {
+      expect(contentExtractor.makeExcerpt('one two\nthree', 100)).toBe('one two three');
+      expect(contentExtractor.makeExcerpt('incremental backups in postgres', 20)).toBe('incremental backups…');
+    });
+  });
+
+  describe('getArticleExcerpt', () => {
+    let repository;
+    let server;
+    let baseUrl;
+    let requests;
+
+    useTestDatabase();
+
+    beforeAll((done) => {
+      repository = require('../src/repository');
+      contentExtractor = require('../src/content-extractor');
+
+      requests = [];
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (req.url === '/image.png') {
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.end('not really a png');
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(ARTICLE_HTML);
+        }
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    test('should fetch the page once and reuse the cached text', async () => {
+      const link = { url: `${baseUrl}/postgres-17`, title: 'You won\'t believe this' };
+
+      const excerpt = await contentExtractor.getArticleExcerpt(link, { maxChars: 60 });
+      expect(excerpt).toBe('Postgres 17 adds incremental backups, so only the blocks…');
+
+      const cached = await repository.articles.findByUrl(link.url);
+      expect(cached).toMatchObject({ saved: 0, word_count: 25, domain: '127.0.0.1' });
+      expect(cached.text_content).toContain('pg_combinebackup & friends');
+      expect(cached.fetched_at).toBeTruthy();
+
+      // Cached pages stay out of the saved article library
+      expect((await repository.articles.list()).map(article => article.url)).not.toContain(link.url);
+
+      await expect(contentExtractor.getArticleExcerpt(link, { maxChars: 60 })).resolves.toBe(excerpt);
+      expect(requests).toEqual(['/postgres-17']);
+    });
+
+    test('should skip pages that are not HTML or not http', async () => {
+      await expect(contentExtractor.getArticleExcerpt({ url: `${baseUrl}/image.png` })).resolves.toBeNull();
+      await expect(contentExtractor.getArticleExcerpt({ url: 'ftp://example.com/file' })).resolves.toBeNull();
+      await expect(contentExtractor.getArticleExcerpt({ url: null })).resolves.toBeNull();
+      expect(await repository.articles.findByUrl(`${baseUrl}/image.png`)).toBeUndefined();
+    });
+  });
+});
@@ -276,7 +276,7 @@ describe('Database Module', () => {
   });
 
   describe('Tag operations', () => {
-    test('addTagToStory should add tags to stories', () => {
+    test('addTagToStory should add tags to stories', async () => {
       const storyId = 123;
       const tag = 'javascript';
 
@@ -288,13 +288,13 @@ describe('Database Module', () => {
         if (callback) callback(null);
       });
 
-      database.addTagToStory(storyId, tag);
+      await database.addTagToStory(storyId, tag);
 
       expect(mockDb.get).toHaveBeenCalled();
       expect(mockDb.run).toHaveBeenCalled();
     });
 
-    test('addMultipleTagsToStory should add multiple tags', () => {
+    test('addMultipleTagsToStory should add multiple tags', async () => {
       const storyId = 123;
       const tags = ['javascript', 'react', 'tutorial'];
 
@@ -306,13 +306,13 @@ describe('Database Module', () => {
         if (callback) callback(null);
       });
 
-      database.addMultipleTagsToStory(storyId, tags);
+      await database.addMultipleTagsToStory(storyId, tags);
 
       expect(mockDb.get).toHaveBeenCalled();
       expect(mockDb.run).toHaveBeenCalled();
     });
 
-    test('removeTagFromStory should remove specific tags', () => {
+    test('removeTagFromStory should remove specific tags', async () => {
       const storyId = 123;
       const tagToRemove = 'react';
 
@@ -324,7 +324,7 @@ describe('Database Module', () => {
         if (callback) callback(null);
       });
 
-      database.removeTagFromStory(storyId, tagToRemove);
+      await database.removeTagFromStory(storyId, tagToRemove);
 
       expect(mockDb.get).toHaveBeenCalled();
       expect(mockDb.run).toHaveBeenCalled();
@@ -367,7 +367,8 @@ describe('Database Module', () => {
 
   describe('Error handling', () => {
     test('should handle database connection failures gracefully', (done) => {
-      mockSqlite3.verbose.mockImplementation(() => ({
+      // Once, so the failure does not leak into later tests' initDatabase
+      mockSqlite3.verbose.mockImplementationOnce(() => ({
         Database: jest.fn(() => {
           throw new Error('Connection failed');
         })
@@ -0,0 +1,48 @@
+const { suggestKeywordTags } = require('../src/keyword-tagger');
+const { parseKeywordMap } = require('../src/config');
+
+describe('Keyword tagger', () => {
+  test('should tag from title words and phrases', () => {
+    expect(suggestKeywordTags({ title: 'Machine learning on the GPU with Python' }))
+      .toEqual(['machine learning', 'hardware', 'python']);
+  });
+
+  test('should not match keywords inside other words', () => {
+    expect(suggestKeywordTags({ title: 'Sending email from a trail in Maine' })).toEqual([]);
+  });
+
+  test('should use the URL path and domain', () => {
+    expect(suggestKeywordTags({
+      title: 'A new release',
+      url: 'https://github.com/example/sqlite-wasm-build'
+    })).toEqual(['databases', 'webassembly', 'open source']);
+  });
+
+  test('should tag Show HN and Ask HN posts', () => {
+    expect(suggestKeywordTags({ title: 'Show HN: My Elixir side project' })).toEqual(['show hn', 'elixir']);
+    expect(suggestKeywordTags({ title: 'What do you read?', source: 'hn/ask' })).toEqual(['ask hn']);
+  });
+
+  test('should tag the subreddit from the story or its permalink', () => {
+    expect(suggestKeywordTags({ title: 'Update on my situation', subreddit: 'AITAH' })).toEqual(['relationships']);
+    expect(suggestKeywordTags({
+      title: 'New Zig release',
+      url: 'https://old.reddit.com/r/programming/comments/1c2d3e/new_zig_release/'
+    })).toEqual(['zig', 'programming']);
+  });
+
+  test('should be deterministic and limited to six tags', () => {
+    const story = { title: 'Rust Python Go Java Kotlin Swift Ruby Elixir Haskell' };
+    const tags = suggestKeywordTags(story);
+
+    expect(tags).toHaveLength(6);
+    expect(suggestKeywordTags(story)).toEqual(tags);
+  });
+
+  test('should accept a custom dictionary', () => {
+    const keywords = parseKeywordMap('K8s:kubernetes, home lab:self-hosting, broken');
+
+    expect(keywords).toEqual({ 'k8s': 'kubernetes', 'home lab': 'self-hosting' });
+    expect(suggestKeywordTags({ title: 'My home lab runs k8s' }, keywords)).toEqual(['self-hosting', 'kubernetes']);
+  });
+});
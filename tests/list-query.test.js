@@ -0,0 +1,125 @@
+const { useTestDatabase } = require('./test-database');
+
+describe('List paging, sorting and filtering', () => {
+  let repository;
+  let listPage;
+  let linkList;
+  let CLICK_LIST;
+  let TAG_LIST;
+
+  // Follow next_cursor to the end, collecting every row
+  const allPages = async (list, query) => {
+    const rows = [];
+    let page = await listPage(list, query);
+    rows.push(...page.rows);
+    while (page.next_cursor) {
+      page = await listPage(list, { ...query, cursor: page.next_cursor });
+      rows.push(...page.rows);
+    }
+    return rows;
+  };
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    repository = require('../src/repository');
+    ({ listPage, linkList, CLICK_LIST, TAG_LIST } = require('../src/list-query'));
+
+    const links = [
+      ['hn/top:1', 'hn/top', 'https://github.com/a/compiler', 50, ['rust', 'compilers']],
+      ['hn/best:2', 'hn/best', 'https://example.com/crypto', 10, ['rust', 'crypto']],
+      ['lobsters:3', 'lobsters', 'https://docs.github.com/wasm', 30, ['rust', 'wasm']],
+      ['reddit:4', 'reddit', 'https://example.org/gardening', 5, ['gardening']],
+      ['hn/top:5', 'hn/top', 'https://example.net/notes', 20, []]
+    ];
+    for (const [storyKey, source, url, points, tags] of links) {
+      const storyId = parseInt(storyKey.split(':')[1], 10);
+      await repository.links.recordAppearance({
+        storyKey, storyId, source, url, points, title: `Story ${storyId}`, comments: 0,
+        commentsUrl: url, articleUrl: url, canonicalUrl: url
+      });
+      await repository.tags.add(storyKey, tags);
+    }
+    await repository.clicks.record('hn/top:1', 'article');
+    await repository.clicks.record('reddit:4', 'article');
+  });
+
+  test('should page through a list with totals and cursors', async () => {
+    const first = await listPage(linkList(), { limit: '2' });
+    expect(first.rows).toHaveLength(2);
+    expect(first).toMatchObject({ total: 5, limit: 2 });
+    expect(first.next_cursor).toEqual(expect.any(String));
+
+    const keys = (await allPages(linkList(), { limit: '2' })).map(row => row.story_key);
+    expect(new Set(keys).size).toBe(5);
+
+    const last = await listPage(linkList(), { limit: '5' });
+    expect(last.next_cursor).toBeNull();
+  });
+
+  test('should continue a shuffled list across pages without repeats', async () => {
+    const keys = (await allPages(linkList({ defaultSort: 'random' }), { limit: '2' })).map(row => row.story_key);
+    expect(keys).toHaveLength(5);
+    expect(new Set(keys).size).toBe(5);
+  });
+
+  test('should sort by any supported column in either order', async () => {
+    const points = async query => (await listPage(linkList(), query)).rows.map(row => row.points);
+    expect(await points({ sort: 'points' })).toEqual([50, 30, 20, 10, 5]);
+    expect(await points({ sort: 'points', order: 'asc' })).toEqual([5, 10, 20, 30, 50]);
+
+    const { rows } = await listPage(linkList(), { sort: 'clicks', limit: '2' });
+    expect(rows.map(row => row.total_clicks)).toEqual([1, 1]);
+  });
+
+  test('should filter by source, tag, domain and time', async () => {
+    const keys = async query => (await allPages(linkList(), query)).map(row => row.story_key).sort();
+    expect(await keys({ source: 'hn' })).toEqual(['hn/best:2', 'hn/top:1', 'hn/top:5']);
+    expect(await keys({ tag: 'rust -crypto' })).toEqual(['hn/top:1', 'lobsters:3']);
+    expect(await keys({ domain: 'github.com', source: 'lobsters' })).toEqual(['lobsters:3']);
+    expect(await keys({ since: '1h' })).toHaveLength(5);
+    expect(await keys({ until: '2000-01-01' })).toEqual([]);
+    expect((await listPage(linkList(), { tag: 'rust', limit: '1' })).total).toBe(3);
+
+    const clicks = await listPage(CLICK_LIST, { source: 'reddit' });
+    expect(clicks.rows.map(row => row.url)).toEqual(['https://example.org/gardening']);
+    expect(clicks.total).toBe(1);
+  });
+
+  test('should page tag counts and count only the filtered links', async () => {
+    const first = await listPage(TAG_LIST, { limit: '2' });
+    expect(first.rows).toEqual([{ tag: 'rust', count: 3 }, expect.objectContaining({ count: 1 })]);
+    expect(first.total).toBe(5);
+
+    const tags = (await allPages(TAG_LIST, { limit: '2', sort: 'tag' })).map(row => row.tag);
+    expect(tags).toEqual(['compilers', 'crypto', 'gardening', 'rust', 'wasm']);
+
+    const { rows, total } = await listPage(TAG_LIST, { source: 'hn' });
+    expect(rows).toEqual([{ tag: 'rust', count: 2 }, expect.objectContaining({ count: 1 }), expect.objectContaining({ count: 1 })]);
+    expect(total).toBe(3);
+  });
+
+  test('should leave low-confidence tags waiting for review out of the tag counts', async () => {
+    await repository.tags.add('hn/top:1', [{ tag: 'blockchain', confidence: 0.3, category: 'topic' }], 'ai');
+    const tagNames = rows => rows.map(row => row.tag);
+
+    expect(tagNames(await allPages(TAG_LIST, { sort: 'tag' }))).not.toContain('blockchain');
+    expect(tagNames(await repository.tags.counts())).not.toContain('blockchain');
+
+    // Confirmed by hand, it is counted like any other tag
+    await repository.tags.add('hn/top:1', ['blockchain']);
+    expect((await listPage(TAG_LIST, { sort: 'tag', limit: '1' })).rows).toEqual([{ tag: 'blockchain', count: 1 }]);
+    expect(await repository.tags.counts()).toContainEqual({ tag: 'blockchain', count: 1 });
+  });
+
+  test('should explain invalid parameters', async () => {
+    const error = async query => (await listPage(linkList(), query)).error;
+    expect(await error({ limit: '0' })).toBe('"limit" must be a whole number from 1 to 500');
+    expect(await error({ sort: 'popularity' })).toContain('"sort" must be one of: last_seen');
+    expect(await error({ order: 'up' })).toBe('"order" must be asc or desc');
+    expect(await error({ cursor: 'not-a-cursor' })).toContain('"cursor" is not valid');
+    expect(await error({ since: 'yesterday' })).toContain('"since" must be a date');
+    expect(await error({ tag: 'rust AND' })).toBe('"tag": Expected a tag or filter after "AND" (at character 6)');
+    expect(await error({ source: '' })).toBeUndefined();
+  });
+});
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createProvider } = require('../src/llm-providers');
+
+/**
+ * Start a local stand-in for an LLM HTTP API that records requests and
+ * answers with whatever the current test's handler returns
+ */
+function startStandIn() {
+  const standIn = {
+    requests: [],
+    respond: () => ({ status: 500, body: {} })
+  };
+
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      standIn.requests.push(request);
+
+      const { status, body: responseBody } = standIn.respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise((resolve) => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      standIn.baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+      resolve(standIn);
+    });
+  });
+}
+
+describe('LLM providers', () => {
+  let standIn;
+
+  beforeAll(async () => {
+    standIn = await startStandIn();
+  });
+
+  afterAll((done) => {
+    standIn.server.close(done);
+  });
+
+  beforeEach(() => {
+    standIn.requests = [];
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createProvider('bard')).toThrow('Unknown LLM provider "bard"');
+  });
+
+  describe('Anthropic Messages API', () => {
+    test('should send the prompt and return the text content', async () => {
+      standIn.respond = () => ({
+        status: 200,
+        body: {
+          id: 'msg_01',
+          type: 'message',
+          role: 'assistant',
+          content: [{ type: 'text', text: 'rust, systems, ' }, { type: 'text', text: 'memory safety' }],
+          stop_reason: 'end_turn'
+        }
+      });
+
+      const provider = createProvider('anthropic', {
+        apiKey: 'test-key',
+        baseUrl: standIn.baseUrl,
+        model: 'claude-3-5-haiku-latest',
+        timeout: 5000
+      });
+
+      await expect(provider.isAvailable()).resolves.toBe(true);
+      await expect(provider.complete('Suggest tags', { maxTokens: 50 })).resolves.toBe('rust, systems, memory safety');
+
+      const [request] = standIn.requests;
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('/v1/messages');
+      expect(request.headers['x-api-key']).toBe('test-key');
+      expect(request.headers['anthropic-version']).toBe('2023-06-01');
+      expect(request.body).toEqual({
+        model: 'claude-3-5-haiku-latest',
+        max_tokens: 50,
+        messages: [{ role: 'user', content: 'Suggest tags' }]
+      });
+    });
+
+    test('should be unavailable without an API key', async () => {
+      const provider = createProvider('anthropic', { baseUrl: standIn.baseUrl });
+
+      await expect(provider.isAvailable()).resolves.toBe(false);
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('ANTHROPIC_API_KEY is not set');
+      expect(standIn.requests).toHaveLength(0);
+    });
+
+    test('should surface API errors', async () => {
+      standIn.respond = () => ({
+        status: 401,
+        body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }
+      });
+
+      const provider = createProvider('anthropic', { apiKey: 'bad-key', baseUrl: standIn.baseUrl, timeout: 5000 });
+
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('401');
+    });
+  });
+
+  describe('OpenAI-compatible endpoint', () => {
+    test('should call chat completions and return the message content', async () => {
+      standIn.respond = () => ({
+        status: 200,
+        body: { choices: [{ index: 0, message: { role: 'assistant', content: 'python, pandas, data' } }] }
+      });
+
+      const provider = createProvider('openai', {
+        baseUrl: `${standIn.baseUrl}/v1/`,
+        model: 'llama3.1',
+        timeout: 5000
+      });
+
+      await expect(provider.isAvailable()).resolves.toBe(true);
+      await expect(provider.complete('Suggest tags')).resolves.toBe('python, pandas, data');
+
+      const [request] = standIn.requests;
+      expect(request.url).toBe('/v1/chat/completions');
+      expect(request.headers.authorization).toBeUndefined();
+      expect(request.body).toMatchObject({
+        model: 'llama3.1',
+        messages: [{ role: 'user', content: 'Suggest tags' }]
+      });
+    });
+
+    test('should send the API key as a bearer token when configured', async () => {
+      standIn.respond = () => ({ status: 200, body: { choices: [{ message: { content: 'go' } }] } });
+
+      const provider = createProvider('openai', { baseUrl: standIn.baseUrl, apiKey: 'local-key', timeout: 5000 });
+      await provider.complete('Suggest tags');
+
+      expect(standIn.requests[0].headers.authorization).toBe('Bearer local-key');
+    });
+
+    test('should reject empty completions', async () => {
+      standIn.respond = () => ({ status: 200, body: { choices: [] } });
+
+      const provider = createProvider('openai', { baseUrl: standIn.baseUrl, timeout: 5000 });
+
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('Empty response from LLM endpoint');
+    });
+  });
+
+  describe('CLI', () => {
+    let scriptDir;
+
+    // Write an executable stand-in for the claude CLI
+    const fakeCli = (name, body) => {
+      const command = path.join(scriptDir, name);
+      fs.writeFileSync(command, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+      return command;
+    };
+
+    beforeAll(() => {
+      scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bobrowser-cli-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(scriptDir, { recursive: true, force: true });
+    });
+
+    test('should pass the prompt on stdin and return the output', async () => {
+      const command = fakeCli('fake-claude', 'cat > "$0.stdin"\necho "$@" > "$0.args"\necho "docker, containers, deployment"');
+      const provider = createProvider('cli', { command, timeout: 5000 });
+
+      await expect(provider.isAvailable()).resolves.toBe(true);
+      await expect(provider.complete('Suggest tags for "$(id)"')).resolves.toBe('docker, containers, deployment\n');
+      expect(fs.readFileSync(`${command}.stdin`, 'utf8')).toBe('Suggest tags for "$(id)"');
+      expect(fs.readFileSync(`${command}.args`, 'utf8')).toBe('--print --output-format=text\n');
+    });
+
+    test('should be unavailable when the command is missing', async () => {
+      const provider = createProvider('cli', { command: path.join(scriptDir, 'missing') });
+
+      await expect(provider.isAvailable()).resolves.toBe(false);
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('ENOENT');
+    });
+
+    test('should report failing commands with their stderr', async () => {
+      const provider = createProvider('cli', { command: fakeCli('failing', 'echo "not logged in" >&2\nexit 3'), timeout: 5000 });
+
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('exited with code 3: not logged in');
+    });
+
+    test('should kill commands that run too long', async () => {
+      const provider = createProvider('cli', { command: fakeCli('slow', 'exec sleep 10'), timeout: 200 });
+
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('timed out after 200ms');
+    });
+
+    test('should kill commands that print too much', async () => {
+      const provider = createProvider('cli', { command: fakeCli('chatty', 'exec yes tag'), timeout: 5000, maxOutput: 1000 });
+
+      await expect(provider.complete('Suggest tags')).rejects.toThrow('output exceeded 1000 bytes');
+    });
+
+    test('should never run story titles through a shell', async () => {
+      const command = fakeCli('recording-claude', 'cat >> "$0.stdin"\necho "security, reddit"');
+      const marker = path.join(scriptDir, 'pwned');
+      const titles = [
+        `$(touch ${marker})`,
+        `\`touch ${marker}\``,
+        `"; touch ${marker}; echo "`,
+        `'; touch ${marker}; echo '`,
+        `Title\n$(touch ${marker})`
+      ];
+
+      let generateTagSuggestions;
+      jest.isolateModules(() => {
+        jest.doMock('../src/config', () => ({
+          LLM_PROVIDER: 'cli',
+          LLM_CLI_COMMAND: command,
+          LLM_TIMEOUT: 5000
+        }));
+        ({ generateTagSuggestions } = require('../src/claude-integration'));
+      });
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      for (const title of titles) {
+        const result = await generateTagSuggestions(title, 'https://example.com/?q=$(whoami)');
+        expect(result).toMatchObject({ success: true, tags: ['security', 'reddit'], source: 'claude-cli' });
+      }
+
+      console.log.mockRestore();
+      console.warn.mockRestore();
+      expect(fs.existsSync(marker)).toBe(false);
+
+      const received = fs.readFileSync(`${command}.stdin`, 'utf8');
+      titles.forEach(title => expect(received).toContain(`Title: "${title}"`));
+      expect(received).toContain('URL: https://example.com/?q=$(whoami)');
+    });
+  });
+
+  test('should never be available when disabled', async () => {
+    const provider = createProvider('none');
+
+    await expect(provider.isAvailable()).resolves.toBe(false);
+    await expect(provider.complete('Suggest tags')).rejects.toThrow('LLM tagging is disabled');
+  });
+});
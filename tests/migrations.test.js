@@ -0,0 +1,154 @@
+// Use a real in-memory SQLite database
+jest.unmock('sqlite3');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const sqlite3 = require('sqlite3');
+const { runMigrations } = require('../src/migrations');
+const migrations = require('../src/migrations/index');
+
+function columnsOf(db, table, callback) {
+  db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+    callback(columns.map(column => column.name));
+  });
+}
+
+describe('Schema migrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach((done) => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    db.close(done);
+  });
+
+  test('should apply every migration to a fresh database and record its version', (done) => {
+    runMigrations(db, (err, report) => {
+      expect(err).toBeNull();
+      expect(report.applied.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version));
+      expect(report.version).toBe(migrations[migrations.length - 1].version);
+
+      db.all('SELECT version, name FROM schema_version ORDER BY version', [], (selectErr, rows) => {
+        expect(rows[0]).toEqual({ version: 1, name: 'initial_schema' });
+        expect(rows).toHaveLength(migrations.length);
+
+        columnsOf(db, 'links', (columns) => {
+          expect(columns).toEqual(expect.arrayContaining(['story_key', 'article_url', 'canonical_url']));
+          done();
+        });
+      });
+    });
+  });
+
+  test('should not reapply migrations that already ran', (done) => {
+    runMigrations(db, () => {
+      runMigrations(db, (err, report) => {
+        expect(err).toBeNull();
+        expect(report.applied).toEqual([]);
+        expect(report.version).toBe(migrations[migrations.length - 1].version);
+        done();
+      });
+    });
+  });
+
+  test('should roll back a failing migration and report it', (done) => {
+    const broken = [
+      {
+        version: 1,
+        name: 'create_widgets',
+        up: (database, callback) => database.run('CREATE TABLE widgets (id INTEGER PRIMARY KEY)', [], callback)
+      },
+      {
+        version: 2,
+        name: 'broken',
+        up: (database, callback) => {
+          database.run('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)', [], () => {
+            database.run('ALTER TABLE missing ADD COLUMN name TEXT', [], callback);
+          });
+        }
+      }
+    ];
+
+    runMigrations(db, broken, (err, report) => {
+      expect(err.message).toMatch(/no such table: missing/);
+      expect(report.applied).toEqual([{ version: 1, name: 'create_widgets' }]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('002_broken'), expect.any(String));
+
+      db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('widgets', 'gadgets')", [], (tableErr, tables) => {
+        expect(tables.map(table => table.name)).toEqual(['widgets']);
+        db.all('SELECT version FROM schema_version', [], (selectErr, rows) => {
+          expect(rows).toEqual([{ version: 1 }]);
+          done();
+        });
+      });
+    });
+  });
+
+  test('should reject duplicate migration versions', (done) => {
+    const duplicated = [
+      { version: 1, name: 'a', up: (database, callback) => callback(null) },
+      { version: 1, name: 'b', up: (database, callback) => callback(null) }
+    ];
+
+    runMigrations(db, duplicated, (err) => {
+      expect(err.message).toBe('Duplicate migration version 1');
+      done();
+    });
+  });
+
+  test('should add missing columns to a database created by an older release', (done) => {
+    db.serialize(() => {
+      db.run(`CREATE TABLE clicks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      db.run("INSERT INTO clicks (story_id, title, url) VALUES (1, 'Old click', 'https://example.com')");
+    });
+
+    runMigrations(db, (err) => {
+      expect(err).toBeNull();
+      columnsOf(db, 'clicks', (columns) => {
+        expect(columns).toEqual(expect.arrayContaining(['points', 'archive_url', 'link_id', 'click_type']));
+        db.get('SELECT title FROM clicks', [], (selectErr, click) => {
+          expect(click.title).toBe('Old click');
+          done();
+        });
+      });
+    });
+  });
+
+  test('should move comma-separated link tags into the tags table', (done) => {
+    const beforeTags = migrations.filter(migration => migration.version < 7);
+
+    runMigrations(db, beforeTags, () => {
+      db.run(`INSERT INTO links (story_id, story_key, title, url, source, tags)
+        VALUES (1, 'hn/top:1', 'Post', 'https://example.com', 'hn/top', 'Rust, systems,rust')`, [], () => {
+        runMigrations(db, (err) => {
+          expect(err).toBeNull();
+          db.all('SELECT link_id, tag, origin FROM tags ORDER BY id', [], (selectErr, rows) => {
+            expect(rows).toEqual([
+              { link_id: 1, tag: 'rust', origin: 'imported' },
+              { link_id: 1, tag: 'systems', origin: 'imported' }
+            ]);
+            db.get('SELECT tags FROM links', [], (linkErr, row) => {
+              expect(row.tags).toBe('rust,systems');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,433 @@
+const { useTestDatabase } = require('./test-database');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+describe('Repository', () => {
+  let database;
+  let repository;
+
+  const link = {
+    storyKey: 'hn/top:101',
+    storyId: 101,
+    title: 'Zig builds',
+    url: 'https://example.com/zig',
+    commentsUrl: 'https://news.ycombinator.com/item?id=101',
+    source: 'hn/top',
+    points: 120,
+    comments: 40,
+    articleUrl: 'https://example.com/zig',
+    canonicalUrl: 'https://example.com/zig'
+  };
+
+  test('should reject when the database is not initialized', async () => {
+    repository = require('../src/repository');
+    await expect(repository.links.findByKey('hn/top:1')).rejects.toThrow('Database not initialized');
+  });
+
+  describe('with a database', () => {
+    useTestDatabase();
+
+    beforeAll(() => {
+      database = require('../src/database');
+      repository = require('../src/repository');
+    });
+
+    test('should insert a link once and count later appearances', async () => {
+      const first = await repository.links.recordAppearance(link);
+      const second = await repository.links.recordAppearance({ ...link, points: 150 });
+
+      expect(first.created).toBe(true);
+      expect(second).toEqual({ id: first.id, created: false });
+
+      const row = await repository.links.findByKey('hn/top:101');
+      expect(row).toMatchObject({ times_appeared: 2, points: 150 });
+    });
+
+    test('should keep every tag when tags are added concurrently', async () => {
+      // A link of its own, left without tags, so later tests do not depend on this one
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:102', storyId: 102 });
+      // The adds finish in any order, and so do the tags
+      await Promise.all([
+        repository.tags.add('hn/top:102', ['zig']),
+        repository.tags.add('hn/top:102', 'Build-Systems'),
+        repository.tags.add('hn/top:102', ['compilers', 'zig'])
+      ]);
+
+      expect((await repository.tags.get('hn/top:102')).sort()).toEqual(['build-systems', 'compilers', 'zig']);
+
+      expect((await repository.tags.remove('hn/top:102', 'compilers')).sort()).toEqual(['build-systems', 'zig']);
+      await repository.tags.remove('hn/top:102', 'zig');
+      expect(await repository.tags.remove('hn/top:102', 'build-systems')).toEqual([]);
+      expect(await repository.tags.add('hn/top:404', ['zig'])).toBeNull();
+    });
+
+    test('should record where tags came from', async () => {
+      await repository.tags.add('hn/top:101', ['zig']);
+      await repository.tags.add('hn/top:101', ['ml'], 'ai');
+      await repository.tags.add('hn/top:101', ['ml', 'email'], 'manual');
+
+      const origins = await repository.tags.getWithOrigin('hn/top:101');
+      expect(origins.find(row => row.tag === 'zig').origin).toBe('manual');
+      expect(origins.find(row => row.tag === 'ml').origin).toBe('manual');
+
+      await repository.tags.add('hn/top:101', ['rust'], 'ai');
+      expect((await repository.tags.getWithOrigin('hn/top:101')).pop()).toMatchObject({ tag: 'rust', origin: 'ai' });
+    });
+
+    test('should match tags exactly and count them per tag', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'reddit:abc', storyId: 202, source: 'reddit' });
+      await repository.tags.add('reddit:abc', ['ai', 'zig'], 'ai');
+
+      const aiLinks = await repository.links.searchByTags(['ai']);
+      expect(aiLinks.map(row => row.story_key)).toEqual(['reddit:abc']);
+
+      const counts = await repository.tags.counts();
+      expect(counts[0]).toEqual({ tag: 'zig', count: 2 });
+      expect(counts).toContainEqual({ tag: 'email', count: 1 });
+      expect(await repository.tags.listUnique()).toEqual(['ai', 'email', 'ml', 'rust', 'zig']);
+
+      // The comma-separated copy on links follows the tags table
+      const row = await repository.links.findByKey('reddit:abc');
+      expect(row.tags).toBe('ai,zig');
+    });
+
+    test('should record clicks and views for tracked links only', async () => {
+      const click = await repository.clicks.record('hn/top:101', 'article');
+      const row = await repository.links.findByKey('hn/top:101');
+
+      expect(click.linkId).toBe(row.id);
+      expect(await repository.clicks.record('hn/top:404', 'article')).toBeNull();
+      expect(await repository.links.markViewed('hn/top:101')).toBe(1);
+      expect(await repository.links.markViewed('hn/top:404')).toBe(0);
+    });
+
+    test('should merge tag spellings and keep them as aliases', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'lobsters:js1', storyId: 301, source: 'lobsters' });
+      await repository.links.recordAppearance({ ...link, storyKey: 'lobsters:js2', storyId: 302, source: 'lobsters' });
+      await repository.tags.add('lobsters:js1', ['js', 'web'], 'ai');
+      await repository.tags.add('lobsters:js2', ['java-script', 'javascript'], 'ai');
+
+      const result = await repository.tags.merge(['js', 'java-script'], 'JavaScript');
+      expect(result).toEqual({ tag: 'javascript', merged: ['js', 'java-script'], links: 2 });
+      expect(await repository.tags.get('lobsters:js1')).toEqual(['web', 'javascript']);
+      expect(await repository.tags.get('lobsters:js2')).toEqual(['javascript']);
+
+      // Taggers that keep suggesting an alias add the canonical tag instead
+      const added = await repository.tags.add('lobsters:js1', ['JS', 'node'], 'ai');
+      expect(added.added).toEqual(['node']);
+      expect(await repository.tags.listAliases()).toEqual([
+        { alias: 'java-script', tag: 'javascript' },
+        { alias: 'js', tag: 'javascript' }
+      ]);
+    });
+
+    test('should rename tags, following existing aliases', async () => {
+      await repository.tags.rename('javascript', 'ecmascript');
+
+      expect(await repository.tags.get('lobsters:js2')).toEqual(['ecmascript']);
+      expect(await repository.tags.resolveAliases(['js', 'javascript', 'ecmascript'])).toEqual(['ecmascript']);
+
+      expect(await repository.tags.removeAlias('js')).toBe(1);
+      expect(await repository.tags.resolveAliases(['js'])).toEqual(['js']);
+    });
+
+    test('should rename a tag to one of its own aliases', async () => {
+      await repository.tags.alias('es', 'ecmascript');
+
+      expect(await repository.tags.rename('ecmascript', 'ES')).toEqual({ tag: 'es', merged: ['ecmascript'], links: 2 });
+      expect(await repository.tags.get('lobsters:js2')).toEqual(['es']);
+      expect(await repository.tags.resolveAliases(['ecmascript', 'javascript', 'es'])).toEqual(['es']);
+
+      await repository.tags.rename('es', 'ecmascript');
+      expect(await repository.tags.listAliases()).toEqual([
+        { alias: 'es', tag: 'ecmascript' },
+        { alias: 'java-script', tag: 'ecmascript' },
+        { alias: 'javascript', tag: 'ecmascript' }
+      ]);
+    });
+
+    test('should leave every tag as it was when a merge fails partway', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:103', storyId: 103 });
+      await repository.tags.add('hn/top:103', ['webgpu', 'graphics']);
+      await repository.run(`CREATE TEMP TRIGGER fail_merge BEFORE DELETE ON tags WHEN old.tag = 'webgpu'
+        BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END`);
+
+      await expect(repository.tags.merge(['webgpu'], 'gpu')).rejects.toThrow('disk I/O error');
+      await repository.run('DROP TRIGGER fail_merge');
+
+      expect(await repository.tags.get('hn/top:103')).toEqual(['webgpu', 'graphics']);
+      expect((await repository.links.findByKey('hn/top:103')).tags).toBe('webgpu,graphics');
+      expect(await repository.tags.resolveAliases(['webgpu'])).toEqual(['webgpu']);
+
+      // The next merge starts a transaction of its own
+      expect(await repository.tags.merge(['webgpu'], 'gpu')).toEqual({ tag: 'gpu', merged: ['webgpu'], links: 1 });
+      await repository.tags.remove('hn/top:103', 'gpu');
+      await repository.tags.remove('hn/top:103', 'graphics');
+      await repository.tags.removeAlias('webgpu');
+    });
+
+    test('should delete a tag and its aliases everywhere', async () => {
+      expect(await repository.tags.delete('ecmascript')).toBe(2);
+      expect(await repository.tags.get('lobsters:js1')).toEqual(['web', 'node']);
+      expect(await repository.tags.listAliases()).toEqual([]);
+
+      const row = await repository.links.findByKey('lobsters:js2');
+      expect(row.tags).toBeNull();
+    });
+
+    test('should store confidence and hide low-confidence tags until reviewed', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:501', storyId: 501 });
+      await repository.tags.add('hn/top:501', [
+        { tag: 'Compilers', confidence: 0.92, category: 'topic' },
+        { tag: 'llvm', confidence: 0.3, category: 'technology' },
+        'zig'
+      ], 'ai');
+
+      expect(await repository.tags.getWithOrigin('hn/top:501')).toMatchObject([
+        { tag: 'compilers', origin: 'ai', confidence: 0.92, category: 'topic' },
+        { tag: 'llvm', origin: 'ai', confidence: 0.3, category: 'technology' },
+        { tag: 'zig', origin: 'ai', confidence: null, category: null }
+      ]);
+      expect((await repository.links.findByKey('hn/top:501')).tags).toBe('compilers,zig');
+      expect(await repository.tags.listForReview()).toEqual([
+        expect.objectContaining({ story_key: 'hn/top:501', tag: 'llvm', confidence: 0.3 })
+      ]);
+
+      // Adding the tag by hand confirms it
+      await repository.tags.add('hn/top:501', ['llvm'], 'manual');
+      expect((await repository.links.findByKey('hn/top:501')).tags).toBe('compilers,llvm,zig');
+      expect(await repository.tags.listForReview()).toEqual([]);
+    });
+
+    test('should tag Reddit link posts from the article rather than the thread', async () => {
+      await repository.links.recordAppearance({
+        ...link,
+        storyKey: 'reddit:zig603',
+        storyId: 603,
+        source: 'reddit',
+        url: 'https://old.reddit.com/r/zig/comments/zig603/',
+        commentsUrl: 'https://old.reddit.com/r/zig/comments/zig603/',
+        articleUrl: 'https://example.com/zig-603'
+      });
+
+      const due = (await repository.taggingJobs.listDue(100)).find(row => row.story_key === 'reddit:zig603');
+      expect(due.url).toBe('https://example.com/zig-603');
+    });
+
+    test('should back off failing tagging jobs and park them', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:601', storyId: 601, title: 'Unlucky story' });
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:602', storyId: 602, title: 'Lucky story' });
+      const unlucky = await repository.links.findByKey('hn/top:601');
+      const lucky = await repository.links.findByKey('hn/top:602');
+
+      const due = await repository.taggingJobs.listDue(100);
+      expect(due.map(row => row.story_key)).toEqual(expect.arrayContaining(['hn/top:601', 'hn/top:602']));
+      const pendingBefore = (await repository.taggingJobs.counts()).pending;
+
+      await repository.taggingJobs.recordSuccess(lucky.id, 'anthropic', ['luck']);
+      await repository.tags.add('hn/top:602', ['luck'], 'ai');
+
+      const options = { maxAttempts: 3, retryMinutes: 10 };
+      expect(await repository.taggingJobs.recordFailure(unlucky.id, 'anthropic', 'overloaded', options))
+        .toEqual({ status: 'failed', attempts: 1, retryInMinutes: 10 });
+      expect(await repository.taggingJobs.recordFailure(unlucky.id, 'anthropic', 'overloaded', options))
+        .toEqual({ status: 'failed', attempts: 2, retryInMinutes: 20 });
+
+      // Waiting for the retry time, so not due yet
+      const dueKeys = (await repository.taggingJobs.listDue(100)).map(row => row.story_key);
+      expect(dueKeys).not.toContain('hn/top:601');
+      expect(dueKeys).not.toContain('hn/top:602');
+      expect(await repository.taggingJobs.listQueue()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ story_key: 'hn/top:601', status: 'failed', attempts: 2, error: 'overloaded' })
+      ]));
+
+      expect(await repository.taggingJobs.recordFailure(unlucky.id, 'anthropic', 'overloaded', options))
+        .toEqual({ status: 'parked', attempts: 3, retryInMinutes: null });
+      expect(await repository.taggingJobs.counts()).toMatchObject({ pending: pendingBefore - 2, failed: 0, parked: 1, done: 1 });
+      expect(await repository.taggingJobs.listHistory(10, ['parked'])).toEqual([
+        expect.objectContaining({ story_key: 'hn/top:601', status: 'parked', attempts: 3, next_attempt_at: null })
+      ]);
+      expect(await repository.taggingJobs.listHistory(10, ['done'])).toEqual([
+        expect.objectContaining({ story_key: 'hn/top:602', provider: 'anthropic', result: '["luck"]' })
+      ]);
+
+      // A manual retry makes the parked link due straight away
+      expect(await repository.taggingJobs.retry(unlucky.id)).toBe(1);
+      expect(await repository.taggingJobs.retry(lucky.id)).toBe(0);
+      expect((await repository.taggingJobs.listDue(100)).map(row => row.story_key)).toContain('hn/top:601');
+    });
+
+    test('should keep the latest tag feedback and turn it into a vocabulary', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:701', storyId: 701 });
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:702', storyId: 702 });
+      await repository.tags.alias('golang', 'go');
+
+      expect(await repository.tagFeedback.record('hn/top:701', ['Golang', 'compilers'], ['blockchain', 'compilers'])).toBe(3);
+      expect(await repository.tagFeedback.record('hn/top:702', ['go'], ['compilers', 'blockchain'])).toBe(3);
+      // A second decision about the same link and tag replaces the first
+      expect(await repository.tagFeedback.record('hn/top:702', [], ['go'])).toBe(1);
+      expect(await repository.tagFeedback.record('hn/top:404', ['go'])).toBeNull();
+
+      expect(await repository.tagFeedback.stats()).toEqual([
+        { tag: 'blockchain', accepted: 0, rejected: 2, acceptance_rate: 0 },
+        { tag: 'compilers', accepted: 1, rejected: 1, acceptance_rate: 0.5 },
+        { tag: 'go', accepted: 1, rejected: 1, acceptance_rate: 0.5 }
+      ]);
+
+      expect(await repository.tagFeedback.record('hn/top:702', ['go'])).toBe(1);
+      expect(await repository.tagFeedback.vocabulary()).toEqual({ preferred: ['go'], rejected: ['blockchain'] });
+
+      // Feedback follows merged tags
+      await repository.tags.merge(['go'], 'go-lang');
+      expect((await repository.tagFeedback.vocabulary()).preferred).toEqual(['go-lang']);
+    });
+
+    test('should search and count tags through the hierarchy', async () => {
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:801', storyId: 801 });
+      await repository.links.recordAppearance({ ...link, storyKey: 'hn/top:802', storyId: 802 });
+      await repository.tags.add('hn/top:801', ['elixir', 'beam'], 'ai');
+      await repository.tags.add('hn/top:802', ['ocaml'], 'ai');
+
+      await repository.tagHierarchy.setParent('Elixir', 'functional');
+      await repository.tagHierarchy.setParent('functional', 'programming');
+      await repository.tagHierarchy.setParent('beam', 'programming');
+      expect(await repository.tagHierarchy.setParent('ocaml', 'programming')).toEqual({ tag: 'ocaml', parent: 'programming' });
+      // No tag can end up below itself
+      expect(await repository.tagHierarchy.setParent('programming', 'elixir')).toBeNull();
+      expect(await repository.tagHierarchy.setParent('ocaml', 'ocaml')).toBeNull();
+
+      expect((await repository.tagHierarchy.expand(['functional'])).sort()).toEqual(['elixir', 'functional']);
+      const keys = rows => rows.map(row => row.story_key).sort();
+      expect(keys(await repository.links.searchByTags(['programming']))).toEqual([]);
+      expect(keys(await repository.links.searchByTags(['programming'], 20, { includeDescendants: true })))
+        .toEqual(['hn/top:801', 'hn/top:802']);
+
+      // Each link counts once per ancestor, however many of its tags sit below it
+      const stats = await repository.tagHierarchy.stats();
+      const byTag = new Map(stats.map(row => [row.tag, row]));
+      expect(byTag.get('programming')).toMatchObject({ parent: null, story_count: 2, direct_count: 0 });
+      expect(byTag.get('functional')).toMatchObject({ parent: 'programming', story_count: 1, direct_count: 0 });
+      expect(byTag.get('elixir')).toMatchObject({ parent: 'functional', story_count: 1, direct_count: 1 });
+
+      // Detaching keeps the subtree; deleting a tag moves its children up
+      expect(await repository.tagHierarchy.removeParent('beam')).toBe(1);
+      await repository.tags.delete('functional');
+      expect(await repository.tagHierarchy.list()).toEqual([
+        { tag: 'elixir', parent: 'programming' },
+        { tag: 'ocaml', parent: 'programming' }
+      ]);
+    });
+
+    test('should keep the full-text index of links in sync and rank title matches first', async () => {
+      const raytracer = {
+        ...link,
+        storyKey: 'hn/top:901',
+        storyId: 901,
+        title: 'Writing a raytracer',
+        url: 'https://blog.graphics.dev/raytracer',
+        articleUrl: 'https://blog.graphics.dev/raytracer',
+        canonicalUrl: 'https://blog.graphics.dev/raytracer'
+      };
+      await repository.links.recordAppearance(raytracer);
+      await repository.links.recordAppearance({
+        ...link,
+        storyKey: 'hn/top:902',
+        storyId: 902,
+        title: 'Weekend projects',
+        url: 'https://example.com/weekend',
+        articleUrl: 'https://example.com/weekend',
+        canonicalUrl: 'https://example.com/weekend'
+      });
+      await repository.articles.cacheText({
+        url: 'https://example.com/weekend',
+        title: 'Weekend projects',
+        domain: 'example.com',
+        textContent: 'I finally built the raytracers I kept reading about, with photon mapping.',
+        wordCount: 12,
+        readingTime: 1
+      });
+      await repository.tags.add('hn/top:901', ['rendering']);
+
+      const search = async text => (await repository.links.searchText(text)).map(row => row.story_key);
+      expect(await search('raytracer')).toEqual(['hn/top:901', 'hn/top:902']);
+      expect(await search('rendering')).toEqual(['hn/top:901']);
+      expect(await search('graphics.dev')).toEqual(['hn/top:901']);
+      const [match] = await repository.links.searchText('photon mapping');
+      expect(match).toMatchObject({ story_key: 'hn/top:902', total_clicks: 0 });
+      expect(match.snippet).toContain('<mark>photon</mark> <mark>mapping</mark>');
+
+      // Later changes to the title, tags and cached text are picked up
+      await repository.links.recordAppearance({ ...raytracer, title: 'Writing a path tracer' });
+      await repository.tags.remove('hn/top:901', 'rendering');
+      await repository.articles.cacheText({
+        url: 'https://example.com/weekend',
+        title: 'Weekend projects',
+        domain: 'example.com',
+        textContent: 'Nothing about light this time.',
+        wordCount: 5,
+        readingTime: 1
+      });
+      expect(await search('tracer')).toEqual(['hn/top:901']);
+      expect(await search('rendering')).toEqual([]);
+      expect(await search('photon')).toEqual([]);
+
+      // Search text is never read as query syntax
+      expect(await search('(writing): "path tracer -')).toEqual(['hn/top:901']);
+      expect(await search('   ')).toEqual([]);
+    });
+
+    test('should surface SQL errors as rejections', async () => {
+      await expect(repository.all('SELECT * FROM no_such_table')).rejects.toThrow(/no such table/);
+    });
+
+    test('should resolve legacy wrappers once the write has finished', async () => {
+      await database.addTagToStory('hn/top:101', 'systems');
+
+      await new Promise((resolve) => {
+        database.getStoryTags('hn/top:101', (err, tags) => {
+          expect(err).toBeNull();
+          expect(tags).toContain('systems');
+          resolve();
+        });
+      });
+    });
+
+    describe('same-article grouping', () => {
+      const group = rows => new Promise((resolve, reject) => {
+        database.groupLinksByArticle(rows, (err, links) => (err ? reject(err) : resolve(links)));
+      });
+      const rowsFor = storyKeys => repository.all(`SELECT * FROM links
+        WHERE story_key IN (${storyKeys.map(() => '?').join(', ')})
+        ORDER BY id`, storyKeys);
+
+      beforeAll(async () => {
+        await repository.run(`INSERT INTO links (story_id, story_key, title, url, comments_url, source, points, tags, canonical_url, times_appeared)
+          VALUES (1001, 'hn/top:1001', 'Zig builds', 'https://example.com/zig-builds?utm_source=hn', 'https://news.ycombinator.com/item?id=1001', 'hn/top', 200, 'zig', 'https://example.com/zig-builds', 2)`);
+        await repository.run(`INSERT INTO links (story_id, story_key, title, url, comments_url, source, points, tags, canonical_url, times_appeared)
+          VALUES (1002, 'reddit:zig1002', 'Zig builds', 'https://old.reddit.com/r/zig/comments/zig1002/', 'https://old.reddit.com/r/zig/comments/zig1002/', 'reddit', 50, 'build-systems', 'https://example.com/zig-builds', 1)`);
+        await repository.run(`INSERT INTO links (story_id, story_key, title, url, source, canonical_url)
+          VALUES (1003, 'pinboard:url:https://example.org/other', 'Other', 'https://example.org/other', 'pinboard', 'https://example.org/other')`);
+      });
+
+      test('should list an article once with every discussion', async () => {
+        const links = await group(await rowsFor(['hn/top:1001', 'pinboard:url:https://example.org/other']));
+
+        expect(links).toHaveLength(2);
+        expect(links[0].discussions.map(discussion => discussion.source)).toEqual(['hn/top', 'reddit']);
+        expect(links[0].discussions[1].url).toBe('https://old.reddit.com/r/zig/comments/zig1002/');
+        expect(links[0].tags.split(',').sort()).toEqual(['build-systems', 'zig']);
+        expect(links[1].discussions).toHaveLength(1);
+      });
+
+      test('should merge counters when several rows of one article are listed', async () => {
+        const links = await group(await rowsFor(['hn/top:1001', 'reddit:zig1002']));
+
+        expect(links).toHaveLength(1);
+        expect(links[0].times_appeared).toBe(3);
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { useTestDatabase } = require('./test-database');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const sqlite3 = require('sqlite3');
+const {
+  normalizeIdentityUrl,
+  getStoryKey,
+  toStoryKey,
+  getLegacyStoryKey
+} = require('../src/story-identity');
+
+describe('Story identity', () => {
+  describe('Keys', () => {
+    test('should normalize URLs for identity', () => {
+      expect(normalizeIdentityUrl('HTTPS://WWW.Example.com/Post/#comments')).toBe('https://example.com/Post');
+      expect(normalizeIdentityUrl('https://example.com:8080/a/?b=1')).toBe('https://example.com:8080/a?b=1');
+      expect(normalizeIdentityUrl(null)).toBeNull();
+    });
+
+    test('should combine the source with the native id', () => {
+      expect(getStoryKey({ id: 41234567 }, 'hn/top')).toBe('hn/top:41234567');
+      expect(getStoryKey({ id: '1c2d3e', url: 'https://old.reddit.com/r/rust/comments/1c2d3e/x/' }, 'reddit')).toBe('reddit:1c2d3e');
+    });
+
+    test('should identify Pinboard bookmarks by URL, not position', () => {
+      const monday = getStoryKey({ id: 'https://www.example.com/post/', url: 'https://www.example.com/post/' }, 'pinboard');
+      const tuesday = getStoryKey({ id: 'https://example.com/post', url: 'https://example.com/post' }, 'pinboard');
+      const other = getStoryKey({ id: 'https://example.com/other', url: 'https://example.com/other' }, 'pinboard');
+
+      expect(monday).toBe('pinboard:url:https://example.com/post');
+      expect(tuesday).toBe(monday);
+      expect(other).not.toBe(monday);
+    });
+
+    test('should pass existing keys through when tracking', () => {
+      expect(toStoryKey(123, 'hn/top')).toBe('hn/top:123');
+      expect(toStoryKey('hn/top:123', 'hn/top')).toBe('hn/top:123');
+      expect(toStoryKey('reddit:abc', undefined)).toBe('reddit:abc');
+      expect(toStoryKey('reddit:abc', 'unknown')).toBe('reddit:abc');
+      expect(toStoryKey(null, 'hn/top')).toBeNull();
+    });
+
+    test('should recover native ids for legacy rows', () => {
+      expect(getLegacyStoryKey({ story_id: 99, source: 'hn/top' })).toBe('hn/top:99');
+      expect(getLegacyStoryKey({
+        story_id: 123456,
+        source: 'reddit',
+        url: 'https://old.reddit.com/r/rust/comments/1c2d3e/some_title/'
+      })).toBe('reddit:1c2d3e');
+      expect(getLegacyStoryKey({
+        story_id: 42,
+        source: 'lobsters',
+        url: 'https://example.com/zig',
+        comments_url: 'https://lobste.rs/s/abc123/zig'
+      })).toBe('lobsters:abc123');
+      expect(getLegacyStoryKey({ story_id: 7, source: 'pinboard', url: 'https://example.com/post/' }))
+        .toBe('pinboard:url:https://example.com/post');
+    });
+  });
+
+  describe('Migration', () => {
+    // A database from before story keys, for the migrations to upgrade
+    const writeLegacyDatabase = dbPath => new Promise(resolve => {
+      const legacy = new sqlite3.Database(dbPath);
+      legacy.serialize(() => {
+        legacy.run(`CREATE TABLE links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          story_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          url TEXT NOT NULL,
+          comments_url TEXT,
+          source TEXT NOT NULL,
+          points INTEGER,
+          comments INTEGER,
+          viewed BOOLEAN DEFAULT FALSE,
+          viewed_at DATETIME,
+          engaged BOOLEAN DEFAULT FALSE,
+          engaged_at DATETIME,
+          engagement_count INTEGER DEFAULT 0,
+          first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          times_appeared INTEGER DEFAULT 1,
+          archive_url TEXT,
+          tags TEXT
+        )`);
+        legacy.run(`CREATE TABLE clicks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          story_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          url TEXT NOT NULL,
+          link_id INTEGER,
+          click_type TEXT,
+          clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        legacy.run(`INSERT INTO links (story_id, title, url, source, times_appeared, tags, first_seen_at)
+          VALUES (1, 'Post', 'https://example.com/post', 'pinboard', 3, 'rust', '2025-01-01 00:00:00')`);
+        legacy.run(`INSERT INTO links (story_id, title, url, source, times_appeared, tags, viewed, first_seen_at)
+          VALUES (2, 'Post', 'https://www.example.com/post/', 'pinboard', 2, 'rust,systems', 1, '2025-01-02 00:00:00')`);
+        legacy.run(`INSERT INTO links (story_id, title, url, source) VALUES (41234567, 'Show HN', 'https://example.org', 'hn')`);
+        legacy.run(`INSERT INTO clicks (story_id, title, url, link_id, click_type) VALUES (2, 'Post', 'https://example.com/post', 2, 'article')`);
+        legacy.close(resolve);
+      });
+    });
+
+    useTestDatabase({ beforeOpen: writeLegacyDatabase });
+
+    test('should assign keys and merge duplicate rows', async () => {
+      const repository = require('../src/repository');
+      const rows = await repository.all('SELECT id, story_key, source, times_appeared, tags, viewed, first_seen_at FROM links ORDER BY id', []);
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({
+        id: 1,
+        story_key: 'pinboard:url:https://example.com/post',
+        times_appeared: 5,
+        tags: 'rust,systems',
+        viewed: 1,
+        first_seen_at: '2025-01-01 00:00:00'
+      });
+      expect(rows[1]).toMatchObject({ story_key: 'hn/top:41234567', source: 'hn/top' });
+
+      const click = await repository.get('SELECT link_id FROM clicks', []);
+      expect(click.link_id).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { useTestDatabase } = require('./test-database');
+
+const mockClaudeIntegration = {
+  checkLlmAvailable: jest.fn(),
+  generateSummary: jest.fn()
+};
+jest.mock('../src/claude-integration', () => mockClaudeIntegration);
+
+const mockContentExtractor = {
+  getArticleExcerpt: jest.fn()
+};
+jest.mock('../src/content-extractor', () => mockContentExtractor);
+
+describe('Summarizer', () => {
+  let repository;
+  let summarizer;
+
+  const link = (id, url) => ({
+    storyKey: `hn/top:${id}`,
+    storyId: id,
+    title: `Story ${id}`,
+    url,
+    commentsUrl: `https://news.ycombinator.com/item?id=${id}`,
+    source: 'hn/top',
+    points: 10,
+    comments: 2,
+    articleUrl: url,
+    canonicalUrl: url
+  });
+
+  useTestDatabase();
+
+  beforeAll(() => {
+    repository = require('../src/repository');
+    summarizer = require('../src/summarizer');
+  });
+
+  test('should summarize clicked links and saved articles once', async () => {
+    await repository.links.recordAppearance(link(1, 'https://example.com/clicked'));
+    await repository.links.recordAppearance(link(2, 'https://example.com/unclicked'));
+    await repository.clicks.record('hn/top:1', 'article');
+    await repository.articles.save({ url: 'https://example.com/saved', title: 'Saved story', textContent: '' });
+
+    mockClaudeIntegration.checkLlmAvailable.mockResolvedValue(true);
+    mockContentExtractor.getArticleExcerpt.mockImplementation(async item => `Text of ${item.url}`);
+    mockClaudeIntegration.generateSummary.mockImplementation(async (title, url, excerpt) =>
+      ({ success: true, summary: `About ${excerpt}`, source: 'anthropic' }));
+
+    const due = await repository.summaries.listDue();
+    expect(due.map(item => [item.kind, item.url]).sort()).toEqual([
+      ['article', 'https://example.com/saved'],
+      ['link', 'https://example.com/clicked']
+    ]);
+
+    await expect(summarizer.summarizePendingArticles()).resolves.toEqual({ processed: 2, successful: 2 });
+    expect(mockContentExtractor.getArticleExcerpt).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'https://example.com/clicked' }), { maxChars: 4000 });
+
+    expect(await repository.links.findByKey('hn/top:1')).toMatchObject({
+      summary: 'About Text of https://example.com/clicked',
+      summary_source: 'anthropic'
+    });
+    expect((await repository.links.findByKey('hn/top:2')).summary).toBeNull();
+    expect(await repository.articles.findByUrl('https://example.com/saved')).toMatchObject({
+      summary: 'About Text of https://example.com/saved'
+    });
+
+    await expect(summarizer.summarizePendingArticles()).resolves.toEqual({ processed: 0, successful: 0 });
+  });
+
+  test('should wait before retrying failed summaries', async () => {
+    await repository.links.recordAppearance(link(3, 'https://example.com/paywalled'));
+    await repository.clicks.record('hn/top:3', 'article');
+
+    mockContentExtractor.getArticleExcerpt.mockResolvedValue(null);
+    mockClaudeIntegration.generateSummary.mockResolvedValue({ success: false, source: null, error: 'No article text to summarize' });
+
+    await expect(summarizer.summarizePendingArticles()).resolves.toEqual({ processed: 1, successful: 0 });
+    expect((await repository.links.findByKey('hn/top:3')).summary_attempted_at).toBeTruthy();
+    expect(await repository.summaries.listDue()).toEqual([]);
+    expect((await repository.summaries.listDue(20, 0)).map(item => item.url)).toEqual(['https://example.com/paywalled']);
+  });
+
+  test('should summarize the article of a Reddit link post, not its thread', async () => {
+    const thread = 'https://old.reddit.com/r/zig/comments/zig4/';
+    await repository.links.recordAppearance({
+      ...link(4, thread),
+      storyKey: 'reddit:zig4',
+      source: 'reddit',
+      commentsUrl: thread,
+      articleUrl: 'https://example.com/zig-4',
+      canonicalUrl: 'https://example.com/zig-4'
+    });
+    await repository.clicks.record('reddit:zig4', 'article');
+
+    expect(await repository.summaries.listDue()).toEqual([
+      { kind: 'link', id: expect.any(Number), title: 'Story 4', url: 'https://example.com/zig-4' }
+    ]);
+  });
+
+  test('should skip summaries when no provider is available', async () => {
+    mockClaudeIntegration.checkLlmAvailable.mockResolvedValue(false);
+
+    await expect(summarizer.summarizePendingArticles()).resolves.toEqual({ processed: 0, successful: 0 });
+    expect(mockClaudeIntegration.generateSummary).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+const { useTestDatabase } = require('./test-database');
+
+describe('Tag query language', () => {
+  let parseTagQuery;
+
+  beforeAll(() => {
+    ({ parseTagQuery } = require('../src/tag-query'));
+  });
+
+  describe('parseTagQuery', () => {
+    test('should compile to a parameterized condition', () => {
+      const parsed = parseTagQuery('Rust AND -crypto, seen:>5');
+      expect(parsed.error).toBeUndefined();
+      expect(parsed.where).not.toContain('rust');
+      expect(parsed.params).toEqual(['rust', 'rust', 'crypto', 'crypto', 5]);
+    });
+
+    test('should explain what is wrong and where', () => {
+      expect(parseTagQuery('rust AND (compilers')).toEqual({
+        error: 'Missing ")" to close this "(" (at character 10)',
+        position: 10
+      });
+      expect(parseTagQuery('rust AND').error).toBe('Expected a tag or filter after "AND" (at character 6)');
+      expect(parseTagQuery('rust OR )').error).toBe('Unexpected ")", expected a tag or filter (at character 9)');
+      expect(parseTagQuery('"open source').error).toBe('Missing closing quote (at character 1)');
+      expect(parseTagQuery('color:red').error).toContain('Unknown field "color:"');
+      expect(parseTagQuery('seen:lots').error).toContain('"seen:" needs a number');
+      expect(parseTagQuery('clicked:maybe').error).toContain('"clicked:" must be yes or no');
+      expect(parseTagQuery('   ').error).toBe('The query is empty');
+    });
+  });
+
+  describe('searching the database', () => {
+    let database;
+    let repository;
+
+    const search = (query, options = {}) => new Promise((resolve, reject) => {
+      database.searchStoriesByTags(query, options, (err, stories) => (err ? reject(err) : resolve(stories.map(story => story.title).sort())));
+    });
+
+    useTestDatabase();
+
+    beforeAll(async () => {
+      database = require('../src/database');
+      repository = require('../src/repository');
+
+      const stories = [
+        [{ id: 1, title: 'A Rust compiler', url: 'https://github.com/someone/compiler' }, 'hn/top', ['rust', 'compilers']],
+        [{ id: 2, title: 'Rust crypto', url: 'https://www.crypto.example.com/lib' }, 'hn/top', ['rust', 'crypto']],
+        [{ id: 'w1', title: 'Rust to wasm', url: 'https://docs.github.com/wasm', comments_url: 'https://lobste.rs/s/w1' }, 'lobsters', ['rust', 'wasm']],
+        [{ id: 4, title: 'Machine learning notes', url: 'https://example.org/ml' }, 'hn/best', ['machine learning']]
+      ];
+      for (const [story, source, tags] of stories) {
+        await database.trackLinkAppearance(story, source);
+        const [link] = await repository.all('SELECT story_key FROM links WHERE title = ?', [story.title]);
+        await repository.tags.add(link.story_key, tags);
+      }
+
+      // The compiler story is seen twice more and clicked
+      await database.trackLinkAppearance(stories[0][0], 'hn/top');
+      await database.trackLinkAppearance(stories[0][0], 'hn/top');
+      await database.trackArticleClick(1, 'hn/top');
+
+      await repository.tagHierarchy.setParent('wasm', 'web');
+    });
+
+    test('should combine tags with AND, OR and NOT', async () => {
+      await expect(search('rust AND (compilers OR wasm) -crypto')).resolves.toEqual(['A Rust compiler', 'Rust to wasm']);
+      await expect(search('rust NOT crypto NOT wasm')).resolves.toEqual(['A Rust compiler']);
+      await expect(search('crypto, machine learning')).resolves.toEqual(['Machine learning notes', 'Rust crypto']);
+      await expect(search('"machine learning" OR compilers')).resolves.toEqual(['A Rust compiler', 'Machine learning notes']);
+    });
+
+    test('should include tags below a tag unless asked not to', async () => {
+      await expect(search('web')).resolves.toEqual(['Rust to wasm']);
+      await expect(search('web', { includeDescendants: false })).resolves.toEqual([]);
+    });
+
+    test('should filter on source, domain, clicks and appearances', async () => {
+      await expect(search('source:hn')).resolves.toEqual(['A Rust compiler', 'Machine learning notes', 'Rust crypto']);
+      await expect(search('source:hn/best')).resolves.toEqual(['Machine learning notes']);
+      await expect(search('domain:github.com')).resolves.toEqual(['A Rust compiler', 'Rust to wasm']);
+      await expect(search('domain:example.com')).resolves.toEqual(['Rust crypto']);
+      await expect(search('clicked:yes')).resolves.toEqual(['A Rust compiler']);
+      await expect(search('rust clicked:no')).resolves.toEqual(['Rust crypto', 'Rust to wasm']);
+      await expect(search('seen:>1')).resolves.toEqual(['A Rust compiler']);
+      await expect(search('rust seen:1 -source:lobsters')).resolves.toEqual(['Rust crypto']);
+    });
+
+    test('should report invalid queries to the callback', async () => {
+      await expect(search('rust AND (wasm')).rejects.toMatchObject({
+        message: 'Missing ")" to close this "(" (at character 10)',
+        position: 10
+      });
+    });
+  });
+});
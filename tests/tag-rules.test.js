@@ -0,0 +1,119 @@
+const { useTestDatabase } = require('./test-database');
+
+describe('Tag rules', () => {
+  let tagRules;
+
+  beforeAll(() => {
+    tagRules = require('../src/tag-rules');
+  });
+
+  describe('parseRule', () => {
+    test('should normalize valid rules', () => {
+      expect(tagRules.parseRule({ field: 'domain', pattern: ' GitHub.com ', tags: 'Code, open source,code' })).toEqual({
+        rule: { field: 'domain', pattern: 'GitHub.com', tags: ['code', 'open source'], enabled: true }
+      });
+      expect(tagRules.parseRule({ field: 'title', pattern: '^show hn', tags: ['show hn'], enabled: false }).rule.enabled).toBe(false);
+    });
+
+    test('should explain what is wrong with invalid rules', () => {
+      expect(tagRules.parseRule({ field: 'author', pattern: 'x', tags: 'y' }).error).toContain('"field" must be one of');
+      expect(tagRules.parseRule({ field: 'domain', pattern: '  ', tags: 'y' }).error).toBe('"pattern" is required');
+      expect(tagRules.parseRule({ field: 'title', pattern: '(unclosed', tags: 'y' }).error).toContain('Invalid regular expression');
+      expect(tagRules.parseRule({ field: 'domain', pattern: 'github.com', tags: ' , ' }).error).toBe('"tags" must name at least one tag');
+      expect(tagRules.parseRule(null).error).toContain('"field"');
+    });
+  });
+
+  describe('evaluateRules', () => {
+    const rule = (id, field, pattern, tags) => tagRules.compileRule({ id, field, pattern, tags });
+
+    test('should match each field', () => {
+      const rules = [
+        rule(1, 'domain', 'www.github.com', 'code'),
+        rule(2, 'url', '\\.pdf$', 'pdf'),
+        rule(3, 'title', '^show hn', 'show hn'),
+        rule(4, 'source', 'hn', 'hacker news'),
+        rule(5, 'subreddit', 'r/Elixir', 'elixir,code')
+      ];
+
+      expect(tagRules.evaluateRules(rules, {
+        title: 'Show HN: A PDF toolkit',
+        url: 'https://gist.github.com/someone/paper.pdf',
+        source: 'hn/show'
+      })).toEqual([
+        { tag: 'code', ruleId: 1 },
+        { tag: 'pdf', ruleId: 2 },
+        { tag: 'show hn', ruleId: 3 },
+        { tag: 'hacker news', ruleId: 4 }
+      ]);
+
+      expect(tagRules.evaluateRules(rules, {
+        title: 'Phoenix LiveView tips',
+        url: 'https://example.com/liveview',
+        source: 'reddit',
+        commentsUrl: 'https://www.reddit.com/r/elixir/comments/abc/phoenix/'
+      })).toEqual([{ tag: 'elixir', ruleId: 5 }, { tag: 'code', ruleId: 5 }]);
+
+      expect(tagRules.evaluateRules(rules, {
+        title: 'Not a match',
+        url: 'https://notgithub.com/x',
+        source: 'hnews'
+      })).toEqual([]);
+    });
+  });
+
+  describe('with a database', () => {
+    let database;
+    let repository;
+
+    useTestDatabase();
+
+    beforeAll(() => {
+      database = require('../src/database');
+      repository = require('../src/repository');
+    });
+
+    test('should tag new links with matching rules and record the rule', async () => {
+      const { id: ruleId } = await tagRules.createRule(
+        tagRules.parseRule({ field: 'domain', pattern: 'github.com', tags: 'code' }).rule
+      );
+
+      await database.trackLinkAppearance({ id: 1, title: 'A tiny Lisp', url: 'https://github.com/someone/lisp' }, 'hn/top');
+      await database.trackLinkAppearance({ id: 2, title: 'Cooking with rice', url: 'https://example.com/rice' }, 'hn/top');
+
+      expect(await repository.tags.getWithOrigin('hn/top:1')).toEqual([
+        expect.objectContaining({ tag: 'code', origin: 'rule', rule_id: ruleId })
+      ]);
+      expect(await repository.tags.get('hn/top:2')).toEqual([]);
+
+      // Rules only tag links when they are first seen
+      await repository.tags.remove('hn/top:1', 'code');
+      await database.trackLinkAppearance({ id: 1, title: 'A tiny Lisp', url: 'https://github.com/someone/lisp' }, 'hn/top');
+      expect(await repository.tags.get('hn/top:1')).toEqual([]);
+    });
+
+    test('should apply new rules to existing links and keep tags when a rule is deleted', async () => {
+      const { id: ruleId } = await tagRules.createRule(
+        tagRules.parseRule({ field: 'title', pattern: '\\brice\\b', tags: 'food' }).rule
+      );
+
+      await expect(tagRules.applyRulesToAllLinks()).resolves.toEqual({ links: 2, tags: 2 });
+      expect(await repository.tags.get('hn/top:1')).toEqual(['code']);
+      expect(await repository.tags.get('hn/top:2')).toEqual(['food']);
+
+      await expect(tagRules.deleteRule(ruleId)).resolves.toBe(1);
+      expect(await repository.tags.getWithOrigin('hn/top:2')).toEqual([
+        expect.objectContaining({ tag: 'food', origin: 'rule', rule_id: null })
+      ]);
+      expect((await tagRules.listRules()).map(rule => rule.pattern)).toEqual(['github.com']);
+    });
+
+    test('should skip disabled rules', async () => {
+      const [rule] = await tagRules.listRules();
+      await tagRules.updateRule(rule.id, { ...rule, enabled: false });
+
+      await database.trackLinkAppearance({ id: 3, title: 'Another repo', url: 'https://github.com/someone/repo' }, 'hn/top');
+      expect(await repository.tags.get('hn/top:3')).toEqual([]);
+    });
+  });
+});
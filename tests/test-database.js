@@ -0,0 +1,48 @@
+/**
+ * A real SQLite database for tests that exercise SQL
+ *
+ * Call useTestDatabase() at the top of a describe block: before the block's
+ * tests it points Electron's userData at a fresh temporary directory and
+ * opens and migrates clicks.db there (console.log is silenced meanwhile);
+ * afterwards it closes the database and removes the directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// tests/setup.js mocks sqlite3 for every suite; requiring this helper opts out
+jest.unmock('sqlite3');
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.beforeOpen] - Called with the database file path before
+ *   initDatabase, e.g. to write an old schema for the migrations to upgrade
+ */
+function useTestDatabase({ beforeOpen } = {}) {
+  let userData;
+  let database;
+  let log;
+
+  beforeAll(async () => {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'bobrowser-test-'));
+    require('electron').app.getPath.mockImplementation(() => userData);
+    if (beforeOpen) {
+      await beforeOpen(path.join(userData, 'clicks.db'));
+    }
+
+    log = jest.spyOn(console, 'log').mockImplementation();
+    database = require('../src/database');
+    await new Promise((resolve, reject) => database.initDatabase(err => (err ? reject(err) : resolve())));
+  });
+
+  afterAll((done) => {
+    log.mockRestore();
+    database.getDatabase().close(() => {
+      fs.rmSync(userData, { recursive: true, force: true });
+      done();
+    });
+  });
+}
+
+module.exports = { useTestDatabase };
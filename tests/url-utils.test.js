@@ -0,0 +1,33 @@
+const { canonicalizeUrl } = require('../src/url-utils');
+
+describe('URL canonicalization', () => {
+  test('should normalize scheme, host and trailing slash', () => {
+    expect(canonicalizeUrl('http://WWW.Example.com/posts/zig/')).toBe('https://example.com/posts/zig');
+    expect(canonicalizeUrl('https://example.com:443/')).toBe('https://example.com');
+    expect(canonicalizeUrl('https://example.com/blog/index.html')).toBe('https://example.com/blog');
+  });
+
+  test('should strip tracking parameters and fragments but keep the rest', () => {
+    expect(canonicalizeUrl('https://example.com/a?utm_source=hn&utm_medium=social&id=7#comments'))
+      .toBe('https://example.com/a?id=7');
+    expect(canonicalizeUrl('https://example.com/a?fbclid=abc&ref=lobsters')).toBe('https://example.com/a');
+    expect(canonicalizeUrl('https://youtube.com/watch?v=dQw4w9WgXcQ&si=x&t=10'))
+      .toBe('https://youtube.com/watch?si=x&t=10&v=dQw4w9WgXcQ');
+  });
+
+  test('should resolve known redirectors', () => {
+    expect(canonicalizeUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fpost%3Futm_source%3Dfb&h=AT0'))
+      .toBe('https://example.com/post');
+    expect(canonicalizeUrl('https://www.google.com/url?q=https://example.com/post/&sa=D'))
+      .toBe('https://example.com/post');
+    expect(canonicalizeUrl('https://out.reddit.com/t3_abc?url=https%3A%2F%2Fexample.com%2Fpost&token=x'))
+      .toBe('https://example.com/post');
+    expect(canonicalizeUrl('https://www.google.com/search?q=https://example.com'))
+      .toBe('https://google.com/search?q=https%3A%2F%2Fexample.com');
+  });
+
+  test('should leave unparseable values alone', () => {
+    expect(canonicalizeUrl(null)).toBeNull();
+    expect(canonicalizeUrl('not a url')).toBe('not a url');
+  });
+});